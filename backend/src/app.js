@@ -13,7 +13,7 @@ app.use(
   cors({
     origin: config.CLIENT_URL,
     credentials: true,
-    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -45,11 +45,22 @@ app.get("/api/v1/", (req, res) => {
 import healthCheckRouter from "#routes/healthcheck.routes.js";
 import authRouter from "#routes/auth.routes.js";
 import documentRouter from "#routes/document.routes.js";
+import sourceRouter from "#routes/source.routes.js";
 import sessionRouter from "#routes/session.routes.js";
 
 app.use("/api/v1/healthCheck", healthCheckRouter);
 app.use("/api/v1/auth", authRouter);
-app.use("/api/v1/documents", documentRouter);
+app.use("/api/v1/sources", sourceRouter);
+
+// Compatibility layer for PDF-only clients; the same sources are served under /api/v1/sources.
+app.use(
+  "/api/v1/documents",
+  (req, res, next) => {
+    res.setHeader("X-Deprecated-Endpoint", "/api/v1/documents is deprecated; please use /api/v1/sources instead.");
+    next();
+  },
+  documentRouter
+);
 
 // Backward-compatible alias for previously used /api/v1/chat endpoint.
 // Adds a deprecation header but otherwise reuses the sessionRouter.
@@ -38,6 +38,52 @@ export const config = {
   OPENAI_EMBEDDING_MODEL: process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
   OPENAI_LLM_MODEL: process.env.OPENAI_LLM_MODEL || "gpt-4",
 
+  // Embedding Provider Configuration (openai | openai_compatible | local)
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || "openai",
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
+  EMBEDDING_BASE_URL: process.env.EMBEDDING_BASE_URL,
+  EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY,
+  EMBEDDING_DIMENSIONS: parseInt(process.env.EMBEDDING_DIMENSIONS) || null,
+
+  // LLM Provider Configuration (openai | openai_compatible | local | scripted)
+  // LLM_* values are shared defaults; CHAT_LLM_* / EXTRACTION_LLM_* override per purpose
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "openai",
+  LLM_BASE_URL: process.env.LLM_BASE_URL,
+  LLM_API_KEY: process.env.LLM_API_KEY,
+  LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:8080/v1",
+  CHAT_LLM_PROVIDER: process.env.CHAT_LLM_PROVIDER || process.env.LLM_PROVIDER || "openai",
+  CHAT_LLM_MODEL: process.env.CHAT_LLM_MODEL || process.env.OPENAI_LLM_MODEL || "gpt-4",
+  CHAT_LLM_BASE_URL: process.env.CHAT_LLM_BASE_URL || process.env.LLM_BASE_URL,
+  CHAT_LLM_API_KEY: process.env.CHAT_LLM_API_KEY || process.env.LLM_API_KEY,
+  EXTRACTION_LLM_PROVIDER: process.env.EXTRACTION_LLM_PROVIDER || process.env.LLM_PROVIDER || "openai",
+  EXTRACTION_LLM_MODEL: process.env.EXTRACTION_LLM_MODEL || process.env.OPENAI_LLM_MODEL || "gpt-4",
+  EXTRACTION_LLM_BASE_URL: process.env.EXTRACTION_LLM_BASE_URL || process.env.LLM_BASE_URL,
+  EXTRACTION_LLM_API_KEY: process.env.EXTRACTION_LLM_API_KEY || process.env.LLM_API_KEY,
+  SCRIPTED_LLM_RESPONSES_PATH: process.env.SCRIPTED_LLM_RESPONSES_PATH,
+
+  // Retrieval Configuration (dense | sparse | hybrid)
+  DEFAULT_RETRIEVAL_MODE: process.env.DEFAULT_RETRIEVAL_MODE || "dense",
+  RRF_K: parseInt(process.env.RRF_K) || 60,
+
+  // Reranker Configuration (none | llm | http | heuristic)
+  RERANKER_PROVIDER: process.env.RERANKER_PROVIDER || "none",
+  RERANKER_MODEL: process.env.RERANKER_MODEL,
+  RERANKER_URL: process.env.RERANKER_URL,
+  RERANKER_API_KEY: process.env.RERANKER_API_KEY,
+  RERANKER_HTTP_FORMAT: process.env.RERANKER_HTTP_FORMAT || "cohere",
+  RERANKER_TIMEOUT_MS: parseInt(process.env.RERANKER_TIMEOUT_MS) || 10000,
+  RERANK_CANDIDATE_MULTIPLIER: parseInt(process.env.RERANK_CANDIDATE_MULTIPLIER) || 4,
+
+  // Conversation History Configuration (short-term window sent with each turn)
+  HISTORY_TOKEN_BUDGET: parseInt(process.env.HISTORY_TOKEN_BUDGET) || 3000,
+  HISTORY_MAX_MESSAGES: parseInt(process.env.HISTORY_MAX_MESSAGES) || 40,
+  HISTORY_SUMMARY_MAX_TOKENS: parseInt(process.env.HISTORY_SUMMARY_MAX_TOKENS) || 400,
+  HISTORY_SUMMARY_MODEL: process.env.HISTORY_SUMMARY_MODEL,
+
+  // Chat Streaming Configuration (how often a stream checks for cancels sent to other instances)
+  CANCEL_POLL_INTERVAL_MS: parseInt(process.env.CANCEL_POLL_INTERVAL_MS) || 1000,
+  STREAMING_REPLY_TIMEOUT_MS: parseInt(process.env.STREAMING_REPLY_TIMEOUT_MS) || 15 * 60 * 1000,
+
   // Mailtrap Email Configuration
   MAILTRAP_SMTP_HOST: process.env.MAILTRAP_SMTP_HOST,
   MAILTRAP_SMTP_PORT: process.env.MAILTRAP_SMTP_PORT,
@@ -65,6 +111,28 @@ export const config = {
   MAX_FILE_SIZE: process.env.MAX_FILE_SIZE || 10 * 1024 * 1024, // 10MB default
   CHUNK_SIZE: parseInt(process.env.CHUNK_SIZE) || 1000,
   CHUNK_OVERLAP: parseInt(process.env.CHUNK_OVERLAP) || 200,
+
+  // Graph Indexing Configuration
+  GRAPH_EXTRACTION_CONCURRENCY: parseInt(process.env.GRAPH_EXTRACTION_CONCURRENCY) || 3,
+  GRAPH_WRITE_BATCH_SIZE: parseInt(process.env.GRAPH_WRITE_BATCH_SIZE) || 25,
+  ENTITY_RESOLUTION_ENABLED: process.env.ENTITY_RESOLUTION_ENABLED !== "false",
+  ENTITY_STRING_SIMILARITY: parseFloat(process.env.ENTITY_STRING_SIMILARITY) || 0.94,
+  ENTITY_EMBEDDING_SIMILARITY: parseFloat(process.env.ENTITY_EMBEDDING_SIMILARITY) || 0.9,
+  ENTITY_RESOLUTION_MAX_BLOCK: parseInt(process.env.ENTITY_RESOLUTION_MAX_BLOCK) || 2000,
+  ENTITY_DESCRIPTIONS_ENABLED: process.env.ENTITY_DESCRIPTIONS_ENABLED !== "false",
+  ENTITY_SUMMARIES_ENABLED: process.env.ENTITY_SUMMARIES_ENABLED !== "false",
+  ENTITY_SUMMARY_MAX_ENTITIES: parseInt(process.env.ENTITY_SUMMARY_MAX_ENTITIES) || 500,
+  CODE_GRAPH_ENABLED: process.env.CODE_GRAPH_ENABLED !== "false",
+
+  // Background Job Worker Configuration
+  JOB_WORKER_ENABLED: process.env.JOB_WORKER_ENABLED !== "false",
+  JOB_WORKER_CONCURRENCY: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1,
+  JOB_POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  JOB_LEASE_MS: parseInt(process.env.JOB_LEASE_MS) || 60 * 1000,
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  JOB_RETRY_BASE_DELAY_MS: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+  JOB_RETRY_MAX_DELAY_MS: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000,
+  JOB_MAX_DEFERRALS: parseInt(process.env.JOB_MAX_DEFERRALS) || 120,
 };
 
 /**
@@ -79,9 +147,18 @@ export const validateConfig = () => {
     "CLOUDINARY_CLOUD_NAME",
     "CLOUDINARY_API_KEY",
     "CLOUDINARY_API_SECRET",
-    "OPENAI_API_KEY",
   ];
 
+  // OpenAI key is only needed when an OpenAI-hosted provider is in use
+  const providers = [
+    config.EMBEDDING_PROVIDER,
+    config.CHAT_LLM_PROVIDER,
+    config.EXTRACTION_LLM_PROVIDER,
+  ];
+  if (providers.includes("openai")) {
+    required.push("OPENAI_API_KEY");
+  }
+
   const missing = required.filter((key) => !config[key]);
 
   if (missing.length > 0) {
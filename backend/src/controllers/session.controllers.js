@@ -1,14 +1,35 @@
-import { ChatSession } from "#models/sessionSession.models.js";
-import { ChatMessage } from "#models/sessionMessage.models.js";
+import mongoose from "mongoose";
+import { ChatSession } from "#models/chatSession.models.js";
+import { ChatMessage } from "#models/chatMessage.models.js";
 import { Source } from "#models/source.models.js";
 import { ApiResponse } from "#utils/api-response.js";
 import { ApiError } from "#utils/api-error.js";
 import { asyncHandler } from "#utils/async-handler.js";
-import { runChatRAG } from "#services/session/session.service.js";
-import { persistConversationToMemory } from "#services/session/rag/memory/memoryPersistence.js";
-import { memoryClient } from "#services/session/rag/memory/memoryClient.js";
-import { deleteSessionMemories } from "#services/session/rag/memory/memoryCleanup.js";
-import { Readable } from "stream";
+import {
+  AvailableRetrievalModes,
+  AvailableRerankerProviders,
+  ChatStreamEventsEnum,
+  MessageStatusEnum,
+  CancelReasonsEnum,
+  SessionEventTypesEnum,
+  SourceStatusEnum,
+} from "#utils/constants.js";
+import config from "#config/config.js";
+import { runChatRAG } from "#services/chat/chat.service.js";
+import { registerRun, unregisterRun, abortRun, isAbandonedReply } from "#services/chat/activeRuns.js";
+import {
+  loadMessageTree,
+  getChildren,
+  getSiblings,
+  getPathTo,
+  getActivePath,
+  getSiblingInfo,
+  activateBranch,
+} from "#services/chat/messageTree.js";
+import { persistConversationToMemory } from "#services/chat/rag/memory/memoryPersistence.js";
+import { memoryClient } from "#services/chat/rag/memory/memoryClient.js";
+import { deleteSessionMemories } from "#services/chat/rag/memory/memoryCleanup.js";
+import { fetchGraphSubgraph } from "#services/graph/fetchGraphSubgraph.js";
 
 /**
  * POST /api/v1/session
@@ -97,27 +118,165 @@ export const getChatSessionById = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Attempts at the conditional sources/active-leaf write before giving up with a 409
+ */
+const SOURCE_CHANGE_ATTEMPTS = 3;
+
+/**
+ * Apply and record a change of session sources
+ * Once the conversation has started, the change is appended to the active branch as a
+ * system event, so it shows in the timeline and in the agent's history on later turns.
+ * The sources and the new active leaf are written in one update conditioned on the leaf
+ * the event hangs off (a reply starting meanwhile moves it, and the write is retried);
+ * the event message is only created once that write went through.
+ * A temporary mem0 notice reaches turns beyond the history window.
+ * @param {Object} params
+ * @param {Object} params.chatSession - Chat session document (not modified)
+ * @param {string} params.type - SessionEventTypesEnum value
+ * @param {Array} params.sources - Changed sources ({ _id, title })
+ * @throws {ApiError} 409 if the active branch kept moving during every attempt
+ */
+const recordSourceChange = async ({ chatSession, type, sources }) => {
+  const titles = sources.map((s) => s.title);
+  const sourceIds = sources.map((s) => s._id);
+  const content =
+    type === SessionEventTypesEnum.SOURCES_ADDED
+      ? `User added new sources to this chat: ${titles.join(", ")}. These sources are now available for search and retrieval.`
+      : `User removed sources from this chat: ${titles.join(", ")}. These sources are no longer available for search and retrieval.`;
+  const sourceUpdate =
+    type === SessionEventTypesEnum.SOURCES_ADDED
+      ? { $addToSet: { sources: { $each: sourceIds } } }
+      : { $pull: { sources: { $in: sourceIds } } };
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await ChatSession.findById(chatSession._id).select("activeLeafId").lean();
+
+    if (!current) {
+      throw new ApiError(404, "Chat session not found");
+    }
+
+    const { tree, leafId } = await getActivePath(current);
+    const eventId = leafId ? new mongoose.Types.ObjectId() : null;
+
+    const result = await ChatSession.updateOne(
+      { _id: chatSession._id, activeLeafId: current.activeLeafId ?? null },
+      { ...sourceUpdate, ...(eventId && { $set: { activeLeafId: eventId } }) }
+    );
+
+    if (result.matchedCount > 0) {
+      if (eventId) {
+        await ChatMessage.create({
+          _id: eventId,
+          sessionId: chatSession._id,
+          role: "system",
+          content,
+          parentId: leafId,
+          version: getChildren(tree, leafId).length + 1,
+          event: {
+            type,
+            sourceIds,
+            titles,
+          },
+        });
+      }
+      break;
+    }
+
+    if (attempt === SOURCE_CHANGE_ATTEMPTS) {
+      throw new ApiError(409, "The chat changed while its sources were being updated; try again");
+    }
+  }
+
+  try {
+    // Save to memory as a temporary notification (expires in 3 days)
+    // This is just a notification, not a permanent fact
+    const SOURCE_UPDATE_MEMORY_TTL_DAYS = 3;
+    const expirationDate = new Date();
+    expirationDate.setDate(expirationDate.getDate() + SOURCE_UPDATE_MEMORY_TTL_DAYS);
+
+    await memoryClient.add(
+      [{ role: "system", content }],
+      {
+        // The OSS client only takes camelCase scope IDs (and throws without one)
+        userId: chatSession.userId.toString(),
+        runId: chatSession._id.toString(),
+        agentId: "graphlm_assistant",
+        metadata: {
+          app_id: "graphlm",
+          expiration_date: expirationDate.toISOString(), // Expires in 3 days
+          // Lets deleting a source find its notices without matching on titles
+          source_ids: sources.map((s) => s._id.toString()),
+        },
+      }
+    );
+
+    console.log(`Notified agent about ${sources.length} ${type} source(s) in chat ${chatSession._id} (expires in 3 days)`);
+  } catch (memError) {
+    console.error("Failed to save source update to memory:", memError);
+    // Don't fail the request if memory save fails
+  }
+};
+
 /**
  * PATCH /api/v1/session/:sessionId
- * Update a chat session (title, sources)
+ * Update a chat session (title, sources, retrieval defaults)
  * 
  * Responsibilities:
  * - Allow updating title anytime
- * - Attach or modify sources ONLY if chat has no messages yet
- * - Verify all sources exist and belong to authenticated user
+ * - Allow setting retrieval mode and reranker defaults anytime (null resets to server default)
+ * - Attach (sources / addSources) or detach (removeSources) sources anytime, also mid-conversation
+ * - Record each source change as a system event on the active branch of the timeline
+ * - Verify all added sources exist and belong to authenticated user
  * - Verify ownership (chat belongs to authenticated user)
  * - Return updated session metadata
  * 
  * Note: This is the primary endpoint for attaching indexed sources to chat sessions.
+ * The agent picks up the new source list on the next turn.
  */
 export const updateChatSession = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
-  const { title, sources } = req.body;
+  const {
+    title,
+    sources,
+    addSources,
+    removeSources,
+    retrievalMode,
+    reranker,
+    rerankMultiplier,
+  } = req.body;
 
   if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
     throw new ApiError(400, "Invalid chat ID format");
   }
 
+  for (const [field, ids] of Object.entries({ sources, addSources, removeSources })) {
+    if (ids === undefined) continue;
+    if (!Array.isArray(ids) || !ids.every((id) => typeof id === "string" && id.match(/^[0-9a-fA-F]{24}$/))) {
+      throw new ApiError(400, `${field} must be an array of source IDs`);
+    }
+  }
+
+  if (
+    retrievalMode !== undefined &&
+    retrievalMode !== null &&
+    !AvailableRetrievalModes.includes(retrievalMode)
+  ) {
+    throw new ApiError(400, `retrievalMode must be one of: ${AvailableRetrievalModes.join(", ")}`);
+  }
+
+  if (reranker !== undefined && reranker !== null && !AvailableRerankerProviders.includes(reranker)) {
+    throw new ApiError(400, `reranker must be one of: ${AvailableRerankerProviders.join(", ")}`);
+  }
+
+  if (
+    rerankMultiplier !== undefined &&
+    rerankMultiplier !== null &&
+    !(Number.isInteger(rerankMultiplier) && rerankMultiplier >= 1 && rerankMultiplier <= 10)
+  ) {
+    throw new ApiError(400, "rerankMultiplier must be an integer between 1 and 10");
+  }
+
   const chatSession = await ChatSession.findById(sessionId);
 
   if (!chatSession) {
@@ -128,62 +287,41 @@ export const updateChatSession = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You do not have permission to update this chat session");
   }
 
-  if (sources && Array.isArray(sources)) {
-    const messageCount = await ChatMessage.countDocuments({ sessionId });
-    if (messageCount > 0) {
-      throw new ApiError(400, "Cannot update sources after messages have been added");
-    }
+  const toAdd = [...new Set([...(sources || []), ...(addSources || [])].map(String))];
+  const toRemove = [...new Set((removeSources || []).map(String))];
 
+  if (toAdd.length > 0) {
     const sourceRecords = await Source.find({
-      _id: { $in: sources },
+      _id: { $in: toAdd },
       ownerId: req.user._id,
-    });
+      status: { $ne: SourceStatusEnum.DELETING },
+    }).select("title");
 
-    if (sourceRecords.length !== sources.length) {
-      throw new ApiError(400, "One or more sources do not exist or do not belong to you");
+    if (sourceRecords.length !== toAdd.length) {
+      throw new ApiError(400, "One or more sources do not exist, are being deleted or do not belong to you");
     }
 
     // Track which sources are new
     const existingSourceIds = chatSession.sources.map(s => s.toString());
-    const newSourceIds = sources.filter(id => !existingSourceIds.includes(id.toString()));
-
-    const mergedSources = [...new Set([...chatSession.sources.map(s => s.toString()), ...sources])];
-    chatSession.sources = mergedSources;
-
-    // Notify agent via memory about new sources (only if sources were actually added)
-    if (newSourceIds.length > 0) {
-      try {
-        const newSources = sourceRecords.filter(sr => 
-          newSourceIds.includes(sr._id.toString())
-        );
-        
-        const sourceNames = newSources.map(s => s.title).join(", ");
-        
-        // Save to memory as a temporary notification (expires in 3 days)
-        // This is just a notification, not a permanent fact
-        const SOURCE_UPDATE_MEMORY_TTL_DAYS = 3;
-        const expirationDate = new Date();
-        expirationDate.setDate(expirationDate.getDate() + SOURCE_UPDATE_MEMORY_TTL_DAYS);
-        
-        await memoryClient.add(
-          [{ 
-            role: "system", 
-            content: `User added new sources to this chat: ${sourceNames}. These sources are now available for search and retrieval.` 
-          }],
-          {
-            user_id: chatSession.userId.toString(),
-            run_id: chatSession._id.toString(),
-            agent_id: "graphlm_assistant",
-            app_id: "graphlm",
-            expiration_date: expirationDate.toISOString(), // Expires in 3 days
-          }
-        );
-        
-        console.log(`Notified agent about ${newSourceIds.length} new source(s) in chat ${sessionId} (expires in 3 days)`);
-      } catch (memError) {
-        console.error("Failed to save source update to memory:", memError);
-        // Don't fail the request if memory save fails
-      }
+    const newSources = sourceRecords.filter(sr => !existingSourceIds.includes(sr._id.toString()));
+
+    if (newSources.length > 0) {
+      await recordSourceChange({ chatSession, type: SessionEventTypesEnum.SOURCES_ADDED, sources: newSources });
+    }
+  }
+
+  if (toRemove.length > 0) {
+    const attachedSourceIds = [...chatSession.sources.map(s => s.toString()), ...toAdd];
+    const removedIds = toRemove.filter(id => attachedSourceIds.includes(id));
+
+    if (removedIds.length > 0) {
+      const removedSources = await Source.find({ _id: { $in: removedIds } }).select("title");
+
+      await recordSourceChange({
+        chatSession,
+        type: SessionEventTypesEnum.SOURCES_REMOVED,
+        sources: removedSources,
+      });
     }
   }
 
@@ -191,9 +329,21 @@ export const updateChatSession = asyncHandler(async (req, res) => {
     chatSession.title = title.trim();
   }
 
+  // null resets a setting to the server default
+  if (retrievalMode !== undefined) {
+    chatSession.retrieval.mode = retrievalMode;
+  }
+  if (reranker !== undefined) {
+    chatSession.retrieval.reranker = reranker;
+  }
+  if (rerankMultiplier !== undefined) {
+    chatSession.retrieval.rerankMultiplier = rerankMultiplier;
+  }
+
+  // Sources and the active leaf were written by recordSourceChange; only the settings above are saved here
   await chatSession.save();
 
-  const updatedSession = await chatSession.populate("sources");
+  const updatedSession = await ChatSession.findById(sessionId).populate("sources");
 
   return res.status(200).json(
     new ApiResponse(200, updatedSession, "Chat session updated successfully")
@@ -250,6 +400,185 @@ export const deleteChatSession = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Run the agent for a persisted user message and stream the reply over SSE
+ * Shared by new messages, edits and regenerations. The reply is created as a child
+ * of the user message and becomes the session's active leaf.
+ * @param {Object} params
+ * @param {Object} params.res - Express response (SSE stream)
+ * @param {Object} params.chatSession - Chat session with populated sources
+ * @param {Object} params.userMessage - User message the reply answers
+ */
+const streamAssistantReply = async ({ res, chatSession, userMessage }) => {
+  const sessionId = chatSession._id;
+  const startedAt = Date.now();
+  const abortController = new AbortController();
+  const { signal } = abortController;
+
+  // Run RAG pipeline; setup errors (no sources, nothing indexed) surface as JSON
+  let run;
+  try {
+    run = await runChatRAG({
+      chatSession,
+      userMessage: userMessage.content,
+      userMessageId: userMessage._id,
+      signal,
+    });
+  } catch (error) {
+    console.error("RAG pipeline error:", error);
+    throw new ApiError(500, `Failed to process message: ${error.message}`);
+  }
+
+  // Reply placeholder so the client can cancel it by ID while it streams;
+  // a regenerated reply becomes the next version under the same user message
+  const tree = await loadMessageTree(sessionId);
+  const assistantMessage = await ChatMessage.create({
+    sessionId,
+    role: "assistant",
+    parentId: userMessage._id,
+    version: getChildren(tree, userMessage._id).length + 1,
+    status: MessageStatusEnum.STREAMING,
+    model: run.model,
+  });
+  registerRun(assistantMessage._id, abortController);
+
+  // The new reply is what the user is looking at now
+  await ChatSession.updateOne({ _id: sessionId }, { activeLeafId: assistantMessage._id });
+
+  // Set headers for SSE streaming response
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Nobody is reading anymore: stop generating instead of spending tokens
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      abortController.abort(CancelReasonsEnum.CLIENT_DISCONNECTED);
+    }
+  });
+
+  // Cancel requests that reached another server instance are flagged on the message
+  const cancelPoll = setInterval(async () => {
+    const requested = await ChatMessage.exists({
+      _id: assistantMessage._id,
+      cancelRequestedAt: { $ne: null },
+    }).catch(() => null);
+
+    if (requested) {
+      abortController.abort(CancelReasonsEnum.USER);
+    }
+  }, config.CANCEL_POLL_INTERVAL_MS);
+
+  sendEvent(ChatStreamEventsEnum.MESSAGE_STARTED, {
+    messageId: assistantMessage._id,
+    userMessageId: userMessage._id,
+    sessionId,
+  });
+
+  // Accumulate response text for persistence
+  let fullResponse = "";
+  let firstTokenMs = null;
+  let streamError = null;
+
+  try {
+    for await (const { event, data } of run.events) {
+      if (signal.aborted) break;
+
+      if (event === ChatStreamEventsEnum.MESSAGE_DELTA) {
+        if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
+        fullResponse += data.delta;
+      }
+      sendEvent(event, data);
+    }
+  } catch (error) {
+    // Aborting the run may surface as an error from the SDK; that is a cancel, not a failure
+    if (!signal.aborted) {
+      console.error("Stream error:", error);
+      streamError = error;
+    }
+  } finally {
+    clearInterval(cancelPoll);
+    unregisterRun(assistantMessage._id);
+  }
+
+  const reply = fullResponse.trim();
+  const status = signal.aborted
+    ? MessageStatusEnum.CANCELLED
+    : streamError
+      ? MessageStatusEnum.FAILED
+      : MessageStatusEnum.COMPLETED;
+
+  // Persist assistant message (partial if cancelled or failed) with its generation trace
+  let persisted = true;
+  try {
+    if (status === MessageStatusEnum.COMPLETED && !reply) {
+      await ChatMessage.deleteOne({ _id: assistantMessage._id });
+      await ChatSession.updateOne(
+        { _id: sessionId, activeLeafId: assistantMessage._id },
+        { activeLeafId: userMessage._id }
+      );
+      persisted = false;
+    } else {
+      await ChatMessage.updateOne(
+        { _id: assistantMessage._id },
+        {
+          content: reply,
+          status,
+          ...run.trace,
+          latency: { firstTokenMs, totalMs: Date.now() - startedAt },
+          ...(status === MessageStatusEnum.CANCELLED && {
+            cancelReason: signal.reason,
+            cancelledAt: new Date(),
+          }),
+        }
+      );
+      console.log(`Assistant message persisted for chat ${sessionId} (${status})`);
+    }
+  } catch (error) {
+    console.error("Failed to persist assistant message:", error);
+    streamError ??= error;
+  }
+
+  if (!res.writableEnded && !res.destroyed) {
+    if (streamError) {
+      sendEvent(ChatStreamEventsEnum.ERROR, { message: `Streaming error: ${streamError.message}` });
+    } else if (status === MessageStatusEnum.CANCELLED) {
+      sendEvent(ChatStreamEventsEnum.MESSAGE_CANCELLED, {
+        messageId: assistantMessage._id,
+        userMessageId: userMessage._id,
+        sessionId,
+        reason: signal.reason,
+      });
+    } else {
+      sendEvent(ChatStreamEventsEnum.MESSAGE_COMPLETED, {
+        messageId: persisted ? assistantMessage._id : null,
+        userMessageId: userMessage._id,
+        sessionId,
+      });
+    }
+    res.end();
+  }
+
+  // Automatically persist conversation turn to memory
+  // This ensures the conversation context is available for future retrieval
+  // Cancelled and failed replies, and replies on inactive branches, are not remembered
+  if (status === MessageStatusEnum.COMPLETED && persisted) {
+    await persistConversationToMemory({
+      userMessage: userMessage.content,
+      assistantMessage: reply,
+      assistantMessageId: assistantMessage._id,
+      chatSession,
+    }).catch((error) => {
+      console.error("Failed to persist conversation to memory:", error);
+    });
+  }
+};
+
 /**
  * POST /api/v1/session/:sessionId/messages
  * Send a new message in a chat session
@@ -257,10 +586,16 @@ export const deleteChatSession = asyncHandler(async (req, res) => {
  * Responsibilities:
  * - Validate user message content
  * - Load chat session and verify ownership
- * - Persist user message to database
+ * - Persist user message to database as a child of the active leaf
  * - Run RAG pipeline (vector retrieval + LLM agent)
- * - Stream assistant response back to client
- * - Persist assistant response after streaming completes
+ * - Create the assistant message up front (status "streaming"); message.started carries its ID
+ * - Stream assistant response back to client as typed SSE events:
+ *   message.started, message.delta, tool.started, tool.finished, citation, usage,
+ *   message.completed | message.cancelled, error
+ * - Persist assistant response after streaming ends, with tool calls, retrieved chunks,
+ *   graph facts, memories, model, usage and latency
+ * - Abort the agent run when the client disconnects or the reply is cancelled
+ *   (POST .../messages/:messageId/cancel); the partial reply is kept with status "cancelled"
  */
 export const sendMessage = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
@@ -274,7 +609,7 @@ export const sendMessage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Message content is required and must be a non-empty string");
   }
 
-  const chatSession = await ChatSession.findById(sessionId).populate("sources", "title sourceType status");
+  const chatSession = await ChatSession.findById(sessionId).populate("sources", "title sourceType status file.url");
 
   if (!chatSession) {
     throw new ApiError(404, "Chat session not found");
@@ -284,93 +619,275 @@ export const sendMessage = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You do not have permission to send messages in this chat");
   }
 
+  // New turns continue the branch the user is looking at
+  const { tree, leafId } = await getActivePath(chatSession);
+
   const userMessage = await ChatMessage.create({
     sessionId,
     role: "user",
     content: content.trim(),
+    parentId: leafId,
+    version: getChildren(tree, leafId).length + 1,
   });
 
-  try {
-    // Run RAG pipeline and get streaming response
-    const responseStream = await runChatRAG({
-      chatSession,
-      userMessage: content.trim(),
-      sessionId,
-    });
+  return streamAssistantReply({ res, chatSession, userMessage });
+});
 
-    // Set headers for streaming response
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-
-    // Accumulate response text for persistence
-    let fullResponse = "";
-
-    // Convert Web ReadableStream to Node.js Readable stream
-    const reader = responseStream.getReader();
-    const nodeStream = new Readable({
-      async read() {
-        try {
-          const { done, value } = await reader.read();
-          if (done) {
-            this.push(null);
-            return;
-          }
-          const text = new TextDecoder().decode(value);
-          fullResponse += text;
-          this.push(text);
-        } catch (error) {
-          this.destroy(error);
-        }
-      },
-    });
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/cancel
+ * Cancel an assistant reply that is still streaming
+ *
+ * Responsibilities:
+ * - Verify ownership (chat belongs to authenticated user)
+ * - Only assistant messages with status "streaming" can be cancelled
+ * - Abort the run if it streams from this instance, otherwise flag the message
+ *   so the instance running it aborts on its next poll
+ * - The streaming request persists the partial reply with status "cancelled"
+ * - A reply older than STREAMING_REPLY_TIMEOUT_MS has no run left (its server died):
+ *   it is marked "cancelled" directly and the response is 200 instead of 202
+ */
+export const cancelMessage = asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
 
-    // Pipe stream to response
-    nodeStream.pipe(res);
-
-    // When streaming completes, persist assistant message and save to memory
-    nodeStream.on("end", async () => {
-      try {
-        if (fullResponse.trim()) {
-          // Persist assistant message to database
-          await ChatMessage.create({
-            sessionId,
-            role: "assistant",
-            content: fullResponse.trim(),
-          });
-          console.log(`Assistant message persisted for chat ${sessionId}`);
-
-          // Automatically persist conversation turn to memory
-          // This ensures the conversation context is available for future retrieval
-          await persistConversationToMemory({
-            userMessage: content.trim(),
-            assistantMessage: fullResponse.trim(),
-            chatSession,
-          });
-        }
-      } catch (error) {
-        console.error("Failed to persist assistant message:", error);
-      }
-    });
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid chat ID format");
+  }
 
-    // Handle errors
-    nodeStream.on("error", (error) => {
-      console.error("Stream error:", error);
-      if (!res.headersSent) {
-        res.status(500).json(
-          new ApiResponse(500, {}, `Streaming error: ${error.message}`)
-        );
-      }
-    });
+  if (!messageId || !messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
 
-  } catch (error) {
-    console.error("RAG pipeline error:", error);
-    
-    // If streaming hasn't started, return JSON error
-    if (!res.headersSent) {
-      throw new ApiError(500, `Failed to process message: ${error.message}`);
+  const chatSession = await ChatSession.findById(sessionId);
+
+  if (!chatSession) {
+    throw new ApiError(404, "Chat session not found");
+  }
+
+  if (chatSession.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, "You do not have permission to cancel messages in this chat");
+  }
+
+  const message = await ChatMessage.findOne({ _id: messageId, sessionId })
+    .select("role status createdAt")
+    .lean();
+
+  if (!message) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  if (message.role !== "assistant") {
+    throw new ApiError(400, "Only assistant replies can be cancelled");
+  }
+
+  if (message.status !== MessageStatusEnum.STREAMING) {
+    throw new ApiError(
+      409,
+      `Message is not being generated (status: ${message.status || MessageStatusEnum.COMPLETED})`
+    );
+  }
+
+  if (!abortRun(messageId, CancelReasonsEnum.USER)) {
+    // No instance can still be running a reply this old: finalize it here
+    if (isAbandonedReply(message)) {
+      await ChatMessage.updateOne(
+        { _id: messageId, status: MessageStatusEnum.STREAMING },
+        {
+          status: MessageStatusEnum.CANCELLED,
+          cancelReason: CancelReasonsEnum.USER,
+          cancelledAt: new Date(),
+        }
+      );
+
+      return res.status(200).json(
+        new ApiResponse(200, {
+          messageId,
+          sessionId,
+        }, "Message cancelled")
+      );
     }
+
+    await ChatMessage.updateOne(
+      { _id: messageId, status: MessageStatusEnum.STREAMING },
+      { cancelRequestedAt: new Date() }
+    );
   }
+
+  return res.status(202).json(
+    new ApiResponse(202, {
+      messageId,
+      sessionId,
+    }, "Cancellation requested")
+  );
+});
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/regenerate
+ * Regenerate an assistant reply as a new version
+ *
+ * Responsibilities:
+ * - messageId is the assistant reply to redo (or the user message to answer again)
+ * - The new reply is a sibling of the old one; both branches are kept
+ * - Streams like POST .../messages and makes the new reply the active branch
+ */
+export const regenerateMessage = asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid chat ID format");
+  }
+
+  if (!messageId || !messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
+
+  const chatSession = await ChatSession.findById(sessionId).populate("sources", "title sourceType status file.url");
+
+  if (!chatSession) {
+    throw new ApiError(404, "Chat session not found");
+  }
+
+  if (chatSession.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, "You do not have permission to send messages in this chat");
+  }
+
+  const tree = await loadMessageTree(sessionId);
+  const message = tree.nodes.get(messageId);
+
+  if (!message) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  if (message.status === MessageStatusEnum.STREAMING) {
+    throw new ApiError(409, "Message is still being generated; cancel it first");
+  }
+
+  const userMessageId = message.role === "user" ? messageId : tree.parents.get(messageId);
+  const userMessage = userMessageId && tree.nodes.get(userMessageId);
+
+  if (message.role === "system" || !userMessage || userMessage.role !== "user") {
+    throw new ApiError(400, "No user message to regenerate a reply for");
+  }
+
+  return streamAssistantReply({ res, chatSession, userMessage });
+});
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/edit
+ * Edit an earlier user message and rerun the conversation from there
+ *
+ * Responsibilities:
+ * - messageId must be a user message
+ * - The edited prompt is saved as a new version next to the original (same parent);
+ *   the original and everything after it stay on their own branch
+ * - Streams the reply like POST .../messages and makes the new branch active
+ */
+export const editMessage = asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+  const { content } = req.body;
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid chat ID format");
+  }
+
+  if (!messageId || !messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
+
+  if (!content || typeof content !== "string" || content.trim() === "") {
+    throw new ApiError(400, "Message content is required and must be a non-empty string");
+  }
+
+  const chatSession = await ChatSession.findById(sessionId).populate("sources", "title sourceType status file.url");
+
+  if (!chatSession) {
+    throw new ApiError(404, "Chat session not found");
+  }
+
+  if (chatSession.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, "You do not have permission to send messages in this chat");
+  }
+
+  const tree = await loadMessageTree(sessionId);
+  const original = tree.nodes.get(messageId);
+
+  if (!original) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  if (original.role !== "user") {
+    throw new ApiError(400, "Only user messages can be edited");
+  }
+
+  const userMessage = await ChatMessage.create({
+    sessionId,
+    role: "user",
+    content: content.trim(),
+    parentId: tree.parents.get(messageId),
+    version: getSiblings(tree, messageId).length + 1,
+  });
+
+  return streamAssistantReply({ res, chatSession, userMessage });
+});
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/activate
+ * Switch the active branch
+ *
+ * Responsibilities:
+ * - messageId is any message on the branch to show (e.g. a sibling version)
+ * - The active leaf becomes the newest message below it
+ * - Return the new active path with sibling info (same shape as GET .../messages)
+ */
+export const activateMessageBranch = asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid chat ID format");
+  }
+
+  if (!messageId || !messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
+
+  const chatSession = await ChatSession.findById(sessionId);
+
+  if (!chatSession) {
+    throw new ApiError(404, "Chat session not found");
+  }
+
+  if (chatSession.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, "You do not have permission to modify this chat");
+  }
+
+  const tree = await loadMessageTree(sessionId);
+
+  if (!tree.nodes.has(messageId)) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  const activeLeafId = await activateBranch(tree, sessionId, messageId);
+  const messages = getPathTo(tree, activeLeafId).map((message) => toPathMessage(tree, message));
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      activeLeafId,
+      messages,
+    }, "Active branch updated successfully")
+  );
+});
+
+/**
+ * Message on the active path, with its position among sibling versions
+ */
+const toPathMessage = (tree, message) => ({
+  _id: message._id,
+  role: message.role,
+  content: message.content,
+  ...(message.event && { event: message.event }),
+  status: message.status || MessageStatusEnum.COMPLETED,
+  parentId: tree.parents.get(message._id.toString()),
+  ...getSiblingInfo(tree, message._id),
+  createdAt: message.createdAt,
 });
 
 /**
@@ -378,9 +895,10 @@ export const sendMessage = asyncHandler(async (req, res) => {
  * List all messages in a chat session
  * 
  * Responsibilities:
- * - Paginate messages (skip, limit)
- * - Sort by createdAt ascending
- * - Return only: { role, content, createdAt }
+ * - Return the active branch only, oldest first
+ * - Paginate messages (skip, limit) over that branch
+ * - Return only: { role, content, event, status, parentId, version, siblingCount, siblingIds, createdAt }
+ *   (system messages carry event: { type, sourceIds, titles } for source changes)
  * - Verify ownership (chat belongs to authenticated user)
  */
 export const listChatMessages = asyncHandler(async (req, res) => {
@@ -407,20 +925,18 @@ export const listChatMessages = asyncHandler(async (req, res) => {
     throw new ApiError(403, "You do not have permission to view messages in this chat");
   }
 
-  // Fetch messages with pagination and sorting
-  const messages = await ChatMessage.find({ sessionId })
-    .select("role content createdAt")
-    .sort({ createdAt: 1 })
-    .skip(skipNum)
-    .limit(limitNum)
-    .lean();
+  // Active branch with the alternatives at each step
+  const { tree, leafId, path } = await getActivePath(chatSession);
+  const messages = path
+    .slice(skipNum, skipNum + limitNum)
+    .map((message) => toPathMessage(tree, message));
 
-  // Get total message count for pagination metadata
-  const totalMessages = await ChatMessage.countDocuments({ sessionId });
+  const totalMessages = path.length;
 
   return res.status(200).json(
     new ApiResponse(200, {
       messages,
+      activeLeafId: leafId,
       pagination: {
         skip: skipNum,
         limit: limitNum,
@@ -431,19 +947,99 @@ export const listChatMessages = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * GET /api/v1/session/:sessionId/messages/:messageId/trace
+ * Generation trace of an assistant message (debugging / audit)
+ * 
+ * Responsibilities:
+ * - Verify ownership (chat belongs to authenticated user)
+ * - Return the message with its prompt, model, token usage, latency,
+ *   tool calls, retrieved chunks (IDs + scores), graph facts and memories
+ */
+export const getMessageTrace = asyncHandler(async (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid chat ID format");
+  }
+
+  if (!messageId || !messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
+
+  const chatSession = await ChatSession.findById(sessionId);
+
+  if (!chatSession) {
+    throw new ApiError(404, "Chat session not found");
+  }
+
+  if (chatSession.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(403, "You do not have permission to view messages in this chat");
+  }
+
+  const message = await ChatMessage.findOne({ _id: messageId, sessionId }).lean();
+
+  if (!message) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  if (message.role !== "assistant") {
+    throw new ApiError(400, "Traces are only recorded for assistant messages");
+  }
+
+  // The user message this reply answered (older messages have no parentId)
+  const prompt = message.parentId
+    ? await ChatMessage.findById(message.parentId).select("content createdAt").lean()
+    : await ChatMessage.findOne({
+        sessionId,
+        role: "user",
+        createdAt: { $lte: message.createdAt },
+      })
+        .sort({ createdAt: -1 })
+        .select("content createdAt")
+        .lean();
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      messageId: message._id,
+      sessionId: message.sessionId,
+      createdAt: message.createdAt,
+      prompt: prompt ? { messageId: prompt._id, content: prompt.content } : null,
+      content: message.content,
+      status: message.status || MessageStatusEnum.COMPLETED,
+      ...(message.cancelReason && { cancelReason: message.cancelReason }),
+      model: message.model || null,
+      usage: message.usage || null,
+      latency: message.latency || null,
+      toolCalls: message.toolCalls || [],
+      retrievedChunks: message.retrievedChunks || [],
+      graphFacts: message.graphFacts || [],
+      memories: message.memories || [],
+    }, "Message trace retrieved successfully")
+  );
+});
+
 /**
  * POST /api/v1/session/:sessionId/graphQuery
  * KG visualization query (Studio panel)
  *
  * Responsibilities:
  * - Validate session ownership
- * - Use session sources as scope
+ * - Use session sources as scope (optionally narrowed via sourceIds)
  * - Return raw subgraph (nodes + edges) for visualization
+ * - Anchor entities + neighborhood up to `depth` hops, plus File/Source nodes
  * - MUST NOT use chat graph retriever or LLM formatting
  */
 export const graphQueryFromSession = asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
-  const { query } = req.body;
+  const {
+    query,
+    depth = 1,
+    anchorLimit = 10,
+    maxNodes = 300,
+    includeFiles = true,
+    sourceIds,
+  } = req.body;
 
   if (!sessionId || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
     throw new ApiError(400, "Invalid session ID format");
@@ -470,9 +1066,52 @@ export const graphQueryFromSession = asyncHandler(async (req, res) => {
     throw new ApiError(400, "No sources attached to this session");
   }
 
-  // Placeholder until KG visualization retriever is implemented.
-  // This endpoint must return raw nodes + edges and must not use chat retrievers.
-  return res.status(501).json(
-    new ApiResponse(501, { nodes: [], edges: [] }, "KG visualization is not implemented yet")
+  // Optional narrowing to a subset of the session's sources
+  const sessionSourceIds = chatSession.sources.map((s) => s._id.toString());
+  let scopedSourceIds = sessionSourceIds;
+
+  if (sourceIds !== undefined) {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw new ApiError(400, "sourceIds must be a non-empty array when provided");
+    }
+
+    const requestedIds = sourceIds.map(String);
+    if (!requestedIds.every((id) => sessionSourceIds.includes(id))) {
+      throw new ApiError(400, "One or more sourceIds are not attached to this session");
+    }
+    scopedSourceIds = requestedIds;
+  }
+
+  const subgraph = await fetchGraphSubgraph({
+    query: query.trim(),
+    sourceIds: scopedSourceIds,
+    depth,
+    anchorLimit,
+    maxNodes,
+    includeFiles,
+  });
+
+  // Label Source nodes with their titles for display
+  const titlesById = new Map(
+    chatSession.sources.map((s) => [s._id.toString(), s.title]),
+  );
+  for (const node of subgraph.nodes) {
+    if (node.kind === "source") {
+      node.label = titlesById.get(node.sourceId) || node.label;
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        query: query.trim(),
+        sourceIds: scopedSourceIds,
+        ...subgraph,
+      },
+      subgraph.nodes.length > 0
+        ? "Subgraph retrieved successfully"
+        : "No matching entities found for this query",
+    )
   );
 });
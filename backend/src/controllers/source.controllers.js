@@ -4,48 +4,126 @@ import { ApiError } from "#utils/api-error.js";
 import { Source } from "#models/source.models.js";
 import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
 import { GraphMetadata } from "#models/graphMetadata.models.js";
-import { indexGithubSource, deleteQdrantCollection } from "#services/indexing/vectorIndex.js";
-import { buildGithubRepoGraph, deleteGraphBySourceId } from "#services/indexing/graphIndex.js";
+import { enqueueGithubResync, enqueueSourceReindex } from "#services/jobs/sourceIndexingJobs.js";
+import { hasActiveJobForSource } from "#services/jobs/jobQueue.js";
+import { buildSourceStatus } from "#services/jobs/sourceProgress.js";
+import { getLatestDeletionJob } from "#services/jobs/sourceDeletionJobs.js";
+import { listEntityMerges, applyEntityMerge, undoEntityMerge } from "#services/indexing/entityResolution.js";
+import { getGraphCounts } from "#services/indexing/graphIndex.js";
+import {
+  resolveExtractionSchema,
+  listExtractionSchemaPresets,
+} from "#services/indexing/extractionSchemas.js";
+import {
+  listSources,
+  createPdfSource,
+  createGithubSource,
+  requestSourceDeletion,
+  toDeletionResponse,
+  toDeletionReportResponse,
+  toSourceResponse,
+  toQueuedSourceResponse,
+  assertValidMetadata,
+  getSourceCollectionName,
+} from "#services/sources/sourceService.js";
+import {
+  AvailableSourceTypes,
+  AvailableSourceStatuses,
+  AvailableReindexTargets,
+  ReindexTargetsEnum,
+  AvailableEntityMergeStatuses,
+  SourceTypesEnum,
+} from "#utils/constants.js";
+import config from "#config/config.js";
 
 /**
- * Get all sources for the logged-in user
- * @route GET /sources
- * @query {number} page - Pagination (optional)
- * @query {number} limit - Items per page (optional)
+ * Read a list filter given as ?key=a,b or ?key=a&key=b
+ * @returns {Array<string>} Values, validated against the allowed list
  */
-const getAllSources = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  let { page = 1, limit = 10 } = req.query;
+const parseListFilter = (value, allowed, name) => {
+  if (value === undefined || value === "") return [];
 
-  page = parseInt(page, 10);
-  limit = parseInt(limit, 10);
+  const values = (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
 
-  if (Number.isNaN(page) || Number.isNaN(limit) || page < 1 || limit < 1) {
-    throw new ApiError(400, "Invalid pagination parameters");
+  const invalid = values.filter((v) => !allowed.includes(v));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `${name} must be one of: ${allowed.join(", ")}`);
   }
 
-  const [total, sources] = await Promise.all([
-    Source.countDocuments({ ownerId: userId }),
-    Source.find({ ownerId: userId })
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit),
-  ]);
+  return values;
+};
+
+/**
+ * Read the optional metadata field of a create request
+ * Multipart uploads send it as a JSON string.
+ */
+const parseMetadataField = (metadata) => {
+  if (metadata === undefined || metadata === "") return {};
+
+  let parsed = metadata;
+  if (typeof metadata === "string") {
+    try {
+      parsed = JSON.parse(metadata);
+    } catch {
+      throw new ApiError(400, "metadata must be a JSON object");
+    }
+  }
 
-  const totalPages = total === 0 ? 0 : Math.ceil(total / limit);
+  assertValidMetadata(parsed);
+  return parsed;
+};
+
+/**
+ * Read and validate the optional extractionSchema field of a create request
+ * Multipart uploads send it as a JSON string.
+ * @returns {Object} Resolved extraction schema for the source type
+ */
+const parseExtractionSchemaField = (extractionSchema, sourceType) => {
+  if (extractionSchema === undefined || extractionSchema === "") {
+    return resolveExtractionSchema(null, sourceType);
+  }
+
+  let parsed = extractionSchema;
+  if (typeof extractionSchema === "string") {
+    try {
+      parsed = JSON.parse(extractionSchema);
+    } catch {
+      throw new ApiError(400, "extractionSchema must be a JSON object");
+    }
+  }
+
+  return resolveExtractionSchema(parsed, sourceType);
+};
+
+/**
+ * Get all sources for the logged-in user (every source type)
+ * @route GET /sources
+ * @query {string} type - Filter by source type, comma-separated (pdf, github_repo)
+ * @query {string} status - Filter by status, comma-separated (uploaded, indexing, indexed, failed)
+ * @query {string} sort - createdAt | title | status, prefix with - for descending (default: -createdAt)
+ * @query {string} cursor - nextCursor from the previous page (optional)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+const getAllSources = asyncHandler(async (req, res) => {
+  const { type, status, sort, cursor, limit } = req.query;
+
+  const result = await listSources({
+    ownerId: req.user._id,
+    types: parseListFilter(type, AvailableSourceTypes, "type"),
+    statuses: parseListFilter(status, AvailableSourceStatuses, "status"),
+    sort: typeof sort === "string" && sort ? sort : undefined,
+    cursor: typeof cursor === "string" && cursor ? cursor : undefined,
+    limit,
+  });
 
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        {
-          items: sources,
-          page,
-          limit,
-          total,
-          totalPages,
-        },
+        result,
         "Sources retrieved successfully"
       )
     );
@@ -74,21 +152,141 @@ const getSourceById = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(
         200,
-        source,
+        toSourceResponse(source),
         "Source retrieved successfully"
       )
     );
 });
 
+/**
+ * List the built-in graph extraction schema presets
+ * @route GET /sources/extraction-schemas
+ */
+const getExtractionSchemaPresets = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        listExtractionSchemaPresets(),
+        "Extraction schema presets retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Update a source's title, metadata and/or extraction schema
+ * Metadata keys are merged into the existing object; a null value removes the key.
+ * A new extraction schema replaces the old one (null restores the default preset) and
+ * applies from the next graph re-index or re-sync.
+ * @route PATCH /sources/:id
+ * @param {string} id - Source ID
+ * @body {string} title - (optional) New title
+ * @body {Object} metadata - (optional) Metadata keys to set or remove
+ * @body {Object} extractionSchema - (optional) { preset, nodeTypes, relationshipTypes, nodeProperties, relationshipProperties, strictMode }
+ */
+const updateSource = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { title, metadata, extractionSchema } = req.body;
+  const userId = req.user._id;
+
+  if (title === undefined && metadata === undefined && extractionSchema === undefined) {
+    throw new ApiError(400, "Provide title, metadata and/or extractionSchema to update");
+  }
+
+  if (title !== undefined && (typeof title !== "string" || title.trim() === "")) {
+    throw new ApiError(400, "Title must be a non-empty string");
+  }
+
+  if (metadata !== undefined) {
+    assertValidMetadata(metadata);
+  }
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: userId,
+  });
+
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (title !== undefined) {
+    source.title = title.trim();
+  }
+
+  if (metadata !== undefined) {
+    const merged = { ...(source.metadata || {}) };
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+    assertValidMetadata(merged);
+    source.metadata = merged;
+  }
+
+  if (extractionSchema !== undefined) {
+    source.extractionSchema = resolveExtractionSchema(extractionSchema, source.sourceType);
+  }
+
+  await source.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toSourceResponse(source),
+        "Source updated successfully"
+      )
+    );
+});
+
+/**
+ * Create a new PDF source
+ * @route POST /sources/pdf
+ * @body {File} document - PDF file (multipart/form-data)
+ * @body {string} title - (optional) Source title, defaults to the file name
+ * @body {string} metadata - (optional) JSON object of user metadata
+ * @body {string} extractionSchema - (optional) JSON graph extraction schema (see GET /sources/extraction-schemas)
+ */
+const addPdfSource = asyncHandler(async (req, res) => {
+  const metadata = parseMetadataField(req.body?.metadata);
+  const extractionSchema = parseExtractionSchemaField(req.body?.extractionSchema, SourceTypesEnum.PDF);
+
+  const queued = await createPdfSource({
+    file: req.file,
+    title: req.body?.title,
+    metadata,
+    extractionSchema,
+    ownerId: req.user._id,
+  });
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        toQueuedSourceResponse(queued),
+        "PDF accepted for processing"
+      )
+    );
+});
+
 /**
  * Create a new GitHub repo source
  * @route POST /sources/github
- * @body {string} title - Source title
+ * @body {string} title - (optional) Source title, defaults to owner/repo
  * @body {string} repoUrl - GitHub repository URL
  * @body {string} branch - (optional) GitHub branch name, defaults to "main"
+ * @body {Object} metadata - (optional) User metadata
+ * @body {Object} extractionSchema - (optional) Graph extraction schema (default: "code" preset)
  */
 const addGithubSource = asyncHandler(async (req, res) => {
-  const { repoUrl, branch = "main" } = req.body;
+  const { repoUrl, branch = "main", title, metadata, extractionSchema } = req.body;
   const userId = req.user._id;
 
   if (!repoUrl) {
@@ -99,116 +297,152 @@ const addGithubSource = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid GitHub repository URL");
   }
 
-  let source;
-  let collectionName;
-  let vectorIndexResult;
-
-  try {
-    // Extract username/reponame from repoUrl (e.g., https://github.com/owner/repo -> owner/repo)
-    const urlMatch = repoUrl.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?$/);
-    const repoTitle = urlMatch ? `${urlMatch[1]}/${urlMatch[2]}` : repoUrl;
-
-    source = await Source.create({
-      title: repoTitle,
-      sourceType: "github_repo",
-      repo: {
-        repoUrl,
-        branch,
-      },
-      status: "uploaded",
-      ownerId: userId,
-    });
-
-    collectionName = `github_${source._id}`;
-
-    vectorIndexResult = await indexGithubSource({
-      repoUrl,
-      branch,
-      collectionName,
-      sourceId: source._id,
-    });
-
-    await VectorIndexMetadata.create({
-      sourceId: source._id,
-      provider: "qdrant",
-      collectionName,
-      indexedAt: new Date(),
-    });
-
-    source.status = "indexing";
-    await source.save();
-
-    // Start Neo4j indexing asynchronously (don't await)
-    (async () => {
-      try {
-        const graphResult = await buildGithubRepoGraph({
-          sourceId: source._id,
-          docs: vectorIndexResult.splitDocs,
-        });
+  // Checked up front since indexing itself runs in a background job
+  if (!config.GITHUB_TOKEN) {
+    throw new ApiError(400, "GitHub access token is not configured");
+  }
+
+  const queued = await createGithubSource({
+    repoUrl,
+    branch,
+    title,
+    metadata: parseMetadataField(metadata),
+    extractionSchema: parseExtractionSchemaField(extractionSchema, SourceTypesEnum.GITHUB_REPO),
+    ownerId: userId,
+  });
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        toQueuedSourceResponse(queued),
+        "GitHub repository accepted for processing"
+      )
+    );
+});
+
+/**
+ * Incrementally re-sync a GitHub repo source with its branch head
+ * Only added/changed files are re-embedded and re-extracted; removed files are purged
+ * @route POST /sources/:id/resync
+ * @param {string} id - Source ID
+ */
+const resyncGithubSource = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: userId,
+  });
 
-        await GraphMetadata.create({
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (source.sourceType !== "github_repo") {
+    throw new ApiError(400, "Only GitHub repository sources can be re-synced");
+  }
+
+  if (!config.GITHUB_TOKEN) {
+    throw new ApiError(400, "GitHub access token is not configured");
+  }
+
+  if (await hasActiveJobForSource(source._id)) {
+    throw new ApiError(409, "Source is already being indexed or re-synced");
+  }
+
+  const job = await enqueueGithubResync({ source });
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        {
           sourceId: source._id,
-          entityCount: graphResult.nodesAdded,
-          relationCount: graphResult.relationshipsAdded,
-          builtAt: new Date(),
-        });
-
-        await Source.findByIdAndUpdate(source._id, { status: "indexed" });
-        console.log(`Neo4j indexing completed successfully for source ${source._id}`);
-      } catch (error) {
-        console.error(`Neo4j indexing failed for source ${source._id}:`, error);
-        await Source.findByIdAndUpdate(source._id, { status: "failed" }).catch(
-          (err) => {
-            console.error("Failed to update source status to failed:", err);
-          }
-        );
-      }
-    })();
-
-    return res
-      .status(202)
-      .json(
-        new ApiResponse(
-          202,
-          {
-            sourceId: source._id,
-            title: source.title,
-            sourceType: source.sourceType,
-            status: source.status,
-            collectionName,
-            vectorIndexed: vectorIndexResult.vector.chunksIndexed,
-            statusUrl: `/sources/${source._id}/status`,
-            message:
-              "GitHub repository accepted for processing. Vector indexing complete, graph indexing in progress.",
-            createdAt: source.createdAt,
-          },
-          "GitHub repository accepted for processing"
-        )
-      );
-  } catch (error) {
-    console.error("Error during GitHub source creation and indexing:", error);
-
-    if (source && source._id) {
-      await Source.findByIdAndUpdate(source._id, { status: "failed" }).catch(
-        (err) => {
-          console.error("Failed to update source status to failed:", err);
-        }
-      );
+          jobId: job._id,
+          commitSha: source.repo.commitSha,
+          branch: source.repo.branch,
+          statusUrl: `/sources/${source._id}/status`,
+        },
+        "GitHub re-sync queued"
+      )
+    );
+});
+
+/**
+ * Re-index a source from its stored file or repository
+ * Recovers failed or stale sources without deleting them: the Source ID and
+ * session attachments are kept, and the existing Qdrant collection and/or
+ * Neo4j subgraph are cleared before rebuilding.
+ * @route POST /sources/:id/reindex
+ * @param {string} id - Source ID
+ * @body {string} target - (optional) "vector", "graph" or "both" (default: "both")
+ */
+const reindexSource = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { target = ReindexTargetsEnum.BOTH } = req.body || {};
+  const userId = req.user._id;
+
+  if (!AvailableReindexTargets.includes(target)) {
+    throw new ApiError(400, `target must be one of: ${AvailableReindexTargets.join(", ")}`);
+  }
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: userId,
+  });
+
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (await hasActiveJobForSource(source._id)) {
+    throw new ApiError(409, "Source is already being indexed or re-synced");
+  }
+
+  const vectorMetadata = await VectorIndexMetadata.findOne({ sourceId: source._id });
+
+  // The graph stage reads chunks back from Qdrant
+  if (target === ReindexTargetsEnum.GRAPH && !vectorMetadata) {
+    throw new ApiError(409, "Source has no vector index yet; re-index \"vector\" or \"both\" first");
+  }
+
+  if (target !== ReindexTargetsEnum.GRAPH) {
+    if (source.sourceType === "github_repo" && !config.GITHUB_TOKEN) {
+      throw new ApiError(400, "GitHub access token is not configured");
     }
 
-    // Re-throw as ApiError
-    if (error instanceof ApiError) {
-      throw error;
+    if (source.sourceType === "pdf" && !source.file?.url && !source.file?.localpath) {
+      throw new ApiError(409, "Stored PDF is missing; upload the document again");
     }
-    throw new ApiError(
-      500,
-      `Failed to create and index GitHub source: ${error.message}`
-    );
   }
+
+  const collectionName = vectorMetadata?.collectionName || getSourceCollectionName(source);
+  const job = await enqueueSourceReindex({ source, collectionName, target });
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        {
+          sourceId: source._id,
+          target,
+          collectionName,
+          jobId: job._id,
+          statusUrl: `/sources/${source._id}/status`,
+        },
+        "Source re-index queued"
+      )
+    );
 });
 
 /**
  * Get indexing status of a source (PDF or GitHub)
+ * Includes per-stage progress (chunks embedded / graph-extracted), failed chunks, ETA and last error
  * @route GET /sources/:id/status
  * @param {string} id - Source ID
  */
@@ -225,42 +459,271 @@ const getSourceStatus = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Source not found");
   }
 
-  const vectorMetadata = await VectorIndexMetadata.findOne({
-    sourceId: id
+  const status = await buildSourceStatus(source);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        status,
+        "Source status retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Stream indexing status of a source as Server-Sent Events
+ * Emits `status` events whenever progress changes and a final `done` event
+ * once the source is indexed or failed
+ * @route GET /sources/:id/status/stream
+ * @param {string} id - Source ID
+ * @query {number} intervalMs - Poll interval in ms (optional, 500-10000, default 1000)
+ */
+const streamSourceStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: userId
+  });
+
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  const DEFAULT_INTERVAL_MS = 1000;
+  const HEARTBEAT_INTERVAL_MS = 15000;
+  const requestedInterval = parseInt(req.query.intervalMs, 10) || DEFAULT_INTERVAL_MS;
+  const intervalMs = Math.min(10000, Math.max(500, requestedInterval));
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  let timer;
+  let lastPayload = "";
+  let lastWriteAt = Date.now();
+
+  const finish = () => {
+    closed = true;
+    clearTimeout(timer);
+    res.end();
+  };
+
+  req.on("close", () => {
+    closed = true;
+    clearTimeout(timer);
   });
 
-  const graphMetadata = await GraphMetadata.findOne({
-    sourceId: id
+  const poll = async () => {
+    if (closed) return;
+
+    try {
+      const current = await Source.findById(id);
+
+      if (!current) {
+        sendEvent("error", { message: "Source no longer exists" });
+        return finish();
+      }
+
+      const status = await buildSourceStatus(current);
+      const payload = JSON.stringify(status);
+
+      if (payload !== lastPayload) {
+        lastPayload = payload;
+        lastWriteAt = Date.now();
+        res.write(`event: status\ndata: ${payload}\n\n`);
+      } else if (Date.now() - lastWriteAt >= HEARTBEAT_INTERVAL_MS) {
+        // Comment line keeps proxies from closing an idle stream
+        lastWriteAt = Date.now();
+        res.write(": heartbeat\n\n");
+      }
+
+      if (status.stage === "completed" || status.stage === "failed") {
+        sendEvent("done", { status: status.status, stage: status.stage });
+        return finish();
+      }
+    } catch (error) {
+      console.error("Source status stream error:", error);
+      sendEvent("error", { message: error.message });
+      return finish();
+    }
+
+    timer = setTimeout(poll, intervalMs);
+  };
+
+  poll();
+});
+
+/**
+ * Review view of an entity merge (relationships summarized as counts)
+ * The canonical entity's pre-merge summary is only kept for undo.
+ */
+const toEntityMergeResponse = (merge) => ({
+  _id: merge._id,
+  canonical: {
+    name: merge.canonical.name,
+    type: merge.canonical.type,
+    addedChunkIds: merge.canonical.addedChunkIds,
+    addedDescriptions: merge.canonical.addedDescriptions || [],
+    addedProperties: merge.canonical.addedProperties || [],
+  },
+  merged: merge.merged.map((entity) => ({
+    name: entity.name,
+    type: entity.type,
+    aliases: entity.aliases,
+    description: entity.summary || entity.descriptions?.at(-1) || null,
+    relationshipCount: entity.relationships.length,
+  })),
+  method: merge.method,
+  score: merge.score,
+  status: merge.status,
+  createdAt: merge.createdAt,
+  undoneAt: merge.undoneAt,
+});
+
+/**
+ * List entity-resolution merges of a source for review
+ * @route GET /sources/:id/entity-merges
+ * @query {string} status - applied | undone | proposed (optional)
+ * @query {number} limit - Page size (default: 50, max: 200)
+ * @param {string} id - Source ID
+ */
+const getEntityMerges = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, limit } = req.query;
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: req.user._id,
   });
 
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (status !== undefined && !AvailableEntityMergeStatuses.includes(status)) {
+    throw new ApiError(400, `status must be one of: ${AvailableEntityMergeStatuses.join(", ")}`);
+  }
+
+  const merges = await listEntityMerges({ sourceId: source._id, status, limit });
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        {
-          sourceId: source._id,
-          title: source.title,
-          sourceType: source.sourceType,
-          status: source.status,
-          vector: {
-            ready: !!vectorMetadata
-          },
-          graph: {
-            ready: !!graphMetadata,
-            ...(graphMetadata && {
-              entityCount: graphMetadata.entityCount,
-              relationCount: graphMetadata.relationCount
-            })
-          }
-        },
-        "Source status retrieved successfully"
+        { sourceId: source._id, merges: merges.map(toEntityMergeResponse) },
+        "Entity merges fetched successfully"
+      )
+    );
+});
+
+/**
+ * Apply a proposed entity merge (an exact-name match across entity types)
+ * @route POST /sources/:id/entity-merges/:mergeId/apply
+ * @param {string} id - Source ID
+ * @param {string} mergeId - Entity merge ID
+ */
+const applySourceEntityMerge = asyncHandler(async (req, res) => {
+  const { id, mergeId } = req.params;
+
+  if (!mergeId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid merge ID");
+  }
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: req.user._id,
+  });
+
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (await hasActiveJobForSource(source._id)) {
+    throw new ApiError(409, "Source is being indexed; try again once it finishes");
+  }
+
+  const merge = await applyEntityMerge({ sourceId: source._id, mergeId });
+
+  const counts = await getGraphCounts(source._id);
+  await GraphMetadata.updateOne(
+    { sourceId: source._id },
+    { entityCount: counts.entityCount, relationCount: counts.relationCount }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toEntityMergeResponse(merge),
+        "Entity merge applied"
+      )
+    );
+});
+
+/**
+ * Undo an entity merge
+ * Restores the merged entities and their relationships; later resolution passes keep them apart.
+ * Undoing a proposed merge rejects it.
+ * @route POST /sources/:id/entity-merges/:mergeId/undo
+ * @param {string} id - Source ID
+ * @param {string} mergeId - Entity merge ID
+ */
+const undoSourceEntityMerge = asyncHandler(async (req, res) => {
+  const { id, mergeId } = req.params;
+
+  if (!mergeId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid merge ID");
+  }
+
+  const source = await Source.findOne({
+    _id: id,
+    ownerId: req.user._id,
+  });
+
+  if (!source) {
+    throw new ApiError(404, "Source not found");
+  }
+
+  if (await hasActiveJobForSource(source._id)) {
+    throw new ApiError(409, "Source is being indexed; try again once it finishes");
+  }
+
+  const merge = await undoEntityMerge({ sourceId: source._id, mergeId });
+
+  const counts = await getGraphCounts(source._id);
+  await GraphMetadata.updateOne(
+    { sourceId: source._id },
+    { entityCount: counts.entityCount, relationCount: counts.relationCount }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toEntityMergeResponse(merge),
+        "Entity merge undone"
       )
     );
 });
 
 /**
  * Delete a source
+ * The source is marked "deleting" and a background job purges its Qdrant collections,
+ * Neo4j subgraph (Source, File and Entity nodes), local and Cloudinary files, mem0
+ * memories and session attachments. Poll reportUrl for the deletion report.
  * @route DELETE /sources/:id
  * @param {string} id - Source ID
  */
@@ -277,37 +740,36 @@ const deleteSource = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Source not found");
   }
 
-  const [vectorMetadata, graphMetadata] = await Promise.all([
-    VectorIndexMetadata.findOne({ sourceId: id }),
-    GraphMetadata.findOne({ sourceId: id }),
-  ]);
-
-  await Source.deleteOne({ _id: id, ownerId: userId });
-  await Promise.all([
-    VectorIndexMetadata.deleteOne({ sourceId: id }),
-    GraphMetadata.deleteOne({ sourceId: id }),
-  ]);
-
-  const cleanupTasks = [];
+  const { job, alreadyQueued } = await requestSourceDeletion(source);
 
-  if (vectorMetadata?.collectionName) {
-    cleanupTasks.push(
-      deleteQdrantCollection(vectorMetadata.collectionName).catch((err) =>
-        console.error("Failed to delete Qdrant collection:", err)
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        toDeletionResponse({ source, job }),
+        alreadyQueued ? "Source deletion already in progress" : "Source deletion queued"
       )
     );
-  }
+});
 
-  if (graphMetadata) {
-    cleanupTasks.push(
-      deleteGraphBySourceId(id).catch((err) =>
-        console.error("Failed to delete Neo4j subgraph:", err)
-      )
-    );
+/**
+ * Get the deletion report of a source
+ * Available while the teardown runs and after the source record is gone.
+ * @route GET /sources/:id/deletion
+ * @param {string} id - Source ID
+ */
+const getSourceDeletionReport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new ApiError(400, "Invalid source ID");
   }
 
-  if (cleanupTasks.length > 0) {
-    await Promise.allSettled(cleanupTasks);
+  const job = await getLatestDeletionJob(id, req.user._id);
+
+  if (!job) {
+    throw new ApiError(404, "No deletion found for this source");
   }
 
   return res
@@ -315,16 +777,26 @@ const deleteSource = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(
         200,
-        { id },
-        "Source deleted successfully"
+        toDeletionReportResponse(job),
+        "Deletion report fetched successfully"
       )
     );
 });
 
 export {
   getAllSources,
+  getExtractionSchemaPresets,
   getSourceById,
+  updateSource,
+  addPdfSource,
   addGithubSource,
+  resyncGithubSource,
+  reindexSource,
   getSourceStatus,
+  streamSourceStatus,
+  getEntityMerges,
+  applySourceEntityMerge,
+  undoSourceEntityMerge,
   deleteSource,
+  getSourceDeletionReport,
 };
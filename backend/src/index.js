@@ -2,6 +2,8 @@ import app from "./app.js";
 import dotenv from "dotenv";
 import connectDB from "#db/db-connect.js";
 import config from "#config/config.js";
+import { startJobWorker } from "#services/jobs/jobWorker.js";
+import { failAbandonedReplies } from "#services/chat/activeRuns.js";
 
 dotenv.config({
     path: "./.env"
@@ -12,6 +14,16 @@ const PORT = config.PORT || 4000;
 connectDB()
     .then(() => {
         app.listen(PORT, () => console.log(`Server is running on port: ${PORT}`));
+
+        // Finalize replies a previous run of the server left streaming
+        failAbandonedReplies()
+            .then((count) => count > 0 && console.warn(`Marked ${count} abandoned streaming repl(ies) as failed`))
+            .catch((err) => console.error("Failed to recover abandoned replies:", err));
+
+        // Resume and process background indexing jobs
+        if (config.JOB_WORKER_ENABLED) {
+            startJobWorker();
+        }
     })
     .catch((err) => {
         console.error("MongoDB connection error", err);
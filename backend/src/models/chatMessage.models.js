@@ -1,20 +1,152 @@
 import mongoose, { Schema } from "mongoose";
+import {
+  AvailableMessageStatuses,
+  MessageStatusEnum,
+  AvailableSessionEventTypes,
+} from "#utils/constants.js";
+
+/**
+ * Tool invocation made while generating an assistant reply
+ */
+const toolCallSchema = new Schema(
+  {
+    callId: String,
+    name: String,
+    arguments: Schema.Types.Mixed,
+    success: Boolean,
+    summary: String,
+    startedAt: Date,
+    durationMs: Number,
+  },
+  { _id: false },
+);
+
+/**
+ * Chunk returned by vector_search (Qdrant point ID plus scores and citation)
+ */
+const retrievedChunkSchema = new Schema(
+  {
+    toolCallId: String,
+    chunkId: String,
+    sourceId: String,
+    retrievalMode: String,
+    score: Number,
+    similarity: Number,
+    rerankScore: Number,
+    citation: Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+/**
+ * Memory returned by search_memory
+ */
+const retrievedMemorySchema = new Schema(
+  {
+    toolCallId: String,
+    memoryId: String,
+    text: String,
+  },
+  { _id: false },
+);
 
 const chatMessageSchema = new Schema(
   {
-    chatId: {
+    sessionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ChatSession",
       required: true,
+      index: true,
     },
     role: {
       type: String,
-      enum: ['user', 'assistant'],
+      enum: ['user', 'assistant', 'system'],
       required: true,
     },
+    /**
+     * Session event shown in the timeline (system messages only), e.g. sources added mid-conversation
+     */
+    event: {
+      type: {
+        type: String,
+        enum: AvailableSessionEventTypes,
+      },
+      sourceIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: undefined,
+      },
+      titles: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    /**
+     * Conversation tree: the message this one follows (null for the first turn)
+     * Regenerated replies and edited prompts are siblings under the same parent;
+     * version is the 1-based position among those siblings.
+     * Messages saved before branching have no parentId and read as one linear branch.
+     */
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null,
+      index: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
     content: {
       type: String,
-      required: true,
+      // Assistant replies start empty and are filled in as the stream ends
+      required: function () {
+        return this.role === "user";
+      },
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: AvailableMessageStatuses,
+      default: MessageStatusEnum.COMPLETED,
+    },
+    cancelReason: String,
+    cancelledAt: Date,
+    // Set when a cancel arrives at an instance that is not running the stream
+    cancelRequestedAt: Date,
+
+    /**
+     * Generation trace (assistant messages only)
+     * What the reply was grounded on and what it cost, for debugging and audit
+     */
+    model: {
+      provider: String,
+      name: String,
+    },
+    toolCalls: {
+      type: [toolCallSchema],
+      default: undefined,
+    },
+    retrievedChunks: {
+      type: [retrievedChunkSchema],
+      default: undefined,
+    },
+    graphFacts: {
+      type: [Schema.Types.Mixed],
+      default: undefined,
+    },
+    memories: {
+      type: [retrievedMemorySchema],
+      default: undefined,
+    },
+    usage: {
+      requests: Number,
+      inputTokens: Number,
+      outputTokens: Number,
+      totalTokens: Number,
+    },
+    latency: {
+      firstTokenMs: Number,
+      totalMs: Number,
     },
   },
   {
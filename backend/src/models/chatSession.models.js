@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { AvailableRetrievalModes, AvailableRerankerProviders } from "#utils/constants.js";
 
 const chatSessionSchema = new Schema(
   {
@@ -18,6 +19,45 @@ const chatSessionSchema = new Schema(
         required: true,
       },
     ],
+    /**
+     * Per-session retrieval defaults (null falls back to server config)
+     */
+    retrieval: {
+      mode: {
+        type: String,
+        enum: AvailableRetrievalModes,
+        default: null,
+      },
+      reranker: {
+        type: String,
+        enum: AvailableRerankerProviders,
+        default: null,
+      },
+      // Candidates retrieved per result before reranking (e.g. 4 = over-fetch 4×k)
+      rerankMultiplier: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: null,
+      },
+    },
+    /**
+     * Last message of the branch shown to the user; new turns continue from it
+     */
+    activeLeafId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null,
+    },
+    /**
+     * Running summary of turns that fell out of the recent-history window
+     * Covers the path up to throughMessageId; reused only while that message is on the active branch
+     */
+    historySummary: {
+      content: String,
+      throughMessageId: mongoose.Schema.Types.ObjectId,
+      updatedAt: Date,
+    },
   },
   {
     timestamps: { createdAt: true, updatedAt: false },
@@ -0,0 +1,108 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableEntityMergeStatuses,
+  AvailableEntityMergeMethods,
+  EntityMergeStatusEnum,
+} from "#utils/constants.js";
+
+/**
+ * Relationship of a merged entity, kept so the merge can be undone
+ * label/name identify the other node (File nodes by path)
+ */
+const mergedRelationshipSchema = new Schema(
+  {
+    type: String,
+    direction: {
+      type: String,
+      enum: ["out", "in"],
+    },
+    label: String,
+    name: String,
+    path: String,
+    chunkIds: [String],
+    // Extracted properties (e.g. description) of the relationship
+    properties: Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+/**
+ * One entity-resolution merge: duplicates folded into a canonical Entity node
+ * The merged nodes are deleted from Neo4j; their names become aliases of the
+ * canonical node and their relationships are rewired onto it.
+ */
+const entityMergeSchema = new Schema(
+  {
+    sourceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Source",
+      required: true,
+      index: true,
+    },
+
+    canonical: {
+      name: {
+        type: String,
+        required: true,
+      },
+      type: String,
+      // Chunk IDs the merge added to the canonical entity's provenance
+      addedChunkIds: [String],
+      // Descriptions (with the chunk each came from) and extracted property keys the merge added to it
+      addedDescriptions: [String],
+      addedDescriptionChunkIds: [String],
+      addedProperties: [String],
+      // Summary before the merge
+      summary: String,
+      summaryHash: String,
+    },
+
+    merged: [
+      {
+        _id: false,
+        name: String,
+        type: String,
+        aliases: [String],
+        chunkIds: [String],
+        descriptions: [String],
+        descriptionChunkIds: [String],
+        properties: Schema.Types.Mixed,
+        summary: String,
+        summaryHash: String,
+        relationships: [mergedRelationshipSchema],
+      },
+    ],
+
+    method: {
+      type: String,
+      enum: AvailableEntityMergeMethods,
+      required: true,
+    },
+
+    /**
+     * Lowest similarity among the merged pairs (1 for normalized-name matches)
+     */
+    score: {
+      type: Number,
+      default: 1,
+    },
+
+    status: {
+      type: String,
+      enum: AvailableEntityMergeStatuses,
+      default: EntityMergeStatusEnum.APPLIED,
+    },
+
+    undoneAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+entityMergeSchema.index({ sourceId: 1, createdAt: -1 });
+
+export const EntityMerge = mongoose.model("EntityMerge", entityMergeSchema);
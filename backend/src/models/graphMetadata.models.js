@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { extractionSchemaSchema } from "#models/source.models.js";
 
 const graphMetadataSchema = new Schema({
   sourceId: {
@@ -15,6 +16,27 @@ const graphMetadataSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Extraction model the graph was built with
+  extractionProvider: {
+    type: String,
+  },
+  extractionModel: {
+    type: String,
+  },
+  // Extraction schema the graph was built with (compared on re-sync)
+  extractionSchema: {
+    type: extractionSchemaSchema,
+    default: null,
+  },
+  // Whether per-chunk entity descriptions were extracted (ENTITY_DESCRIPTIONS_ENABLED, compared on re-sync)
+  entityDescriptions: {
+    type: Boolean,
+  },
+  // Set when a vector-only re-index dropped chunks the graph points at
+  stale: {
+    type: Boolean,
+    default: false,
+  },
   builtAt: {
     type: Date,
     default: Date.now,
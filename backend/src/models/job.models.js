@@ -0,0 +1,116 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableJobTypes, AvailableJobStatus, JobStatusEnum } from "#utils/constants.js";
+
+/**
+ * Durable background job
+ * Claimed by workers through a time-limited lease (lockedBy / lockedUntil),
+ * so jobs held by a crashed process become claimable again once the lease expires.
+ */
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: AvailableJobTypes,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: AvailableJobStatus,
+      default: JobStatusEnum.QUEUED,
+    },
+
+    /**
+     * Source this job operates on (optional for non-source jobs)
+     */
+    sourceId: {
+      type: Schema.Types.ObjectId,
+      ref: "Source",
+      index: true,
+    },
+
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    result: {
+      type: Schema.Types.Mixed,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+
+    /**
+     * Times the handler deferred the job without using an attempt (capped by JOB_MAX_DEFERRALS)
+     */
+    deferrals: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Earliest time the job may be claimed (pushed forward on retry backoff)
+     */
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    lastError: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Work-unit progress reported by the handler (e.g. chunks embedded / extracted)
+     */
+    progress: {
+      total: {
+        type: Number,
+        default: 0,
+      },
+      processed: {
+        type: Number,
+        default: 0,
+      },
+      failed: {
+        type: Number,
+        default: 0,
+      },
+      lastError: {
+        type: String,
+        default: null,
+      },
+      updatedAt: Date,
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -1,4 +1,34 @@
 import mongoose, { Schema } from "mongoose";
+import {
+  AvailableSourceTypes,
+  AvailableSourceStatuses,
+  SourceStatusEnum,
+  AvailableExtractionSchemaPresets,
+} from "#utils/constants.js";
+
+/**
+ * Ontology the LLM extracts a source's knowledge graph with
+ * preset is the built-in schema the lists started from; empty type lists leave the
+ * types to the model, strictMode drops anything outside them.
+ */
+export const extractionSchemaSchema = new Schema(
+  {
+    preset: {
+      type: String,
+      enum: AvailableExtractionSchemaPresets,
+      required: true,
+    },
+    nodeTypes: [String],
+    relationshipTypes: [String],
+    nodeProperties: [String],
+    relationshipProperties: [String],
+    strictMode: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
 
 const sourceSchema = new Schema(
   {
@@ -9,7 +39,7 @@ const sourceSchema = new Schema(
 
     sourceType: {
       type: String,
-      enum: ["pdf", "github_repo"],
+      enum: AvailableSourceTypes,
       required: true,
     },
 
@@ -27,6 +57,15 @@ const sourceSchema = new Schema(
           type: String,
           default: "",
         },
+        // Cloudinary asset, removed when the source is deleted
+        publicId: {
+          type: String,
+          default: null,
+        },
+        resourceType: {
+          type: String,
+          default: null,
+        },
       },
       required: function () {
         return this.sourceType === "pdf";
@@ -47,6 +86,15 @@ const sourceSchema = new Schema(
           type: String,
           default: "main",
         },
+        // Commit SHA the current index was built from (used for incremental re-sync)
+        commitSha: {
+          type: String,
+          default: null,
+        },
+        lastSyncedAt: {
+          type: Date,
+          default: null,
+        },
       },
       required: function () {
         return this.sourceType === "github_repo";
@@ -55,8 +103,25 @@ const sourceSchema = new Schema(
 
     status: {
       type: String,
-      enum: ["uploaded", "indexing", "indexed", "failed"],
-      default: "uploaded",
+      enum: AvailableSourceStatuses,
+      default: SourceStatusEnum.UPLOADED,
+    },
+
+    /**
+     * Free-form user metadata (tags, notes, project labels); editable via PATCH /sources/:id
+     */
+    metadata: {
+      type: Schema.Types.Mixed,
+      default: () => ({}),
+    },
+
+    /**
+     * Graph extraction schema, chosen at upload and editable via PATCH /sources/:id
+     * Missing on sources created before schemas (their type's default preset applies)
+     */
+    extractionSchema: {
+      type: extractionSchemaSchema,
+      default: null,
     },
 
     ownerId: {
@@ -70,4 +135,6 @@ const sourceSchema = new Schema(
   }
 );
 
+sourceSchema.index({ ownerId: 1, createdAt: -1 });
+
 export const Source = mongoose.model("Source", sourceSchema);
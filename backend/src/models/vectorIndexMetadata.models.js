@@ -15,6 +15,24 @@ const vectorIndexMetadataSchema = new Schema({
     type: String,
     required: true,
   },
+  // Embedding space the collection was built in; queries from a different space are rejected
+  embeddingProvider: {
+    type: String,
+  },
+  embeddingModel: {
+    type: String,
+  },
+  embeddingDimension: {
+    type: Number,
+  },
+  // BM25 companion collection for hybrid retrieval (absent on sources indexed before it existed)
+  sparseCollectionName: {
+    type: String,
+  },
+  // Average chunk length (tokens) of the last full build; BM25 weights of re-synced chunks use it
+  sparseAvgDocLength: {
+    type: Number,
+  },
   indexedAt: {
     type: Date,
     default: Date.now,
@@ -8,6 +8,10 @@ import {
   deleteDocument,
 } from "#controllers/document.controllers.js";
 
+/**
+ * PDF-only view of the sources API, kept for existing clients
+ * New clients should use /api/v1/sources, which covers every source type.
+ */
 const router = Router();
 
 router.use(isLoggedIn);
@@ -8,6 +8,11 @@ import {
   deleteChatSession,
   sendMessage,
   listChatMessages,
+  getMessageTrace,
+  cancelMessage,
+  regenerateMessage,
+  editMessage,
+  activateMessageBranch,
   graphQueryFromSession,
 } from "#controllers/session.controllers.js";
 
@@ -43,9 +48,12 @@ router.route("/:sessionId").get(getChatSessionById);
 
 /**
  * PATCH /api/v1/session/:sessionId
- * Update a chat session (title, sources)
- * Body: { title?: string, sources?: ObjectId[] }
- * @desc Update title anytime. Attach/modify sources only if chat has no messages.
+ * Update a chat session (title, sources, retrieval defaults)
+ * Body: { title?: string, sources?: ObjectId[], addSources?: ObjectId[], removeSources?: ObjectId[],
+ *         retrievalMode?: "dense" | "sparse" | "hybrid" | null,
+ *         reranker?: "none" | "llm" | "http" | "heuristic" | null, rerankMultiplier?: number | null }
+ * @desc Update title and sources anytime; `sources` and `addSources` attach, `removeSources` detaches.
+ * @desc Source changes mid-conversation are recorded as system events in the message timeline.
  * @desc Sources must exist and belong to authenticated user.
  */
 router.route("/:sessionId").patch(updateChatSession);
@@ -64,22 +72,69 @@ router.route("/:sessionId").delete(deleteChatSession);
  * Send a new message in a chat session
  * Body: { content: string }
  * @desc Processes user message through vector RAG, graph retrieval, and LLM pipeline
+ * @desc Responds with SSE events: message.started { messageId, userMessageId }, message.delta { delta },
+ *       tool.started { callId, name, arguments }, tool.finished { callId, name, success, summary, durationMs },
+ *       citation { chunkId, sourceId, label, pageStart, url, ... }, usage { inputTokens, outputTokens, totalTokens },
+ *       message.completed { messageId, userMessageId } | message.cancelled { messageId, reason }, error { message }
+ * @desc Closing the connection cancels the reply; the partial text is kept with status "cancelled"
  */
 router.route("/:sessionId/messages").post(sendMessage);
 
 /**
  * GET /api/v1/session/:sessionId/messages
- * List all messages in a chat session
- * @desc Paginated, sorted by createdAt descending
+ * List the messages on the active branch of a chat session
+ * @desc Paginated, sorted oldest first; each message carries parentId, version, siblingCount and siblingIds
  * Query params: ?skip=0&limit=50
  */
 router.route("/:sessionId/messages").get(listChatMessages);
 
+/**
+ * GET /api/v1/session/:sessionId/messages/:messageId/trace
+ * Generation trace of an assistant message
+ * @desc Returns prompt, model, usage, latency, tool calls, retrieved chunk IDs with scores,
+ *       graph facts and memories the reply was based on
+ */
+router.route("/:sessionId/messages/:messageId/trace").get(getMessageTrace);
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/cancel
+ * Cancel an assistant reply that is still streaming
+ * @desc messageId comes from the message.started event; returns 202, 200 if an abandoned reply was
+ *       cancelled directly, or 409 if the reply already ended
+ * @desc The agent run and pending tool calls are aborted and the partial reply is persisted
+ *       with status "cancelled"
+ */
+router.route("/:sessionId/messages/:messageId/cancel").post(cancelMessage);
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/regenerate
+ * Regenerate an assistant reply as a new version
+ * @desc messageId is the reply to redo (or its user message); the old reply stays as a sibling version
+ * @desc Responds with the same SSE events as POST .../messages
+ */
+router.route("/:sessionId/messages/:messageId/regenerate").post(regenerateMessage);
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/edit
+ * Edit a user message and rerun from that point
+ * Body: { content: string }
+ * @desc Saves the edit as a new version next to the original and streams a new reply (SSE, as POST .../messages)
+ */
+router.route("/:sessionId/messages/:messageId/edit").post(editMessage);
+
+/**
+ * POST /api/v1/session/:sessionId/messages/:messageId/activate
+ * Switch the active branch to the one containing messageId
+ * @desc Returns { activeLeafId, messages } for the new active path
+ */
+router.route("/:sessionId/messages/:messageId/activate").post(activateMessageBranch);
+
 /**
  * POST /api/v1/session/:sessionId/graphQuery
  * KG visualization query (Studio panel)
- * Body: { query: string }
+ * Body: { query: string, depth?: number, anchorLimit?: number, maxNodes?: number, includeFiles?: boolean, sourceIds?: ObjectId[] }
  * @desc Returns raw subgraph (nodes + edges) for visualization
+ * @desc Anchors matching the query, their neighborhood up to depth (max 3), and File/Source nodes
  */
 router.route("/:sessionId/graphQuery").post(graphQueryFromSession);
 
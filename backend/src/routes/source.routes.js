@@ -1,30 +1,71 @@
 import express from "express";
 import { isLoggedIn } from "#middlewares/auth.middlewares.js";
+import { upload } from "#middlewares/multer.middlewares.js";
 import {
   getAllSources,
+  getExtractionSchemaPresets,
   getSourceById,
+  updateSource,
+  addPdfSource,
   addGithubSource,
+  resyncGithubSource,
+  reindexSource,
   getSourceStatus,
+  streamSourceStatus,
+  getEntityMerges,
+  applySourceEntityMerge,
+  undoSourceEntityMerge,
   deleteSource,
+  getSourceDeletionReport,
 } from "#controllers/source.controllers.js";
 
 const router = express.Router();
 
 router.use(isLoggedIn);
 
-// GET /sources - List all sources for the logged-in user
+// GET /sources - List sources (?type=&status=&sort=&cursor=&limit=)
 router.get("/", getAllSources);
 
+// GET /sources/extraction-schemas - Built-in graph extraction schema presets
+router.get("/extraction-schemas", getExtractionSchemaPresets);
+
 // GET /sources/:id - Get a specific source by ID
 router.get("/:id", getSourceById);
 
+// PATCH /sources/:id - Update title, metadata and/or extraction schema
+router.patch("/:id", updateSource);
+
 // GET /sources/:id/status - Get indexing status
 router.get("/:id/status", getSourceStatus);
 
+// GET /sources/:id/status/stream - Live indexing progress (SSE)
+router.get("/:id/status/stream", streamSourceStatus);
+
+// POST /sources/pdf - Create a new PDF source (multipart, field "document")
+router.post("/pdf", upload.single("document"), addPdfSource);
+
 // POST /sources/github - Create a new GitHub repo source
 router.post("/github", addGithubSource);
 
-// DELETE /sources/:id - Delete a source
+// POST /sources/:id/resync - Incrementally re-sync a GitHub repo source
+router.post("/:id/resync", resyncGithubSource);
+
+// POST /sources/:id/reindex - Rebuild vector index, graph or both ({ target })
+router.post("/:id/reindex", reindexSource);
+
+// GET /sources/:id/entity-merges - Review entity-resolution merges (?status=applied|undone|proposed)
+router.get("/:id/entity-merges", getEntityMerges);
+
+// POST /sources/:id/entity-merges/:mergeId/apply - Apply a proposed entity merge
+router.post("/:id/entity-merges/:mergeId/apply", applySourceEntityMerge);
+
+// POST /sources/:id/entity-merges/:mergeId/undo - Undo an entity merge (or reject a proposed one)
+router.post("/:id/entity-merges/:mergeId/undo", undoSourceEntityMerge);
+
+// DELETE /sources/:id - Delete a source (full teardown runs in the background)
 router.delete("/:id", deleteSource);
 
+// GET /sources/:id/deletion - Deletion progress and report
+router.get("/:id/deletion", getSourceDeletionReport);
+
 export default router;
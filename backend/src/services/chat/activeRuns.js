@@ -0,0 +1,74 @@
+import config from "#config/config.js";
+import { ChatMessage } from "#models/chatMessage.models.js";
+import { MessageStatusEnum } from "#utils/constants.js";
+
+/**
+ * In-flight assistant replies on this server instance, keyed by assistant message ID
+ * Each entry is the AbortController passed to the agent run.
+ */
+const activeRuns = new Map();
+
+/**
+ * Track a streaming reply so it can be cancelled by message ID
+ * @param {string} messageId - Assistant message ID
+ * @param {AbortController} controller - Controller whose signal the run listens to
+ */
+export const registerRun = (messageId, controller) => {
+  activeRuns.set(messageId.toString(), controller);
+};
+
+/**
+ * Stop tracking a reply once its stream has ended
+ * @param {string} messageId - Assistant message ID
+ */
+export const unregisterRun = (messageId) => {
+  activeRuns.delete(messageId.toString());
+};
+
+/**
+ * Abort a streaming reply running on this instance
+ * @param {string} messageId - Assistant message ID
+ * @param {string} reason - CancelReasonsEnum value
+ * @returns {boolean} True if the run was found here and aborted
+ */
+export const abortRun = (messageId, reason) => {
+  const controller = activeRuns.get(messageId.toString());
+  if (!controller) return false;
+
+  controller.abort(reason);
+  return true;
+};
+
+/**
+ * Whether a streaming reply has outlived any run that could still be generating it
+ * @param {Object} message - Assistant message ({ createdAt })
+ * @returns {boolean} True once STREAMING_REPLY_TIMEOUT_MS has passed since it started
+ */
+export const isAbandonedReply = (message) =>
+  Date.now() - new Date(message.createdAt).getTime() > config.STREAMING_REPLY_TIMEOUT_MS;
+
+/**
+ * Fail replies left streaming by a server instance that died mid-run
+ * Their placeholders would otherwise stay "streaming" forever and block regeneration.
+ * @returns {Promise<number>} Number of replies marked failed
+ */
+export const failAbandonedReplies = async () => {
+  const result = await ChatMessage.updateMany(
+    {
+      role: "assistant",
+      status: MessageStatusEnum.STREAMING,
+      createdAt: { $lt: new Date(Date.now() - config.STREAMING_REPLY_TIMEOUT_MS) },
+    },
+    { status: MessageStatusEnum.FAILED }
+  );
+
+  return result.modifiedCount;
+};
+
+export default {
+  registerRun,
+  unregisterRun,
+  abortRun,
+  isAbandonedReply,
+  failAbandonedReplies,
+};
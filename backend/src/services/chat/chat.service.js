@@ -1,16 +1,20 @@
 import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
 import { ChatMessage } from "#models/chatMessage.models.js";
+import { ChatStreamEventsEnum } from "#utils/constants.js";
+import config from "#config/config.js";
 import { runAgentWithRAG } from "./rag/agent/agentRunner.js";
+import { buildHistoryWindow } from "./rag/memory/historyWindow.js";
 
 /**
  * Run RAG pipeline for chat message
  * @param {Object} params - Chat RAG parameters
  * @param {Object} params.chatSession - Chat session with populated sources
  * @param {string} params.userMessage - User's message content
- * @param {string} params.chatId - Chat session ID for history
- * @returns {Promise<ReadableStream>} Streaming response from RAG agent
+ * @param {string} params.userMessageId - Persisted ID of the current user message (history follows its branch)
+ * @param {AbortSignal} params.signal - Optional signal that cancels the agent run
+ * @returns {Promise<Object>} { events, trace, model } from the RAG agent (see runAgentWithRAG)
  */
-export const runChatRAG = async ({ chatSession, userMessage, chatId }) => {
+export const runChatRAG = async ({ chatSession, userMessage, userMessageId, signal }) => {
   try {
     if (!chatSession) {
       throw new Error("Chat session is required");
@@ -53,6 +57,7 @@ export const runChatRAG = async ({ chatSession, userMessage, chatId }) => {
           title: source.title || "Untitled Source",
           sourceType: source.sourceType || "unknown",
           collectionName: metadata.collectionName,
+          fileUrl: source.file?.url,
         };
       })
       .filter(Boolean);
@@ -61,15 +66,28 @@ export const runChatRAG = async ({ chatSession, userMessage, chatId }) => {
       throw new Error("No indexed collections available for retrieval.");
     }
 
+    // Recent turns of this branch within the token budget, older ones summarized; mem0 stays available via tools
+    const history = await buildHistoryWindow({
+      chatSession,
+      userMessageId,
+    });
+
     // Run agent with RAG and memory tools
-    // Note: Conversation history is handled by memory tools - no need to pass it explicitly
-    const responseStream = await runAgentWithRAG({
+    const run = await runAgentWithRAG({
       userMessage,
       sources: sourcesWithCollections,
       chatSession,
+      retrieval: {
+        mode: chatSession.retrieval?.mode || config.DEFAULT_RETRIEVAL_MODE,
+        reranker: chatSession.retrieval?.reranker || config.RERANKER_PROVIDER,
+        rerankMultiplier:
+          chatSession.retrieval?.rerankMultiplier || config.RERANK_CANDIDATE_MULTIPLIER,
+      },
+      history: history.items,
+      signal,
     });
 
-    return responseStream;
+    return run;
   } catch (error) {
     console.error("Chat RAG error:", error);
     throw error;
@@ -77,24 +95,19 @@ export const runChatRAG = async ({ chatSession, userMessage, chatId }) => {
 };
 
 /**
- * Helper function to collect stream into full text
- * Used for persisting assistant response after streaming
- * @param {ReadableStream} stream - Text stream from agent
+ * Helper function to collect a chat event stream into full text
+ * Used when the reply is needed without streaming it to a client
+ * @param {AsyncIterable} events - Chat stream events (`events` returned by runChatRAG)
  * @returns {Promise<string>} Complete response text
  */
-export const collectStreamText = async (stream) => {
-  const reader = stream.getReader();
-  const decoder = new TextDecoder();
+export const collectStreamText = async (events) => {
   let fullText = "";
 
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      fullText += decoder.decode(value, { stream: true });
+  for await (const { event, data } of events) {
+    if (event === ChatStreamEventsEnum.MESSAGE_DELTA) {
+      fullText += data.delta;
     }
-    return fullText;
-  } finally {
-    reader.releaseLock();
   }
+
+  return fullText;
 };
@@ -0,0 +1,181 @@
+import { ChatMessage } from "#models/chatMessage.models.js";
+import { ChatSession } from "#models/chatSession.models.js";
+
+/**
+ * Fields loaded for every message when building a session tree
+ */
+const TREE_FIELDS = "role content event status parentId version createdAt";
+
+/**
+ * Children key for messages at the top of the conversation
+ */
+const ROOT = "root";
+
+/**
+ * Load every message of a session as a tree
+ * Messages stored before branching existed have no parentId field; they are
+ * chained in createdAt order, so old sessions read as a single branch.
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object>} { nodes: Map<id, message>, parents: Map<id, parentId|null>, children: Map<id|"root", Array> }
+ */
+export const loadMessageTree = async (sessionId) => {
+  const messages = await ChatMessage.find({ sessionId })
+    .select(TREE_FIELDS)
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const nodes = new Map();
+  const parents = new Map();
+  const children = new Map();
+  let previousLegacyId = null;
+
+  for (const message of messages) {
+    const id = message._id.toString();
+    let parentId;
+
+    if (message.parentId === undefined) {
+      parentId = previousLegacyId;
+      previousLegacyId = id;
+    } else {
+      parentId = message.parentId ? message.parentId.toString() : null;
+    }
+
+    nodes.set(id, message);
+    parents.set(id, parentId);
+
+    const key = parentId || ROOT;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(message);
+  }
+
+  return { nodes, parents, children };
+};
+
+/**
+ * Direct replies to a message, oldest first
+ * @param {Object} tree - Tree from loadMessageTree
+ * @param {string|null} parentId - Parent message (null for first turns)
+ * @returns {Array} Child messages
+ */
+export const getChildren = (tree, parentId) => tree.children.get(parentId ? parentId.toString() : ROOT) || [];
+
+/**
+ * Messages sharing a parent with the given message (itself included), oldest first
+ */
+export const getSiblings = (tree, messageId) =>
+  getChildren(tree, tree.parents.get(messageId.toString()));
+
+/**
+ * Follow the newest child at each level down to a leaf
+ * @param {Object} tree - Tree from loadMessageTree
+ * @param {string|null} messageId - Starting message (null starts above the first message)
+ * @returns {string|null} Leaf message ID (null for an empty session)
+ */
+export const descendToLeaf = (tree, messageId) => {
+  let currentId = messageId ? messageId.toString() : null;
+
+  for (;;) {
+    const next = getChildren(tree, currentId);
+    if (next.length === 0) return currentId;
+    currentId = next[next.length - 1]._id.toString();
+  }
+};
+
+/**
+ * Messages from the first turn down to the given message
+ * @returns {Array} Messages, oldest first
+ */
+export const getPathTo = (tree, messageId) => {
+  const path = [];
+  let currentId = messageId ? messageId.toString() : null;
+
+  while (currentId && tree.nodes.has(currentId)) {
+    path.unshift(tree.nodes.get(currentId));
+    currentId = tree.parents.get(currentId);
+  }
+
+  return path;
+};
+
+/**
+ * Leaf of the branch currently shown in the session
+ * Falls back to the newest branch when the session has no (valid) active leaf.
+ * @param {Object} tree - Tree from loadMessageTree
+ * @param {Object} chatSession - Chat session document
+ * @returns {string|null} Active leaf message ID
+ */
+export const getActiveLeafId = (tree, chatSession) => {
+  const activeLeafId = chatSession.activeLeafId?.toString();
+  if (activeLeafId && tree.nodes.has(activeLeafId)) {
+    return activeLeafId;
+  }
+  return descendToLeaf(tree, null);
+};
+
+/**
+ * Load the session tree and its active path
+ * @param {Object} chatSession - Chat session document
+ * @returns {Promise<Object>} { tree, leafId, path }
+ */
+export const getActivePath = async (chatSession) => {
+  const tree = await loadMessageTree(chatSession._id);
+  const leafId = getActiveLeafId(tree, chatSession);
+
+  return { tree, leafId, path: getPathTo(tree, leafId) };
+};
+
+/**
+ * Position of a message among its siblings, for branch switchers
+ * @returns {Object} { version, siblingCount, siblingIds }
+ */
+export const getSiblingInfo = (tree, messageId) => {
+  const siblings = getSiblings(tree, messageId);
+  const siblingIds = siblings.map((sibling) => sibling._id);
+
+  return {
+    version: siblingIds.findIndex((id) => id.toString() === messageId.toString()) + 1,
+    siblingCount: siblings.length,
+    siblingIds,
+  };
+};
+
+/**
+ * Make the branch containing a message the active one
+ * The new active leaf is found by following the newest child below the message.
+ * @param {Object} tree - Tree from loadMessageTree
+ * @param {string} sessionId - Chat session ID
+ * @param {string} messageId - Message on the branch to show
+ * @returns {Promise<string>} New active leaf message ID
+ */
+export const activateBranch = async (tree, sessionId, messageId) => {
+  const leafId = descendToLeaf(tree, messageId);
+  await ChatSession.updateOne({ _id: sessionId }, { activeLeafId: leafId });
+  return leafId;
+};
+
+/**
+ * Whether a message lies on the session's active branch
+ * @param {string} sessionId - Chat session ID
+ * @param {string} messageId - Message to check
+ * @returns {Promise<boolean>}
+ */
+export const isOnActivePath = async (sessionId, messageId) => {
+  const chatSession = await ChatSession.findById(sessionId).select("activeLeafId").lean();
+  if (!chatSession) return false;
+
+  const { path } = await getActivePath(chatSession);
+  return path.some((message) => message._id.toString() === messageId.toString());
+};
+
+export default {
+  loadMessageTree,
+  getChildren,
+  getSiblings,
+  descendToLeaf,
+  getPathTo,
+  getActiveLeafId,
+  getActivePath,
+  getSiblingInfo,
+  activateBranch,
+  isOnActivePath,
+};
@@ -5,9 +5,11 @@ import {
   updateMemoryTool, 
   deleteMemoryTool 
 } from "../memory/memoryTools.js";
-import config from "#config/config.js";
+import { getAgentModel, getLLMSettings } from "#services/llm/llmProvider.js";
+import { LLMPurposeEnum } from "#utils/constants.js";
 import { vectorSearchTool } from "../vector/vectorSearchTool.js";
 import { graphSearchTool } from "../graph/graphSearchTool.js";
+import { toChatStreamEvents, createRunTrace } from "./streamEvents.js";
 
 /**
  * Build system prompt for the research assistant
@@ -30,28 +32,29 @@ Your capabilities:
 - You cite sources when providing information
 
 You have access to search tools:
-1. vector_search – for finding relevant text passages and content-based queries
-2. graph_search – for understanding entities, relationships, dependencies, and structure
+1. vector_search – for finding relevant text passages and content-based queries (searches all sources at once; pass source IDs or titles to narrow it)
+2. graph_search – for understanding entities, relationships, dependencies, and structure (entities come with a summary and relations with a description, plus properties like dates, amounts or roles when extracted); for repositories it also returns exact code structure (who calls, imports, extends, defines or exports a class/function, with file paths and line ranges)
 
 Memory management guidelines:
 - Use search_memory to recall past interactions, preferences, or context. Search results include memory IDs in format [ID: xxx]
 - Use save_memory to store important facts, preferences, or context for future conversations
 - Use update_memory when information changes. First search to find the memory ID, then call update_memory with that ID and new content
 - Use delete_memory to remove outdated or incorrect information. First search to get the memory ID
-- Be proactive about searching memory when users reference past conversations
+- The recent turns of this conversation (and a summary of earlier ones) are included above the user's message; resolve follow-ups like "the second one" against them first
+- Be proactive about searching memory when users reference conversations beyond the recent turns
 - Save key information that should be remembered (preferences, decisions, important facts)
 
 Response guidelines:
 - Be concise but comprehensive in your responses
 - If information is not found in sources or memory, clearly state that
-- Provide specific references when quoting or paraphrasing from sources
+- Provide specific references when quoting or paraphrasing from sources, using the citation label from vector_search results or from the evidence of graph_search facts (e.g. "Title, p. 12")
 - When updating/deleting memories, confirm the action to the user
 `;
 
   if (sources.length > 0) {
-    prompt += `\nAvailable sources in this chat:\n`;
+    prompt += `\nAvailable sources in this chat (current list; sources can be added or removed during the conversation, and earlier answers may cite sources that are no longer attached):\n`;
     sources.forEach((source, idx) => {
-      prompt += `${idx + 1}. ${source.title} (${source.sourceType}) - Collection: ${source.collectionName}\n`;
+      prompt += `${idx + 1}. ${source.title} (${source.sourceType}) - ID: ${source._id}\n`;
     });
   } else {
     prompt += `\nNote: No sources are currently attached to this chat session. Inform the user they need to attach sources first.`;
@@ -66,13 +69,22 @@ Response guidelines:
  * @param {string} params.userMessage - User's message content
  * @param {Array} params.sources - Array of source objects with collectionName
  * @param {Object} params.chatSession - Chat session for memory scoping
- * @returns {Promise<ReadableStream>} Streaming response from the agent
- * @note Conversation history is managed via memory tools - agent retrieves relevant context on-demand
+ * @param {Object} params.retrieval - Session retrieval defaults for vector_search ({ mode, reranker, rerankMultiplier })
+ * @param {Array} params.history - Prior conversation as Agents SDK input items (see buildHistoryWindow)
+ * @param {AbortSignal} params.signal - Optional signal that cancels the run and pending tool calls
+ * @returns {Promise<Object>} { events, trace, model }
+ *  - events: chat stream events ({ event, data }, see streamEvents.js)
+ *  - trace: tool calls, chunks, graph facts, memories and usage, complete once events are drained
+ *  - model: { provider, name } of the chat model
+ * @note Recent turns arrive as conversation input; older context is reachable through the memory tools
  */
 export const runAgentWithRAG = async ({ 
   userMessage, 
   sources = [], 
   chatSession,
+  retrieval = {},
+  history = [],
+  signal,
 }) => {
   try {
     if (!userMessage || typeof userMessage !== "string" || userMessage.trim() === "") {
@@ -82,10 +94,13 @@ export const runAgentWithRAG = async ({
     // Build system prompt with context
     const systemPrompt = buildSystemPrompt({ sources });
 
+    // Resolve the chat model from the configured provider
+    const model = await getAgentModel();
+
     // Initialize OpenAI Agent with RAG and memory tools
     const agent = new Agent({
       name: "research-assistant",
-      model: config.OPENAI_LLM_MODEL || "gpt-4o",
+      model,
       instructions: systemPrompt,
       tools: [
         vectorSearchTool, 
@@ -101,42 +116,26 @@ export const runAgentWithRAG = async ({
     const runner = new Runner();
 
     // Run agent with streaming enabled
-    // Note: Only passing current user message - agent uses memory tools to retrieve relevant history
+    // Recent history (plus a summary of older turns) precedes the new message
     const stream = await runner.run(
       agent,
-      userMessage,
+      [...history, { role: "user", content: userMessage }],
       {
         stream: true,
-        context: { chatSession, sources },
+        signal,
+        context: { chatSession, sources, retrieval, signal },
       }
     );
 
-    // Convert agent stream to text stream compatible with Express
-    const textStream = new ReadableStream({
-      async start(controller) {
-        try {
-          for await (const chunk of stream) {
-            // Extract text content from agent response chunks
-            if (chunk.type === "content_part.delta" && chunk.delta?.text) {
-              controller.enqueue(chunk.delta.text);
-            } else if (chunk.type === "tool_call.delta") {
-              // Log tool calls for debugging
-              console.log(`Tool called:`, chunk);
-            } else if (chunk.type === "error") {
-              console.error("Agent error:", chunk.error);
-              controller.error(new Error(chunk.error));
-              return;
-            }
-          }
-          controller.close();
-        } catch (error) {
-          console.error("Stream processing error:", error);
-          controller.error(error);
-        }
-      },
-    });
+    // Translate SDK stream events into typed chat events (deltas, tool activity, citations, usage)
+    const trace = createRunTrace();
+    const { provider, model: modelName } = getLLMSettings(LLMPurposeEnum.CHAT);
 
-    return textStream;
+    return {
+      events: toChatStreamEvents(stream, trace, { signal }),
+      trace,
+      model: { provider, name: modelName },
+    };
   } catch (error) {
     console.error("Agent runner error:", error);
     throw new Error(`Failed to run agent with RAG: ${error.message}`);
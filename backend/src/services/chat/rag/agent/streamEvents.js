@@ -0,0 +1,244 @@
+import { ChatStreamEventsEnum } from "#utils/constants.js";
+
+/**
+ * Longest tool result summary sent to clients
+ */
+const MAX_SUMMARY_LENGTH = 300;
+
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Tool output as returned by the tool's execute()
+ * The SDK may hand it back serialized, either bare or wrapped in a text output item.
+ */
+const readToolOutput = (item) => {
+  const output = item.output ?? item.rawItem?.output;
+  if (output && typeof output === "object" && output.type === "text") {
+    return parseJson(output.text);
+  }
+  return parseJson(output);
+};
+
+/**
+ * One-line summary of a tool result for live display
+ * Object results from our tools carry { success, message }; memory tools return strings.
+ */
+const summarizeToolResult = (output) => {
+  if (output && typeof output === "object") {
+    return {
+      success: output.success !== false,
+      summary: String(output.message || "").slice(0, MAX_SUMMARY_LENGTH),
+    };
+  }
+
+  const text = String(output ?? "");
+  return {
+    success: !/failed|unavailable/i.test(text),
+    summary: text.slice(0, MAX_SUMMARY_LENGTH),
+  };
+};
+
+/**
+ * Citations carried by a vector_search result, or by the evidence of graph_search facts
+ */
+const extractCitations = (output) => {
+  if (!output || typeof output !== "object") {
+    return [];
+  }
+
+  if (Array.isArray(output.facts)) {
+    return output.facts.flatMap((fact) =>
+      (fact.evidence || [])
+        .filter((evidence) => evidence.citation)
+        .map((evidence) => ({
+          chunkId: evidence.chunkId || null,
+          sourceId: evidence.sourceId,
+          sourceType: evidence.sourceType,
+          score: Number(fact.relevance),
+          ...evidence.citation,
+        }))
+    );
+  }
+
+  if (!Array.isArray(output.contexts)) {
+    return [];
+  }
+
+  return output.contexts
+    .filter((ctx) => ctx.citation)
+    .map((ctx) => ({
+      chunkId: ctx.chunk_id || null,
+      sourceId: ctx.source_id,
+      sourceType: ctx.source_type,
+      score: Number(ctx.rerank_score ?? ctx.relevance_score),
+      ...ctx.citation,
+    }));
+};
+
+/**
+ * Empty trace of what a run was grounded on
+ * Filled in by toChatStreamEvents and persisted on the assistant ChatMessage.
+ * @returns {Object} { toolCalls, retrievedChunks, graphFacts, memories, usage }
+ */
+export const createRunTrace = () => ({
+  toolCalls: [],
+  retrievedChunks: [],
+  graphFacts: [],
+  memories: [],
+  usage: null,
+});
+
+/**
+ * Record the retrieval context carried by a tool result
+ */
+const recordToolOutput = (trace, name, callId, output) => {
+  if (name === "vector_search" && Array.isArray(output?.contexts)) {
+    for (const ctx of output.contexts) {
+      trace.retrievedChunks.push({
+        toolCallId: callId,
+        chunkId: ctx.chunk_id,
+        sourceId: ctx.source_id,
+        retrievalMode: output.retrieval_mode,
+        score: Number(ctx.relevance_score),
+        similarity: Number(ctx.similarity),
+        ...(ctx.rerank_score !== undefined && { rerankScore: Number(ctx.rerank_score) }),
+        citation: ctx.citation,
+      });
+    }
+  } else if (name === "graph_search" && Array.isArray(output?.facts)) {
+    trace.graphFacts.push(...output.facts.map((fact) => ({ toolCallId: callId, ...fact })));
+  } else if (name === "search_memory" && typeof output === "string") {
+    // Lines look like "1. [ID: <id>] <memory>"
+    for (const match of output.matchAll(/\[ID: ([^\]]+)\] (.*)/g)) {
+      trace.memories.push({ toolCallId: callId, memoryId: match[1], text: match[2] });
+    }
+  }
+};
+
+/**
+ * Add token usage from every model response in the run
+ */
+const sumUsage = (rawResponses = []) =>
+  rawResponses.reduce(
+    (total, response) => ({
+      requests: total.requests + (response.usage?.requests || 1),
+      inputTokens: total.inputTokens + (response.usage?.inputTokens || 0),
+      outputTokens: total.outputTokens + (response.usage?.outputTokens || 0),
+      totalTokens: total.totalTokens + (response.usage?.totalTokens || 0),
+    }),
+    { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+  );
+
+/**
+ * Translate an OpenAI Agents SDK run stream into chat stream events
+ * Yields { event, data } with event in ChatStreamEventsEnum:
+ *  - message.delta: { delta }
+ *  - tool.started: { callId, name, arguments }
+ *  - tool.finished: { callId, name, success, summary, durationMs }
+ *  - citation: { chunkId, sourceId, label, pageStart, pageEnd, path, url, ... } (deduplicated per run)
+ *  - usage: { requests, inputTokens, outputTokens, totalTokens } (once, after the run)
+ * message.started, message.completed and message.cancelled are emitted by the caller.
+ * When the run is aborted the generator ends early: tool calls still pending are
+ * recorded as cancelled and usage covers the model responses received so far.
+ * @param {Object} stream - StreamedRunResult from Runner.run(..., { stream: true })
+ * @param {Object} trace - Optional collector from createRunTrace(), filled in as the run progresses
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Signal the run was started with
+ * @returns {AsyncGenerator<Object>} Chat stream events
+ */
+export async function* toChatStreamEvents(stream, trace = createRunTrace(), { signal } = {}) {
+  const pendingTools = new Map();
+  const citedChunks = new Set();
+
+  try {
+    yield* translateRunEvents(stream, trace, pendingTools, citedChunks);
+
+    if (signal?.aborted) return;
+
+    // Stream iteration ends when the run settles; surface run failures to the caller
+    await stream.completed;
+    if (stream.error) {
+      throw stream.error;
+    }
+
+    trace.usage = sumUsage(stream.rawResponses);
+    yield { event: ChatStreamEventsEnum.USAGE, data: trace.usage };
+  } finally {
+    for (const pending of pendingTools.values()) {
+      Object.assign(pending, {
+        success: false,
+        summary: signal?.aborted ? "Cancelled before completion" : "Run ended before the tool finished",
+        durationMs: Date.now() - pending.startedAt.getTime(),
+      });
+    }
+    trace.usage ??= sumUsage(stream.rawResponses);
+  }
+}
+
+/**
+ * Translate the SDK events of a run, tracking tool calls that have not finished yet
+ */
+async function* translateRunEvents(stream, trace, pendingTools, citedChunks) {
+  for await (const event of stream) {
+    if (event.type === "raw_model_stream_event") {
+      if (event.data?.type === "output_text_delta" && event.data.delta) {
+        yield { event: ChatStreamEventsEnum.MESSAGE_DELTA, data: { delta: event.data.delta } };
+      }
+      continue;
+    }
+
+    if (event.type !== "run_item_stream_event") continue;
+
+    if (event.name === "tool_called") {
+      const { callId, name, arguments: args } = event.item.rawItem || {};
+      const toolCall = { callId, name, arguments: parseJson(args), startedAt: new Date() };
+      pendingTools.set(callId, toolCall);
+      trace.toolCalls.push(toolCall);
+
+      yield {
+        event: ChatStreamEventsEnum.TOOL_STARTED,
+        data: { callId, name, arguments: toolCall.arguments },
+      };
+    } else if (event.name === "tool_output") {
+      const callId = event.item.rawItem?.callId;
+      const pending = pendingTools.get(callId) || {};
+      pendingTools.delete(callId);
+
+      const output = readToolOutput(event.item);
+      const name = pending.name || event.item.rawItem?.name;
+      const result = {
+        ...summarizeToolResult(output),
+        durationMs: pending.startedAt ? Date.now() - pending.startedAt.getTime() : null,
+      };
+
+      // pending is the object held in trace.toolCalls
+      Object.assign(pending, result);
+      recordToolOutput(trace, name, callId, output);
+
+      yield {
+        event: ChatStreamEventsEnum.TOOL_FINISHED,
+        data: { callId, name, ...result },
+      };
+
+      for (const citation of extractCitations(output)) {
+        const key = citation.chunkId || `${citation.sourceId}:${citation.label}`;
+        if (citedChunks.has(key)) continue;
+        citedChunks.add(key);
+
+        yield { event: ChatStreamEventsEnum.CITATION, data: { callId, ...citation } };
+      }
+    }
+  }
+}
+
+export default {
+  createRunTrace,
+  toChatStreamEvents,
+};
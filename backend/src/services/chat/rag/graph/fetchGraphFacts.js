@@ -1,17 +1,149 @@
 import neo4j from "neo4j-driver";
 import config from "#config/config.js";
+import { toExtractedProperties } from "#services/indexing/graphWriter.js";
 
 const driver = neo4j.driver(
   config.NEO4J_URI,
   neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
 );
 
+/**
+ * Evidence chunks returned per fact (a fact may have been extracted from many)
+ */
+const MAX_EVIDENCE_PER_FACT = 2;
+
+/**
+ * Characters of chunk text kept on each side of the matched names
+ */
+const SNIPPET_RADIUS = 120;
+
+/**
+ * Code relationships returned per matched class/function/module
+ */
+const MAX_CODE_EDGES = 25;
+
+/**
+ * Description and extracted properties of an entity or relationship, as fact fields
+ * Entities are described by their merged summary (or their newest description);
+ * relationships by the description extracted with them. Fields are omitted when empty.
+ * @param {Object} properties - Node or relationship properties
+ * @returns {Object} { description?, properties? }
+ */
+const toDescribedFields = (properties) => {
+  const { description: relationDescription, ...extracted } = toExtractedProperties(properties);
+  const description = properties.summary || properties.descriptions?.at(-1) || relationDescription;
+
+  return {
+    ...(description && { description }),
+    ...(Object.keys(extracted).length > 0 && { properties: extracted }),
+  };
+};
+
+const toPlainNumber = (value) => (typeof value?.toNumber === "function" ? value.toNumber() : value ?? null);
+
+/**
+ * Describe a node of the static code graph (File or CodeNode)
+ */
+const toCodeRef = (node) => {
+  const props = node.properties;
+  if (node.labels.includes("File")) {
+    return { name: props.path, kind: "file", path: props.path };
+  }
+  return {
+    name: props.qualifiedName || props.name,
+    kind: props.kind || "module",
+    path: props.path || null,
+    startLine: toPlainNumber(props.startLine),
+    endLine: toPlainNumber(props.endLine),
+  };
+};
+
+/**
+ * Cut the part of a chunk that mentions the given names
+ * Centers on the span covering the names when it fits, on the first name otherwise,
+ * and on the start of the chunk when none is found verbatim.
+ * @param {string} text - Chunk text
+ * @param {Array<string>} terms - Names to look for (entity name and aliases, or both ends of a relation)
+ * @returns {string} Snippet of at most ~2 * SNIPPET_RADIUS characters
+ */
+const toSnippet = (text, terms) => {
+  const content = String(text || "").replace(/\s+/g, " ").trim();
+  if (content.length <= SNIPPET_RADIUS * 2) return content;
+
+  const lower = content.toLowerCase();
+  const positions = terms
+    .filter(Boolean)
+    .map((term) => lower.indexOf(term.toLowerCase()))
+    .filter((position) => position >= 0);
+
+  let center = SNIPPET_RADIUS;
+  if (positions.length > 0) {
+    const first = Math.min(...positions);
+    const last = Math.max(...positions);
+    center = last - first <= SNIPPET_RADIUS * 2 ? Math.round((first + last) / 2) : first;
+  }
+
+  const end = Math.min(content.length, Math.max(center, SNIPPET_RADIUS) + SNIPPET_RADIUS);
+  const start = Math.max(0, end - SNIPPET_RADIUS * 2);
+
+  // Trim partial words at the cut edges
+  let snippet = content.slice(start, end);
+  if (start > 0) snippet = "..." + snippet.slice(snippet.indexOf(" ") + 1);
+  if (end < content.length && snippet.includes(" ")) {
+    snippet = snippet.slice(0, snippet.lastIndexOf(" ")) + "...";
+  }
+  return snippet;
+};
+
+/**
+ * Load the chunks facts were extracted from
+ * @param {Object} session - Neo4j session
+ * @param {Array<string>} sourceIds - Source IDs in scope
+ * @param {Array<string>} chunkIds - Chunk IDs (Qdrant point IDs)
+ * @returns {Promise<Map>} chunkId -> { sourceId, path, pageStart, pageEnd, section, text }
+ */
+const loadChunks = async (session, sourceIds, chunkIds) => {
+  if (chunkIds.length === 0) return new Map();
+
+  const result = await session.run(
+    `
+    MATCH (c:Chunk)
+    WHERE c.sourceId IN $sourceIds AND c.id IN $chunkIds
+    RETURN c.id AS id, c.sourceId AS sourceId, c.path AS path,
+      c.pageStart AS pageStart, c.pageEnd AS pageEnd, c.section AS section, c.text AS text
+    `,
+    { sourceIds, chunkIds }
+  );
+
+  const toNumber = (value) => (typeof value?.toNumber === "function" ? value.toNumber() : value ?? null);
+
+  return new Map(
+    result.records.map((record) => [
+      record.get("id"),
+      {
+        sourceId: record.get("sourceId"),
+        path: record.get("path"),
+        pageStart: toNumber(record.get("pageStart")),
+        pageEnd: toNumber(record.get("pageEnd")),
+        section: record.get("section"),
+        text: record.get("text"),
+      },
+    ])
+  );
+};
+
 /**
  * CHAT-ONLY GRAPH RETRIEVER
  * Purpose:
  *  - Ground LLM responses using graph facts
  *  - Return human-readable, deduplicated relationships
+ *  - Entities carry their summary and relations their description when extracted, plus
+ *    any properties from the source's extraction schema (dates, amounts, roles, ...)
  *  - Optimized for RAG, NOT visualization
+ *  - Code facts (kind "code_symbol" / "code_relation") come from the static code graph of
+ *    GitHub sources: exact DEFINES, IMPORTS, CALLS, EXTENDS and EXPORTS with line ranges
+ *  - Every fact carries evidence: [{ chunkId, sourceId, path, pageStart, pageEnd, section, snippet }]
+ *    from the chunks it was extracted from (empty for graphs built before chunk provenance)
  */
 export const fetchGraphFacts = async ({
   query,
@@ -37,11 +169,13 @@ export const fetchGraphFacts = async ({
         AND (
           toLower(anchor.name) CONTAINS toLower($query)
           OR toLower(anchor.type) CONTAINS toLower($query)
+          OR any(alias IN coalesce(anchor.aliases, []) WHERE toLower(alias) CONTAINS toLower($query))
         )
       WITH anchor
       ORDER BY
         CASE
-          WHEN toLower(anchor.name) = toLower($query) THEN 0
+          WHEN toLower(anchor.name) = toLower($query)
+            OR any(alias IN coalesce(anchor.aliases, []) WHERE toLower(alias) = toLower($query)) THEN 0
           WHEN toLower(anchor.name) STARTS WITH toLower($query) THEN 1
           ELSE 2
         END,
@@ -63,7 +197,8 @@ export const fetchGraphFacts = async ({
         relationships(path) AS pathRels,
         f.path AS filePath,
         CASE
-          WHEN toLower(anchor.name) = toLower($query) THEN 3
+          WHEN toLower(anchor.name) = toLower($query)
+            OR any(alias IN coalesce(anchor.aliases, []) WHERE toLower(alias) = toLower($query)) THEN 3
           WHEN toLower(anchor.name) STARTS WITH toLower($query) THEN 2
           ELSE 1
         END AS matchScore
@@ -76,6 +211,7 @@ export const fetchGraphFacts = async ({
     });
 
     const facts = [];
+    const factChunkIds = [];
     const seenRelations = new Set();
     const anchors = new Map();
 
@@ -102,13 +238,20 @@ export const fetchGraphFacts = async ({
     for (const [anchorId, { anchor, filePath, matchScore }] of anchors) {
       facts.push({
         kind: "entity",
+        sourceId: anchor.properties.sourceId,
         entity: {
           name: anchor.properties.name,
           type: anchor.properties.type,
+          aliases: anchor.properties.aliases || [],
           definedIn: filePath,
+          ...toDescribedFields(anchor.properties),
         },
         relevance: matchScore,
       });
+      factChunkIds.push({
+        chunkIds: anchor.properties.chunkIds || [],
+        terms: [anchor.properties.name, ...(anchor.properties.aliases || [])],
+      });
     }
 
     // Second pass: Process relationships with hop-based relevance
@@ -142,6 +285,7 @@ export const fetchGraphFacts = async ({
 
           facts.push({
             kind: "relation",
+            sourceId: startNode.properties.sourceId,
             subject: {
               name: startNode.properties.name,
               type: startNode.properties.type,
@@ -151,13 +295,97 @@ export const fetchGraphFacts = async ({
               name: endNode.properties.name,
               type: endNode.properties.type,
             },
+            ...toDescribedFields(rel.properties),
             relevance: Math.max(MIN_RELEVANCE_SCORE, relevance),
           });
+          factChunkIds.push({
+            chunkIds: rel.properties.chunkIds || [],
+            terms: [startNode.properties.name, endNode.properties.name],
+          });
 
         seenRelations.add(relId);
       }
     }
 
+    // Code structure: matching classes, functions and modules with their direct relationships
+    const codeResult = await session.run(
+      `
+      MATCH (sym:CodeNode)
+      WHERE sym.sourceId IN $sourceIds
+        AND (toLower(sym.name) CONTAINS toLower($query)
+          OR toLower(coalesce(sym.qualifiedName, "")) CONTAINS toLower($query))
+      WITH sym,
+        CASE
+          WHEN toLower(sym.name) = toLower($query) OR toLower(coalesce(sym.qualifiedName, "")) = toLower($query) THEN 3
+          WHEN toLower(sym.name) STARTS WITH toLower($query) THEN 2
+          ELSE 1
+        END AS matchScore
+      ORDER BY matchScore DESC, sym.name ASC
+      LIMIT $anchorLimit
+      OPTIONAL MATCH (sym)-[r:DEFINES|IMPORTS|CALLS|EXTENDS|EXPORTS]-(other)
+      WHERE other.sourceId = sym.sourceId
+      RETURN sym, matchScore,
+        collect(CASE WHEN r IS NULL THEN NULL ELSE
+          {type: type(r), outgoing: startNode(r) = sym, other: other, lines: r.lines} END)[..$maxEdges] AS edges
+      `,
+      {
+        query,
+        sourceIds: sourceIds.map(String),
+        anchorLimit: neo4j.int(anchorLimit),
+        maxEdges: neo4j.int(MAX_CODE_EDGES),
+      }
+    );
+
+    for (const record of codeResult.records) {
+      const sym = record.get("sym");
+      const matchScore = toPlainNumber(record.get("matchScore"));
+      const symbol = { ...toCodeRef(sym), bases: sym.properties.bases || [] };
+      const symbolChunkIds = sym.properties.chunkIds || [];
+
+      facts.push({ kind: "code_symbol", sourceId: sym.properties.sourceId, symbol, relevance: matchScore });
+      factChunkIds.push({ chunkIds: symbolChunkIds, terms: [sym.properties.name] });
+
+      for (const edge of record.get("edges")) {
+        const other = toCodeRef(edge.other);
+        const [subject, object] = edge.outgoing ? [symbol, other] : [other, symbol];
+        // The subject's chunk holds the call/definition site
+        const subjectNode = edge.outgoing ? sym : edge.other;
+
+        facts.push({
+          kind: "code_relation",
+          sourceId: sym.properties.sourceId,
+          subject: { name: subject.name, kind: subject.kind, path: subject.path, startLine: subject.startLine, endLine: subject.endLine },
+          predicate: edge.type,
+          object: { name: object.name, kind: object.kind, path: object.path, startLine: object.startLine, endLine: object.endLine },
+          ...(edge.lines && { lines: edge.lines.map(toPlainNumber) }),
+          // One hop from the match, penalized like entity relations
+          relevance: Math.max(0.1, matchScore - 0.3),
+        });
+        factChunkIds.push({
+          chunkIds: subjectNode.properties.chunkIds || [],
+          terms: [object.name.split(/[./]/).pop(), subject.name.split(/[./]/).pop()],
+        });
+      }
+    }
+
+    // Attach the evidence chunks, located by the names they mention
+    const chunks = await loadChunks(
+      session,
+      sourceIds.map(String),
+      [...new Set(factChunkIds.flatMap(({ chunkIds }) => chunkIds))]
+    );
+
+    facts.forEach((fact, i) => {
+      const { chunkIds, terms } = factChunkIds[i];
+      fact.evidence = chunkIds
+        .filter((chunkId) => chunks.has(chunkId))
+        .slice(0, MAX_EVIDENCE_PER_FACT)
+        .map((chunkId) => {
+          const { text, ...location } = chunks.get(chunkId);
+          return { chunkId, ...location, snippet: toSnippet(text, terms) };
+        });
+    });
+
     // Sort facts by relevance (highest first) for LLM context prioritization
     facts.sort((a, b) => b.relevance - a.relevance);
 
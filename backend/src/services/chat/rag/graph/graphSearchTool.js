@@ -1,6 +1,36 @@
 import { tool } from "@openai/agents";
 import { z } from "zod";
 import { fetchGraphFacts } from "./fetchGraphFacts.js";
+import { getToolContext } from "../toolContext.js";
+import { buildCitation } from "../vector/citations.js";
+
+/**
+ * Replace each evidence chunk's location with a citation, as vector_search results carry
+ * @param {Array} facts - Facts from fetchGraphFacts
+ * @param {Array} sources - Chat sources ({ _id, title, sourceType, fileUrl })
+ * @returns {Array} Facts with evidence [{ chunkId, sourceId, sourceType, snippet, citation }]
+ */
+const citeEvidence = (facts, sources) => {
+  const sourcesById = new Map(sources.map((s) => [String(s.sourceId || s._id), s]));
+
+  return facts.map((fact) => ({
+    ...fact,
+    evidence: (fact.evidence || []).map(({ chunkId, sourceId, snippet, ...location }) => {
+      const source = sourcesById.get(sourceId);
+      return {
+        chunkId,
+        sourceId,
+        sourceType: source?.sourceType,
+        snippet,
+        citation: buildCitation({
+          metadata: { ...location, sectionHeading: location.section },
+          sourceTitle: source?.title,
+          sourceUrl: source?.fileUrl,
+        }),
+      };
+    }),
+  }));
+};
 
 /**
  * CHAT GRAPH SEARCH TOOL
@@ -14,7 +44,11 @@ export const graphSearchTool = tool({
   description:
     "Search the knowledge graph for factual relationships between entities. " +
     "Use this tool to understand architecture, dependencies, components, or how concepts are connected. " +
-    "Returns grounded graph facts suitable for reasoning and explanation.",
+    "For code repositories it also answers exact structural questions (who calls, imports or extends a " +
+    "class/function) from static analysis, with file paths and line ranges. " +
+    "Returns grounded graph facts suitable for reasoning and explanation: entities with a summary " +
+    "of what the sources say about them, relations with a description, extracted properties such as " +
+    "dates, amounts or roles, and evidence snippets with citation labels from the text they came from.",
 
   parameters: z.object({
     query: z
@@ -34,9 +68,10 @@ export const graphSearchTool = tool({
       ),
   }),
 
-  execute: async ({ query, anchorLimit, hopDepth }, context = {}) => {
+  execute: async ({ query, anchorLimit, hopDepth }, runContext) => {
     try {
-      const { sources = [] } = context;
+      const { sources, signal } = getToolContext(runContext);
+      signal?.throwIfAborted();
 
       // Extract sourceIds from active chat sources
       const sourceIds = sources.map((s) => s.sourceId || s._id).filter(Boolean);
@@ -68,7 +103,7 @@ export const graphSearchTool = tool({
       return {
         success: true,
         message: `Retrieved ${facts.length} grounded graph facts.`,
-        facts,
+        facts: citeEvidence(facts, sources),
       };
     } catch (error) {
       console.error("Graph search tool error:", error);
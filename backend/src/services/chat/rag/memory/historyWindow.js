@@ -0,0 +1,172 @@
+import { ChatSession } from "#models/chatSession.models.js";
+import { LLMPurposeEnum, MessageStatusEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { getChatModel } from "#services/llm/llmProvider.js";
+import { loadMessageTree, getPathTo } from "#services/chat/messageTree.js";
+
+/**
+ * Rough token estimate (~4 characters per token for English text and code)
+ * Good enough for budgeting without a model-specific tokenizer.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text = "") => Math.ceil(text.length / 4);
+
+/**
+ * Most older messages folded into the summary in one update
+ */
+const MAX_MESSAGES_PER_SUMMARY = 100;
+
+/**
+ * Whether a message belongs in the conversation: replies still streaming or failed
+ * are skipped, cancelled replies keep whatever the user saw before stopping them
+ */
+const isConversationTurn = (message) =>
+  message.status !== MessageStatusEnum.STREAMING &&
+  message.status !== MessageStatusEnum.FAILED &&
+  !!message.content;
+
+/**
+ * Fold overflowed turns into the running summary of the conversation
+ * @param {string} previousSummary - Existing summary (may be empty)
+ * @param {Array} messages - Older messages to fold in, oldest first
+ * @returns {Promise<string>} Updated summary
+ */
+const summarizeTurns = async (previousSummary, messages) => {
+  const llm = getChatModel({
+    purpose: LLMPurposeEnum.CHAT,
+    model: config.HISTORY_SUMMARY_MODEL || undefined,
+  });
+
+  const transcript = messages.map((m) => `${m.role.toUpperCase()}: ${m.content}`).join("\n\n");
+
+  const response = await llm.invoke([
+    {
+      role: "system",
+      content:
+        "You maintain a running summary of a conversation between a user and a research assistant. " +
+        "Merge the new turns into the existing summary. Keep the entities, documents, numbered items and " +
+        "decisions the user may refer back to, and the open questions. Drop pleasantries. " +
+        `Stay under ${config.HISTORY_SUMMARY_MAX_TOKENS} tokens.`,
+    },
+    {
+      role: "user",
+      content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew turns:\n${transcript}`,
+    },
+  ]);
+
+  return typeof response.content === "string"
+    ? response.content.trim()
+    : response.content.map((part) => part.text || "").join("").trim();
+};
+
+/**
+ * Convert stored messages into OpenAI Agents SDK input items
+ * Session events (e.g. sources added or removed) are passed as system notes.
+ */
+const toAgentInputItem = (message) => {
+  if (message.role === "assistant") {
+    return {
+      role: "assistant",
+      status: "completed",
+      content: [{ type: "output_text", text: message.content }],
+    };
+  }
+  if (message.role === "system") {
+    return { role: "system", content: `[Session event] ${message.content}` };
+  }
+  return { role: "user", content: message.content };
+};
+
+/**
+ * Build the short-term conversation window passed to the agent
+ * Follows the branch leading to the current user message. Takes the most recent
+ * turns that fit the token budget; turns that fall out of the window are folded
+ * into a running summary cached on the session so each turn only summarizes
+ * newly overflowed messages (while the cached summary is on the same branch).
+ * @param {Object} params
+ * @param {Object} params.chatSession - Chat session document
+ * @param {string} params.userMessageId - Current user message (sent separately as the new input)
+ * @param {number} params.tokenBudget - Token budget for verbatim history (default: HISTORY_TOKEN_BUDGET)
+ * @param {number} params.maxMessages - Most recent messages considered (default: HISTORY_MAX_MESSAGES)
+ * @returns {Promise<Object>} { items, summary, stats: { messages, tokens, summarized } }
+ */
+export const buildHistoryWindow = async ({
+  chatSession,
+  userMessageId,
+  tokenBudget = config.HISTORY_TOKEN_BUDGET,
+  maxMessages = config.HISTORY_MAX_MESSAGES,
+}) => {
+  // Step 1: Load the branch ending at the current user message, minus that message
+  const tree = await loadMessageTree(chatSession._id);
+  const path = getPathTo(tree, userMessageId)
+    .filter((message) => message._id.toString() !== userMessageId?.toString())
+    .filter(isConversationTurn);
+  const recent = path.slice(-maxMessages).reverse();
+
+  // Step 2: Keep the newest turns that fit the budget
+  const windowMessages = [];
+  let tokens = 0;
+
+  for (const message of recent) {
+    const messageTokens = estimateTokens(message.content);
+    if (tokens + messageTokens > tokenBudget && windowMessages.length > 0) break;
+    windowMessages.unshift(message);
+    tokens += messageTokens;
+  }
+
+  const windowStart = path.length - windowMessages.length;
+  const cached = chatSession.historySummary || {};
+  const cachedIndex = cached.throughMessageId
+    ? path.findIndex((message) => message._id.toString() === cached.throughMessageId.toString())
+    : -1;
+  // A summary of another branch (or of legacy timestamps) cannot be extended
+  let summary = cachedIndex >= 0 ? cached.content || "" : "";
+
+  // Step 3: Fold messages older than the window (and newer than the cached summary) into the summary
+  const overflow = path
+    .slice(cachedIndex + 1, windowStart)
+    .slice(0, MAX_MESSAGES_PER_SUMMARY);
+
+  if (overflow.length > 0) {
+    try {
+      summary = await summarizeTurns(summary, overflow);
+
+      await ChatSession.updateOne(
+        { _id: chatSession._id },
+        {
+          historySummary: {
+            content: summary,
+            throughMessageId: overflow[overflow.length - 1]._id,
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      // Older turns are still reachable through mem0; don't block the reply
+      console.error("Failed to summarize conversation history:", error);
+    }
+  }
+
+  const items = [
+    ...(summary
+      ? [{ role: "system", content: `Summary of the earlier conversation:\n${summary}` }]
+      : []),
+    ...windowMessages.map(toAgentInputItem),
+  ];
+
+  return {
+    items,
+    summary: summary || null,
+    stats: {
+      messages: windowMessages.length,
+      tokens,
+      summarized: !!summary,
+    },
+  };
+};
+
+export default {
+  estimateTokens,
+  buildHistoryWindow,
+};
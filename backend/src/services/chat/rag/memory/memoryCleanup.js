@@ -121,6 +121,76 @@ export const deleteSessionMemories = async ({ userId, chatSessionId }) => {
   }
 };
 
+/**
+ * Memories read per getAll call when scanning a user's memories
+ * mem0 OSS has no offset, so each pass asks for more until fewer come back.
+ */
+const MEMORY_SCAN_PAGE_SIZE = 1000;
+
+/**
+ * Most memories scanned for one user; past this the scan is reported incomplete
+ */
+const MAX_SCANNED_MEMORIES = 50000;
+
+/**
+ * Delete a user's memories that reference a source
+ * A memory references the source when it was tagged with the source's ID (the
+ * sources added/removed notices carry metadata.source_ids) or its text contains
+ * the ID. Titles are never matched: a generic title would sweep up unrelated memories.
+ * Used when a source is deleted
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the source
+ * @param {string} params.sourceId - Source ID
+ * @returns {Promise<Object>} { scanned, deleted, failed, complete }
+ *  complete is false when the user has more than MAX_SCANNED_MEMORIES memories
+ */
+export const deleteSourceMemories = async ({ userId, sourceId }) => {
+  // The OSS client only scopes getAll by userId/agentId/runId
+  let limit = MEMORY_SCAN_PAGE_SIZE;
+  let memories = [];
+  let complete = false;
+
+  while (true) {
+    const result = await memoryClient.getAll({
+      userId: userId.toString(),
+      agentId: "graphlm_assistant",
+      limit,
+    });
+    memories = result?.results || [];
+
+    if (memories.length < limit) {
+      complete = true;
+      break;
+    }
+    if (limit >= MAX_SCANNED_MEMORIES) break;
+    limit = Math.min(limit * 2, MAX_SCANNED_MEMORIES);
+  }
+
+  const id = sourceId.toString();
+  const referencing = memories.filter((memory) => {
+    const taggedIds = memory.metadata?.source_ids;
+    if (Array.isArray(taggedIds) && taggedIds.includes(id)) return true;
+    return (memory.memory || "").includes(id);
+  });
+
+  let deleted = 0;
+  let failed = 0;
+  for (const memory of referencing) {
+    try {
+      await memoryClient.delete(memory.id);
+      deleted++;
+    } catch (error) {
+      console.error(`Failed to delete memory ${memory.id}:`, error);
+      failed++;
+    }
+  }
+
+  console.log(`Deleted ${deleted} memories referencing source ${sourceId}`);
+
+  return { scanned: memories.length, deleted, failed, complete };
+};
+
 /**
  * Periodic cleanup job - should be called periodically (e.g., daily cron job)
  * Cleans up old memories across all users to prevent unbounded growth
@@ -1,30 +1,61 @@
 import { Memory } from "mem0ai/oss";
 import config from "#config/config.js";
+import { EmbeddingProvidersEnum } from "#utils/constants.js";
+import {
+  getEmbeddings,
+  getEmbeddingInfo,
+} from "#services/embeddings/embeddingProvider.js";
+
+const embeddingInfo = getEmbeddingInfo();
+const isOpenAIEmbedder = embeddingInfo.provider === EmbeddingProvidersEnum.OPENAI;
+
+/**
+ * Non-OpenAI providers go through mem0's LangChain adapter so memories share the
+ * same embedding space as the document collections
+ */
+const embedder = isOpenAIEmbedder
+  ? {
+      provider: "openai",
+      config: {
+        apiKey: config.OPENAI_API_KEY,
+        model: embeddingInfo.model || "text-embedding-3-small",
+      },
+    }
+  : {
+      provider: "langchain",
+      config: {
+        model: getEmbeddings(),
+        ...(embeddingInfo.dimension && { embeddingDims: embeddingInfo.dimension }),
+      },
+    };
+
+/**
+ * The legacy "memories" collection holds OpenAI vectors; other providers get their
+ * own collection so switching providers never mixes vector sizes
+ */
+const memoryCollection = isOpenAIEmbedder
+  ? "memories"
+  : `memories_${embeddingInfo.provider}_${embeddingInfo.dimension || "auto"}`;
 
 /**
  * Mem0 Memory client for semantic memory storage and retrieval
  * Scoped by user_id, run_id (chatSession), agent_id, and app_id
  * 
  * Uses:
- * - OpenAI embeddings for semantic search
+ * - The configured embedding provider for semantic search
  * - Qdrant vector store (same as documents)
- * - Collection name: "memories"
+ * - Collection name: "memories" (OpenAI) or a provider-specific collection
  */
 export const memoryClient = new Memory({
   version: "v1.1",
-  embedder: {
-    provider: "openai",
-    config: {
-      apiKey: config.OPENAI_API_KEY,
-      model: config.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
-    },
-  },
+  embedder,
   vectorStore: {
     provider: "qdrant",
     config: {
       url: config.QDRANT_URL,
       apiKey: config.QDRANT_API_KEY,
-      collection: "memories",
+      collection: memoryCollection,
+      ...(embeddingInfo.dimension && { dimension: embeddingInfo.dimension }),
     },
   },
 });
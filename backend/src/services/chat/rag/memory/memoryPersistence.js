@@ -1,20 +1,25 @@
 import { memoryClient } from "./memoryClient.js";
 import { checkAndCleanupIfNeeded } from "./memoryCleanup.js";
+import { isOnActivePath } from "#services/chat/messageTree.js";
 
 /**
  * Automatically persist conversation turn to memory
  * This ensures all user-assistant exchanges are stored for context retrieval
  * Also checks if cleanup is needed to prevent unbounded memory growth
+ * Only turns on the session's active branch are recorded; a reply that finishes
+ * after the user switched to another branch is skipped.
  * 
  * @param {Object} params
  * @param {string} params.userMessage - User's message content
  * @param {string} params.assistantMessage - Assistant's response content
+ * @param {string} params.assistantMessageId - Persisted assistant message ID (checked against the active branch)
  * @param {Object} params.chatSession - Chat session object with userId and _id
  * @returns {Promise<void>}
  */
 export const persistConversationToMemory = async ({
   userMessage,
   assistantMessage,
+  assistantMessageId,
   chatSession,
 }) => {
   try {
@@ -23,6 +28,11 @@ export const persistConversationToMemory = async ({
       return;
     }
 
+    if (assistantMessageId && !(await isOnActivePath(chatSession._id, assistantMessageId))) {
+      console.log(`Reply ${assistantMessageId} is not on the active branch - skipping memory persistence`);
+      return;
+    }
+
     // Check if cleanup is needed before adding new memories
     // This prevents unbounded memory growth
     await checkAndCleanupIfNeeded({
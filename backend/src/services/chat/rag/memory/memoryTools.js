@@ -1,18 +1,20 @@
+import { tool } from "@openai/agents";
 import { z } from "zod";
 import { memoryClient } from "./memoryClient.js";
+import { getToolContext } from "../toolContext.js";
 
 /**
  * Search memory tool definition for OpenAI Agent
  */
-export const searchMemoryTool = {
+export const searchMemoryTool = tool({
   name: "search_memory",
   description: "Search through past conversations and user context stored in memory. Use this to recall previous interactions, user preferences, or relevant context.",
   parameters: z.object({
     query: z.string().describe("The search query to find relevant memories"),
   }),
-  execute: async ({ query }, context = {}) => {
+  execute: async ({ query }, runContext) => {
     try {
-      const { chatSession } = context;
+      const { chatSession } = getToolContext(runContext);
       
       if (!chatSession) {
         return "Memory search unavailable - no chat context.";
@@ -49,12 +51,12 @@ export const searchMemoryTool = {
       return "Memory search failed - continuing without memory context.";
     }
   },
-};
+});
 
 /**
  * Save memory tool definition for OpenAI Agent
  */
-export const saveMemoryTool = {
+export const saveMemoryTool = tool({
   name: "save_memory",
   description: `Save important facts, insights, or preferences to memory. Choose the appropriate memory type:
 
@@ -73,11 +75,11 @@ TEMPORARY MEMORIES (7-day expiration):
 Default: Use permanent memory unless the information is clearly temporary/session-based.`,
   parameters: z.object({
     content: z.string().describe("The specific fact, preference, or insight to save. Be concise and specific."),
-    is_temporary: z.boolean().optional().describe("Set to true for temporary/session data that should expire in 7 days. Default: false (permanent)"),
+    is_temporary: z.boolean().nullable().optional().describe("Set to true for temporary/session data that should expire in 7 days. Default: false (permanent)"),
   }),
-  execute: async ({ content, is_temporary = false }, context = {}) => {
+  execute: async ({ content, is_temporary = false }, runContext) => {
     try {
-      const { chatSession } = context;
+      const { chatSession } = getToolContext(runContext);
       
       if (!chatSession) {
         return "Memory save unavailable - no chat context.";
@@ -114,21 +116,21 @@ Default: Use permanent memory unless the information is clearly temporary/sessio
       return "Memory save failed - information not persisted.";
     }
   },
-};
+});
 
 /**
  * Update memory tool definition for OpenAI Agent
  */
-export const updateMemoryTool = {
+export const updateMemoryTool = tool({
   name: "update_memory",
   description: "Update an existing memory when information changes. First search for the memory to get its ID, then call this tool with the ID and new content. Use this when information becomes outdated or needs correction rather than adding duplicate facts.",
   parameters: z.object({
     memory_id: z.string().describe("The ID of the memory to update (obtained from search_memory results)"),
     new_content: z.string().describe("The updated content to replace the existing memory"),
   }),
-  execute: async ({ memory_id, new_content }, context = {}) => {
+  execute: async ({ memory_id, new_content }, runContext) => {
     try {
-      const { chatSession } = context;
+      const { chatSession } = getToolContext(runContext);
       
       if (!chatSession) {
         return "Memory update unavailable - no chat context.";
@@ -143,20 +145,20 @@ export const updateMemoryTool = {
       return `Memory update failed: ${error.message}`;
     }
   },
-};
+});
 
 /**
  * Delete memory tool definition for OpenAI Agent
  */
-export const deleteMemoryTool = {
+export const deleteMemoryTool = tool({
   name: "delete_memory",
   description: "Delete a specific memory by ID when it's no longer relevant, incorrect, or the user requests it. First search for the memory to get its ID, then call this tool. Use this for complete removal rather than updates.",
   parameters: z.object({
     memory_id: z.string().describe("The ID of the memory to delete (obtained from search_memory results)"),
   }),
-  execute: async ({ memory_id }, context = {}) => {
+  execute: async ({ memory_id }, runContext) => {
     try {
-      const { chatSession } = context;
+      const { chatSession } = getToolContext(runContext);
       
       if (!chatSession) {
         return "Memory deletion unavailable - no chat context.";
@@ -171,4 +173,4 @@ export const deleteMemoryTool = {
       return `Memory deletion failed: ${error.message}`;
     }
   },
-};
+});
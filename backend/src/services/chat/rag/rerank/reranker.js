@@ -0,0 +1,149 @@
+import axios from "axios";
+import { z } from "zod";
+import { ApiError } from "#utils/api-error.js";
+import { LLMPurposeEnum, RerankerProvidersEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { tokenize } from "#services/embeddings/tokenizer.js";
+import { getChatModel } from "#services/llm/llmProvider.js";
+
+/**
+ * Characters of each chunk shown to the LLM reranker
+ */
+const LLM_RERANK_PASSAGE_CHARS = 1200;
+
+const llmScoresSchema = z.object({
+  scores: z
+    .array(
+      z.object({
+        index: z.number().describe("Passage index as given in the prompt"),
+        score: z.number().describe("Relevance from 0 (irrelevant) to 10 (directly answers)"),
+      })
+    )
+    .describe("One score per passage"),
+});
+
+/**
+ * LLM reranker: scores all candidates in one structured-output call
+ * @returns {Promise<Array<number>>} Scores in candidate order, normalized to 0-1
+ */
+const rerankWithLLM = async ({ query, contexts, signal }) => {
+  const llm = getChatModel({
+    purpose: LLMPurposeEnum.CHAT,
+    model: config.RERANKER_MODEL || undefined,
+  }).withStructuredOutput(llmScoresSchema);
+
+  const passages = contexts
+    .map((ctx, idx) => `[${idx}] ${ctx.text.slice(0, LLM_RERANK_PASSAGE_CHARS)}`)
+    .join("\n\n");
+
+  const { scores } = await llm.invoke([
+    {
+      role: "system",
+      content:
+        "You rank passages for a search query. Score every passage from 0 to 10 by how well it " +
+        "helps answer the query. Exact matches of identifiers, names or error codes count strongly.",
+    },
+    { role: "user", content: `Query: ${query}\n\nPassages:\n${passages}` },
+  ], { signal });
+
+  const byIndex = new Map(scores.map((s) => [s.index, s.score]));
+  return contexts.map((_, idx) => Math.min(Math.max((byIndex.get(idx) ?? 0) / 10, 0), 1));
+};
+
+/**
+ * HTTP reranker
+ * RERANKER_HTTP_FORMAT selects the wire format:
+ *  - cohere: Cohere/Jina/vLLM `/rerank` ({ model, query, documents, top_n } -> { results: [{ index, relevance_score }] })
+ *  - tei: Hugging Face text-embeddings-inference ({ query, texts } -> [{ index, score }])
+ * @returns {Promise<Array<number>>} Scores in candidate order
+ */
+const rerankWithHttp = async ({ query, contexts, signal }) => {
+  if (!config.RERANKER_URL) {
+    throw new ApiError(500, "RERANKER_URL is required for the http reranker");
+  }
+
+  const documents = contexts.map((ctx) => ctx.text);
+  const body =
+    config.RERANKER_HTTP_FORMAT === "tei"
+      ? { query, texts: documents }
+      : {
+          ...(config.RERANKER_MODEL && { model: config.RERANKER_MODEL }),
+          query,
+          documents,
+          top_n: documents.length,
+        };
+
+  const response = await axios.post(config.RERANKER_URL, body, {
+    timeout: config.RERANKER_TIMEOUT_MS,
+    signal,
+    headers: {
+      ...(config.RERANKER_API_KEY && { Authorization: `Bearer ${config.RERANKER_API_KEY}` }),
+    },
+  });
+
+  const results = Array.isArray(response.data) ? response.data : response.data?.results || [];
+  const byIndex = new Map(results.map((r) => [r.index, r.relevance_score ?? r.score ?? 0]));
+
+  return contexts.map((_, idx) => byIndex.get(idx) ?? 0);
+};
+
+/**
+ * Local heuristic reranker (no network)
+ * Blends query-term coverage, exact phrase matches and the retrieval score.
+ * @returns {Promise<Array<number>>} Scores in candidate order, 0-1
+ */
+const rerankWithHeuristic = async ({ query, contexts }) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const phrase = query.trim().toLowerCase();
+
+  return contexts.map((ctx) => {
+    const chunkTerms = new Set(tokenize(ctx.text));
+    const coverage =
+      queryTerms.length > 0
+        ? queryTerms.filter((term) => chunkTerms.has(term)).length / queryTerms.length
+        : 0;
+    const phraseMatch = phrase && ctx.text.toLowerCase().includes(phrase) ? 1 : 0;
+    const retrieval = ctx.normalizedScore ?? 0;
+
+    return 0.5 * coverage + 0.2 * phraseMatch + 0.3 * retrieval;
+  });
+};
+
+const rerankers = {
+  [RerankerProvidersEnum.LLM]: rerankWithLLM,
+  [RerankerProvidersEnum.HTTP]: rerankWithHttp,
+  [RerankerProvidersEnum.HEURISTIC]: rerankWithHeuristic,
+};
+
+/**
+ * Rerank retrieved candidates and keep the best
+ * Each returned context keeps its retrieval score and gains `rerankScore`.
+ * @param {Object} params - Rerank parameters
+ * @param {string} params.query - Search query
+ * @param {Array} params.contexts - Candidate contexts from retrieval
+ * @param {string} params.provider - RerankerProvidersEnum value
+ * @param {number} params.limit - Number of contexts to keep
+ * @param {AbortSignal} params.signal - Optional signal that aborts network rerankers
+ * @returns {Promise<Array>} Top contexts ordered by rerank score
+ */
+export const rerankContexts = async ({ query, contexts, provider, limit, signal }) => {
+  const rerank = rerankers[provider];
+  if (!rerank) {
+    throw new ApiError(500, `Unknown reranker: ${provider}`);
+  }
+
+  if (contexts.length === 0) {
+    return [];
+  }
+
+  const scores = await rerank({ query, contexts, signal });
+
+  return contexts
+    .map((ctx, idx) => ({ ...ctx, rerankScore: scores[idx] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore)
+    .slice(0, limit);
+};
+
+export default {
+  rerankContexts,
+};
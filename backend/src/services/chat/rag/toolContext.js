@@ -0,0 +1,22 @@
+/**
+ * Read the app context passed to Runner.run from a tool's second argument
+ * The Agents SDK hands tools a RunContext wrapper whose `context` holds
+ * { chatSession, sources, retrieval, signal }; a plain object is accepted as well.
+ * `signal` aborts when the reply is cancelled, so tools can stop pending work.
+ * @param {Object} runContext - Second argument received by a tool's execute()
+ * @returns {Object} { chatSession, sources, retrieval, signal }
+ */
+export const getToolContext = (runContext) => {
+  const context = runContext?.context ?? runContext ?? {};
+
+  return {
+    chatSession: context.chatSession,
+    sources: context.sources || [],
+    retrieval: context.retrieval || {},
+    signal: context.signal,
+  };
+};
+
+export default {
+  getToolContext,
+};
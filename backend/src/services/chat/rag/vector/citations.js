@@ -0,0 +1,48 @@
+/**
+ * Build a citation for a retrieved chunk
+ * PDF chunks cite their page range ("Title, p. 12" / "Title, pp. 12-13") and deep-link
+ * to the page in the stored file; GitHub chunks cite their file path.
+ * Chunks indexed before page ranges were recorded fall back to loc.pageNumber.
+ * @param {Object} ctx - Retrieved context ({ metadata, sourceTitle, sourceUrl })
+ * @returns {Object} Citation { label, title, pageStart, pageEnd, charStart, charEnd, pageCharStart, section, path, url }
+ */
+export const buildCitation = (ctx) => {
+  const metadata = ctx.metadata || {};
+  const title = ctx.sourceTitle || "Untitled Source";
+
+  const pageStart = metadata.pageStart ?? metadata.loc?.pageNumber ?? null;
+  const pageEnd = metadata.pageEnd ?? pageStart;
+  const path = metadata.path || null;
+
+  let label = title;
+  if (pageStart) {
+    label = pageEnd && pageEnd !== pageStart
+      ? `${title}, pp. ${pageStart}-${pageEnd}`
+      : `${title}, p. ${pageStart}`;
+  } else if (path) {
+    label = `${title}, ${path}`;
+  }
+
+  let url = ctx.sourceUrl || null;
+  if (url && pageStart) {
+    // PDF viewers honour the #page fragment
+    url = `${url}#page=${pageStart}`;
+  }
+
+  return {
+    label,
+    title,
+    pageStart,
+    pageEnd,
+    charStart: metadata.charStart ?? null,
+    charEnd: metadata.charEnd ?? null,
+    pageCharStart: metadata.pageCharStart ?? null,
+    section: metadata.sectionHeading || null,
+    path,
+    url,
+  };
+};
+
+export default {
+  buildCitation,
+};
@@ -1,17 +1,116 @@
-import { OpenAIEmbeddings } from "@langchain/openai";
 import { QdrantClient } from "@qdrant/js-client-rest";
 import { QdrantVectorStore } from "@langchain/qdrant";
+import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
+import {
+  getEmbeddings,
+  assertEmbeddingCompatibility,
+} from "#services/embeddings/embeddingProvider.js";
+import { searchSparse } from "#services/indexing/sparseIndex.js";
+import {
+  RetrievalModesEnum,
+  AvailableRetrievalModes,
+  RerankerProvidersEnum,
+} from "#utils/constants.js";
 import config from "#config/config.js";
+import { rerankContexts } from "../rerank/reranker.js";
 
 /**
- * Retrieve relevant context from Qdrant vector store
+ * Candidates fetched from each ranking before fusion, relative to the requested limit
+ */
+const HYBRID_CANDIDATE_MULTIPLIER = 4;
+const HYBRID_MIN_CANDIDATES = 20;
+
+/**
+ * Dense similarity search against a Qdrant collection
+ * @returns {Promise<Array>} Array of context objects with text, score, and metadata
+ */
+const retrieveDense = async ({ query, collectionName, limit }) => {
+  // Initialize embeddings from the configured provider
+  const embeddings = getEmbeddings();
+
+  // Setup Qdrant client
+  const clientOptions = { url: config.QDRANT_URL };
+  if (config.QDRANT_API_KEY) {
+    clientOptions.apiKey = config.QDRANT_API_KEY;
+  }
+
+  const client = new QdrantClient(clientOptions);
+
+  // Connect to existing Qdrant collection
+  const vectorStore = await QdrantVectorStore.fromExistingCollection(
+    embeddings,
+    {
+      client,
+      collectionName,
+    }
+  );
+
+  // Perform similarity search with scores
+  const results = await vectorStore.similaritySearchWithScore(query, limit);
+
+  // Transform results to structured context objects
+  return results.map(([doc, score]) => ({
+    text: doc.pageContent,
+    score,
+    metadata: {
+      sourceId: doc.metadata?.sourceId,
+      sourceType: doc.metadata?.sourceType,
+      ...doc.metadata,
+    },
+  }));
+};
+
+/**
+ * Key identifying the same chunk across rankings
+ * Chunks indexed before chunk IDs were recorded fall back to their text.
+ */
+const chunkKey = (ctx) => ctx.metadata?.chunkId || ctx.text;
+
+/**
+ * Fuse several rankings with reciprocal rank fusion
+ * score(chunk) = sum over rankings of 1 / (k + rank); scores from different
+ * retrievers are never compared directly, only their rank positions.
+ * @param {Object} rankings - Named rankings, e.g. { dense: [...], sparse: [...] }
+ * @param {Object} options
+ * @param {number} options.k - RRF damping constant (default: RRF_K)
+ * @param {number} options.limit - Maximum number of fused results
+ * @returns {Array} Fused contexts with score = RRF score and per-ranking ranks/scores
+ */
+export const fuseByReciprocalRank = (rankings, { k = config.RRF_K, limit } = {}) => {
+  const fused = new Map();
+
+  for (const [name, ranking] of Object.entries(rankings)) {
+    ranking.forEach((ctx, idx) => {
+      const key = chunkKey(ctx);
+      const entry = fused.get(key) || { ...ctx, score: 0, ranks: {}, scores: {} };
+
+      entry.score += 1 / (k + idx + 1);
+      entry.ranks[name] = idx + 1;
+      entry.scores[name] = ctx.score;
+      fused.set(key, entry);
+    });
+  }
+
+  const results = [...fused.values()].sort((a, b) => b.score - a.score);
+  return limit ? results.slice(0, limit) : results;
+};
+
+/**
+ * Retrieve relevant context from a source's Qdrant collections
  * @param {Object} params - Retrieval parameters
  * @param {string} params.query - User query to search for
  * @param {string} params.collectionName - Qdrant collection name
  * @param {number} params.limit - Maximum number of results to return
- * @returns {Promise<Array>} Array of context objects with text, score, and metadata
+ * @param {string} params.mode - "dense" | "sparse" | "hybrid" (default: dense)
+ * @returns {Promise<Array>} Array of context objects with text, score, mode, and metadata
+ * @note Sources without a sparse index fall back to dense retrieval
  */
-export const retrieveFromVector = async ({ query, collectionName, limit = 5 }) => {
+export const retrieveFromVector = async ({
+  query,
+  collectionName,
+  limit = 5,
+  mode = RetrievalModesEnum.DENSE,
+}) => {
   try {
     if (!query || typeof query !== "string" || query.trim() === "") {
       throw new Error("Query is required and must be a non-empty string");
@@ -21,46 +120,228 @@ export const retrieveFromVector = async ({ query, collectionName, limit = 5 }) =
       throw new Error("Collection name is required");
     }
 
-    // Initialize OpenAI embeddings
-    const embeddings = new OpenAIEmbeddings({
-      model: config.OPENAI_EMBEDDING_MODEL,
-      openAIApiKey: config.OPENAI_API_KEY,
-    });
+    if (!AvailableRetrievalModes.includes(mode)) {
+      throw new Error(`Unknown retrieval mode: ${mode}`);
+    }
 
-    // Setup Qdrant client
-    const clientOptions = { url: config.QDRANT_URL };
-    if (config.QDRANT_API_KEY) {
-      clientOptions.apiKey = config.QDRANT_API_KEY;
+    const vectorMetadata = await VectorIndexMetadata.findOne({ collectionName }).lean();
+
+    let effectiveMode = mode;
+    if (mode !== RetrievalModesEnum.DENSE && !vectorMetadata?.sparseCollectionName) {
+      console.warn(`No sparse index for ${collectionName}; falling back to dense retrieval`);
+      effectiveMode = RetrievalModesEnum.DENSE;
     }
 
-    const client = new QdrantClient(clientOptions);
+    if (effectiveMode !== RetrievalModesEnum.SPARSE) {
+      // Reject queries against collections embedded with a different model
+      await assertEmbeddingCompatibility(vectorMetadata);
+    }
 
-    // Connect to existing Qdrant collection
-    const vectorStore = await QdrantVectorStore.fromExistingCollection(
-      embeddings,
-      {
-        client,
-        collectionName,
-      }
-    );
+    let contexts;
+
+    if (effectiveMode === RetrievalModesEnum.DENSE) {
+      contexts = await retrieveDense({ query, collectionName, limit });
+    } else if (effectiveMode === RetrievalModesEnum.SPARSE) {
+      contexts = await searchSparse({ query, collectionName, limit });
+    } else {
+      // Over-fetch both rankings so fusion can promote chunks ranked low by one retriever
+      const candidates = Math.max(limit * HYBRID_CANDIDATE_MULTIPLIER, HYBRID_MIN_CANDIDATES);
+      const [dense, sparse] = await Promise.all([
+        retrieveDense({ query, collectionName, limit: candidates }),
+        searchSparse({ query, collectionName, limit: candidates }),
+      ]);
+      contexts = fuseByReciprocalRank({ dense, sparse }, { limit });
+    }
 
-    // Perform similarity search with scores
-    const results = await vectorStore.similaritySearchWithScore(query, limit);
-
-    // Transform results to structured context objects
-    const contexts = results.map(([doc, score]) => ({
-      text: doc.pageContent,
-      score,
-      metadata: {
-        sourceId: doc.metadata?.sourceId,
-        sourceType: doc.metadata?.sourceType,
-        ...doc.metadata,
-      },
-    }));
-
-    return contexts;
+    return contexts.map((ctx) => ({ ...ctx, mode: effectiveMode }));
   } catch (error) {
     console.error("Vector retrieval error:", error);
     throw new Error(`Failed to retrieve from vector store: ${error.message}`);
   }
 };
+
+/**
+ * Resolve which session sources a search should cover
+ * Filters match a source ID exactly or a title case-insensitively.
+ * @param {Array} sources - Session sources ({ _id, title, sourceType, collectionName })
+ * @param {Array<string>} filters - Optional source IDs or titles
+ * @returns {Object} { selected, unmatched }
+ */
+export const selectSources = (sources = [], filters = []) => {
+  if (!filters || filters.length === 0) {
+    return { selected: sources, unmatched: [] };
+  }
+
+  const matches = (source, filter) => {
+    const value = filter.trim().toLowerCase();
+    return (
+      source._id?.toString() === filter.trim() ||
+      (source.title || "").trim().toLowerCase() === value
+    );
+  };
+
+  const selected = sources.filter((source) => filters.some((filter) => matches(source, filter)));
+  const unmatched = filters.filter((filter) => !sources.some((source) => matches(source, filter)));
+
+  return { selected, unmatched };
+};
+
+/**
+ * Search several collections in parallel and merge the results
+ * Dense scores share one embedding space (enforced at query time), so dense hits are
+ * merged on their raw cosine similarity. BM25 and fused scores depend on each
+ * collection's statistics; once any collection answers in those modes, hits are merged
+ * by reciprocal rank within their collection instead, as hybrid mode fuses rankings.
+ * normalizedScore is the 0-1 relevance the merge ranked on.
+ * @param {Object} params - Retrieval parameters
+ * @param {string} params.query - User query to search for
+ * @param {Array} params.sources - Sources to search ({ _id, title, sourceType, collectionName, fileUrl })
+ * @param {number} params.limit - Maximum number of merged results
+ * @param {number} params.perCollectionLimit - Results fetched from each collection (default: limit)
+ * @param {string} params.mode - Retrieval mode passed to each collection search
+ * @returns {Promise<Object>} { contexts, searched, failed }
+ */
+export const retrieveFromCollections = async ({
+  query,
+  sources = [],
+  limit = 5,
+  perCollectionLimit = limit,
+  mode,
+}) => {
+  const searchable = sources.filter((source) => source.collectionName);
+
+  // Step 1: Fan out one search per collection
+  const settled = await Promise.allSettled(
+    searchable.map((source) =>
+      retrieveFromVector({
+        query,
+        collectionName: source.collectionName,
+        limit: perCollectionLimit,
+        mode,
+      })
+    )
+  );
+
+  // Step 2: Tag each hit with its source, collecting per-source failures
+  const hits = [];
+  const failed = [];
+
+  settled.forEach((outcome, idx) => {
+    const source = searchable[idx];
+
+    if (outcome.status === "rejected") {
+      failed.push({
+        sourceId: source._id,
+        title: source.title,
+        error: outcome.reason?.message || String(outcome.reason),
+      });
+      return;
+    }
+
+    outcome.value.forEach((ctx, idx) => {
+      hits.push({
+        ...ctx,
+        sourceId: source._id,
+        sourceTitle: source.title,
+        sourceUrl: source.fileUrl,
+        collectionName: source.collectionName,
+        sourceRank: idx + 1,
+      });
+    });
+  });
+
+  // Step 3: Merge on raw cosine scores, or by rank when any score is collection-specific
+  const fuseByRank = hits.some((hit) => hit.mode !== RetrievalModesEnum.DENSE);
+
+  const contexts = hits
+    .map((hit) => ({
+      ...hit,
+      // Reciprocal rank scaled so each collection's best hit scores 1
+      normalizedScore: fuseByRank
+        ? (config.RRF_K + 1) / (config.RRF_K + hit.sourceRank)
+        : Math.min(1, Math.max(0, hit.score)),
+    }))
+    .sort((a, b) => b.normalizedScore - a.normalizedScore)
+    .slice(0, limit);
+
+  return {
+    contexts,
+    searched: searchable.map((source) => ({ sourceId: source._id, title: source.title })),
+    failed,
+  };
+};
+
+/**
+ * Search session sources with an optional reranking stage
+ * With a reranker, limit × rerankMultiplier candidates are retrieved and
+ * reranked down to limit; a failing reranker falls back to retrieval order.
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - User query to search for
+ * @param {Array} params.sources - Sources to search ({ _id, title, sourceType, collectionName, fileUrl })
+ * @param {number} params.limit - Number of results to return
+ * @param {string} params.mode - Retrieval mode
+ * @param {string} params.reranker - RerankerProvidersEnum value (default: none)
+ * @param {number} params.rerankMultiplier - Candidate over-fetch factor (default: RERANK_CANDIDATE_MULTIPLIER)
+ * @param {AbortSignal} params.signal - Optional signal; a cancelled reply skips reranking
+ * @returns {Promise<Object>} { contexts, searched, failed, reranker, rerankError, timings }
+ */
+export const searchSources = async ({
+  query,
+  sources = [],
+  limit = 5,
+  mode,
+  reranker = RerankerProvidersEnum.NONE,
+  rerankMultiplier = config.RERANK_CANDIDATE_MULTIPLIER,
+  signal,
+}) => {
+  const startedAt = Date.now();
+  const shouldRerank = reranker && reranker !== RerankerProvidersEnum.NONE;
+  const candidateLimit = shouldRerank ? limit * rerankMultiplier : limit;
+
+  // Step 1: Retrieve candidates from every collection
+  const retrieval = await retrieveFromCollections({
+    query,
+    sources,
+    limit: candidateLimit,
+    perCollectionLimit: candidateLimit,
+    mode,
+  });
+  const retrievalMs = Date.now() - startedAt;
+  signal?.throwIfAborted();
+
+  // Step 2: Rerank candidates down to the requested limit
+  let contexts = retrieval.contexts.slice(0, limit);
+  let rerankError = null;
+  let rerankMs = 0;
+
+  if (shouldRerank && retrieval.contexts.length > 0) {
+    const rerankStartedAt = Date.now();
+    try {
+      contexts = await rerankContexts({
+        query,
+        contexts: retrieval.contexts,
+        provider: reranker,
+        limit,
+        signal,
+      });
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.error("Rerank error, using retrieval order:", error);
+      rerankError = error.message;
+    }
+    rerankMs = Date.now() - rerankStartedAt;
+  }
+
+  return {
+    ...retrieval,
+    contexts,
+    reranker: shouldRerank && !rerankError ? reranker : RerankerProvidersEnum.NONE,
+    rerankError,
+    timings: {
+      candidates: retrieval.contexts.length,
+      retrievalMs,
+      rerankMs,
+      totalMs: Date.now() - startedAt,
+    },
+  };
+};
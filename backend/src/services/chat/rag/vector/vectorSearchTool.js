@@ -1,47 +1,112 @@
 import { tool } from "@openai/agents";
 import { z } from "zod";
-import { retrieveFromVector } from "./vectorRetriever.js";
+import { searchSources, selectSources } from "./vectorRetriever.js";
+import { buildCitation } from "./citations.js";
+import { getToolContext } from "../toolContext.js";
+import { AvailableRetrievalModes } from "#utils/constants.js";
+import config from "#config/config.js";
 
 /**
  * RAG tool for vector retrieval using Qdrant
- * Exposed to OpenAI Agent for retrieving relevant context from indexed sources
+ * Exposed to OpenAI Agent for retrieving relevant context from indexed sources.
+ * Searches every collection attached to the session in parallel unless narrowed by `sources`,
+ * then applies the session's reranker (if any).
  */
 export const vectorSearchTool = tool({
   name: "vector_search",
   description: 
     "Search through indexed documents using semantic similarity. " +
     "Use this to find relevant information from the user's uploaded sources (PDFs, GitHub repos). " +
+    "Searches all sources attached to the chat by default; pass `sources` to narrow the search. " +
+    "Use mode \"sparse\" or \"hybrid\" for exact identifiers (function names, error codes, config keys). " +
+    "Each result has a citation label (e.g. \"Title, p. 12\") to use when citing. " +
     "Always use this tool before answering questions that require knowledge from the sources.",
   parameters: z.object({
     query: z.string().describe("The search query to find relevant information"),
-    collection: z.string().describe("The Qdrant collection name to search in"),
+    sources: z
+      .array(z.string())
+      .nullable()
+      .optional()
+      .describe("Optional source IDs or titles to restrict the search to (default: all sources)"),
+    mode: z
+      .enum(AvailableRetrievalModes)
+      .nullable()
+      .optional()
+      .describe(
+        "Retrieval mode: dense (semantic), sparse (BM25 keyword) or hybrid (both, fused). Defaults to the session setting"
+      ),
     limit: z.number().optional().default(5).describe("Maximum number of results to return (default: 5)"),
   }),
-  execute: async ({ query, collection, limit }) => {
+  execute: async ({ query, sources: sourceFilters, mode, limit }, runContext) => {
     try {
-      const contexts = await retrieveFromVector({
+      const { sources, retrieval, signal } = getToolContext(runContext);
+      const effectiveMode = mode || retrieval.mode || config.DEFAULT_RETRIEVAL_MODE;
+
+      if (sources.length === 0) {
+        return {
+          success: false,
+          message: "No indexed sources are attached to this chat.",
+          contexts: [],
+        };
+      }
+
+      const { selected, unmatched } = selectSources(sources, sourceFilters || []);
+
+      if (selected.length === 0) {
+        return {
+          success: false,
+          message: `None of the requested sources are attached to this chat: ${unmatched.join(", ")}`,
+          contexts: [],
+        };
+      }
+
+      const { contexts, searched, failed, reranker, rerankError, timings } = await searchSources({
         query,
-        collectionName: collection,
+        sources: selected,
         limit,
+        mode: effectiveMode,
+        reranker: retrieval.reranker || config.RERANKER_PROVIDER,
+        rerankMultiplier: retrieval.rerankMultiplier || config.RERANK_CANDIDATE_MULTIPLIER,
+        signal,
       });
 
+      const warnings = [
+        ...unmatched.map((filter) => `Unknown source ignored: ${filter}`),
+        ...failed.map((f) => `Search failed for "${f.title}": ${f.error}`),
+        ...(rerankError ? [`Reranking failed, results are in retrieval order: ${rerankError}`] : []),
+      ];
+
       if (!contexts || contexts.length === 0) {
         return {
           success: false,
           message: "No relevant information found in the indexed sources.",
+          searched_sources: searched,
+          ...(warnings.length > 0 && { warnings }),
+          timings,
           contexts: [],
         };
       }
 
       return {
         success: true,
-        message: `Found ${contexts.length} relevant chunks from the sources.`,
+        message: `Found ${contexts.length} relevant chunks across ${searched.length} source(s).`,
+        retrieval_mode: effectiveMode,
+        reranker,
+        searched_sources: searched,
+        ...(warnings.length > 0 && { warnings }),
+        timings,
         contexts: contexts.map((ctx, idx) => ({
           index: idx + 1,
+          chunk_id: ctx.metadata?.chunkId || null,
           text: ctx.text,
-          relevance_score: ctx.score.toFixed(4),
-          source_id: ctx.metadata.sourceId,
+          relevance_score: ctx.normalizedScore.toFixed(4),
+          similarity: ctx.score.toFixed(4),
+          ...(ctx.rerankScore !== undefined && { rerank_score: ctx.rerankScore.toFixed(4) }),
+          source_id: ctx.sourceId,
+          source_title: ctx.sourceTitle,
           source_type: ctx.metadata.sourceType,
+          citation: buildCitation(ctx),
+          ...(ctx.ranks && { ranks: ctx.ranks }),
         })),
       };
     } catch (error) {
@@ -53,4 +118,4 @@ export const vectorSearchTool = tool({
       };
     }
   },
-});
\ No newline at end of file
+});
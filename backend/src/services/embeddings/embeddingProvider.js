@@ -0,0 +1,142 @@
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { ApiError } from "#utils/api-error.js";
+import { EmbeddingProvidersEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { LocalHashEmbeddings } from "./localHashEmbeddings.js";
+
+/**
+ * Known output sizes for OpenAI embedding models
+ */
+const OPENAI_MODEL_DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+};
+
+/**
+ * Describe the configured embedding provider
+ * @returns {Object} { provider, model, dimension } (dimension may be null until probed)
+ */
+export const getEmbeddingInfo = () => {
+  const provider = config.EMBEDDING_PROVIDER;
+
+  switch (provider) {
+    case EmbeddingProvidersEnum.OPENAI:
+      return {
+        provider,
+        model: config.EMBEDDING_MODEL,
+        dimension: config.EMBEDDING_DIMENSIONS || OPENAI_MODEL_DIMENSIONS[config.EMBEDDING_MODEL] || null,
+      };
+    case EmbeddingProvidersEnum.OPENAI_COMPATIBLE:
+      return {
+        provider,
+        model: config.EMBEDDING_MODEL,
+        dimension: config.EMBEDDING_DIMENSIONS || null,
+      };
+    case EmbeddingProvidersEnum.LOCAL: {
+      const dimension = config.EMBEDDING_DIMENSIONS || 384;
+      return {
+        provider,
+        model: `local-hash-${dimension}`,
+        dimension,
+      };
+    }
+    default:
+      throw new ApiError(500, `Unknown embedding provider: ${provider}`);
+  }
+};
+
+let cachedEmbeddings = null;
+
+/**
+ * Get the LangChain embeddings instance for the configured provider
+ * Providers:
+ *  - openai: OpenAI embeddings API
+ *  - openai_compatible: any server exposing /v1/embeddings (vLLM, llama.cpp, TEI, Ollama...)
+ *  - local: deterministic hashing embedder, no network (air-gapped dev / CI)
+ * @returns {Object} Embeddings instance (embedDocuments / embedQuery)
+ */
+export const getEmbeddings = () => {
+  if (cachedEmbeddings) return cachedEmbeddings;
+
+  const { provider, model, dimension } = getEmbeddingInfo();
+
+  switch (provider) {
+    case EmbeddingProvidersEnum.OPENAI:
+      cachedEmbeddings = new OpenAIEmbeddings({
+        model,
+        openAIApiKey: config.OPENAI_API_KEY,
+        ...(config.EMBEDDING_DIMENSIONS && { dimensions: config.EMBEDDING_DIMENSIONS }),
+      });
+      break;
+    case EmbeddingProvidersEnum.OPENAI_COMPATIBLE:
+      if (!config.EMBEDDING_BASE_URL) {
+        throw new ApiError(500, "EMBEDDING_BASE_URL is required for the openai_compatible embedding provider");
+      }
+      cachedEmbeddings = new OpenAIEmbeddings({
+        model,
+        // Many self-hosted servers ignore the key but the client requires one
+        openAIApiKey: config.EMBEDDING_API_KEY || "not-needed",
+        configuration: { baseURL: config.EMBEDDING_BASE_URL },
+      });
+      break;
+    case EmbeddingProvidersEnum.LOCAL:
+      cachedEmbeddings = new LocalHashEmbeddings({ dimensions: dimension });
+      break;
+  }
+
+  return cachedEmbeddings;
+};
+
+let probedDimension = null;
+
+/**
+ * Resolve the embedding dimension, probing the provider once if it is not configured
+ * @returns {Promise<number>} Vector size
+ */
+export const getEmbeddingDimension = async () => {
+  const { dimension } = getEmbeddingInfo();
+  if (dimension) return dimension;
+
+  if (!probedDimension) {
+    const vector = await getEmbeddings().embedQuery("dimension probe");
+    probedDimension = vector.length;
+  }
+
+  return probedDimension;
+};
+
+/**
+ * Ensure a collection was embedded with the same provider/model/dimension as the active provider
+ * Vectors from different models are not comparable, so mismatched queries are rejected.
+ * Collections indexed before embedding metadata was recorded are assumed compatible.
+ * @param {Object} vectorMetadata - VectorIndexMetadata record for the collection
+ * @throws {ApiError} 409 if the collection was embedded with a different model
+ */
+export const assertEmbeddingCompatibility = async (vectorMetadata) => {
+  if (!vectorMetadata?.embeddingModel) return;
+
+  const { provider, model } = getEmbeddingInfo();
+  const dimension = await getEmbeddingDimension();
+
+  const mismatch =
+    vectorMetadata.embeddingProvider !== provider ||
+    vectorMetadata.embeddingModel !== model ||
+    (vectorMetadata.embeddingDimension && vectorMetadata.embeddingDimension !== dimension);
+
+  if (mismatch) {
+    throw new ApiError(
+      409,
+      `Collection ${vectorMetadata.collectionName} was embedded with ` +
+        `${vectorMetadata.embeddingProvider}/${vectorMetadata.embeddingModel} (${vectorMetadata.embeddingDimension}d), ` +
+        `but the active embedding provider is ${provider}/${model} (${dimension}d). Re-index the source to query it.`
+    );
+  }
+};
+
+export default {
+  getEmbeddings,
+  getEmbeddingInfo,
+  getEmbeddingDimension,
+  assertEmbeddingCompatibility,
+};
@@ -0,0 +1,55 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { fnv1a, tokenize } from "./tokenizer.js";
+
+/**
+ * Deterministic local embedder using signed feature hashing
+ * Unigrams and bigrams are hashed into a fixed number of buckets and L2-normalized.
+ * No network access or model weights: intended for air-gapped dev and CI, where
+ * reproducible vectors matter more than semantic quality.
+ */
+export class LocalHashEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields
+   * @param {number} fields.dimensions - Vector size (default: 384)
+   */
+  constructor({ dimensions = 384, ...rest } = {}) {
+    super(rest);
+    this.dimensions = dimensions;
+    this.model = `local-hash-${dimensions}`;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text || "");
+    const features = [...tokens];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      const bucket = hash % this.dimensions;
+      // Highest bit picks the sign so collisions tend to cancel out
+      vector[bucket] += hash & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      // Cosine distance is undefined for zero vectors; map empty text to a fixed unit vector
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map((v) => v / norm);
+  }
+
+  async embedDocuments(documents) {
+    return documents.map((doc) => this.embedText(doc));
+  }
+
+  async embedQuery(document) {
+    return this.embedText(document);
+  }
+}
+
+export default LocalHashEmbeddings;
@@ -0,0 +1,43 @@
+/**
+ * FNV-1a 32-bit hash
+ * @param {string} text - Input text
+ * @returns {number} Unsigned 32-bit hash
+ */
+export const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Split text into lowercase word tokens, also breaking camelCase and snake_case
+ * identifiers so code symbols share features with their parts
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  const words = text.match(/[A-Za-z0-9_]+/g) || [];
+
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    tokens.push(lower);
+
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .split(/[\s_]+/)
+      .map((part) => part.toLowerCase())
+      .filter((part) => part && part !== lower);
+    tokens.push(...parts);
+  }
+
+  return tokens;
+};
+
+export default {
+  fnv1a,
+  tokenize,
+};
@@ -0,0 +1,273 @@
+import neo4j from "neo4j-driver";
+import config from "#config/config.js";
+
+const driver = neo4j.driver(
+  config.NEO4J_URI,
+  neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
+);
+
+const MAX_DEPTH = 3;
+const MAX_ANCHORS = 50;
+const MAX_NODES = 1000;
+
+/**
+ * Stable, property-derived IDs so the Studio panel can diff and re-layout
+ * subgraphs across queries (Neo4j internal IDs may be reused after deletes).
+ */
+const entityNodeId = (sourceId, name) => `entity:${sourceId}:${name}`;
+const fileNodeId = (sourceId, path) => `file:${sourceId}:${path}`;
+const sourceNodeId = (sourceId) => `source:${sourceId}`;
+const edgeId = (type, from, to) => `${type}:${from}->${to}`;
+
+const clampInt = (value, fallback, min, max) => {
+  const parsed = Math.floor(Number(value));
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+};
+
+/**
+ * VISUALIZATION GRAPH RETRIEVER
+ * Purpose:
+ *  - Return a raw subgraph (nodes + edges) for the Studio KG panel
+ *  - Stable IDs and layout metadata (type, sourceId, degree, hop)
+ *  - NOT for chat grounding (see fetchGraphFacts)
+ *
+ * @param {Object} params - Query parameters
+ * @param {string} params.query - Text used to select anchor entities
+ * @param {Array<string>} params.sourceIds - Source IDs that scope the subgraph
+ * @param {number} params.depth - Neighborhood depth around anchors (1-3, default: 1)
+ * @param {number} params.anchorLimit - Maximum anchor entities (default: 10)
+ * @param {number} params.maxNodes - Maximum nodes returned (default: 300)
+ * @param {boolean} params.includeFiles - Include File/Source nodes (default: true)
+ * @returns {Promise<Object>} { nodes, edges, stats }
+ */
+export const fetchGraphSubgraph = async ({
+  query,
+  sourceIds,
+  depth = 1,
+  anchorLimit = 10,
+  maxNodes = 300,
+  includeFiles = true,
+}) => {
+  // Variable-length patterns cannot be parameterized in Cypher, so depth is clamped here
+  const safeDepth = clampInt(depth, 1, 1, MAX_DEPTH);
+  const safeAnchorLimit = clampInt(anchorLimit, 10, 1, MAX_ANCHORS);
+  const safeMaxNodes = clampInt(maxNodes, 300, 1, MAX_NODES);
+  // Every anchor gets its share of the node budget at each hop distance
+  const pathsPerHop = Math.ceil(safeMaxNodes / safeAnchorLimit);
+  const scopedSourceIds = sourceIds.map(String);
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+
+  try {
+    const hopBranches = Array.from({ length: safeDepth }, (_, i) => `
+        UNION ALL
+        WITH anchor
+        MATCH path = (anchor)-[*${i + 1}..${i + 1}]-(neighbor:Entity)
+        WHERE ALL(n IN nodes(path) WHERE n:Entity AND n.sourceId IN $sourceIds)
+        RETURN path
+        LIMIT $pathsPerHop`).join("");
+
+    const cypher = `
+      // 1. Anchor entity selection
+      MATCH (anchor:Entity)
+      WHERE anchor.sourceId IN $sourceIds
+        AND (
+          toLower(anchor.name) CONTAINS toLower($query)
+          OR toLower(anchor.type) CONTAINS toLower($query)
+        )
+      WITH anchor
+      ORDER BY
+        CASE
+          WHEN toLower(anchor.name) = toLower($query) THEN 0
+          WHEN toLower(anchor.name) STARTS WITH toLower($query) THEN 1
+          ELSE 2
+        END,
+        anchor.name ASC
+      LIMIT $anchorLimit
+
+      // 2. Neighborhood expansion, scoped to session sources
+      // One capped branch per hop distance, so a hub anchor cannot crowd out the others and
+      // no branch enumerates more paths than it returns; the null row keeps isolated anchors
+      CALL {
+        WITH anchor
+        RETURN null AS path
+        ${hopBranches}
+      }
+
+      RETURN
+        anchor,
+        nodes(path) AS pathNodes,
+        relationships(path) AS pathRels
+      ORDER BY CASE WHEN path IS NULL THEN 0 ELSE length(path) END ASC
+    `;
+
+    const result = await session.run(cypher, {
+      query,
+      sourceIds: scopedSourceIds,
+      anchorLimit: neo4j.int(safeAnchorLimit),
+      pathsPerHop: neo4j.int(pathsPerHop),
+    });
+
+    const nodes = new Map();
+    const edges = new Map();
+    const idByIdentity = new Map();
+    let truncated = false;
+
+    const addEntityNode = (node, hop, isAnchor) => {
+      const identity = node.identity.toString();
+      const existingId = idByIdentity.get(identity);
+
+      if (existingId) {
+        const existing = nodes.get(existingId);
+        existing.hop = Math.min(existing.hop, hop);
+        existing.isAnchor = existing.isAnchor || isAnchor;
+        return true;
+      }
+
+      if (nodes.size >= safeMaxNodes) {
+        truncated = true;
+        return false;
+      }
+
+      const { name, type, sourceId } = node.properties;
+      const id = entityNodeId(sourceId, name);
+
+      idByIdentity.set(identity, id);
+      nodes.set(id, {
+        id,
+        label: name,
+        kind: "entity",
+        type: type || "Unknown",
+        sourceId,
+        isAnchor,
+        hop,
+        degree: 0,
+      });
+      return true;
+    };
+
+    const addEdge = (type, from, to) => {
+      const id = edgeId(type, from, to);
+      if (edges.has(id)) return;
+
+      edges.set(id, { id, source: from, target: to, type });
+      nodes.get(from).degree++;
+      nodes.get(to).degree++;
+    };
+
+    // Anchors first so they survive truncation
+    for (const record of result.records) {
+      addEntityNode(record.get("anchor"), 0, true);
+    }
+
+    // Paths are ordered by length, so truncation drops the farthest neighbors first
+    const pathsByHop = new Map();
+    for (const record of result.records) {
+      const pathNodes = record.get("pathNodes") || [];
+      const pathRels = record.get("pathRels") || [];
+
+      if (pathNodes.length === 0) continue;
+
+      // A full branch means the anchor has more neighbors at that distance than were returned
+      const hopKey = `${record.get("anchor").identity}:${pathRels.length}`;
+      pathsByHop.set(hopKey, (pathsByHop.get(hopKey) || 0) + 1);
+      if (pathsByHop.get(hopKey) >= pathsPerHop) truncated = true;
+
+      const pathFits = pathNodes.every((node, hop) => addEntityNode(node, hop, hop === 0));
+      if (!pathFits) continue;
+
+      for (const rel of pathRels) {
+        const from = idByIdentity.get(rel.start.toString());
+        const to = idByIdentity.get(rel.end.toString());
+        if (from && to) {
+          addEdge(rel.type, from, to);
+        }
+      }
+    }
+
+    // 3. File / Source grounding for the entities in view
+    if (includeFiles && nodes.size > 0) {
+      const entities = [...nodes.values()].map((n) => ({
+        name: n.label,
+        sourceId: n.sourceId,
+      }));
+
+      const fileResult = await session.run(
+        `
+        UNWIND $entities AS ent
+        MATCH (f:File {sourceId: ent.sourceId})-[:MENTIONS]->(e:Entity {name: ent.name, sourceId: ent.sourceId})
+        OPTIONAL MATCH (s:Source {id: f.sourceId})-[:HAS_FILE]->(f)
+        RETURN ent.name AS entityName, ent.sourceId AS sourceId, f, s
+        `,
+        { entities },
+      );
+
+      for (const record of fileResult.records) {
+        const sourceId = record.get("sourceId");
+        const file = record.get("f");
+        const sourceNode = record.get("s");
+        const entityId = entityNodeId(sourceId, record.get("entityName"));
+        const fileId = fileNodeId(sourceId, file.properties.path);
+
+        if (!nodes.has(fileId)) {
+          if (nodes.size >= safeMaxNodes) {
+            truncated = true;
+            continue;
+          }
+          nodes.set(fileId, {
+            id: fileId,
+            label: file.properties.path,
+            kind: "file",
+            type: "File",
+            sourceId,
+            language: file.properties.language,
+            isAnchor: false,
+            hop: nodes.get(entityId).hop + 1,
+            degree: 0,
+          });
+        }
+        addEdge("MENTIONS", fileId, entityId);
+
+        if (sourceNode) {
+          const sourceKey = sourceNodeId(sourceId);
+          if (!nodes.has(sourceKey)) {
+            if (nodes.size >= safeMaxNodes) {
+              truncated = true;
+              continue;
+            }
+            nodes.set(sourceKey, {
+              id: sourceKey,
+              label: sourceId,
+              kind: "source",
+              type: "Source",
+              sourceId,
+              sourceType: sourceNode.properties.sourceType,
+              isAnchor: false,
+              hop: nodes.get(fileId).hop + 1,
+              degree: 0,
+            });
+          }
+          addEdge("HAS_FILE", sourceKey, fileId);
+        }
+      }
+    }
+
+    const nodeList = [...nodes.values()];
+    const edgeList = [...edges.values()];
+
+    return {
+      nodes: nodeList,
+      edges: edgeList,
+      stats: {
+        anchorCount: nodeList.filter((n) => n.isAnchor).length,
+        nodeCount: nodeList.length,
+        edgeCount: edgeList.length,
+        depth: safeDepth,
+        truncated,
+      },
+    };
+  } finally {
+    await session.close();
+  }
+};
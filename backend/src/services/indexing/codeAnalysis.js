@@ -0,0 +1,641 @@
+import { parse } from "@babel/parser";
+
+/**
+ * Static analysis of source files for the code-structure graph
+ * Each analyzer turns one file into a symbol table:
+ *  - definitions: [{ kind, name, qualifiedName, parent, startLine, endLine, bases }]
+ *    kind is "class", "function" or "method"; parent is the qualifiedName of the
+ *    enclosing class/function (null at file level); bases are raw superclass names
+ *  - imports: [{ source, level, line, names: [{ local, imported }] }]
+ *    imported is an exported name, "default" or "*" (the whole module); level is the
+ *    number of leading dots of a Python relative import
+ *  - exports: [{ name, local, source }] (source is set for re-exports)
+ *  - calls: [{ caller, object, name, line }] (caller is null at file level; object is
+ *    null for bare calls, "this"/"self" for method calls, or the receiver's name)
+ * Names are not resolved across files here; see codeGraph.js.
+ */
+
+/**
+ * File extensions analyzed, by language
+ */
+const LANGUAGE_BY_EXTENSION = {
+  js: "javascript",
+  jsx: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  mts: "typescript",
+  cts: "typescript",
+  py: "python",
+};
+
+/**
+ * Language of a repository file, or null when it is not analyzed
+ * Minified bundles are skipped.
+ * @param {string} filePath - Path within the repository
+ * @returns {string|null} "javascript", "typescript" or "python"
+ */
+export const getCodeLanguage = (filePath) => {
+  const fileName = String(filePath).split("/").pop() || "";
+  if (/\.min\.[cm]?js$/.test(fileName) || fileName.endsWith(".d.ts")) return null;
+  return LANGUAGE_BY_EXTENSION[fileName.split(".").pop()] || null;
+};
+
+const emptyAnalysis = () => ({ definitions: [], imports: [], exports: [], calls: [] });
+
+/**
+ * Dotted name of an identifier/member expression ("React.Component"), or null
+ */
+const toDottedName = (node) => {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "ThisExpression") return "this";
+  if (node.type === "MemberExpression" && !node.computed && node.property.type === "Identifier") {
+    const object = toDottedName(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  return null;
+};
+
+const propertyName = (key) => {
+  if (!key) return null;
+  if (key.type === "Identifier") return key.name;
+  if (key.type === "StringLiteral") return key.value;
+  if (key.type === "PrivateName") return `#${key.id.name}`;
+  return null;
+};
+
+const isFunctionNode = (node) =>
+  node?.type === "FunctionExpression" || node?.type === "ArrowFunctionExpression";
+
+const isRequireCall = (node) =>
+  node?.type === "CallExpression" &&
+  node.callee.type === "Identifier" &&
+  node.callee.name === "require" &&
+  node.arguments[0]?.type === "StringLiteral";
+
+/**
+ * AST keys that never hold child nodes
+ */
+const SKIPPED_KEYS = new Set(["loc", "start", "end", "extra", "leadingComments", "trailingComments", "innerComments"]);
+
+/**
+ * Analyze a JavaScript or TypeScript file
+ * Parsed with error recovery, so a file with syntax errors still yields what was read.
+ * @param {string} code - File content
+ * @param {Object} options
+ * @param {string} options.language - "javascript" or "typescript"
+ * @param {string} options.filePath - Path (tsx/jsx enable JSX)
+ * @returns {Object} { definitions, imports, exports, calls }
+ */
+export const analyzeJavaScript = (code, { language, filePath }) => {
+  const plugins = ["decorators-legacy"];
+  if (language === "typescript") {
+    plugins.push("typescript");
+    if (filePath.endsWith(".tsx")) plugins.push("jsx");
+  } else {
+    plugins.push("jsx");
+  }
+
+  const ast = parse(code, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins,
+  });
+
+  const result = emptyAnalysis();
+  const defined = new Set();
+
+  const define = (kind, name, node, ctx, extra = {}) => {
+    const qualifiedName = ctx.container ? `${ctx.container}.${name}` : name;
+    if (!defined.has(qualifiedName)) {
+      defined.add(qualifiedName);
+      result.definitions.push({
+        kind,
+        name,
+        qualifiedName,
+        parent: ctx.container,
+        startLine: node.loc.start.line,
+        endLine: node.loc.end.line,
+        bases: [],
+        ...extra,
+      });
+    }
+    return qualifiedName;
+  };
+
+  const addImport = (source, line, names = []) => {
+    result.imports.push({ source, level: 0, line, names });
+  };
+
+  const visitChildren = (node, ctx) => {
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((child) => child && typeof child.type === "string" && visit(child, ctx));
+      } else if (value && typeof value.type === "string") {
+        visit(value, ctx);
+      }
+    }
+  };
+
+  const visitClass = (node, name, ctx) => {
+    const base = toDottedName(node.superClass);
+    const qualifiedName = define("class", name, node, ctx, { bases: base ? [base] : [] });
+    if (node.superClass) visit(node.superClass, ctx);
+    visit(node.body, { ...ctx, container: qualifiedName, className: qualifiedName });
+    return qualifiedName;
+  };
+
+  const visitFunction = (node, name, ctx, kind = "function") => {
+    const qualifiedName = define(kind, name, node, ctx);
+    visitChildren(node, { ...ctx, container: qualifiedName, caller: qualifiedName });
+    return qualifiedName;
+  };
+
+  /**
+   * Definition declared by a `const x = () => {}` / `const X = class {}` style binding
+   */
+  const visitBinding = (name, init, node, ctx) => {
+    if (isFunctionNode(init)) {
+      visitFunction(init, name, ctx);
+      return true;
+    }
+    if (init?.type === "ClassExpression") {
+      visitClass({ ...init, loc: node.loc }, name, ctx);
+      return true;
+    }
+    return false;
+  };
+
+  const exportDeclaration = (declaration) => {
+    if (!declaration) return;
+    if (declaration.type === "VariableDeclaration") {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === "Identifier") {
+          result.exports.push({ name: declarator.id.name, local: declarator.id.name, source: null });
+        }
+      }
+    } else if (declaration.id?.name) {
+      result.exports.push({ name: declaration.id.name, local: declaration.id.name, source: null });
+    }
+  };
+
+  const visit = (node, ctx) => {
+    switch (node.type) {
+      case "ImportDeclaration":
+        addImport(
+          node.source.value,
+          node.loc.start.line,
+          node.specifiers.map((specifier) => ({
+            local: specifier.local.name,
+            imported:
+              specifier.type === "ImportDefaultSpecifier"
+                ? "default"
+                : specifier.type === "ImportNamespaceSpecifier"
+                  ? "*"
+                  : propertyName(specifier.imported),
+          }))
+        );
+        return;
+
+      case "ExportNamedDeclaration":
+        if (node.source) {
+          addImport(node.source.value, node.loc.start.line, []);
+          for (const specifier of node.specifiers) {
+            result.exports.push({
+              name: propertyName(specifier.exported),
+              local: specifier.local ? propertyName(specifier.local) : "*",
+              source: node.source.value,
+            });
+          }
+          return;
+        }
+        exportDeclaration(node.declaration);
+        for (const specifier of node.specifiers) {
+          result.exports.push({
+            name: propertyName(specifier.exported),
+            local: propertyName(specifier.local),
+            source: null,
+          });
+        }
+        break;
+
+      case "ExportAllDeclaration":
+        addImport(node.source.value, node.loc.start.line, []);
+        result.exports.push({ name: "*", local: "*", source: node.source.value });
+        return;
+
+      case "ExportDefaultDeclaration": {
+        const { declaration } = node;
+        if (declaration.type === "Identifier") {
+          result.exports.push({ name: "default", local: declaration.name, source: null });
+          return;
+        }
+        if (declaration.type === "FunctionDeclaration" || isFunctionNode(declaration)) {
+          const name = visitFunction(declaration, declaration.id?.name || "default", ctx);
+          result.exports.push({ name: "default", local: name, source: null });
+          return;
+        }
+        if (declaration.type === "ClassDeclaration" || declaration.type === "ClassExpression") {
+          const name = visitClass(declaration, declaration.id?.name || "default", ctx);
+          result.exports.push({ name: "default", local: name, source: null });
+          return;
+        }
+        break;
+      }
+
+      case "ClassDeclaration":
+      case "ClassExpression":
+        if (node.id?.name) {
+          visitClass(node, node.id.name, ctx);
+          return;
+        }
+        break;
+
+      case "FunctionDeclaration":
+        if (node.id?.name) {
+          visitFunction(node, node.id.name, ctx);
+          return;
+        }
+        break;
+
+      case "ClassMethod":
+      case "ClassPrivateMethod": {
+        const name = propertyName(node.key);
+        if (name && ctx.className) {
+          visitFunction(node, name, ctx, "method");
+          return;
+        }
+        break;
+      }
+
+      case "ClassProperty":
+      case "ClassPrivateProperty": {
+        const name = propertyName(node.key);
+        if (name && ctx.className && isFunctionNode(node.value)) {
+          visitFunction(node.value, name, ctx, "method");
+          return;
+        }
+        break;
+      }
+
+      case "VariableDeclarator":
+        if (node.id.type === "Identifier") {
+          if (visitBinding(node.id.name, node.init, node, ctx)) return;
+
+          // const x = require("./x")
+          if (isRequireCall(node.init)) {
+            addImport(node.init.arguments[0].value, node.loc.start.line, [
+              { local: node.id.name, imported: "*" },
+            ]);
+            return;
+          }
+        } else if (node.id.type === "ObjectPattern" && isRequireCall(node.init)) {
+          // const { a, b: c } = require("./x")
+          addImport(
+            node.init.arguments[0].value,
+            node.loc.start.line,
+            node.id.properties
+              .filter((property) => property.type === "ObjectProperty" && property.value.type === "Identifier")
+              .map((property) => ({ local: property.value.name, imported: propertyName(property.key) }))
+          );
+          return;
+        }
+        break;
+
+      case "AssignmentExpression": {
+        // module.exports = ..., module.exports.x = ..., exports.x = ...
+        const target = toDottedName(node.left);
+        const exportName =
+          target === "module.exports"
+            ? "default"
+            : target?.startsWith("module.exports.")
+              ? target.slice("module.exports.".length)
+              : target?.startsWith("exports.")
+                ? target.slice("exports.".length)
+                : null;
+
+        if (exportName) {
+          const { right } = node;
+          if (exportName === "default" && right.type === "ObjectExpression") {
+            for (const property of right.properties) {
+              const name = propertyName(property.key);
+              if (!name) continue;
+              if (property.type === "ObjectProperty" && property.value.type === "Identifier") {
+                result.exports.push({ name, local: property.value.name, source: null });
+              } else if (property.type === "ObjectMethod" || isFunctionNode(property.value)) {
+                const local = visitFunction(property.type === "ObjectMethod" ? property : property.value, name, ctx);
+                result.exports.push({ name, local, source: null });
+              }
+            }
+            return;
+          }
+          if (right.type === "Identifier") {
+            result.exports.push({ name: exportName, local: right.name, source: null });
+            return;
+          }
+          if (isFunctionNode(right) || right.type === "ClassExpression") {
+            const name = exportName === "default" ? right.id?.name || "default" : exportName;
+            visitBinding(name, right, node, ctx);
+            result.exports.push({ name: exportName, local: name, source: null });
+            return;
+          }
+        }
+        break;
+      }
+
+      case "CallExpression":
+      case "NewExpression":
+      case "OptionalCallExpression": {
+        if (isRequireCall(node)) {
+          addImport(node.arguments[0].value, node.loc.start.line, []);
+        } else if (node.callee.type === "Import" && node.arguments[0]?.type === "StringLiteral") {
+          addImport(node.arguments[0].value, node.loc.start.line, []);
+        } else {
+          const callee = toDottedName(node.callee.type === "OptionalMemberExpression"
+            ? { ...node.callee, type: "MemberExpression" }
+            : node.callee);
+          if (callee) {
+            const dot = callee.lastIndexOf(".");
+            result.calls.push({
+              caller: ctx.caller,
+              object: dot === -1 ? null : callee.slice(0, dot),
+              name: dot === -1 ? callee : callee.slice(dot + 1),
+              line: node.loc.start.line,
+            });
+          }
+        }
+        break;
+      }
+
+      case "ImportExpression":
+        if (node.source?.type === "StringLiteral") {
+          addImport(node.source.value, node.loc.start.line, []);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    visitChildren(node, ctx);
+  };
+
+  visit(ast.program, { container: null, className: null, caller: null });
+  return result;
+};
+
+/**
+ * Python words that look like calls ("if (x):", "print (x)" is still a call)
+ */
+const PYTHON_KEYWORDS = new Set([
+  "and", "as", "assert", "async", "await", "class", "def", "del", "elif", "else", "except",
+  "for", "from", "global", "if", "import", "in", "is", "lambda", "nonlocal", "not", "or",
+  "pass", "raise", "return", "while", "with", "yield", "match", "case",
+]);
+
+/**
+ * Split Python source into logical lines with string contents and comments blanked
+ * Bracketed and backslash continuations are joined (keeping their line breaks, so
+ * positions map back to physical lines).
+ * @returns {Array} [{ code, indent, startLine, endLine }]
+ */
+const toPythonLogicalLines = (source) => {
+  const lines = [];
+  let code = "";
+  let startLine = null;
+  let indent = 0;
+  let depth = 0;
+  let quote = null;
+  let lineNumber = 1;
+
+  const finishLine = (endLine) => {
+    if (code.trim()) lines.push({ code: code.trim(), indent, startLine, endLine });
+    code = "";
+    startLine = null;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\n") {
+      if (quote && quote.length === 1) quote = null; // unterminated single-quoted string
+      if (!quote && depth === 0 && !code.endsWith("\\")) {
+        finishLine(lineNumber);
+      } else if (startLine !== null) {
+        if (code.endsWith("\\")) code = code.slice(0, -1);
+        code += "\n";
+      }
+      lineNumber++;
+      continue;
+    }
+
+    if (quote) {
+      if (char === "\\") {
+        i++;
+        // An escaped newline still ends a physical line
+        if (source[i] === "\n") lineNumber++;
+        continue;
+      }
+      if (source.startsWith(quote, i)) {
+        code += quote;
+        i += quote.length - 1;
+        quote = null;
+      }
+      continue;
+    }
+
+    if (startLine === null && !/\s/.test(char)) {
+      if (char === "#") {
+        // Comment-only line
+        while (i + 1 < source.length && source[i + 1] !== "\n") i++;
+        continue;
+      }
+      startLine = lineNumber;
+      const lineStart = source.lastIndexOf("\n", i - 1) + 1;
+      indent = source.slice(lineStart, i).replace(/\t/g, "    ").length;
+      code = "";
+    }
+
+    if (char === "#") {
+      while (i + 1 < source.length && source[i + 1] !== "\n") i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = source.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+      code += quote;
+      i += quote.length - 1;
+      continue;
+    }
+
+    if ("([{".includes(char)) depth++;
+    if (")]}".includes(char)) depth = Math.max(0, depth - 1);
+    code += char;
+  }
+
+  finishLine(lineNumber);
+  return lines;
+};
+
+/**
+ * Parse "a as b, c" / "(a as b, c)" import name lists
+ */
+const parsePythonNames = (text) =>
+  text
+    .replace(/[()]/g, "")
+    .split(",")
+    .map((part) => part.trim().split(/\s+as\s+/))
+    .filter(([name]) => name)
+    .map(([name, alias]) => ({ name: name.trim(), alias: alias?.trim() || null }));
+
+/**
+ * Analyze a Python file
+ * A line scanner rather than a full parser: definitions, imports and calls are read
+ * from logical lines, and blocks are delimited by indentation.
+ * @param {string} code - File content
+ * @returns {Object} { definitions, imports, exports, calls }
+ */
+export const analyzePython = (code) => {
+  const result = emptyAnalysis();
+  const defined = new Set();
+  const stack = [];
+  let dunderAll = null;
+  let lastLine = 0;
+
+  const closeBlocks = (indent) => {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop().definition.endLine = lastLine;
+    }
+  };
+
+  for (const line of toPythonLogicalLines(code)) {
+    closeBlocks(line.indent);
+
+    const parent = stack[stack.length - 1]?.definition || null;
+    const definitionMatch = line.code.match(/^(?:async\s+)?def\s+([A-Za-z_]\w*)/);
+    const classMatch = line.code.match(/^class\s+([A-Za-z_]\w*)\s*(?:\(([\s\S]*)\))?\s*:/);
+
+    if (definitionMatch || classMatch) {
+      const name = (definitionMatch || classMatch)[1];
+      const qualifiedName = parent ? `${parent.qualifiedName}.${name}` : name;
+      const definition = {
+        kind: classMatch ? "class" : parent?.kind === "class" ? "method" : "function",
+        name,
+        qualifiedName,
+        parent: parent?.qualifiedName || null,
+        startLine: line.startLine,
+        endLine: line.endLine,
+        bases: classMatch?.[2]
+          ? classMatch[2]
+              .split(",")
+              .map((base) => base.trim().replace(/\[.*$/, ""))
+              .filter((base) => base && !base.includes("=") && /^[A-Za-z_][\w.]*$/.test(base))
+          : [],
+      };
+
+      if (!defined.has(qualifiedName)) {
+        defined.add(qualifiedName);
+        result.definitions.push(definition);
+      }
+      stack.push({ indent: line.indent, definition });
+      lastLine = line.endLine;
+      continue;
+    }
+
+    lastLine = line.endLine;
+
+    const fromMatch = line.code.match(/^from\s+(\.*)([\w.]*)\s+import\s+([\s\S]+)$/);
+    if (fromMatch) {
+      result.imports.push({
+        source: fromMatch[2],
+        level: fromMatch[1].length,
+        line: line.startLine,
+        names: parsePythonNames(fromMatch[3]).map(({ name, alias }) => ({
+          local: name === "*" ? "*" : alias || name,
+          imported: name,
+        })),
+      });
+      continue;
+    }
+
+    const importMatch = line.code.match(/^import\s+([\s\S]+)$/);
+    if (importMatch) {
+      for (const { name, alias } of parsePythonNames(importMatch[1])) {
+        result.imports.push({
+          source: name,
+          level: 0,
+          line: line.startLine,
+          names: [{ local: alias || name, imported: "*" }],
+        });
+      }
+      continue;
+    }
+
+    if (!parent) {
+      const allMatch = line.code.match(/^__all__\s*=\s*[[(][\s\S]*[\])]$/);
+      if (allMatch) {
+        // String contents are blanked, so re-read the names from the source lines
+        const text = code.split("\n").slice(line.startLine - 1, line.endLine).join(" ");
+        dunderAll = [...text.matchAll(/["']([A-Za-z_]\w*)["']/g)].map((match) => match[1]);
+        continue;
+      }
+    }
+
+    if (line.code.startsWith("@")) continue;
+
+    // Calls belong to the innermost function; class-body and module-level code to the file
+    const caller = [...stack].reverse().find(({ definition }) => definition.kind !== "class")?.definition;
+    for (const match of line.code.matchAll(/(?<![\w.])((?:[A-Za-z_]\w*\.)*[A-Za-z_]\w*)\s*\(/g)) {
+      const callee = match[1];
+      if (PYTHON_KEYWORDS.has(callee)) continue;
+
+      const dot = callee.lastIndexOf(".");
+      const offset = line.code.slice(0, match.index).split("\n").length - 1;
+      result.calls.push({
+        caller: caller?.qualifiedName || null,
+        object: dot === -1 ? null : callee.slice(0, dot),
+        name: dot === -1 ? callee : callee.slice(dot + 1),
+        line: line.startLine + offset,
+      });
+    }
+  }
+
+  closeBlocks(-1);
+
+  const topLevel = result.definitions.filter((definition) => !definition.parent).map(({ name }) => name);
+  const exported = dunderAll || topLevel.filter((name) => !name.startsWith("_"));
+  result.exports = exported.map((name) => ({ name, local: name, source: null }));
+
+  return result;
+};
+
+/**
+ * Analyze a source file
+ * @param {Object} params
+ * @param {string} params.filePath - Path within the repository
+ * @param {string} params.code - File content
+ * @returns {Object|null} { language, definitions, imports, exports, calls }, or null for other languages
+ */
+export const analyzeSourceFile = ({ filePath, code }) => {
+  const language = getCodeLanguage(filePath);
+  if (!language) return null;
+
+  const analysis = language === "python"
+    ? analyzePython(code)
+    : analyzeJavaScript(code, { language, filePath });
+
+  return { language, ...analysis };
+};
+
+export default {
+  getCodeLanguage,
+  analyzeJavaScript,
+  analyzePython,
+  analyzeSourceFile,
+};
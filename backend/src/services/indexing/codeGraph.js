@@ -0,0 +1,585 @@
+import path from "path";
+import neo4j from "neo4j-driver";
+import config from "#config/config.js";
+import { analyzeSourceFile, getCodeLanguage } from "./codeAnalysis.js";
+import { ensureGraphIndexes } from "./graphWriter.js";
+
+const driver = neo4j.driver(
+  config.NEO4J_URI,
+  neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
+);
+
+/**
+ * Files longer than this are not analyzed (generated code, bundles)
+ */
+const MAX_FILE_LENGTH = 500000;
+
+/**
+ * Rows written per transaction
+ */
+const WRITE_BATCH_SIZE = 1000;
+
+/**
+ * Call sites kept per CALLS relationship
+ */
+const MAX_CALL_LINES = 20;
+
+/**
+ * Re-export chains followed when resolving a name
+ */
+const MAX_RESOLVE_DEPTH = 5;
+
+const JS_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs", ".mts", ".cts"];
+
+/**
+ * Rebuild whole files from their indexed chunks
+ * Chunks are placed at their recorded line ranges (loc.lines), so line numbers match
+ * the repository file; small files are stored as a single chunk without a range.
+ * @param {Array} docs - Chunk documents of a GitHub source
+ * @returns {Array} [{ path, code, chunks: [{ id, from, to }] }] for analyzable files
+ */
+const assembleFiles = (docs) => {
+  const byPath = new Map();
+
+  for (const doc of docs) {
+    const filePath = doc.metadata?.path;
+    if (!filePath || !getCodeLanguage(filePath)) continue;
+    if (!byPath.has(filePath)) byPath.set(filePath, []);
+    byPath.get(filePath).push(doc);
+  }
+
+  return [...byPath].map(([filePath, fileDocs]) => {
+    const chunks = fileDocs
+      .map((doc) => ({
+        id: doc.metadata.chunkId || null,
+        from: doc.metadata.loc?.lines?.from ?? 1,
+        to: doc.metadata.loc?.lines?.to ?? Infinity,
+        text: doc.pageContent || "",
+      }))
+      .sort((a, b) => a.from - b.from);
+
+    const lines = [];
+    for (const chunk of chunks) {
+      chunk.text.split("\n").forEach((line, i) => {
+        const index = chunk.from - 1 + i;
+        // A chunk starting mid-line continues the previous chunk's line exactly where it stopped
+        lines[index] = i === 0 && lines[index] ? `${lines[index]}${line}` : line;
+      });
+    }
+
+    return {
+      path: filePath,
+      code: Array.from(lines, (line) => line ?? "").join("\n"),
+      chunks: chunks.map(({ id, from, to }) => ({ id, from, to })),
+    };
+  });
+};
+
+/**
+ * Package an external import belongs to ("@scope/pkg/sub" -> "@scope/pkg", "os.path" -> "os")
+ */
+const toModuleName = (specifier, language) => {
+  if (language === "python") return specifier.split(".")[0];
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+};
+
+/**
+ * Cross-file name resolution over a repository's analyzed files
+ * Only names that resolve to a definition in the repository produce CALLS, EXTENDS
+ * and EXPORTS edges; calls on unknown receivers are dropped rather than guessed.
+ */
+const createResolver = (files) => {
+  const filePaths = new Set(files.keys());
+
+  // Python module names ("pkg.models"), also reachable by their dotted suffixes
+  const pythonModules = new Map();
+  const pythonSuffixes = new Map();
+  for (const filePath of filePaths) {
+    if (!filePath.endsWith(".py")) continue;
+    const moduleName = filePath.slice(0, -3).replace(/\//g, ".").replace(/\.__init__$/, "");
+    pythonModules.set(moduleName, filePath);
+
+    const parts = moduleName.split(".");
+    for (let i = 1; i < parts.length; i++) {
+      const suffix = parts.slice(i).join(".");
+      pythonSuffixes.set(suffix, pythonSuffixes.has(suffix) ? null : filePath);
+    }
+  }
+
+  const resolveJsImport = (fromPath, specifier) => {
+    if (!specifier.startsWith(".")) return null;
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier));
+    // TypeScript ESM imports name the emitted file ("./x.js" for x.ts)
+    const stem = base.replace(/\.[cm]?js$/, "");
+    const candidates = [
+      base,
+      ...JS_EXTENSIONS.map((ext) => `${stem}${ext}`),
+      ...JS_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+    ];
+    return candidates.find((candidate) => filePaths.has(candidate)) || null;
+  };
+
+  const pythonModuleName = (fromPath, { source, level }) => {
+    if (level === 0) return source;
+    const packageParts = path.posix.dirname(fromPath).split("/").filter((part) => part !== ".");
+    const baseParts = packageParts.slice(0, Math.max(0, packageParts.length - (level - 1)));
+    return [...baseParts, ...(source ? source.split(".") : [])].join(".");
+  };
+
+  const resolvePythonModule = (moduleName, relative) => {
+    if (pythonModules.has(moduleName)) return pythonModules.get(moduleName);
+    return relative ? null : pythonSuffixes.get(moduleName) || null;
+  };
+
+  // Local name -> { target, imported, specifier } for every imported binding
+  const importsByFile = new Map();
+  const importTargets = new Map();
+
+  for (const [filePath, file] of files) {
+    const bindings = new Map();
+    const targets = [];
+
+    for (const imp of file.imports) {
+      if (file.language === "python") {
+        const moduleName = pythonModuleName(filePath, imp);
+        const target = resolvePythonModule(moduleName, imp.level > 0);
+        targets.push({ imp, target, names: imp.names.map(({ imported }) => imported) });
+
+        for (const { local, imported } of imp.names) {
+          if (local === "*") continue;
+          // "from pkg import models" may name a submodule rather than a symbol
+          const submoduleName = [moduleName, imported].filter(Boolean).join(".");
+          const submodule = imported !== "*" && resolvePythonModule(submoduleName, imp.level > 0);
+          bindings.set(local, submodule
+            ? { target: submodule, imported: "*", specifier: submoduleName }
+            : { target, imported, specifier: imp.source });
+        }
+      } else {
+        const target = resolveJsImport(filePath, imp.source);
+        targets.push({ imp, target, names: imp.names.map(({ imported }) => imported) });
+        for (const { local, imported } of imp.names) {
+          bindings.set(local, { target, imported, specifier: imp.source });
+        }
+      }
+    }
+
+    importsByFile.set(filePath, bindings);
+    importTargets.set(filePath, targets);
+  }
+
+  const definitionsByFile = new Map(
+    [...files].map(([filePath, file]) => [
+      filePath,
+      new Map(file.definitions.map((definition) => [definition.qualifiedName, definition])),
+    ])
+  );
+
+  const symbol = (filePath, qualifiedName) => {
+    const definition = definitionsByFile.get(filePath)?.get(qualifiedName);
+    return definition ? { type: "symbol", path: filePath, definition } : null;
+  };
+
+  /**
+   * What a name exported by a file refers to
+   */
+  const resolveExport = (filePath, name, depth = 0) => {
+    const file = files.get(filePath);
+    if (!file || depth > MAX_RESOLVE_DEPTH) return null;
+
+    // Python modules expose every top-level name
+    if (file.language === "python") return resolveName(filePath, name, depth + 1);
+
+    for (const entry of file.exports) {
+      if (entry.name !== name) continue;
+      if (entry.source) {
+        const target = resolveJsImport(filePath, entry.source);
+        if (!target) return null;
+        return entry.local === "*"
+          ? { type: "file", path: target }
+          : resolveExport(target, entry.local, depth + 1);
+      }
+      return resolveName(filePath, entry.local, depth + 1);
+    }
+
+    for (const entry of file.exports) {
+      if (entry.name !== "*" || !entry.source) continue;
+      const target = resolveJsImport(filePath, entry.source);
+      const resolved = target && resolveExport(target, name, depth + 1);
+      if (resolved) return resolved;
+    }
+
+    return null;
+  };
+
+  /**
+   * What a name in a file's scope refers to: one of its own top-level definitions,
+   * an imported symbol, a whole imported file or an external module
+   */
+  const resolveName = (filePath, name, depth = 0) => {
+    if (depth > MAX_RESOLVE_DEPTH) return null;
+
+    const own = symbol(filePath, name);
+    if (own) return own;
+
+    const binding = importsByFile.get(filePath)?.get(name);
+    if (!binding) return null;
+    if (!binding.target) return { type: "module", name: binding.specifier };
+    if (binding.imported === "*") return { type: "file", path: binding.target };
+    return resolveExport(binding.target, binding.imported, depth + 1);
+  };
+
+  /**
+   * Resolve a dotted reference ("helper", "utils.format", "os.path.join")
+   */
+  const resolveReference = (filePath, object, name) => {
+    if (!object) {
+      const resolved = resolveName(filePath, name);
+      // CommonJS: calling a required module calls its default export
+      return resolved?.type === "file" ? resolveExport(resolved.path, "default") : resolved;
+    }
+
+    const receiver = resolveName(filePath, object);
+    if (receiver?.type === "file") return resolveExport(receiver.path, name);
+    if (receiver?.type === "symbol" && receiver.definition.kind === "class") {
+      return symbol(receiver.path, `${receiver.definition.qualifiedName}.${name}`);
+    }
+    return null;
+  };
+
+  const resolveBases = (filePath, definition) =>
+    definition.bases
+      .map((base) => {
+        const dot = base.lastIndexOf(".");
+        return dot === -1
+          ? resolveName(filePath, base)
+          : resolveReference(filePath, base.slice(0, dot), base.slice(dot + 1));
+      })
+      .filter((resolved) => resolved?.type === "symbol" && resolved.definition.kind === "class");
+
+  /**
+   * Method lookup along the class hierarchy (this.x() / self.x())
+   */
+  const resolveMethod = (filePath, classDefinition, name, depth = 0) => {
+    if (!classDefinition || depth > MAX_RESOLVE_DEPTH) return null;
+    const own = symbol(filePath, `${classDefinition.qualifiedName}.${name}`);
+    if (own) return own;
+
+    for (const base of resolveBases(filePath, classDefinition)) {
+      const inherited = resolveMethod(base.path, base.definition, name, depth + 1);
+      if (inherited) return inherited;
+    }
+    return null;
+  };
+
+  const enclosingClass = (filePath, definition) => {
+    let current = definition;
+    while (current && current.kind !== "class") {
+      current = current.parent ? definitionsByFile.get(filePath).get(current.parent) : null;
+    }
+    return current;
+  };
+
+  const resolveCall = (filePath, call) => {
+    if (["this", "self", "cls"].includes(call.object)) {
+      const caller = definitionsByFile.get(filePath).get(call.caller);
+      return resolveMethod(filePath, enclosingClass(filePath, caller), call.name);
+    }
+    return resolveReference(filePath, call.object, call.name);
+  };
+
+  return {
+    importTargets,
+    definitionsByFile,
+    resolveName,
+    resolveExport,
+    resolveJsImport,
+    resolveBases,
+    resolveCall,
+  };
+};
+
+const codeNodeId = (filePath, qualifiedName) => `${filePath}#${qualifiedName}`;
+
+/**
+ * Turn analyzed files into node and relationship rows
+ * Relationship endpoints are { kind: "file" | "code", key } (file path or code node ID).
+ * @returns {Object} { files, classes, functions, modules, relationships }
+ */
+const toGraphRows = (files, chunksByFile) => {
+  const resolver = createResolver(files);
+  const classes = [];
+  const functions = [];
+  const modules = new Map();
+  const relationships = new Map();
+
+  const fileRef = (filePath) => ({ kind: "file", key: filePath });
+  const codeRef = (filePath, definition) => ({ kind: "code", key: codeNodeId(filePath, definition.qualifiedName) });
+
+  const relate = (type, from, to, props = {}) => {
+    const key = `${type}\u0000${from.kind}:${from.key}\u0000${to.kind}:${to.key}`;
+    if (!relationships.has(key)) relationships.set(key, { type, from, to, props });
+    return relationships.get(key);
+  };
+
+  for (const [filePath, file] of files) {
+    const chunks = chunksByFile.get(filePath) || [];
+    const exportedNames = new Set(file.exports.map(({ local }) => local));
+
+    // Nodes and DEFINES
+    for (const definition of file.definitions) {
+      const chunk = chunks.find(({ from, to }) => from <= definition.startLine && definition.startLine <= to);
+      const row = {
+        id: codeNodeId(filePath, definition.qualifiedName),
+        name: definition.name,
+        qualifiedName: definition.qualifiedName,
+        kind: definition.kind,
+        path: filePath,
+        language: file.language,
+        startLine: definition.startLine,
+        endLine: definition.endLine,
+        bases: definition.bases,
+        exported: !definition.parent && exportedNames.has(definition.qualifiedName),
+        chunkIds: chunk?.id ? [chunk.id] : [],
+      };
+      (definition.kind === "class" ? classes : functions).push(row);
+
+      const parent = definition.parent && resolver.definitionsByFile.get(filePath).get(definition.parent);
+      relate("DEFINES", parent ? codeRef(filePath, parent) : fileRef(filePath), codeRef(filePath, definition));
+
+      // EXTENDS
+      if (definition.kind === "class") {
+        for (const base of resolver.resolveBases(filePath, definition)) {
+          relate("EXTENDS", codeRef(filePath, definition), codeRef(base.path, base.definition));
+        }
+      }
+    }
+
+    // IMPORTS: repository files, or the external package
+    for (const { imp, target, names } of resolver.importTargets.get(filePath)) {
+      if (target) {
+        const rel = relate("IMPORTS", fileRef(filePath), fileRef(target), { line: imp.line, names: [] });
+        rel.props.names = [...new Set([...rel.props.names, ...names])];
+        continue;
+      }
+      if (imp.level > 0 || imp.source.startsWith(".")) continue; // unindexed repository file
+
+      const name = toModuleName(imp.source, file.language);
+      modules.set(name, { id: `module:${name}`, name, language: file.language });
+      relate("IMPORTS", fileRef(filePath), { kind: "code", key: `module:${name}` }, { line: imp.line });
+    }
+
+    // EXPORTS
+    for (const entry of file.exports) {
+      if (entry.name === "*") continue;
+      const resolved = entry.source
+        ? resolver.resolveExport(filePath, entry.name)
+        : resolver.resolveName(filePath, entry.local);
+      if (resolved?.type !== "symbol") continue;
+      relate("EXPORTS", fileRef(filePath), codeRef(resolved.path, resolved.definition), { as: entry.name });
+    }
+
+    // CALLS from the calling function (the file for module-level code)
+    for (const call of file.calls) {
+      const target = resolver.resolveCall(filePath, call);
+      if (target?.type !== "symbol") continue;
+
+      const caller = call.caller && resolver.definitionsByFile.get(filePath).get(call.caller);
+      const from = caller && caller.kind !== "class" ? codeRef(filePath, caller) : fileRef(filePath);
+      const rel = relate("CALLS", from, codeRef(target.path, target.definition), { lines: [] });
+      if (rel.props.lines.length < MAX_CALL_LINES && !rel.props.lines.includes(call.line)) {
+        rel.props.lines.push(call.line);
+      }
+    }
+  }
+
+  return { classes, functions, modules: [...modules.values()], relationships: [...relationships.values()] };
+};
+
+const toBatches = (rows) => {
+  const batches = [];
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    batches.push(rows.slice(i, i + WRITE_BATCH_SIZE));
+  }
+  return batches;
+};
+
+/**
+ * Delete a source's code nodes and file-to-file imports
+ * File nodes stay; they also anchor the LLM-extracted entities.
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<number>} Code nodes deleted
+ */
+export const deleteCodeGraph = async (sourceId) => {
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+
+  try {
+    let deleted = 0;
+    let batch;
+    do {
+      const result = await session.executeWrite((tx) =>
+        tx.run(
+          `
+          MATCH (n:CodeNode {sourceId: $sourceId})
+          WITH n LIMIT $limit
+          DETACH DELETE n
+          RETURN count(*) AS deleted
+          `,
+          { sourceId: sourceId.toString(), limit: neo4j.int(WRITE_BATCH_SIZE * 10) }
+        )
+      );
+      batch = neo4j.integer.toNumber(result.records[0].get("deleted"));
+      deleted += batch;
+    } while (batch > 0);
+
+    await session.executeWrite((tx) =>
+      tx.run(
+        `
+        MATCH (:File {sourceId: $sourceId})-[r:IMPORTS]->(:File {sourceId: $sourceId})
+        DELETE r
+        `,
+        { sourceId: sourceId.toString() }
+      )
+    );
+
+    return deleted;
+  } finally {
+    await session.close();
+  }
+};
+
+/**
+ * Build the deterministic code-structure graph of a GitHub source
+ * JavaScript/TypeScript (parsed with Babel) and Python (read by a line scanner) files are analyzed into
+ * (:CodeNode:Class), (:CodeNode:Function) and (:CodeNode:Module) nodes connected to the
+ * source's File nodes by DEFINES, IMPORTS, CALLS, EXTENDS and EXPORTS relationships.
+ * Classes and functions carry their line range and the chunk they start in. The graph
+ * lives alongside the LLM-extracted entities and is rebuilt as a whole, since a
+ * changed file can change what other files' calls resolve to.
+ *
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID that scopes all nodes
+ * @param {Array} params.docs - All indexed chunks of the source (metadata.path, loc, chunkId)
+ * @returns {Promise<Object>} { filesAnalyzed, filesFailed, lastError, classes, functions, modules, relationships, durationMs }
+ */
+export const buildCodeGraph = async ({ sourceId, docs }) => {
+  const startedAt = Date.now();
+  const scopedSourceId = sourceId.toString();
+
+  // Step 1: Analyze every supported file
+  const files = new Map();
+  const chunksByFile = new Map();
+  let filesFailed = 0;
+  let lastError = null;
+
+  for (const file of assembleFiles(docs)) {
+    if (file.code.length > MAX_FILE_LENGTH) continue;
+    try {
+      files.set(file.path, analyzeSourceFile({ filePath: file.path, code: file.code }));
+      chunksByFile.set(file.path, file.chunks);
+    } catch (error) {
+      filesFailed++;
+      lastError = `${file.path}: ${error.message}`;
+    }
+  }
+
+  const rows = toGraphRows(files, chunksByFile);
+
+  // Step 2: Replace the previous code graph
+  await ensureGraphIndexes();
+  await deleteCodeGraph(scopedSourceId);
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+  const relationshipCounts = {};
+
+  try {
+    // Step 3: File, class, function and module nodes
+    await session.executeWrite((tx) =>
+      tx.run(
+        `
+        MERGE (s:Source {id: $sourceId})
+        WITH s
+        UNWIND $files AS file
+        MERGE (f:File {path: file.path, sourceId: $sourceId})
+        ON CREATE SET f.language = file.language, f.fileType = "code"
+        MERGE (s)-[:HAS_FILE]->(f)
+        `,
+        {
+          sourceId: scopedSourceId,
+          files: [...files].map(([filePath, file]) => ({ path: filePath, language: file.language })),
+        }
+      )
+    );
+
+    for (const [label, nodes] of [["Class", rows.classes], ["Function", rows.functions], ["Module", rows.modules]]) {
+      for (const batch of toBatches(nodes)) {
+        await session.executeWrite((tx) =>
+          tx.run(
+            `
+            UNWIND $nodes AS node
+            MERGE (n:CodeNode:${label} {id: node.id, sourceId: $sourceId})
+            SET n += node
+            `,
+            { sourceId: scopedSourceId, nodes: batch }
+          )
+        );
+      }
+    }
+
+    // Step 4: Relationships, one statement per (type, endpoint labels)
+    const groups = new Map();
+    for (const rel of rows.relationships) {
+      const groupKey = `${rel.type}:${rel.from.kind}:${rel.to.kind}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { ...rel, rows: [] });
+      groups.get(groupKey).rows.push({ from: rel.from.key, to: rel.to.key, props: rel.props });
+      relationshipCounts[rel.type] = (relationshipCounts[rel.type] || 0) + 1;
+    }
+
+    const endpoint = (variable, kind, key) =>
+      kind === "file"
+        ? `(${variable}:File {path: row.${key}, sourceId: $sourceId})`
+        : `(${variable}:CodeNode {id: row.${key}, sourceId: $sourceId})`;
+
+    for (const { type, from, to, rows: relRows } of groups.values()) {
+      for (const batch of toBatches(relRows)) {
+        await session.executeWrite((tx) =>
+          tx.run(
+            `
+            UNWIND $rows AS row
+            MATCH ${endpoint("a", from.kind, "from")}
+            MATCH ${endpoint("b", to.kind, "to")}
+            MERGE (a)-[r:${type}]->(b)
+            SET r += row.props
+            `,
+            { sourceId: scopedSourceId, rows: batch }
+          )
+        );
+      }
+    }
+  } finally {
+    await session.close();
+  }
+
+  const result = {
+    filesAnalyzed: files.size,
+    filesFailed,
+    lastError,
+    classes: rows.classes.length,
+    functions: rows.functions.length,
+    modules: rows.modules.length,
+    relationships: relationshipCounts,
+    durationMs: Date.now() - startedAt,
+  };
+
+  console.log(
+    `Code graph for source ${scopedSourceId}: ${result.filesAnalyzed} files, ` +
+    `${result.classes} classes, ${result.functions} functions in ${result.durationMs}ms`
+  );
+
+  return result;
+};
+
+export default {
+  buildCodeGraph,
+  deleteCodeGraph,
+};
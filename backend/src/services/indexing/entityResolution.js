@@ -0,0 +1,847 @@
+import mongoose from "mongoose";
+import neo4j from "neo4j-driver";
+import { EntityMerge } from "#models/entityMerge.models.js";
+import { ApiError } from "#utils/api-error.js";
+import { EntityMergeStatusEnum, EntityMergeMethodsEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { getEmbeddings } from "#services/embeddings/embeddingProvider.js";
+import {
+  toRelationshipType,
+  toExtractedProperties,
+  MAX_PROVENANCE_CHUNKS,
+  MAX_ENTITY_DESCRIPTIONS,
+} from "./graphWriter.js";
+
+const driver = neo4j.driver(
+  config.NEO4J_URI,
+  neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
+);
+
+/**
+ * Trailing words that do not distinguish organizations ("OpenAI Inc." -> "openai")
+ */
+const CORPORATE_SUFFIXES = new Set([
+  "inc", "incorporated", "corp", "corporation", "co", "company",
+  "ltd", "limited", "llc", "plc", "gmbh",
+]);
+
+/**
+ * Names this similar are compared further (embeddings) before being merged
+ */
+const CANDIDATE_SIMILARITY = 0.85;
+
+/**
+ * Shorter keys only merge on an exact normalized match ("Go" vs "Git")
+ */
+const MIN_FUZZY_KEY_LENGTH = 4;
+
+/**
+ * Node labels a merged entity can be connected to, with the property that identifies them
+ */
+const NODE_KEYS = { Entity: "name", File: "path" };
+
+/**
+ * Reduce an entity name to the key used for exact matching
+ * Case, accents, punctuation, spacing, a leading "the" and corporate suffixes are ignored;
+ * "+" and a "#" after a letter or digit are kept as words, so "C", "C++" and "C#" differ.
+ * @param {string} name - Entity name
+ * @returns {string} Normalized key (e.g. "The OpenAI, Inc." -> "openai", "C++" -> "cplusplus")
+ */
+export const normalizeEntityKey = (name) => {
+  const words = String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/\+/g, " plus ")
+    .replace(/(?<=[\p{L}\p{N}])#/gu, " sharp ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  if (words[0] === "the" && words.length > 1) words.shift();
+  while (words.length > 1 && CORPORATE_SUFFIXES.has(words[words.length - 1])) words.pop();
+
+  return words.join("") || String(name).trim().toLowerCase();
+};
+
+/**
+ * Jaro similarity of two strings (0..1)
+ */
+const jaro = (a, b) => {
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = Math.max(0, i - range); j < end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, k = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+};
+
+/**
+ * Jaro-Winkler similarity (0..1), favouring strings that share a prefix
+ * @param {string} a - Normalized key
+ * @param {string} b - Normalized key
+ * @returns {number}
+ */
+export const stringSimilarity = (a, b) => {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return similarity + prefix * 0.1 * (1 - similarity);
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Whether two keys may be merged on similarity alone
+ * Keys must be long enough and carry the same numbers ("GPT-3" vs "GPT-4").
+ */
+const canFuzzyMatch = (a, b) =>
+  a.length >= MIN_FUZZY_KEY_LENGTH &&
+  b.length >= MIN_FUZZY_KEY_LENGTH &&
+  a.replace(/\D/g, "") === b.replace(/\D/g, "");
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+/**
+ * Canonical entity of a group first: the most connected, then the shortest name
+ */
+const compareCanonical = (a, b) =>
+  b.degree - a.degree || a.name.length - b.name.length || a.name.localeCompare(b.name);
+
+/**
+ * Weakest evidence first: a group is reported with its least certain merge method
+ */
+const METHOD_STRENGTH = {
+  [EntityMergeMethodsEnum.EMBEDDING_SIMILARITY]: 0,
+  [EntityMergeMethodsEnum.STRING_SIMILARITY]: 1,
+  [EntityMergeMethodsEnum.NORMALIZED_NAME]: 2,
+};
+
+/**
+ * Group duplicate entities of one source
+ * Entities of the same type sharing a normalized key (of their name or an existing alias)
+ * always group; across types the match is only proposed, since "Apple" the company and
+ * "Apple" the fruit normalize alike. Within an entity type, names above ENTITY_STRING_SIMILARITY
+ * group as well, and names above CANDIDATE_SIMILARITY group when their embeddings are above
+ * ENTITY_EMBEDDING_SIMILARITY.
+ * Pairs separated by an undone merge never end up in the same group, even through a third entity.
+ * @param {Array} entities - [{ name, type, aliases, degree }]
+ * @param {Set<string>} blockedPairs - pairKey(name, name) of undone merges
+ * @returns {Promise<Object>} { groups: [{ members: [entity], method, score }] with 2+ members,
+ *   proposals: [[entity, entity]] cross-type key matches left in different groups }
+ */
+const findDuplicateGroups = async (entities, blockedPairs) => {
+  const parent = entities.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const componentMembers = new Map(entities.map((_, i) => [i, [i]]));
+  const edges = [];
+
+  // Two components are joined only when no pair across them is blocked, so an undone
+  // merge cannot be redone through a third entity similar to both sides
+  const link = (i, j, method, score) => {
+    const rootI = find(i);
+    const rootJ = find(j);
+    if (rootI === rootJ) return;
+
+    const membersI = componentMembers.get(rootI);
+    const membersJ = componentMembers.get(rootJ);
+    const blocked = membersI.some((a) =>
+      membersJ.some((b) => blockedPairs.has(pairKey(entities[a].name, entities[b].name)))
+    );
+    if (blocked) return;
+
+    parent[rootI] = rootJ;
+    componentMembers.set(rootJ, membersJ.concat(membersI));
+    componentMembers.delete(rootI);
+    edges.push({ i, method, score });
+  };
+
+  // Step 1: Exact normalized keys, including aliases from earlier merges
+  const keys = entities.map((entity) => normalizeEntityKey(entity.name));
+  const types = entities.map((entity) => (entity.type || "").toLowerCase());
+  const byKey = new Map();
+  const crossTypePairs = [];
+  entities.forEach((entity, i) => {
+    for (const key of new Set([keys[i], ...entity.aliases.map(normalizeEntityKey)])) {
+      if (!byKey.has(key)) byKey.set(key, new Map());
+      const firstByType = byKey.get(key);
+
+      for (const [type, j] of firstByType) {
+        if (type !== types[i]) crossTypePairs.push([j, i]);
+      }
+
+      if (firstByType.has(types[i])) {
+        link(i, firstByType.get(types[i]), EntityMergeMethodsEnum.NORMALIZED_NAME, 1);
+      } else {
+        firstByType.set(types[i], i);
+      }
+    }
+  });
+
+  // Step 2: String similarity within each entity type
+  const byType = new Map();
+  entities.forEach((_, i) => {
+    if (!byType.has(types[i])) byType.set(types[i], []);
+    byType.get(types[i]).push(i);
+  });
+
+  const embeddingCandidates = [];
+
+  for (const [type, block] of byType) {
+    if (block.length > config.ENTITY_RESOLUTION_MAX_BLOCK) {
+      console.warn(`Entity resolution: skipping fuzzy matching for ${block.length} "${type}" entities`);
+      continue;
+    }
+
+    for (let x = 0; x < block.length; x++) {
+      for (let y = x + 1; y < block.length; y++) {
+        const i = block[x];
+        const j = block[y];
+        if (keys[i] === keys[j] || !canFuzzyMatch(keys[i], keys[j])) continue;
+
+        const similarity = stringSimilarity(keys[i], keys[j]);
+        if (similarity >= config.ENTITY_STRING_SIMILARITY) {
+          link(i, j, EntityMergeMethodsEnum.STRING_SIMILARITY, similarity);
+        } else if (similarity >= CANDIDATE_SIMILARITY) {
+          embeddingCandidates.push([i, j]);
+        }
+      }
+    }
+  }
+
+  // Step 3: Embedding similarity for close-but-not-certain names
+  if (embeddingCandidates.length > 0) {
+    try {
+      const indexes = [...new Set(embeddingCandidates.flat())];
+      const vectors = await getEmbeddings().embedDocuments(indexes.map((i) => entities[i].name));
+      const vectorOf = new Map(indexes.map((i, n) => [i, vectors[n]]));
+
+      for (const [i, j] of embeddingCandidates) {
+        const similarity = cosineSimilarity(vectorOf.get(i), vectorOf.get(j));
+        if (similarity >= config.ENTITY_EMBEDDING_SIMILARITY) {
+          link(i, j, EntityMergeMethodsEnum.EMBEDDING_SIMILARITY, similarity);
+        }
+      }
+    } catch (error) {
+      // String and normalized-name merges still apply
+      console.error("Entity resolution: embedding comparison failed:", error.message);
+    }
+  }
+
+  // Step 4: Collect groups with their weakest evidence
+  const groups = new Map();
+  entities.forEach((entity, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, { members: [], method: EntityMergeMethodsEnum.NORMALIZED_NAME, score: 1 });
+    }
+    groups.get(root).members.push(entity);
+  });
+
+  for (const { i, method, score } of edges) {
+    const group = groups.get(find(i));
+    if (METHOD_STRENGTH[method] < METHOD_STRENGTH[group.method]) group.method = method;
+    group.score = Math.min(group.score, score);
+  }
+
+  // Step 5: Cross-type matches the grouping did not settle either way
+  const proposed = new Set();
+  const proposals = [];
+  for (const [i, j] of crossTypePairs) {
+    const key = pairKey(entities[i].name, entities[j].name);
+    if (find(i) === find(j) || blockedPairs.has(key) || proposed.has(key)) continue;
+    proposed.add(key);
+    proposals.push([entities[i], entities[j]]);
+  }
+
+  return {
+    groups: [...groups.values()].filter((group) => group.members.length > 1),
+    proposals,
+  };
+};
+
+/**
+ * Rewire relationships onto a node, one statement per (direction, label, type)
+ * Chunk IDs are carried over, added to those of a relationship that already exists;
+ * extracted properties are carried over to relationships the rewiring creates.
+ * @param {Object} tx - Managed transaction
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {string} params.name - Entity receiving the relationships
+ * @param {Array} params.relationships - [{ type, direction, label, name, path, chunkIds, properties }]
+ * @param {string} params.mergeId - Tag for relationships created by a merge (omit when undoing)
+ */
+const connectRelationships = async (tx, { sourceId, name, relationships, mergeId }) => {
+  const groups = new Map();
+
+  for (const rel of relationships) {
+    const type = toRelationshipType(rel.type);
+    const key = NODE_KEYS[rel.label];
+    if (!type || !key) continue;
+
+    const groupKey = `${rel.direction}:${rel.label}:${type}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { ...rel, type, key, rows: [] });
+    groups.get(groupKey).rows.push({ key: rel[key], chunkIds: rel.chunkIds || [], properties: rel.properties || {} });
+  }
+
+  for (const { direction, label, type, key, rows } of groups.values()) {
+    const pattern = direction === "out" ? `(e)-[r:${type}]->(o)` : `(o)-[r:${type}]->(e)`;
+    await tx.run(
+      `
+      MATCH (e:Entity {name: $name, sourceId: $sourceId})
+      UNWIND $rows AS row
+      MATCH (o:${label} {${key}: row.key, sourceId: $sourceId})
+      WHERE o <> e
+      MERGE ${pattern}
+      ON CREATE SET r += row.properties, r.chunkIds = row.chunkIds${mergeId ? ", r.mergeId = $mergeId" : ""}
+      ON MATCH SET r.chunkIds = (coalesce(r.chunkIds, []) +
+        [id IN row.chunkIds WHERE NOT id IN coalesce(r.chunkIds, [])])[..$maxChunkIds]
+      `,
+      { sourceId, name, rows, mergeId, maxChunkIds: neo4j.int(MAX_PROVENANCE_CHUNKS) }
+    );
+  }
+};
+
+/**
+ * Fold duplicate entities into a canonical one in a single transaction
+ * Duplicates' relationships are rewired (tagged with the merge ID when newly created),
+ * their names and aliases become aliases of the canonical node, their chunk IDs and
+ * descriptions are added to its own, extracted properties it lacks are copied onto it,
+ * and they are deleted. Its summary goes stale and is rebuilt by the next summary pass.
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {Object} params.canonical - Entity kept ({ name, type, aliases, chunkIds })
+ * @param {Array} params.duplicates - Entities merged into it
+ * @param {string} params.method - EntityMergeMethodsEnum value
+ * @param {number} params.score - Lowest similarity in the group
+ * @returns {Promise<Object|null>} EntityMerge record, or null if nothing was merged
+ */
+const mergeEntityGroup = async ({ sourceId, canonical, duplicates, method, score }) => {
+  const mergeId = new mongoose.Types.ObjectId();
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+
+  try {
+    const merged = await session.executeWrite(async (tx) => {
+      const mergedEntities = [];
+
+      for (const duplicate of duplicates) {
+        const result = await tx.run(
+          `
+          MATCH (d:Entity {name: $name, sourceId: $sourceId})
+          OPTIONAL MATCH (d)-[r]->(o)
+          WITH d, collect(CASE WHEN r IS NULL THEN NULL ELSE
+            {type: type(r), direction: "out", label: head(labels(o)), name: o.name, path: o.path,
+              chunkIds: coalesce(r.chunkIds, []), properties: properties(r)} END) AS outgoing
+          OPTIONAL MATCH (d)<-[r]-(o)
+          RETURN d.type AS type, coalesce(d.aliases, []) AS aliases, coalesce(d.chunkIds, []) AS chunkIds,
+            coalesce(d.descriptions, []) AS descriptions, coalesce(d.descriptionChunkIds, []) AS descriptionChunkIds,
+            d.summary AS summary, d.summaryHash AS summaryHash,
+            properties(d) AS properties,
+            outgoing + collect(CASE WHEN r IS NULL THEN NULL ELSE
+              {type: type(r), direction: "in", label: head(labels(o)), name: o.name, path: o.path,
+                chunkIds: coalesce(r.chunkIds, []), properties: properties(r)} END) AS relationships
+          `,
+          { sourceId, name: duplicate.name }
+        );
+
+        const record = result.records[0];
+        if (!record) continue;
+
+        const relationships = record.get("relationships").map((rel) => ({
+          ...rel,
+          properties: toExtractedProperties(rel.properties),
+        }));
+        await connectRelationships(tx, {
+          sourceId,
+          name: canonical.name,
+          relationships,
+          mergeId: mergeId.toString(),
+        });
+
+        await tx.run(
+          `MATCH (d:Entity {name: $name, sourceId: $sourceId}) DETACH DELETE d`,
+          { sourceId, name: duplicate.name }
+        );
+
+        mergedEntities.push({
+          name: duplicate.name,
+          type: record.get("type"),
+          aliases: record.get("aliases"),
+          chunkIds: record.get("chunkIds"),
+          descriptions: record.get("descriptions"),
+          descriptionChunkIds: record.get("descriptions").map((_, i) => record.get("descriptionChunkIds")[i] ?? ""),
+          properties: toExtractedProperties(record.get("properties")),
+          summary: record.get("summary"),
+          summaryHash: record.get("summaryHash"),
+          relationships,
+        });
+      }
+
+      if (mergedEntities.length === 0) return { mergedEntities };
+
+      const aliases = new Set(canonical.aliases);
+      for (const entity of mergedEntities) {
+        aliases.add(entity.name);
+        entity.aliases.forEach((alias) => aliases.add(alias));
+      }
+      aliases.delete(canonical.name);
+
+      // Recorded so an undo removes exactly the provenance the merge brought in
+      const chunkIds = new Set(canonical.chunkIds);
+      const addedChunkIds = [
+        ...new Set(mergedEntities.flatMap((entity) => entity.chunkIds).filter((id) => !chunkIds.has(id))),
+      ].slice(0, Math.max(0, MAX_PROVENANCE_CHUNKS - chunkIds.size));
+
+      const current = (
+        await tx.run(
+          `MATCH (c:Entity {name: $name, sourceId: $sourceId}) RETURN properties(c) AS properties`,
+          { sourceId, name: canonical.name }
+        )
+      ).records[0]?.get("properties") || {};
+
+      // Descriptions move with the chunk they were extracted from
+      const currentDescriptions = current.descriptions || [];
+      const descriptionKeys = new Set(
+        currentDescriptions.map((description, i) => `${current.descriptionChunkIds?.[i] ?? ""}\u0000${description}`)
+      );
+      const addedDescriptionPairs = [];
+      for (const entity of mergedEntities) {
+        entity.descriptions.forEach((description, i) => {
+          const key = `${entity.descriptionChunkIds[i]}\u0000${description}`;
+          if (descriptionKeys.has(key)) return;
+          descriptionKeys.add(key);
+          addedDescriptionPairs.push([entity.descriptionChunkIds[i], description]);
+        });
+      }
+      const addedDescriptionSlice = addedDescriptionPairs.slice(
+        0,
+        Math.max(0, MAX_ENTITY_DESCRIPTIONS - currentDescriptions.length)
+      );
+      const addedDescriptions = addedDescriptionSlice.map(([, description]) => description);
+      const addedDescriptionChunkIds = addedDescriptionSlice.map(([chunkId]) => chunkId);
+
+      const canonicalProperties = toExtractedProperties(current);
+      const addedProperties = {};
+      for (const entity of mergedEntities) {
+        for (const [key, value] of Object.entries(entity.properties)) {
+          if (!(key in canonicalProperties) && !(key in addedProperties)) addedProperties[key] = value;
+        }
+      }
+
+      await tx.run(
+        `
+        MATCH (c:Entity {name: $name, sourceId: $sourceId})
+        SET c += $addedProperties,
+          c.aliases = $aliases,
+          c.chunkIds = coalesce(c.chunkIds, []) + $addedChunkIds,
+          c.descriptions = coalesce(c.descriptions, []) + $addedDescriptions,
+          c.descriptionChunkIds = coalesce(c.descriptionChunkIds, []) + $addedDescriptionChunkIds
+        `,
+        {
+          sourceId,
+          name: canonical.name,
+          aliases: [...aliases],
+          addedChunkIds,
+          addedDescriptions,
+          addedDescriptionChunkIds,
+          addedProperties,
+        }
+      );
+
+      return {
+        mergedEntities,
+        canonical: {
+          addedChunkIds,
+          addedDescriptions,
+          addedDescriptionChunkIds,
+          addedProperties: Object.keys(addedProperties),
+          // Summary before the merge, restored by an undo
+          summary: current.summary ?? null,
+          summaryHash: current.summaryHash ?? null,
+        },
+      };
+    });
+
+    if (merged.mergedEntities.length === 0) return null;
+
+    return EntityMerge.create({
+      _id: mergeId,
+      sourceId,
+      canonical: { name: canonical.name, type: canonical.type, ...merged.canonical },
+      merged: merged.mergedEntities,
+      method,
+      score,
+    });
+  } finally {
+    await session.close();
+  }
+};
+
+/**
+ * Resolve duplicate entities of a source after extraction
+ * Runs after every graph build or re-sync; entities re-extracted under an alias of a
+ * canonical node are folded into it again. The canonical node is the most connected
+ * entity of each group (shortest name on ties). Exact-name matches across entity types
+ * are recorded as proposals, applied or rejected through the merge review.
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @returns {Promise<Object>} { entitiesScanned, groupsMerged, entitiesMerged, proposalsRecorded, durationMs }
+ */
+export const resolveEntities = async ({ sourceId }) => {
+  const startedAt = Date.now();
+  const scopedSourceId = sourceId.toString();
+
+  // Step 1: Load the source's entities
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+  let entities;
+  try {
+    const result = await session.run(
+      `
+      MATCH (e:Entity {sourceId: $sourceId})
+      RETURN e.name AS name, e.type AS type, coalesce(e.aliases, []) AS aliases,
+        coalesce(e.chunkIds, []) AS chunkIds, size([(e)--() | 1]) AS degree
+      `,
+      { sourceId: scopedSourceId }
+    );
+    entities = result.records.map((record) => ({
+      name: record.get("name"),
+      type: record.get("type"),
+      aliases: record.get("aliases"),
+      chunkIds: record.get("chunkIds"),
+      degree: neo4j.integer.toNumber(record.get("degree")),
+    }));
+  } finally {
+    await session.close();
+  }
+
+  // Step 2: Pairs the user separated by undoing a merge
+  const undone = await EntityMerge.find({
+    sourceId,
+    status: EntityMergeStatusEnum.UNDONE,
+  })
+    .select("canonical.name merged.name")
+    .lean();
+
+  const blockedPairs = new Set(
+    undone.flatMap((merge) => merge.merged.map((entity) => pairKey(merge.canonical.name, entity.name)))
+  );
+
+  // Step 3: Group and merge duplicates
+  const { groups, proposals } = await findDuplicateGroups(entities, blockedPairs);
+  const survivorOf = new Map();
+  let groupsMerged = 0;
+  let entitiesMerged = 0;
+
+  for (const group of groups) {
+    const [canonical, ...rest] = [...group.members].sort(compareCanonical);
+    rest.forEach((entity) => survivorOf.set(entity.name, canonical));
+    const merge = await mergeEntityGroup({
+      sourceId: scopedSourceId,
+      canonical,
+      duplicates: rest,
+      method: group.method,
+      score: group.score,
+    });
+
+    if (merge) {
+      groupsMerged++;
+      entitiesMerged += merge.merged.length;
+    }
+  }
+
+  // Step 4: Record cross-type matches for review, once per pair of surviving entities
+  const pending = await EntityMerge.find({
+    sourceId,
+    status: EntityMergeStatusEnum.PROPOSED,
+  })
+    .select("canonical.name merged.name")
+    .lean();
+
+  const recordedPairs = new Set(
+    pending.flatMap((merge) => merge.merged.map((entity) => pairKey(merge.canonical.name, entity.name)))
+  );
+  let proposalsRecorded = 0;
+
+  for (const pair of proposals) {
+    const [canonical, duplicate] = pair.map((entity) => survivorOf.get(entity.name) || entity).sort(compareCanonical);
+    const key = pairKey(canonical.name, duplicate.name);
+    if (canonical.name === duplicate.name || blockedPairs.has(key) || recordedPairs.has(key)) continue;
+
+    recordedPairs.add(key);
+    await EntityMerge.create({
+      sourceId,
+      status: EntityMergeStatusEnum.PROPOSED,
+      canonical: { name: canonical.name, type: canonical.type },
+      merged: [{ name: duplicate.name, type: duplicate.type, aliases: duplicate.aliases }],
+      method: EntityMergeMethodsEnum.NORMALIZED_NAME,
+      score: 1,
+    });
+    proposalsRecorded++;
+  }
+
+  console.log(
+    `Entity resolution for source ${scopedSourceId}: ${entitiesMerged} entities merged into ${groupsMerged}, ` +
+      `${proposalsRecorded} cross-type merges proposed`
+  );
+
+  return {
+    entitiesScanned: entities.length,
+    groupsMerged,
+    entitiesMerged,
+    proposalsRecorded,
+    durationMs: Date.now() - startedAt,
+  };
+};
+
+/**
+ * List a source's entity merges for review (newest first)
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {string} params.status - Optional EntityMergeStatusEnum filter
+ * @param {number} params.limit - Page size (default: 50, max: 200)
+ * @returns {Promise<Array>} EntityMerge records
+ */
+export const listEntityMerges = async ({ sourceId, status, limit = 50 }) => {
+  const pageLimit = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+  return EntityMerge.find({ sourceId, ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(pageLimit)
+    .lean();
+};
+
+/**
+ * Apply a proposed entity merge
+ * The proposal is replaced by the applied merge, which can be undone like any other.
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {string} params.mergeId - EntityMerge ID of the proposal
+ * @returns {Promise<Object>} Applied EntityMerge record
+ * @throws {ApiError} 404 if the proposal does not exist, 409 if it is not pending or an entity is gone
+ */
+export const applyEntityMerge = async ({ sourceId, mergeId }) => {
+  const proposal = await EntityMerge.findOne({ _id: mergeId, sourceId });
+
+  if (!proposal) {
+    throw new ApiError(404, "Entity merge not found");
+  }
+
+  if (proposal.status !== EntityMergeStatusEnum.PROPOSED) {
+    throw new ApiError(409, "Only proposed entity merges can be applied");
+  }
+
+  const scopedSourceId = sourceId.toString();
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+  let canonical;
+  try {
+    const result = await session.run(
+      `
+      MATCH (e:Entity {name: $name, sourceId: $sourceId})
+      RETURN e.type AS type, coalesce(e.aliases, []) AS aliases, coalesce(e.chunkIds, []) AS chunkIds
+      `,
+      { sourceId: scopedSourceId, name: proposal.canonical.name }
+    );
+    const record = result.records[0];
+    canonical = record && {
+      name: proposal.canonical.name,
+      type: record.get("type"),
+      aliases: record.get("aliases"),
+      chunkIds: record.get("chunkIds"),
+    };
+  } finally {
+    await session.close();
+  }
+
+  if (!canonical) {
+    throw new ApiError(409, `Entity "${proposal.canonical.name}" no longer exists (re-indexed or merged)`);
+  }
+
+  const merge = await mergeEntityGroup({
+    sourceId: scopedSourceId,
+    canonical,
+    duplicates: proposal.merged.map((entity) => ({ name: entity.name })),
+    method: proposal.method,
+    score: proposal.score,
+  });
+
+  if (!merge) {
+    throw new ApiError(409, "The proposed entities no longer exist (re-indexed or merged)");
+  }
+
+  await proposal.deleteOne();
+
+  return merge;
+};
+
+/**
+ * Undo an entity merge
+ * Recreates the merged entities with their relationships, chunk IDs, descriptions,
+ * properties and summaries, removes the relationships the merge added to the canonical
+ * node and drops their aliases, chunk IDs, descriptions and properties from it; the
+ * canonical node gets its pre-merge summary back. Undoing a proposal only rejects it.
+ * Either way the pair is remembered so later resolution passes keep the entities apart.
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {string} params.mergeId - EntityMerge ID
+ * @returns {Promise<Object>} Updated EntityMerge record
+ * @throws {ApiError} 404 if the merge does not exist, 409 if it is undone or its canonical entity is gone
+ */
+export const undoEntityMerge = async ({ sourceId, mergeId }) => {
+  const merge = await EntityMerge.findOne({ _id: mergeId, sourceId });
+
+  if (!merge) {
+    throw new ApiError(404, "Entity merge not found");
+  }
+
+  if (merge.status === EntityMergeStatusEnum.UNDONE) {
+    throw new ApiError(409, "Entity merge is already undone");
+  }
+
+  if (merge.status === EntityMergeStatusEnum.PROPOSED) {
+    merge.status = EntityMergeStatusEnum.UNDONE;
+    merge.undoneAt = new Date();
+    await merge.save();
+    return merge;
+  }
+
+  const scopedSourceId = sourceId.toString();
+  const canonicalName = merge.canonical.name;
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+
+  try {
+    await session.executeWrite(async (tx) => {
+      const canonical = await tx.run(
+        `MATCH (c:Entity {name: $name, sourceId: $sourceId}) RETURN c.name AS name`,
+        { sourceId: scopedSourceId, name: canonicalName }
+      );
+
+      if (canonical.records.length === 0) {
+        throw new ApiError(409, `Canonical entity "${canonicalName}" no longer exists (re-indexed or merged again)`);
+      }
+
+      // Step 1: Recreate the merged entities
+      await tx.run(
+        `
+        UNWIND $entities AS entity
+        MERGE (e:Entity {name: entity.name, sourceId: $sourceId})
+        SET e += entity.properties,
+          e.type = entity.type,
+          e.aliases = entity.aliases,
+          e.chunkIds = entity.chunkIds,
+          e.descriptions = entity.descriptions,
+          e.descriptionChunkIds = entity.descriptionChunkIds,
+          e.summary = entity.summary,
+          e.summaryHash = entity.summaryHash
+        `,
+        {
+          sourceId: scopedSourceId,
+          entities: merge.merged.map((entity) => ({
+            name: entity.name,
+            type: entity.type,
+            aliases: entity.aliases.length > 0 ? entity.aliases : null,
+            chunkIds: entity.chunkIds,
+            descriptions: entity.descriptions?.length > 0 ? entity.descriptions : null,
+            descriptionChunkIds: entity.descriptions?.length > 0 ? entity.descriptionChunkIds : null,
+            properties: entity.properties || {},
+            summary: entity.summary || null,
+            summaryHash: entity.summaryHash || null,
+          })),
+        }
+      );
+
+      // Step 2: Restore their relationships
+      for (const entity of merge.merged) {
+        await connectRelationships(tx, {
+          sourceId: scopedSourceId,
+          name: entity.name,
+          relationships: entity.relationships,
+        });
+      }
+
+      // Step 3: Drop what the merge added to the canonical entity
+      const restoredNames = merge.merged.flatMap((entity) => [entity.name, ...entity.aliases]);
+      await tx.run(
+        `
+        MATCH (c:Entity {name: $name, sourceId: $sourceId})
+        OPTIONAL MATCH (c)-[r]-()
+        WHERE r.mergeId = $mergeId
+        DELETE r
+        WITH DISTINCT c
+        WITH c, [i IN range(0, size(coalesce(c.descriptions, [])) - 1)
+          WHERE NOT [coalesce(c.descriptionChunkIds[i], ""), c.descriptions[i]] IN $addedDescriptionPairs] AS kept
+        SET c += $removedProperties,
+          c.aliases = [alias IN coalesce(c.aliases, []) WHERE NOT alias IN $restoredNames],
+          c.chunkIds = [id IN coalesce(c.chunkIds, []) WHERE NOT id IN $addedChunkIds],
+          c.descriptions = [i IN kept | c.descriptions[i]],
+          c.descriptionChunkIds = [i IN kept | coalesce(c.descriptionChunkIds[i], "")],
+          c.summary = $summary,
+          c.summaryHash = $summaryHash
+        `,
+        {
+          sourceId: scopedSourceId,
+          name: canonicalName,
+          mergeId: merge._id.toString(),
+          restoredNames,
+          addedChunkIds: merge.canonical.addedChunkIds || [],
+          addedDescriptionPairs: (merge.canonical.addedDescriptions || []).map((description, i) => [
+            merge.canonical.addedDescriptionChunkIds?.[i] ?? "",
+            description,
+          ]),
+          // Setting a key to null removes it
+          removedProperties: Object.fromEntries((merge.canonical.addedProperties || []).map((key) => [key, null])),
+          summary: merge.canonical.summary || null,
+          summaryHash: merge.canonical.summaryHash || null,
+        }
+      );
+    });
+  } finally {
+    await session.close();
+  }
+
+  merge.status = EntityMergeStatusEnum.UNDONE;
+  merge.undoneAt = new Date();
+  await merge.save();
+
+  return merge;
+};
+
+export default {
+  normalizeEntityKey,
+  stringSimilarity,
+  resolveEntities,
+  listEntityMerges,
+  applyEntityMerge,
+  undoEntityMerge,
+};
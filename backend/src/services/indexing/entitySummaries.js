@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import neo4j from "neo4j-driver";
+import pLimit from "p-limit";
+import { LLMPurposeEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { getChatModel } from "#services/llm/llmProvider.js";
+
+const driver = neo4j.driver(
+  config.NEO4J_URI,
+  neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
+);
+
+/**
+ * Longest summary kept on an entity (characters)
+ */
+const MAX_SUMMARY_LENGTH = 800;
+
+/**
+ * Summaries written per transaction
+ */
+const WRITE_BATCH_SIZE = 500;
+
+/**
+ * Fingerprint of the descriptions a summary was built from
+ * A changed set of descriptions (new or deleted chunks, merges, undos) makes the summary
+ * stale; their order does not, since re-extracting a chunk moves its description last.
+ */
+const hashDescriptions = (descriptions) =>
+  crypto.createHash("sha1").update([...descriptions].sort().join("\u0000")).digest("hex");
+
+/**
+ * Merge the descriptions extracted from different chunks into one summary
+ * @param {Object} llm - Chat model
+ * @param {Object} entity - { name, type, aliases, descriptions }
+ * @returns {Promise<string>} Summary
+ */
+const summarizeDescriptions = async (llm, entity) => {
+  const aliases = entity.aliases.length > 0 ? ` (also called ${entity.aliases.join(", ")})` : "";
+
+  const response = await llm.invoke([
+    {
+      role: "system",
+      content:
+        "You merge descriptions of one entity, each extracted from a different passage of the same " +
+        "source, into a single summary of at most three sentences. Keep every distinct fact (roles, " +
+        "dates, quantities, responsibilities); resolve repetition, do not add facts that are not in " +
+        "the descriptions. Reply with the summary only.",
+    },
+    {
+      role: "user",
+      content:
+        `Entity: ${entity.name}${aliases}\nType: ${entity.type || "unknown"}\n\nDescriptions:\n` +
+        entity.descriptions.map((description) => `- ${description}`).join("\n"),
+    },
+  ]);
+
+  const text = typeof response.content === "string"
+    ? response.content
+    : response.content.map((part) => part.text || "").join("");
+
+  return text.trim().slice(0, MAX_SUMMARY_LENGTH);
+};
+
+/**
+ * Build per-entity summaries from the descriptions extracted across a source's chunks
+ * Runs after extraction and entity resolution. Only entities whose descriptions changed
+ * since their last summary are processed: a single description is used as is, several
+ * are merged by the extraction LLM, most connected entities first and at most
+ * ENTITY_SUMMARY_MAX_ENTITIES LLM calls per pass (the rest stay stale until the next
+ * pass). Entities left without descriptions lose their summary.
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID
+ * @param {number} params.maxEntities - Optional LLM summary limit (default: ENTITY_SUMMARY_MAX_ENTITIES)
+ * @param {number} params.concurrency - Optional concurrent LLM calls (default: GRAPH_EXTRACTION_CONCURRENCY)
+ * @returns {Promise<Object>} { entitiesScanned, summarized, copied, deferred, failed, lastError, durationMs }
+ */
+export const summarizeEntities = async ({
+  sourceId,
+  maxEntities = config.ENTITY_SUMMARY_MAX_ENTITIES,
+  concurrency = config.GRAPH_EXTRACTION_CONCURRENCY,
+}) => {
+  const startedAt = Date.now();
+  const scopedSourceId = sourceId.toString();
+
+  // Step 1: Load described entities and drop summaries whose descriptions are gone
+  const readSession = driver.session({ defaultAccessMode: neo4j.session.READ });
+  let entities;
+  try {
+    const result = await readSession.run(
+      `
+      MATCH (e:Entity {sourceId: $sourceId})
+      WHERE size(coalesce(e.descriptions, [])) > 0
+      RETURN e.name AS name, e.type AS type, coalesce(e.aliases, []) AS aliases,
+        e.descriptions AS descriptions, e.summaryHash AS summaryHash, size([(e)--() | 1]) AS degree
+      `,
+      { sourceId: scopedSourceId }
+    );
+
+    entities = result.records.map((record) => ({
+      name: record.get("name"),
+      type: record.get("type"),
+      aliases: record.get("aliases"),
+      // Chunks often repeat the same description
+      descriptions: [...new Set(record.get("descriptions"))],
+      summaryHash: record.get("summaryHash"),
+      degree: neo4j.integer.toNumber(record.get("degree")),
+    }));
+  } finally {
+    await readSession.close();
+  }
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+
+  try {
+    await session.executeWrite((tx) =>
+      tx.run(
+        `
+        MATCH (e:Entity {sourceId: $sourceId})
+        WHERE e.summary IS NOT NULL AND size(coalesce(e.descriptions, [])) = 0
+        REMOVE e.summary, e.summaryHash
+        `,
+        { sourceId: scopedSourceId }
+      )
+    );
+
+    // Step 2: Pick the stale summaries
+    const stale = entities
+      .map((entity) => ({ ...entity, hash: hashDescriptions(entity.descriptions) }))
+      .filter((entity) => entity.hash !== entity.summaryHash);
+
+    const single = stale.filter((entity) => entity.descriptions.length === 1);
+    const multiple = stale
+      .filter((entity) => entity.descriptions.length > 1)
+      .sort((a, b) => b.degree - a.degree || a.name.localeCompare(b.name));
+    const toSummarize = multiple.slice(0, Math.max(0, maxEntities));
+
+    const rows = single.map((entity) => ({
+      name: entity.name,
+      summary: entity.descriptions[0],
+      hash: entity.hash,
+    }));
+
+    // Step 3: Merge multiple descriptions with the extraction LLM
+    let failed = 0;
+    let lastError = null;
+
+    if (toSummarize.length > 0) {
+      const llm = getChatModel({ purpose: LLMPurposeEnum.EXTRACTION });
+      const limit = pLimit(concurrency);
+
+      await Promise.all(
+        toSummarize.map((entity) =>
+          limit(async () => {
+            try {
+              const summary = await summarizeDescriptions(llm, entity);
+              if (summary) rows.push({ name: entity.name, summary, hash: entity.hash });
+            } catch (error) {
+              failed++;
+              lastError = error.message;
+            }
+          })
+        )
+      );
+    }
+
+    // Step 4: Store the summaries with the fingerprint they were built from
+    for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+      await session.executeWrite((tx) =>
+        tx.run(
+          `
+          UNWIND $rows AS row
+          MATCH (e:Entity {name: row.name, sourceId: $sourceId})
+          SET e.summary = row.summary, e.summaryHash = row.hash
+          `,
+          { sourceId: scopedSourceId, rows: rows.slice(i, i + WRITE_BATCH_SIZE) }
+        )
+      );
+    }
+
+    return {
+      entitiesScanned: entities.length,
+      summarized: rows.length - single.length,
+      copied: single.length,
+      deferred: multiple.length - toSummarize.length,
+      failed,
+      lastError,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    await session.close();
+  }
+};
+
+export default {
+  summarizeEntities,
+};
@@ -0,0 +1,282 @@
+import { ApiError } from "#utils/api-error.js";
+import {
+  ExtractionSchemaPresetsEnum,
+  AvailableExtractionSchemaPresets,
+  SourceTypesEnum,
+} from "#utils/constants.js";
+import config from "#config/config.js";
+import { toRelationshipType } from "./graphWriter.js";
+
+/**
+ * Built-in extraction schemas a source can start from
+ * Empty type lists leave the LLM free to pick its own labels; strict mode drops
+ * anything outside the lists instead of keeping it as extracted.
+ */
+export const EXTRACTION_SCHEMA_PRESETS = {
+  [ExtractionSchemaPresetsEnum.GENERAL]: {
+    description: "No fixed ontology: the model chooses entity and relationship types",
+    nodeTypes: [],
+    relationshipTypes: [],
+    nodeProperties: [],
+    relationshipProperties: [],
+    strictMode: false,
+  },
+  [ExtractionSchemaPresetsEnum.CODE]: {
+    description: "Source code: classes, functions, modules, services and how they depend on each other",
+    nodeTypes: ["Class", "Function", "Module", "Component", "Service", "Concept"],
+    relationshipTypes: ["USES", "DEPENDS_ON", "IMPLEMENTS", "PART_OF", "RELATED_TO"],
+    nodeProperties: [],
+    relationshipProperties: [],
+    strictMode: false,
+  },
+  [ExtractionSchemaPresetsEnum.LEGAL]: {
+    description: "Contracts and legal documents: parties, clauses, obligations, rights and terms",
+    nodeTypes: ["Party", "Agreement", "Clause", "Obligation", "Right", "Term", "Jurisdiction", "Payment"],
+    relationshipTypes: ["PARTY_TO", "CONTAINS", "OBLIGATES", "GRANTS", "DEFINES", "GOVERNED_BY", "AMENDS", "REFERENCES", "PAYS"],
+    nodeProperties: ["role", "effectiveDate", "amount"],
+    relationshipProperties: [],
+    strictMode: true,
+  },
+  [ExtractionSchemaPresetsEnum.RESEARCH]: {
+    description: "Research papers: methods, datasets, metrics, results and citations",
+    nodeTypes: ["Paper", "Author", "Institution", "Method", "Dataset", "Metric", "Task", "Result", "Concept"],
+    relationshipTypes: ["AUTHORED", "AFFILIATED_WITH", "PROPOSES", "ADDRESSES", "EVALUATED_ON", "MEASURED_BY", "OUTPERFORMS", "EXTENDS", "CITES", "USES"],
+    nodeProperties: ["year", "value"],
+    relationshipProperties: [],
+    strictMode: true,
+  },
+  [ExtractionSchemaPresetsEnum.RUNBOOK]: {
+    description: "Operational runbooks: services, alerts, procedures, commands and owners",
+    nodeTypes: ["Service", "Component", "Environment", "Alert", "Procedure", "Step", "Command", "Team", "Metric"],
+    relationshipTypes: ["DEPENDS_ON", "DEPLOYED_TO", "TRIGGERS", "MITIGATES", "HAS_STEP", "PRECEDES", "RUNS", "MONITORS", "OWNED_BY", "ESCALATES_TO"],
+    nodeProperties: ["severity"],
+    relationshipProperties: [],
+    strictMode: true,
+  },
+};
+
+/**
+ * Preset used when a source does not name one (and for sources created before schemas)
+ */
+const DEFAULT_PRESETS = {
+  [SourceTypesEnum.PDF]: ExtractionSchemaPresetsEnum.GENERAL,
+  [SourceTypesEnum.GITHUB_REPO]: ExtractionSchemaPresetsEnum.CODE,
+};
+
+const MAX_SCHEMA_TYPES = 50;
+const MAX_SCHEMA_PROPERTIES = 20;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Keys the graph already uses on Entity nodes and their relationships
+ */
+const RESERVED_PROPERTIES = new Set([
+  "id",
+  "name",
+  "type",
+  "sourceId",
+  "aliases",
+  "chunkIds",
+  "mergeId",
+  "descriptions",
+  "descriptionChunkIds",
+  "summary",
+  "summaryHash",
+]);
+
+/**
+ * Free-text description extracted for every entity and relationship (ENTITY_DESCRIPTIONS_ENABLED)
+ * Listing it in a schema extracts it even when the setting is off.
+ */
+export const DESCRIPTION_PROPERTY = "description";
+
+const NODE_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_ ]*$/;
+const PROPERTY_PATTERN = /^[a-z][A-Za-z0-9]*$/;
+
+/**
+ * Validate one list field of a schema and return it trimmed and deduplicated
+ * @param {*} value - List from the request
+ * @param {string} field - Field name for error messages
+ * @param {number} max - Most entries allowed
+ * @param {Function} normalize - (entry) => normalized entry, or null when invalid
+ * @param {string} expected - Description of a valid entry
+ * @returns {Array<string>}
+ * @throws {ApiError} 400 when the list or one of its entries is invalid
+ */
+const normalizeList = (value, field, max, normalize, expected) => {
+  if (!Array.isArray(value)) {
+    throw new ApiError(400, `extractionSchema.${field} must be an array of strings`);
+  }
+
+  if (value.length > max) {
+    throw new ApiError(400, `extractionSchema.${field} accepts at most ${max} entries`);
+  }
+
+  const entries = [];
+  for (const entry of value) {
+    const normalized =
+      typeof entry === "string" && entry.trim().length <= MAX_NAME_LENGTH ? normalize(entry.trim()) : null;
+
+    if (!normalized) {
+      throw new ApiError(400, `extractionSchema.${field} entries must be ${expected}; got ${JSON.stringify(entry)}`);
+    }
+    if (!entries.includes(normalized)) entries.push(normalized);
+  }
+
+  return entries;
+};
+
+const normalizeNodeType = (type) => (NODE_TYPE_PATTERN.test(type) ? type.replace(/\s+/g, " ") : null);
+
+const normalizeProperty = (property) =>
+  PROPERTY_PATTERN.test(property) && !RESERVED_PROPERTIES.has(property) ? property : null;
+
+const PROPERTY_EXPECTED = `camelCase names other than ${[...RESERVED_PROPERTIES].join(", ")}`;
+
+/**
+ * Build the extraction schema stored on a source
+ * Starts from the named preset (or the default one for the source type) and replaces
+ * any field given explicitly, so { preset: "legal", strictMode: false } is the legal
+ * ontology without strict filtering and { nodeTypes: [...] } a custom ontology.
+ * Relationship types are normalized the way the graph writer stores them (e.g.
+ * "depends on" -> DEPENDS_ON).
+ * @param {Object} input - extractionSchema from the request (optional)
+ * @param {string} sourceType - Source type the schema is for
+ * @returns {Object} { preset, nodeTypes, relationshipTypes, nodeProperties, relationshipProperties, strictMode }
+ * @throws {ApiError} 400 when the schema is invalid
+ */
+export const resolveExtractionSchema = (input, sourceType) => {
+  if (input === undefined || input === null) input = {};
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new ApiError(400, "extractionSchema must be an object");
+  }
+
+  const preset = input.preset ?? DEFAULT_PRESETS[sourceType] ?? ExtractionSchemaPresetsEnum.GENERAL;
+  if (!AvailableExtractionSchemaPresets.includes(preset)) {
+    throw new ApiError(400, `extractionSchema.preset must be one of: ${AvailableExtractionSchemaPresets.join(", ")}`);
+  }
+
+  const base = EXTRACTION_SCHEMA_PRESETS[preset];
+  const schema = {
+    preset,
+    nodeTypes: [...base.nodeTypes],
+    relationshipTypes: [...base.relationshipTypes],
+    nodeProperties: [...base.nodeProperties],
+    relationshipProperties: [...base.relationshipProperties],
+    strictMode: base.strictMode,
+  };
+
+  if (input.nodeTypes !== undefined) {
+    schema.nodeTypes = normalizeList(input.nodeTypes, "nodeTypes", MAX_SCHEMA_TYPES, normalizeNodeType, "letters, digits, spaces or underscores");
+  }
+
+  if (input.relationshipTypes !== undefined) {
+    schema.relationshipTypes = normalizeList(input.relationshipTypes, "relationshipTypes", MAX_SCHEMA_TYPES, toRelationshipType, "words starting with a letter");
+  }
+
+  if (input.nodeProperties !== undefined) {
+    schema.nodeProperties = normalizeList(input.nodeProperties, "nodeProperties", MAX_SCHEMA_PROPERTIES, normalizeProperty, PROPERTY_EXPECTED);
+  }
+
+  if (input.relationshipProperties !== undefined) {
+    schema.relationshipProperties = normalizeList(input.relationshipProperties, "relationshipProperties", MAX_SCHEMA_PROPERTIES, normalizeProperty, PROPERTY_EXPECTED);
+  }
+
+  if (input.strictMode !== undefined) {
+    if (typeof input.strictMode !== "boolean") {
+      throw new ApiError(400, "extractionSchema.strictMode must be a boolean");
+    }
+    schema.strictMode = input.strictMode;
+  }
+
+  if (schema.strictMode && schema.nodeTypes.length === 0 && schema.relationshipTypes.length === 0) {
+    throw new ApiError(400, "extractionSchema.strictMode needs nodeTypes or relationshipTypes to filter by");
+  }
+
+  return schema;
+};
+
+/**
+ * Extraction schema a source's graph is built with
+ * Sources created before per-source schemas get their type's default preset,
+ * which matches what they were originally extracted with.
+ * @param {Object} source - Source document
+ * @returns {Object} Resolved extraction schema
+ */
+export const getSourceExtractionSchema = (source) => {
+  const stored = source.extractionSchema;
+  if (!stored?.preset) return resolveExtractionSchema(null, source.sourceType);
+
+  return {
+    preset: stored.preset,
+    nodeTypes: [...(stored.nodeTypes || [])],
+    relationshipTypes: [...(stored.relationshipTypes || [])],
+    nodeProperties: [...(stored.nodeProperties || [])],
+    relationshipProperties: [...(stored.relationshipProperties || [])],
+    strictMode: !!stored.strictMode,
+  };
+};
+
+/**
+ * Whether two resolved schemas extract the same graph
+ * The description property added by ENTITY_DESCRIPTIONS_ENABLED is not part of a schema;
+ * re-sync compares that setting separately (GraphMetadata.entityDescriptions).
+ * @param {Object} a - Extraction schema
+ * @param {Object} b - Extraction schema
+ * @returns {boolean}
+ */
+export const isSameExtractionSchema = (a, b) =>
+  ["nodeTypes", "relationshipTypes", "nodeProperties", "relationshipProperties"].every(
+    (field) => [...(a[field] || [])].sort().join("\u0000") === [...(b[field] || [])].sort().join("\u0000")
+  ) && !!a.strictMode === !!b.strictMode;
+
+/**
+ * Properties actually extracted for a schema: its own plus the description
+ * @param {Object} schema - Resolved extraction schema
+ * @returns {Object} { nodeProperties, relationshipProperties }
+ */
+export const getExtractedProperties = (schema) => {
+  const withDescription = (properties) =>
+    config.ENTITY_DESCRIPTIONS_ENABLED && !properties.includes(DESCRIPTION_PROPERTY)
+      ? [DESCRIPTION_PROPERTY, ...properties]
+      : properties;
+
+  return {
+    nodeProperties: withDescription(schema.nodeProperties),
+    relationshipProperties: withDescription(schema.relationshipProperties),
+  };
+};
+
+/**
+ * LLMGraphTransformer options for a schema
+ * @param {Object} schema - Resolved extraction schema
+ * @returns {Object} { allowedNodes, allowedRelationships, strictMode, nodeProperties, relationshipProperties }
+ */
+export const toTransformerOptions = (schema) => {
+  const { nodeProperties, relationshipProperties } = getExtractedProperties(schema);
+
+  return {
+    allowedNodes: schema.nodeTypes,
+    allowedRelationships: schema.relationshipTypes,
+    strictMode: schema.strictMode,
+    nodeProperties: nodeProperties.length > 0 ? nodeProperties : false,
+    relationshipProperties: relationshipProperties.length > 0 ? relationshipProperties : false,
+  };
+};
+
+/**
+ * Built-in presets, as listed by GET /sources/extraction-schemas
+ * @returns {Array<Object>} [{ preset, description, nodeTypes, relationshipTypes, nodeProperties, relationshipProperties, strictMode }]
+ */
+export const listExtractionSchemaPresets = () =>
+  Object.entries(EXTRACTION_SCHEMA_PRESETS).map(([preset, schema]) => ({ preset, ...schema }));
+
+export default {
+  resolveExtractionSchema,
+  getSourceExtractionSchema,
+  isSameExtractionSchema,
+  getExtractedProperties,
+  toTransformerOptions,
+  listExtractionSchemaPresets,
+};
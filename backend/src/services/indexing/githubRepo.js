@@ -0,0 +1,120 @@
+import axios from "axios";
+import { ApiError } from "#utils/api-error.js";
+
+const GITHUB_API_URL = "https://api.github.com";
+
+/**
+ * GitHub caps the compare API file list; larger diffs fall back to a full re-index
+ */
+export const GITHUB_COMPARE_FILE_LIMIT = 300;
+
+/**
+ * Parse owner/repo from a GitHub URL
+ * @param {string} repoUrl - e.g. "https://github.com/owner/repo" or "git@github.com:owner/repo.git"
+ * @returns {Object} { owner, repo }
+ */
+export const parseGithubRepoUrl = (repoUrl) => {
+  const match = repoUrl?.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+
+  if (!match) {
+    throw new ApiError(400, `Invalid GitHub repository URL: ${repoUrl}`);
+  }
+
+  return { owner: match[1], repo: match[2] };
+};
+
+const githubRequest = async (url, accessToken, options = {}) => {
+  try {
+    const response = await axios.get(`${GITHUB_API_URL}${url}`, {
+      ...options,
+      headers: {
+        Accept: "application/vnd.github+json",
+        ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+        "X-GitHub-Api-Version": "2022-11-28",
+        ...options.headers,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.message;
+    throw new ApiError(status === 404 ? 404 : 502, `GitHub API request failed: ${message}`);
+  }
+};
+
+/**
+ * Resolve the commit SHA at the head of a branch
+ * @param {Object} params
+ * @param {string} params.repoUrl - GitHub repository URL
+ * @param {string} params.branch - Branch name
+ * @param {string} params.accessToken - GitHub access token
+ * @returns {Promise<string>} Commit SHA
+ */
+export const getBranchHeadSha = async ({ repoUrl, branch = "main", accessToken }) => {
+  const { owner, repo } = parseGithubRepoUrl(repoUrl);
+  const data = await githubRequest(
+    `/repos/${owner}/${repo}/commits/${encodeURIComponent(branch)}`,
+    accessToken
+  );
+
+  return data.sha;
+};
+
+/**
+ * List files changed between two commits
+ * @param {Object} params
+ * @param {string} params.repoUrl - GitHub repository URL
+ * @param {string} params.baseSha - Previously indexed commit
+ * @param {string} params.headSha - Target commit
+ * @param {string} params.accessToken - GitHub access token
+ * @returns {Promise<Object>} { files: [{ path, status, previousPath }], truncated }
+ */
+export const compareCommits = async ({ repoUrl, baseSha, headSha, accessToken }) => {
+  const { owner, repo } = parseGithubRepoUrl(repoUrl);
+  const data = await githubRequest(
+    `/repos/${owner}/${repo}/compare/${baseSha}...${headSha}`,
+    accessToken
+  );
+
+  const files = (data.files || []).map((file) => ({
+    path: file.filename,
+    status: file.status,
+    previousPath: file.previous_filename || null,
+  }));
+
+  return {
+    files,
+    truncated: files.length >= GITHUB_COMPARE_FILE_LIMIT,
+  };
+};
+
+/**
+ * Fetch raw file content at a given commit
+ * @param {Object} params
+ * @param {string} params.repoUrl - GitHub repository URL
+ * @param {string} params.path - File path within the repository
+ * @param {string} params.ref - Commit SHA or branch
+ * @param {string} params.accessToken - GitHub access token
+ * @returns {Promise<string>} File content
+ */
+export const fetchFileContent = async ({ repoUrl, path, ref, accessToken }) => {
+  const { owner, repo } = parseGithubRepoUrl(repoUrl);
+  const encodedPath = path.split("/").map(encodeURIComponent).join("/");
+
+  return githubRequest(
+    `/repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`,
+    accessToken,
+    {
+      headers: { Accept: "application/vnd.github.raw+json" },
+      responseType: "text",
+      transformResponse: [(data) => data],
+    }
+  );
+};
+
+export default {
+  parseGithubRepoUrl,
+  getBranchHeadSha,
+  compareCommits,
+  fetchFileContent,
+};
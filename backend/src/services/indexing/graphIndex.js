@@ -1,9 +1,219 @@
-import { ChatOpenAI } from "@langchain/openai";
 import { LLMGraphTransformer } from "@langchain/community/experimental/graph_transformers/llm";
 import { Neo4jGraph } from "@langchain/community/graphs/neo4j_graph";
 import pLimit from "p-limit";
 import { ApiError } from "#utils/api-error.js";
+import { LLMPurposeEnum } from "#utils/constants.js";
 import config from "#config/config.js";
+import { getChatModel } from "#services/llm/llmProvider.js";
+import { createGraphWriter } from "./graphWriter.js";
+import {
+  DESCRIPTION_PROPERTY,
+  resolveExtractionSchema,
+  getExtractedProperties,
+  toTransformerOptions,
+} from "./extractionSchemas.js";
+
+/**
+ * Convert a Neo4j Integer (or plain number) query value to a JS number
+ * @param {*} value - Value returned from a Cypher query
+ * @returns {number}
+ */
+const toNumber = (value) =>
+  typeof value?.toNumber === "function" ? value.toNumber() : Number(value ?? 0);
+
+const cleanEntityName = (name) => String(name).trim().replace(/\s+/g, " ");
+
+/**
+ * Longest extracted property value kept on a node or relationship
+ */
+const MAX_PROPERTY_LENGTH = 500;
+
+/**
+ * Keep the extracted properties a schema asks for, as trimmed strings
+ * @param {Object} properties - Properties from the transformer
+ * @param {Array<string>} allowed - Property names in the extraction schema
+ * @returns {Object} Property map (empty when nothing usable was extracted)
+ */
+const pickProperties = (properties, allowed) => {
+  const picked = {};
+  if (!properties || allowed.length === 0) return picked;
+
+  for (const key of allowed) {
+    const value = properties[key];
+    if (value === undefined || value === null || typeof value === "object") continue;
+
+    const text = String(value).trim().slice(0, MAX_PROPERTY_LENGTH);
+    if (text) picked[key] = text;
+  }
+
+  return picked;
+};
+
+/**
+ * Flatten extracted graph documents into entity and relationship rows for the writer
+ * Nodes without a name or type and relationships without endpoints are dropped;
+ * relationships are kept only for chunks that produced entities. Names are trimmed
+ * and inner whitespace collapsed; other variants are merged by entity resolution.
+ * Only the properties named in the extraction schema (plus the description) are kept;
+ * an entity's description is split off so the writer can collect it per chunk.
+ * @param {Array} graphDocs - GraphDocuments from LLMGraphTransformer
+ * @param {Object} schema - Extraction schema the chunk was extracted with
+ * @returns {Object} { nodes: [{ name, type, description, properties }], relationships: [{ type, from, to, properties }] }
+ */
+const toChunkGraph = (graphDocs, schema) => {
+  const nodes = [];
+  const relationships = [];
+  const extracted = getExtractedProperties(schema);
+
+  const toNode = (node) => {
+    const { [DESCRIPTION_PROPERTY]: description = null, ...properties } = pickProperties(
+      node.properties,
+      extracted.nodeProperties
+    );
+    return { name: cleanEntityName(node.id), type: node.type, description, properties };
+  };
+
+  for (const graphDoc of graphDocs) {
+    const docNodes = graphDoc.nodes
+      .filter((node) => node.id && node.type)
+      .map(toNode)
+      .filter((node) => node.name);
+
+    if (docNodes.length === 0) continue;
+
+    nodes.push(...docNodes);
+    relationships.push(
+      ...graphDoc.relationships
+        .filter((rel) => rel.type && rel.source?.id && rel.target?.id)
+        .map((rel) => ({
+          type: rel.type,
+          from: cleanEntityName(rel.source.id),
+          to: cleanEntityName(rel.target.id),
+          properties: pickProperties(rel.properties, extracted.relationshipProperties),
+        }))
+    );
+  }
+
+  return { nodes, relationships };
+};
+
+/**
+ * Provenance recorded for an extracted chunk
+ * chunkId is the chunk's Qdrant point ID (set when it was vector-indexed); PDF chunks
+ * carry their page range (loc.pageNumber for chunks indexed before page ranges were
+ * recorded), GitHub chunks their file path.
+ * @param {Object} doc - Chunk document
+ * @returns {Object|null} { id, path, pageStart, pageEnd, section, text }, or null without a chunk ID
+ */
+const toChunkProvenance = (doc) => {
+  const metadata = doc.metadata || {};
+  if (!metadata.chunkId) return null;
+
+  const pageStart = metadata.pageStart ?? metadata.loc?.pageNumber ?? null;
+
+  return {
+    id: metadata.chunkId,
+    path: metadata.path || null,
+    pageStart,
+    pageEnd: metadata.pageEnd ?? pageStart,
+    section: metadata.sectionHeading || null,
+    text: doc.pageContent,
+  };
+};
+
+/**
+ * Extract every chunk with the LLM and stream the results into a batched graph writer
+ * Chunks count as processed once their batch is committed; a failed batch marks
+ * all of its chunks failed. Entities and relationships record the IDs of the chunks
+ * they were extracted from.
+ * @param {Object} params
+ * @param {Array} params.docs - Chunks to extract
+ * @param {Object} params.graphTransformer - LLMGraphTransformer
+ * @param {Object} params.schema - Extraction schema the transformer was built from
+ * @param {string} params.sourceId - Source ID that scopes all nodes
+ * @param {string} params.sourceType - Source type stored on the Source node
+ * @param {Function} params.toChunkFile - Optional (doc) => { filePath, language, fileType } for File nodes
+ * @param {number} params.concurrency - Concurrent extraction calls
+ * @param {Function} params.onProgress - Optional progress callback
+ * @returns {Promise<Object>} { processedChunks, failedChunks, lastChunkError, metrics }
+ */
+const extractIntoGraph = async ({
+  docs,
+  graphTransformer,
+  schema,
+  sourceId,
+  sourceType,
+  toChunkFile,
+  concurrency,
+  onProgress,
+}) => {
+  let processedChunks = 0;
+  let failedChunks = 0;
+  let lastChunkError = null;
+
+  const reportProgress = async () => {
+    if (!onProgress) return;
+    await onProgress({
+      total: docs.length,
+      processed: processedChunks,
+      failed: failedChunks,
+      lastError: lastChunkError,
+    });
+  };
+
+  const writer = await createGraphWriter({
+    sourceId,
+    sourceType,
+    onBatch: async ({ chunks, error }) => {
+      if (error) {
+        failedChunks += chunks;
+        lastChunkError = error.message;
+      } else {
+        processedChunks += chunks;
+      }
+      await reportProgress();
+    },
+  });
+
+  try {
+    const limit = pLimit(concurrency);
+
+    const extractionTasks = docs.map((doc) =>
+      limit(async () => {
+        let chunkGraph;
+        try {
+          // Extract graph documents from chunk text
+          chunkGraph = toChunkGraph(await graphTransformer.convertToGraphDocuments([doc]), schema);
+        } catch (error) {
+          console.error(`Error processing document chunk:`, error);
+          // Count the failure and continue processing other chunks
+          failedChunks++;
+          lastChunkError = error.message;
+          await reportProgress();
+          return;
+        }
+
+        await writer.addChunk({
+          ...toChunkFile?.(doc),
+          chunk: toChunkProvenance(doc),
+          ...chunkGraph,
+        });
+      })
+    );
+
+    await Promise.all(extractionTasks);
+    await writer.flush();
+
+    return {
+      processedChunks,
+      failedChunks,
+      lastChunkError,
+      metrics: writer.getMetrics(),
+    };
+  } finally {
+    await writer.close();
+  }
+};
 
 /**
  * Index documents to Neo4j graph database
@@ -11,18 +221,20 @@ import config from "#config/config.js";
  * @param {Object} params - Indexing parameters
  * @param {string} params.sourceId - Source ID to scope all nodes
  * @param {Array} params.docs - Array of LangChain Documents (split docs)
- * @param {string} params.modelName - Optional LLM model name
- * @param {number} params.concurrency - Optional concurrency limit
- * @returns {Promise<Object>} Response with nodes and relationships count
+ * @param {Object} params.schema - Optional extraction schema (default: "general" preset, no fixed types)
+ * @param {string} params.modelName - Optional extraction model name (defaults to EXTRACTION_LLM_MODEL)
+ * @param {number} params.concurrency - Optional concurrency limit (default: GRAPH_EXTRACTION_CONCURRENCY)
+ * @param {Function} params.onProgress - Optional callback receiving { total, processed, failed, lastError }
+ * @returns {Promise<Object>} Response with nodes, relationships, chunk counts and write metrics
  */
 export const buildPDFGraph = async ({
   sourceId,
   docs,
-  modelName = config.OPENAI_LLM_MODEL,
-  concurrency = 3,
+  schema = resolveExtractionSchema(null, "pdf"),
+  modelName,
+  concurrency = config.GRAPH_EXTRACTION_CONCURRENCY,
+  onProgress,
 }) => {
-  let neo4jGraph;
-
   try {
     // Step 1: Validate inputs
     if (!sourceId) {
@@ -33,119 +245,44 @@ export const buildPDFGraph = async ({
       throw new ApiError(400, "Documents array is required and cannot be empty");
     }
 
-    // Step 2: Initialize Neo4j connection
-    neo4jGraph = await Neo4jGraph.initialize({
-      url: config.NEO4J_URI,
-      username: config.NEO4J_USERNAME,
-      password: config.NEO4J_PASSWORD,
-    });
-
-    // Step 3: Initialize LLM + Graph Transformer
-    const llm = new ChatOpenAI({
-      modelName,
-      temperature: 0,
-      openAIApiKey: config.OPENAI_API_KEY,
+    // Step 2: Initialize LLM + Graph Transformer
+    const llm = getChatModel({
+      purpose: LLMPurposeEnum.EXTRACTION,
+      model: modelName,
     });
 
     const graphTransformer = new LLMGraphTransformer({
       llm,
-      allowedNodes: [],
-      allowedRelationships: [],
-      strictMode: false,
-      nodeProperties: false,
-      relationshipProperties: false,
+      ...toTransformerOptions(schema),
     });
 
-    // Step 4: Create Source node once
-    const sourceQuery = `
-      MERGE (s:Source {id: $sourceId})
-      SET s.sourceType = "pdf"
-    `;
-    await neo4jGraph.query(sourceQuery, { sourceId: sourceId.toString() });
-
-    // Step 5: Setup concurrency limiter
-    const limit = pLimit(concurrency);
-
-    // Step 6: Initialize counters
-    let totalNodes = 0;
-    let totalRelationships = 0;
-
-    // Step 7: Process chunks concurrently
-    const processingTasks = docs.map((doc) =>
-      limit(async () => {
-        try {
-          // Extract graph documents from text
-          const graphDocs = await graphTransformer.convertToGraphDocuments([doc]);
-
-          for (const graphDoc of graphDocs) {
-            // Normalize nodes: add sourceId, ensure name and type exist
-            const normalizedNodes = graphDoc.nodes
-              .filter((node) => node.id && node.type)
-              .map((node) => ({
-                ...node,
-                properties: {
-                  ...node.properties,
-                  sourceId: sourceId.toString(),
-                  name: node.id,
-                  type: node.type,
-                },
-              }));
-
-            // Normalize relationships: ensure type exists
-            const normalizedRelationships = graphDoc.relationships.filter(
-              (rel) => rel.type && rel.source?.id && rel.target?.id
-            );
-
-            if (normalizedNodes.length > 0) {
-              // Step 8: Persist to Neo4j using MERGE
-              // Create nodes
-              for (const node of normalizedNodes) {
-                const query = `
-                  MERGE (e:Entity {
-                    name: $name,
-                    sourceId: $sourceId
-                  })
-                  SET e.type = $type
-                `;
-                await neo4jGraph.query(query, {
-                  name: node.properties.name,
-                  sourceId: node.properties.sourceId,
-                  type: node.properties.type,
-                });
-                totalNodes++;
-              }
-
-              // Create relationships
-              for (const rel of normalizedRelationships) {
-                const query = `
-                  MATCH (a:Entity {name: $fromName, sourceId: $sourceId})
-                  MATCH (b:Entity {name: $toName, sourceId: $sourceId})
-                  MERGE (a)-[r:${rel.type.toUpperCase().replace(/\s+/g, "_")}]->(b)
-                `;
-                await neo4jGraph.query(query, {
-                  fromName: rel.source.id,
-                  toName: rel.target.id,
-                  sourceId: sourceId.toString(),
-                });
-                totalRelationships++;
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error processing document chunk:`, error);
-          // Continue processing other chunks
-        }
-      })
-    );
+    // Step 3: Extract chunks concurrently, writing them to Neo4j in batches
+    const { processedChunks, failedChunks, lastChunkError, metrics } = await extractIntoGraph({
+      docs,
+      graphTransformer,
+      schema,
+      sourceId,
+      sourceType: "pdf",
+      concurrency,
+      onProgress,
+    });
 
-    // Wait for all processing to complete
-    await Promise.all(processingTasks);
+    if (failedChunks === docs.length) {
+      throw new ApiError(
+        500,
+        `Graph extraction failed for all ${docs.length} chunks: ${lastChunkError}`
+      );
+    }
 
-    // Step 10: Return result
+    // Step 4: Return result
     return {
       status: "ok",
-      nodesAdded: totalNodes,
-      relationshipsAdded: totalRelationships,
+      nodesAdded: metrics.entitiesCreated,
+      relationshipsAdded: metrics.entityRelationshipsCreated,
+      chunksProcessed: processedChunks,
+      chunksFailed: failedChunks,
+      lastError: lastChunkError,
+      metrics,
     };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -155,11 +292,6 @@ export const buildPDFGraph = async ({
       500,
       `Failed to index documents to Neo4j: ${error.message}`
     );
-  } finally {
-    // Step 9: Close Neo4j connection
-    if (neo4jGraph) {
-      await neo4jGraph.close();
-    }
   }
 };
 
@@ -169,18 +301,20 @@ export const buildPDFGraph = async ({
  * @param {Object} params - Indexing parameters
  * @param {string} params.sourceId - Source ID to scope all nodes
  * @param {Array} params.docs - Array of LangChain Documents (split chunks from GitHub files)
- * @param {string} params.modelName - Optional LLM model name
- * @param {number} params.concurrency - Optional concurrency limit
- * @returns {Promise<Object>} Response with source, files, nodes and relationships count
+ * @param {Object} params.schema - Optional extraction schema (default: "code" preset)
+ * @param {string} params.modelName - Optional extraction model name (defaults to EXTRACTION_LLM_MODEL)
+ * @param {number} params.concurrency - Optional concurrency limit (default: GRAPH_EXTRACTION_CONCURRENCY)
+ * @param {Function} params.onProgress - Optional callback receiving { total, processed, failed, lastError }
+ * @returns {Promise<Object>} Response with files, nodes, relationships, chunk counts and write metrics
  */
 export const buildGithubRepoGraph = async ({
   sourceId,
   docs,
-  modelName = config.OPENAI_LLM_MODEL,
-  concurrency = 3,
+  schema = resolveExtractionSchema(null, "github_repo"),
+  modelName,
+  concurrency = config.GRAPH_EXTRACTION_CONCURRENCY,
+  onProgress,
 }) => {
-  let neo4jGraph;
-
   try {
     // Step 1: Validate inputs
     if (!sourceId) {
@@ -191,163 +325,132 @@ export const buildGithubRepoGraph = async ({
       throw new ApiError(400, "Documents array is required and cannot be empty");
     }
 
-    // Step 2: Initialize Neo4j connection
-    neo4jGraph = await Neo4jGraph.initialize({
-      url: config.NEO4J_URI,
-      username: config.NEO4J_USERNAME,
-      password: config.NEO4J_PASSWORD,
-    });
-
-    // Step 3: Initialize LLM + Graph Transformer with GitHub-specific configuration
-    const llm = new ChatOpenAI({
-      modelName,
-      temperature: 0,
-      openAIApiKey: config.OPENAI_API_KEY,
+    // Step 2: Initialize LLM + Graph Transformer with the source's extraction schema
+    const llm = getChatModel({
+      purpose: LLMPurposeEnum.EXTRACTION,
+      model: modelName,
     });
 
     const graphTransformer = new LLMGraphTransformer({
       llm,
-      allowedNodes: ["Class", "Function", "Module", "Component", "Service", "Concept"],
-      allowedRelationships: ["USES", "DEPENDS_ON", "IMPLEMENTS", "PART_OF", "RELATED_TO"],
-      strictMode: false,
-      nodeProperties: false,
-      relationshipProperties: false,
+      ...toTransformerOptions(schema),
     });
 
-    // Step 4: Create Source node once
-    const sourceQuery = `
-      MERGE (s:Source {id: $sourceId})
-      SET s.sourceType = "github_repo"
-    `;
-    await neo4jGraph.query(sourceQuery, { sourceId: sourceId.toString() });
+    // Step 3: Extract chunks concurrently; File nodes, MENTIONS and entities are written in batches
+    const { processedChunks, failedChunks, lastChunkError, metrics } = await extractIntoGraph({
+      docs,
+      graphTransformer,
+      schema,
+      sourceId,
+      sourceType: "github_repo",
+      toChunkFile: (doc) => ({
+        filePath: doc.metadata?.path || "unknown",
+        language: doc.metadata?.language || "unknown",
+        fileType: doc.metadata?.fileType || "unknown",
+      }),
+      concurrency,
+      onProgress,
+    });
 
-    // Step 5: Setup concurrency limiter
-    const limit = pLimit(concurrency);
+    if (failedChunks === docs.length) {
+      throw new ApiError(
+        500,
+        `Graph extraction failed for all ${docs.length} chunks: ${lastChunkError}`
+      );
+    }
+
+    // Step 4: Return result
+    return {
+      status: "ok",
+      filesCount: metrics.filesWritten,
+      nodesAdded: metrics.entitiesCreated,
+      relationshipsAdded: metrics.entityRelationshipsCreated,
+      chunksProcessed: processedChunks,
+      chunksFailed: failedChunks,
+      lastError: lastChunkError,
+      metrics,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      500,
+      `Failed to index GitHub repository to Neo4j: ${error.message}`
+    );
+  }
+};
 
-    // Step 6: Initialize counters and tracking
-    let totalNodes = 0;
-    let totalRelationships = 0;
-    const filesProcessed = new Set();
+/**
+ * Delete a source's whole subgraph: its Source node, File, Chunk, Entity and code nodes
+ * Relationships go with their nodes. A follow-up count verifies nothing is left.
+ * @param {string} sourceId - Source ID to delete from Neo4j
+ * @returns {Promise<Object>} Response with deleted and remaining node counts
+ */
+export const deleteGraphBySourceId = async (sourceId) => {
+  let neo4jGraph;
 
-    // Step 7: Process chunks concurrently
-    const processingTasks = docs.map((doc) =>
-      limit(async () => {
-        try {
-          // Extract file path and language from document metadata
-          const filePath = doc.metadata?.path || "unknown";
-          const language = doc.metadata?.language || "unknown";
-          const fileType = doc.metadata?.fileType || "unknown";
-
-          // Create or MERGE File node
-          if (!filesProcessed.has(filePath)) {
-            const fileQuery = `
-              MERGE (f:File {path: $path, sourceId: $sourceId})
-              SET f.language = $language, f.fileType = $fileType
-              RETURN f
-            `;
-            await neo4jGraph.query(fileQuery, {
-              path: filePath,
-              sourceId: sourceId.toString(),
-              language,
-              fileType,
-            });
-
-            // Create relationship (Source)-[:HAS_FILE]->(File)
-            const sourceFileRelQuery = `
-              MATCH (s:Source {id: $sourceId})
-              MATCH (f:File {path: $path, sourceId: $sourceId})
-              MERGE (s)-[:HAS_FILE]->(f)
-            `;
-            await neo4jGraph.query(sourceFileRelQuery, {
-              sourceId: sourceId.toString(),
-              path: filePath,
-            });
-
-            filesProcessed.add(filePath);
-          }
+  try {
+    if (!sourceId) {
+      throw new ApiError(400, "sourceId is required to delete from Neo4j");
+    }
 
-          // Extract graph documents from chunk text
-          const graphDocs = await graphTransformer.convertToGraphDocuments([doc]);
-
-          for (const graphDoc of graphDocs) {
-            // Normalize nodes: add sourceId, ensure name and type exist
-            const normalizedNodes = graphDoc.nodes
-              .filter((node) => node.id && node.type)
-              .map((node) => ({
-                ...node,
-                properties: {
-                  ...node.properties,
-                  sourceId: sourceId.toString(),
-                  name: node.id,
-                  type: node.type,
-                },
-              }));
-
-            // Normalize relationships: ensure type exists and nodes are valid
-            const normalizedRelationships = graphDoc.relationships.filter(
-              (rel) => rel.type && rel.source?.id && rel.target?.id
-            );
-
-            if (normalizedNodes.length > 0) {
-              // Step 8: Persist entities to Neo4j
-              for (const node of normalizedNodes) {
-                const entityQuery = `
-                  MERGE (e:Entity {name: $name, sourceId: $sourceId})
-                  SET e.type = $type
-                `;
-                await neo4jGraph.query(entityQuery, {
-                  name: node.properties.name,
-                  sourceId: node.properties.sourceId,
-                  type: node.properties.type,
-                });
-
-                // Create relationship (File)-[:MENTIONS]->(Entity)
-                const mentionQuery = `
-                  MATCH (f:File {path: $path, sourceId: $sourceId})
-                  MATCH (e:Entity {name: $entityName, sourceId: $sourceId})
-                  MERGE (f)-[:MENTIONS]->(e)
-                `;
-                await neo4jGraph.query(mentionQuery, {
-                  path: filePath,
-                  sourceId: sourceId.toString(),
-                  entityName: node.properties.name,
-                });
-
-                totalNodes++;
-              }
-
-              // Create semantic relationships between entities
-              for (const rel of normalizedRelationships) {
-                const relQuery = `
-                  MATCH (a:Entity {name: $fromName, sourceId: $sourceId})
-                  MATCH (b:Entity {name: $toName, sourceId: $sourceId})
-                  MERGE (a)-[r:${rel.type.toUpperCase().replace(/\s+/g, "_")}]->(b)
-                `;
-                await neo4jGraph.query(relQuery, {
-                  fromName: rel.source.id,
-                  toName: rel.target.id,
-                  sourceId: sourceId.toString(),
-                });
-                totalRelationships++;
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error processing document chunk:`, error);
-          // Continue processing other chunks
-        }
-      })
+    // Initialize Neo4j connection
+    neo4jGraph = await Neo4jGraph.initialize({
+      url: config.NEO4J_URI,
+      username: config.NEO4J_USERNAME,
+      password: config.NEO4J_PASSWORD,
+    });
+
+    const params = { sourceId: sourceId.toString() };
+
+    // Step 1: Entities, File, Chunk and code nodes (and their relationships)
+    const scopedResult = await neo4jGraph.query(
+      `
+      MATCH (n)
+      WHERE (n:Entity OR n:File OR n:Chunk OR n:CodeNode) AND n.sourceId = $sourceId
+      WITH n,
+        CASE WHEN n:File THEN 1 ELSE 0 END AS isFile,
+        CASE WHEN n:Chunk THEN 1 ELSE 0 END AS isChunk,
+        CASE WHEN n:CodeNode THEN 1 ELSE 0 END AS isCode
+      DETACH DELETE n
+      RETURN sum(isFile) AS filesDeleted, sum(isChunk) AS chunksDeleted, sum(isCode) AS codeNodesDeleted,
+        count(*) - sum(isFile) - sum(isChunk) - sum(isCode) AS entitiesDeleted
+      `,
+      params
     );
 
-    // Wait for all processing to complete
-    await Promise.all(processingTasks);
+    // Step 2: The Source node (and its HAS_FILE edges)
+    const sourceResult = await neo4jGraph.query(
+      `
+      MATCH (s:Source { id: $sourceId })
+      DETACH DELETE s
+      RETURN count(*) AS sourcesDeleted
+      `,
+      params
+    );
+
+    // Step 3: Verify
+    const remainingResult = await neo4jGraph.query(
+      `
+      OPTIONAL MATCH (n)
+      WHERE ((n:Entity OR n:File OR n:Chunk OR n:CodeNode) AND n.sourceId = $sourceId)
+        OR (n:Source AND n.id = $sourceId)
+      RETURN count(n) AS remaining
+      `,
+      params
+    );
 
-    // Step 9: Return result
     return {
       status: "ok",
-      filesCount: filesProcessed.size,
-      nodesAdded: totalNodes,
-      relationshipsAdded: totalRelationships,
+      sourceId: sourceId.toString(),
+      sourcesDeleted: toNumber(sourceResult[0]?.sourcesDeleted),
+      filesDeleted: toNumber(scopedResult[0]?.filesDeleted),
+      chunksDeleted: toNumber(scopedResult[0]?.chunksDeleted),
+      codeNodesDeleted: toNumber(scopedResult[0]?.codeNodesDeleted),
+      entitiesDeleted: toNumber(scopedResult[0]?.entitiesDeleted),
+      remaining: toNumber(remainingResult[0]?.remaining),
+      message: "Neo4j subgraph deleted successfully",
     };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -355,10 +458,9 @@ export const buildGithubRepoGraph = async ({
     }
     throw new ApiError(
       500,
-      `Failed to index GitHub repository to Neo4j: ${error.message}`
+      `Failed to delete Neo4j subgraph: ${error.message}`
     );
   } finally {
-    // Step 10: Close Neo4j connection
     if (neo4jGraph) {
       await neo4jGraph.close();
     }
@@ -366,11 +468,15 @@ export const buildGithubRepoGraph = async ({
 };
 
 /**
- * Delete all Neo4j entities and relationships for a specific source
- * @param {string} sourceId - Source ID to delete from Neo4j
- * @returns {Promise<Object>} Response with deletion status
+ * Delete File and Chunk nodes for specific paths, plus entities no longer mentioned by any file
+ * Surviving entities and relationships drop the deleted chunk IDs from their provenance,
+ * and entities the descriptions extracted from those chunks (their summaries go stale).
+ * Used by GitHub re-sync for removed and modified files
+ * @param {string} sourceId - Source ID that scopes the File nodes
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Promise<Object>} Response with deleted file, chunk and entity counts
  */
-export const deleteGraphBySourceId = async (sourceId) => {
+export const deleteGraphFilesByPaths = async (sourceId, paths) => {
   let neo4jGraph;
 
   try {
@@ -378,27 +484,85 @@ export const deleteGraphBySourceId = async (sourceId) => {
       throw new ApiError(400, "sourceId is required to delete from Neo4j");
     }
 
-    // Initialize Neo4j connection
+    if (!paths || paths.length === 0) {
+      return { status: "ok", filesDeleted: 0, chunksDeleted: 0, entitiesDeleted: 0 };
+    }
+
     neo4jGraph = await Neo4jGraph.initialize({
       url: config.NEO4J_URI,
       username: config.NEO4J_USERNAME,
       password: config.NEO4J_PASSWORD,
     });
 
-    // Delete all entities (and their relationships) for this source
-    const query = `
-      MATCH (n:Entity { sourceId: $sourceId })
-      DETACH DELETE n
-    `;
+    // Collect entities mentioned by the files before detaching them
+    const fileResult = await neo4jGraph.query(
+      `
+      MATCH (f:File {sourceId: $sourceId})
+      WHERE f.path IN $paths
+      OPTIONAL MATCH (f)-[:MENTIONS]->(e:Entity)
+      WITH collect(DISTINCT f) AS files, collect(DISTINCT e.name) AS entityNames
+      FOREACH (file IN files | DETACH DELETE file)
+      RETURN size(files) AS filesDeleted, entityNames
+      `,
+      { sourceId: sourceId.toString(), paths }
+    );
 
-    const result = await neo4jGraph.query(query, {
-      sourceId: sourceId.toString(),
-    });
+    const candidateNames = fileResult[0]?.entityNames || [];
+
+    const chunkResult = await neo4jGraph.query(
+      `
+      MATCH (c:Chunk {sourceId: $sourceId})
+      WHERE c.path IN $paths
+      WITH collect(c) AS chunks, collect(c.id) AS chunkIds
+      FOREACH (chunk IN chunks | DETACH DELETE chunk)
+      RETURN chunkIds
+      `,
+      { sourceId: sourceId.toString(), paths }
+    );
+
+    const staleChunkIds = chunkResult[0]?.chunkIds || [];
+
+    // Remove entities that are no longer mentioned by any remaining file
+    const entityResult = await neo4jGraph.query(
+      `
+      MATCH (e:Entity {sourceId: $sourceId})
+      WHERE e.name IN $names
+        AND NOT EXISTS { MATCH (:File)-[:MENTIONS]->(e) }
+      DETACH DELETE e
+      RETURN count(e) AS entitiesDeleted
+      `,
+      { sourceId: sourceId.toString(), names: candidateNames }
+    );
+
+    if (staleChunkIds.length > 0) {
+      await neo4jGraph.query(
+        `
+        MATCH (e:Entity {sourceId: $sourceId})
+        WHERE any(id IN coalesce(e.chunkIds, []) WHERE id IN $chunkIds)
+          OR any(id IN coalesce(e.descriptionChunkIds, []) WHERE id IN $chunkIds)
+        WITH e, [i IN range(0, size(coalesce(e.descriptions, [])) - 1)
+          WHERE NOT coalesce(e.descriptionChunkIds[i], "") IN $chunkIds] AS kept
+        SET e.chunkIds = [id IN coalesce(e.chunkIds, []) WHERE NOT id IN $chunkIds],
+          e.descriptions = [i IN kept | e.descriptions[i]],
+          e.descriptionChunkIds = [i IN kept | coalesce(e.descriptionChunkIds[i], "")]
+        `,
+        { sourceId: sourceId.toString(), chunkIds: staleChunkIds }
+      );
+      await neo4jGraph.query(
+        `
+        MATCH (:Entity {sourceId: $sourceId})-[r]->(:Entity {sourceId: $sourceId})
+        WHERE any(id IN coalesce(r.chunkIds, []) WHERE id IN $chunkIds)
+        SET r.chunkIds = [id IN r.chunkIds WHERE NOT id IN $chunkIds]
+        `,
+        { sourceId: sourceId.toString(), chunkIds: staleChunkIds }
+      );
+    }
 
     return {
       status: "ok",
-      sourceId: sourceId.toString(),
-      message: "Neo4j entities deleted successfully",
+      filesDeleted: toNumber(fileResult[0]?.filesDeleted),
+      chunksDeleted: staleChunkIds.length,
+      entitiesDeleted: toNumber(entityResult[0]?.entitiesDeleted),
     };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -406,7 +570,87 @@ export const deleteGraphBySourceId = async (sourceId) => {
     }
     throw new ApiError(
       500,
-      `Failed to delete Neo4j entities: ${error.message}`
+      `Failed to delete Neo4j files: ${error.message}`
+    );
+  } finally {
+    if (neo4jGraph) {
+      await neo4jGraph.close();
+    }
+  }
+};
+
+/**
+ * Count entities and entity relationships stored for a source
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object>} { entityCount, relationCount }
+ */
+export const getGraphCounts = async (sourceId) => {
+  let neo4jGraph;
+
+  try {
+    neo4jGraph = await Neo4jGraph.initialize({
+      url: config.NEO4J_URI,
+      username: config.NEO4J_USERNAME,
+      password: config.NEO4J_PASSWORD,
+    });
+
+    const result = await neo4jGraph.query(
+      `
+      MATCH (e:Entity {sourceId: $sourceId})
+      OPTIONAL MATCH (e)-[r]->(:Entity {sourceId: $sourceId})
+      RETURN count(DISTINCT e) AS entityCount, count(DISTINCT r) AS relationCount
+      `,
+      { sourceId: sourceId.toString() }
+    );
+
+    return {
+      entityCount: toNumber(result[0]?.entityCount),
+      relationCount: toNumber(result[0]?.relationCount),
+    };
+  } catch (error) {
+    throw new ApiError(
+      500,
+      `Failed to count Neo4j entities: ${error.message}`
+    );
+  } finally {
+    if (neo4jGraph) {
+      await neo4jGraph.close();
+    }
+  }
+};
+
+/**
+ * Count a source's Chunk nodes that are not among the given chunk IDs
+ * After a vector-only re-index, these are chunks the graph's provenance points at
+ * but that are no longer in the vector index.
+ * @param {string} sourceId - Source ID
+ * @param {Array<string>} chunkIds - Chunk IDs now in the vector index
+ * @returns {Promise<number>} Number of missing chunks
+ */
+export const countMissingGraphChunks = async (sourceId, chunkIds) => {
+  let neo4jGraph;
+
+  try {
+    neo4jGraph = await Neo4jGraph.initialize({
+      url: config.NEO4J_URI,
+      username: config.NEO4J_USERNAME,
+      password: config.NEO4J_PASSWORD,
+    });
+
+    const result = await neo4jGraph.query(
+      `
+      MATCH (c:Chunk {sourceId: $sourceId})
+      WHERE NOT c.id IN $chunkIds
+      RETURN count(c) AS missing
+      `,
+      { sourceId: sourceId.toString(), chunkIds }
+    );
+
+    return toNumber(result[0]?.missing);
+  } catch (error) {
+    throw new ApiError(
+      500,
+      `Failed to check Neo4j chunks: ${error.message}`
     );
   } finally {
     if (neo4jGraph) {
@@ -419,4 +663,7 @@ export default {
   buildPDFGraph,
   buildGithubRepoGraph,
   deleteGraphBySourceId,
+  deleteGraphFilesByPaths,
+  getGraphCounts,
+  countMissingGraphChunks,
 };
\ No newline at end of file
@@ -0,0 +1,440 @@
+import neo4j from "neo4j-driver";
+import config from "#config/config.js";
+
+const driver = neo4j.driver(
+  config.NEO4J_URI,
+  neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD),
+);
+
+/**
+ * Lookup indexes backing the MERGE keys used while indexing
+ * Without them every MERGE scans all nodes of its label.
+ */
+const INDEX_STATEMENTS = [
+  "CREATE INDEX source_id IF NOT EXISTS FOR (s:Source) ON (s.id)",
+  "CREATE INDEX file_source_path IF NOT EXISTS FOR (f:File) ON (f.sourceId, f.path)",
+  "CREATE INDEX entity_source_name IF NOT EXISTS FOR (e:Entity) ON (e.sourceId, e.name)",
+  "CREATE INDEX chunk_source_id IF NOT EXISTS FOR (c:Chunk) ON (c.sourceId, c.id)",
+  "CREATE INDEX code_node_source_id IF NOT EXISTS FOR (n:CodeNode) ON (n.sourceId, n.id)",
+];
+
+/**
+ * Most chunk IDs kept on one entity or relationship
+ * Frequently mentioned entities keep the chunks they were first extracted from.
+ */
+export const MAX_PROVENANCE_CHUNKS = 50;
+
+/**
+ * Most extracted descriptions kept on one entity; past the cap the oldest are dropped and the last ones kept
+ * Entity summaries (see entitySummaries.js) merge them into one text.
+ */
+export const MAX_ENTITY_DESCRIPTIONS = 10;
+
+/**
+ * Keys the indexer manages on Entity nodes and their relationships
+ */
+const MANAGED_PROPERTIES = new Set([
+  "name",
+  "sourceId",
+  "type",
+  "aliases",
+  "chunkIds",
+  "mergeId",
+  "descriptions",
+  "descriptionChunkIds",
+  "summary",
+  "summaryHash",
+]);
+
+/**
+ * Properties extracted by the LLM (per the source's extraction schema), without the managed keys
+ * A relationship's description is one of them; an entity's live in descriptions/summary.
+ * @param {Object} properties - Node or relationship properties
+ * @returns {Object} Extracted properties
+ */
+export const toExtractedProperties = (properties = {}) =>
+  Object.fromEntries(Object.entries(properties).filter(([key]) => !MANAGED_PROPERTIES.has(key)));
+
+let indexesReady = null;
+
+/**
+ * Create the lookup indexes once per process
+ * @returns {Promise<void>}
+ */
+export const ensureGraphIndexes = () => {
+  if (!indexesReady) {
+    indexesReady = (async () => {
+      const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+      try {
+        for (const statement of INDEX_STATEMENTS) {
+          await session.run(statement);
+        }
+      } finally {
+        await session.close();
+      }
+    })().catch((error) => {
+      indexesReady = null;
+      throw error;
+    });
+  }
+  return indexesReady;
+};
+
+/**
+ * Relationship types cannot be parameterized in Cypher, so they are reduced to
+ * [A-Z0-9_] before being interpolated (e.g. "depends on" -> DEPENDS_ON)
+ * @param {string} type - Relationship type from extraction
+ * @returns {string|null} Safe relationship type, or null if nothing is left
+ */
+export const toRelationshipType = (type) => {
+  const safe = String(type)
+    .toUpperCase()
+    .replace(/\s+/g, "_")
+    .replace(/[^A-Z0-9_]/g, "");
+  return /^[A-Z]/.test(safe) ? safe : null;
+};
+
+/**
+ * Sum the write counters of a query result into the running totals
+ */
+const addCounters = (totals, result) => {
+  const updates = result.summary.counters.updates();
+  totals.nodesCreated += updates.nodesCreated;
+  totals.relationshipsCreated += updates.relationshipsCreated;
+};
+
+/**
+ * Write one batch of extracted chunks in a single transaction
+ * Every statement MERGEs on the node keys and chunk IDs are added as a set, so
+ * replaying a batch (transaction retry or job retry) leaves the graph unchanged.
+ * Extracted properties (see the source's extraction schema) overwrite earlier values.
+ * Entity descriptions are kept per chunk instead: descriptions[i] was extracted from
+ * descriptionChunkIds[i], a re-extracted chunk replaces its description and the
+ * oldest ones are dropped past MAX_ENTITY_DESCRIPTIONS.
+ * @param {Object} tx - Managed transaction
+ * @param {string} sourceId - Source ID that scopes all nodes
+ * @param {Object} rows - { files, chunks, entities, mentions, relationships } batch rows
+ * @returns {Promise<Object>} { nodesCreated, relationshipsCreated, entitiesCreated, entityRelationshipsCreated }
+ */
+const writeBatch = async (tx, sourceId, { files, chunks, entities, mentions, relationships }) => {
+  const totals = { nodesCreated: 0, relationshipsCreated: 0 };
+  const maxChunkIds = neo4j.int(MAX_PROVENANCE_CHUNKS);
+
+  if (files.length > 0) {
+    addCounters(
+      totals,
+      await tx.run(
+        `
+        MATCH (s:Source {id: $sourceId})
+        UNWIND $files AS file
+        MERGE (f:File {path: file.path, sourceId: $sourceId})
+        SET f.language = file.language, f.fileType = file.fileType
+        MERGE (s)-[:HAS_FILE]->(f)
+        `,
+        { sourceId, files }
+      )
+    );
+  }
+
+  // Chunk nodes hold the text and location entities and relationships point back to
+  if (chunks.length > 0) {
+    addCounters(
+      totals,
+      await tx.run(
+        `
+        UNWIND $chunks AS chunk
+        MERGE (c:Chunk {id: chunk.id, sourceId: $sourceId})
+        SET c.path = chunk.path,
+          c.pageStart = chunk.pageStart,
+          c.pageEnd = chunk.pageEnd,
+          c.section = chunk.section,
+          c.text = chunk.text
+        `,
+        { sourceId, chunks }
+      )
+    );
+  }
+
+  const entityTotals = { nodesCreated: 0, relationshipsCreated: 0 };
+
+  if (entities.length > 0) {
+    addCounters(
+      entityTotals,
+      await tx.run(
+        `
+        UNWIND $entities AS entity
+        MERGE (e:Entity {name: entity.name, sourceId: $sourceId})
+        SET e += entity.properties,
+          e.type = entity.type,
+          e.chunkIds = (coalesce(e.chunkIds, []) +
+            [id IN entity.chunkIds WHERE NOT id IN coalesce(e.chunkIds, [])])[..$maxChunkIds]
+        WITH e, entity,
+          [i IN range(0, size(coalesce(e.descriptions, [])) - 1)
+            WHERE NOT coalesce(e.descriptionChunkIds[i], "") IN entity.descriptionChunkIds] AS kept
+        WITH e, [i IN kept | e.descriptions[i]] + entity.descriptions AS descriptions,
+          [i IN kept | coalesce(e.descriptionChunkIds[i], "")] + entity.descriptionChunkIds AS descriptionChunkIds
+        SET e.descriptions = descriptions[-$maxDescriptions..],
+          e.descriptionChunkIds = descriptionChunkIds[-$maxDescriptions..]
+        `,
+        { sourceId, entities, maxChunkIds, maxDescriptions: neo4j.int(MAX_ENTITY_DESCRIPTIONS) }
+      )
+    );
+  }
+
+  if (mentions.length > 0) {
+    addCounters(
+      totals,
+      await tx.run(
+        `
+        UNWIND $mentions AS mention
+        MATCH (f:File {path: mention.path, sourceId: $sourceId})
+        MATCH (e:Entity {name: mention.name, sourceId: $sourceId})
+        MERGE (f)-[:MENTIONS]->(e)
+        `,
+        { sourceId, mentions }
+      )
+    );
+  }
+
+  // One statement per relationship type (types cannot be UNWIND parameters)
+  for (const [type, rels] of relationships) {
+    addCounters(
+      entityTotals,
+      await tx.run(
+        `
+        UNWIND $rels AS rel
+        MATCH (a:Entity {name: rel.from, sourceId: $sourceId})
+        MATCH (b:Entity {name: rel.to, sourceId: $sourceId})
+        MERGE (a)-[r:${type}]->(b)
+        SET r += rel.properties,
+          r.chunkIds = (coalesce(r.chunkIds, []) +
+            [id IN rel.chunkIds WHERE NOT id IN coalesce(r.chunkIds, [])])[..$maxChunkIds]
+        `,
+        { sourceId, rels, maxChunkIds }
+      )
+    );
+  }
+
+  return {
+    nodesCreated: totals.nodesCreated + entityTotals.nodesCreated,
+    relationshipsCreated: totals.relationshipsCreated + entityTotals.relationshipsCreated,
+    entitiesCreated: entityTotals.nodesCreated,
+    entityRelationshipsCreated: entityTotals.relationshipsCreated,
+  };
+};
+
+/**
+ * Create a batched graph writer for one indexing run
+ * Chunks are buffered as they are extracted and written with UNWIND, batchSize
+ * chunks per transaction. Batches are written one at a time so concurrent
+ * extraction tasks never contend for the same node locks.
+ *
+ * @param {Object} params
+ * @param {string} params.sourceId - Source ID that scopes all nodes
+ * @param {string} params.sourceType - Source type stored on the Source node
+ * @param {number} params.batchSize - Chunks per write transaction (default: GRAPH_WRITE_BATCH_SIZE)
+ * @param {Function} params.onBatch - Optional callback receiving { chunks, error } after each batch
+ * @returns {Promise<Object>} { addChunk, flush, close, getMetrics }
+ *  - addChunk({ filePath, language, fileType, chunk, nodes, relationships }): buffer an extracted chunk
+ *    (filePath is omitted for sources without File nodes, e.g. PDFs; chunk is the
+ *    { id, path, pageStart, pageEnd, section, text } provenance, omitted for chunks without an ID;
+ *    nodes are { name, type, description, properties }, relationships { type, from, to, properties })
+ *  - flush(): write whatever is buffered and wait for pending batches
+ *  - close(): release the session
+ *  - getMetrics(): write counts and throughput
+ */
+export const createGraphWriter = async ({
+  sourceId,
+  sourceType,
+  batchSize = config.GRAPH_WRITE_BATCH_SIZE,
+  onBatch,
+}) => {
+  const scopedSourceId = sourceId.toString();
+
+  await ensureGraphIndexes();
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.WRITE });
+
+  await session.executeWrite((tx) =>
+    tx.run(
+      `
+      MERGE (s:Source {id: $sourceId})
+      SET s.sourceType = $sourceType
+      `,
+      { sourceId: scopedSourceId, sourceType }
+    )
+  );
+
+  const startedAt = Date.now();
+  const metrics = {
+    batches: 0,
+    batchesFailed: 0,
+    chunksWritten: 0,
+    rowsWritten: 0,
+    nodesCreated: 0,
+    relationshipsCreated: 0,
+    entitiesCreated: 0,
+    entityRelationshipsCreated: 0,
+    writeMs: 0,
+  };
+
+  const writtenFiles = new Set();
+  let buffer = [];
+  let pending = Promise.resolve();
+
+  /**
+   * Turn buffered chunks into deduplicated UNWIND rows
+   */
+  const toRows = (chunks) => {
+    const files = new Map();
+    const chunkRows = new Map();
+    const entities = new Map();
+    const mentions = new Map();
+    const relationships = new Map();
+
+    for (const chunk of chunks) {
+      if (chunk.filePath && !writtenFiles.has(chunk.filePath)) {
+        files.set(chunk.filePath, {
+          path: chunk.filePath,
+          language: chunk.language,
+          fileType: chunk.fileType,
+        });
+      }
+
+      const chunkId = chunk.chunk?.id;
+      if (chunkId) chunkRows.set(chunkId, chunk.chunk);
+
+      for (const node of chunk.nodes) {
+        if (!entities.has(node.name)) {
+          entities.set(node.name, {
+            name: node.name,
+            type: node.type,
+            properties: {},
+            descriptions: new Map(),
+            chunkIds: new Set(),
+          });
+        }
+        const entity = entities.get(node.name);
+        entity.type = node.type;
+        Object.assign(entity.properties, node.properties);
+        // Keyed by chunk so a re-sync can drop the descriptions of deleted chunks
+        if (node.description) entity.descriptions.set(chunkId || "", node.description);
+        if (chunkId) entity.chunkIds.add(chunkId);
+
+        if (chunk.filePath) {
+          mentions.set(`${chunk.filePath}\u0000${node.name}`, { path: chunk.filePath, name: node.name });
+        }
+      }
+
+      for (const rel of chunk.relationships) {
+        const type = toRelationshipType(rel.type);
+        if (!type) continue;
+        if (!relationships.has(type)) relationships.set(type, new Map());
+
+        const key = `${rel.from}\u0000${rel.to}`;
+        const rels = relationships.get(type);
+        if (!rels.has(key)) rels.set(key, { from: rel.from, to: rel.to, properties: {}, chunkIds: new Set() });
+        Object.assign(rels.get(key).properties, rel.properties);
+        if (chunkId) rels.get(key).chunkIds.add(chunkId);
+      }
+    }
+
+    const withChunkIds = (row) => ({ ...row, chunkIds: [...row.chunkIds] });
+
+    return {
+      files: [...files.values()],
+      chunks: [...chunkRows.values()],
+      entities: [...entities.values()].map((entity) => ({
+        ...withChunkIds(entity),
+        descriptions: [...entity.descriptions.values()],
+        descriptionChunkIds: [...entity.descriptions.keys()],
+      })),
+      mentions: [...mentions.values()],
+      relationships: [...relationships].map(([type, rels]) => [type, [...rels.values()].map(withChunkIds)]),
+    };
+  };
+
+  /**
+   * Queue the buffered chunks as one transaction behind any batch in flight
+   */
+  const writeBuffered = () => {
+    if (buffer.length === 0) return pending;
+
+    const chunks = buffer;
+    buffer = [];
+
+    pending = pending.then(async () => {
+      const rows = toRows(chunks);
+      const rowCount =
+        rows.files.length +
+        rows.chunks.length +
+        rows.entities.length +
+        rows.mentions.length +
+        rows.relationships.reduce((sum, [, rels]) => sum + rels.length, 0);
+      const batchStartedAt = Date.now();
+
+      try {
+        const counts = await session.executeWrite((tx) => writeBatch(tx, scopedSourceId, rows));
+
+        metrics.batches++;
+        metrics.chunksWritten += chunks.length;
+        metrics.rowsWritten += rowCount;
+        metrics.nodesCreated += counts.nodesCreated;
+        metrics.relationshipsCreated += counts.relationshipsCreated;
+        metrics.entitiesCreated += counts.entitiesCreated;
+        metrics.entityRelationshipsCreated += counts.entityRelationshipsCreated;
+        rows.files.forEach((file) => writtenFiles.add(file.path));
+
+        await onBatch?.({ chunks: chunks.length, error: null });
+      } catch (error) {
+        console.error(`Graph write batch of ${chunks.length} chunks failed:`, error);
+        metrics.batchesFailed++;
+        await onBatch?.({ chunks: chunks.length, error });
+      } finally {
+        metrics.writeMs += Date.now() - batchStartedAt;
+      }
+    });
+
+    return pending;
+  };
+
+  const addChunk = async ({
+    filePath,
+    language = "unknown",
+    fileType = "unknown",
+    chunk = null,
+    nodes = [],
+    relationships = [],
+  }) => {
+    buffer.push({ filePath, language, fileType, chunk, nodes, relationships });
+    if (buffer.length >= batchSize) {
+      await writeBuffered();
+    }
+  };
+
+  const flush = () => writeBuffered();
+
+  const close = () => session.close();
+
+  const getMetrics = () => {
+    const elapsedSeconds = Math.max(0.001, (Date.now() - startedAt) / 1000);
+    const writeSeconds = Math.max(0.001, metrics.writeMs / 1000);
+
+    return {
+      ...metrics,
+      filesWritten: writtenFiles.size,
+      elapsedMs: Date.now() - startedAt,
+      chunksPerMinute: Math.round((metrics.chunksWritten / elapsedSeconds) * 60),
+      rowsPerSecond: Math.round(metrics.rowsWritten / writeSeconds),
+    };
+  };
+
+  return { addChunk, flush, close, getMetrics };
+};
+
+export default {
+  ensureGraphIndexes,
+  toRelationshipType,
+  toExtractedProperties,
+  createGraphWriter,
+};
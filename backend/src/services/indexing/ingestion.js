@@ -2,16 +2,171 @@ import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
 import { GithubRepoLoader } from "@langchain/community/document_loaders/web/github";
 import { RecursiveCharacterTextSplitter } from "@langchain/text-splitters";
 import { ApiError } from "#utils/api-error.js";
+import { fetchFileContent } from "./githubRepo.js";
 
 const SPLITTER_CONFIG = {
   chunkSize: 1000,
   chunkOverlap: 200,
 };
 
+/**
+ * Files skipped when loading GitHub repositories (basename glob patterns)
+ */
+const GITHUB_IGNORE_FILES = [
+  "*.json",
+  "*.lock",
+  "*.yml",
+  "*.yaml",
+  ".*ignore",
+  "package.json",
+];
+
+const githubIgnoreMatchers = GITHUB_IGNORE_FILES.map(
+  (pattern) =>
+    new RegExp(
+      `^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`
+    )
+);
+
+/**
+ * Check whether a repository path is excluded from indexing
+ * Mirrors the ignoreFiles patterns passed to GithubRepoLoader
+ * @param {string} filePath - Path within the repository
+ * @returns {boolean} True if the file should be skipped
+ */
+export const isIgnoredGithubPath = (filePath) => {
+  const fileName = filePath.split("/").pop() || "";
+  return githubIgnoreMatchers.some((matcher) => matcher.test(fileName));
+};
+
+/**
+ * Heuristics for section headings in extracted PDF text: numbered ("2.3 Results"),
+ * ALL CAPS, or short Title Case lines without sentence punctuation
+ */
+const NUMBERED_HEADING = /^(\d+(\.\d+)*\.?|[IVXLC]+\.|Chapter\s+\d+|Section\s+\d+)\s+\S/i;
+const MAX_HEADING_LENGTH = 80;
+
+const isHeadingLine = (line) => {
+  const text = line.trim();
+  if (text.length < 3 || text.length > MAX_HEADING_LENGTH) return false;
+  if (/[.,;:]$/.test(text) || !/[A-Za-z]/.test(text)) return false;
+
+  if (NUMBERED_HEADING.test(text)) return true;
+  if (text === text.toUpperCase() && /[A-Z]{3}/.test(text)) return true;
+
+  const words = text.split(/\s+/);
+  const capitalized = words.filter((word) => /^[A-Z]/.test(word)).length;
+  return words.length <= 8 && capitalized / words.length >= 0.75;
+};
+
+/**
+ * Find the page containing a document-level character offset
+ * @param {Array<Object>} pageStarts - { offset, pageNumber } per page, by ascending offset
+ * @returns {Object} The page's { offset, pageNumber }
+ */
+const pageAtOffset = (pageStarts, offset) => {
+  let low = 0;
+  let high = pageStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pageStarts[mid].offset <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return pageStarts[low];
+};
+
+/**
+ * Split PDF pages into chunks that keep their location in the document
+ * Pages are joined into one text so chunks can span page breaks; each chunk
+ * is then located in that text to derive its page range and offsets. Page numbers
+ * come from the loader, which skips pages without text. A chunk that cannot be
+ * located keeps its text but no page range, offsets or heading.
+ * @param {Array} pages - One LangChain Document per page (PDFLoader output)
+ * @returns {Promise<Array>} Chunks with pageStart, pageEnd, charStart, charEnd, pageCharStart, sectionHeading
+ */
+const splitPDFPages = async (pages) => {
+  const PAGE_SEPARATOR = "\n\n";
+
+  // Step 1: Join pages, remembering where each one starts
+  const pageStarts = [];
+  let fullText = "";
+  pages.forEach((page, idx) => {
+    if (idx > 0) fullText += PAGE_SEPARATOR;
+    pageStarts.push({ offset: fullText.length, pageNumber: page.metadata?.loc?.pageNumber ?? idx + 1 });
+    fullText += page.pageContent;
+  });
+
+  // Step 2: Collect heading positions
+  const headings = [];
+  let lineStart = 0;
+  for (const line of fullText.split("\n")) {
+    if (isHeadingLine(line)) {
+      headings.push({ offset: lineStart, text: line.trim() });
+    }
+    lineStart += line.length + 1;
+  }
+
+  // Step 3: Split and locate each chunk (chunks are emitted in order, overlap allowed)
+  const splitter = new RecursiveCharacterTextSplitter(SPLITTER_CONFIG);
+  const chunks = await splitter.splitText(fullText);
+  const { loc, ...documentMetadata } = pages[0].metadata || {};
+
+  let searchFrom = 0;
+  let headingIdx = -1;
+
+  return chunks.map((chunk) => {
+    const charStart = fullText.indexOf(chunk, searchFrom);
+    if (charStart === -1) {
+      return {
+        pageContent: chunk,
+        metadata: {
+          ...documentMetadata,
+          pageStart: null,
+          pageEnd: null,
+          charStart: null,
+          charEnd: null,
+          pageCharStart: null,
+          sectionHeading: null,
+        },
+      };
+    }
+    const charEnd = charStart + chunk.length;
+    searchFrom = charStart + 1;
+
+    // Nearest heading at or before the chunk, or one opening the chunk
+    while (headingIdx + 1 < headings.length && headings[headingIdx + 1].offset <= charStart) {
+      headingIdx += 1;
+    }
+    const openingHeading = headings[headingIdx + 1];
+    const sectionHeading =
+      openingHeading && openingHeading.offset < charStart + SPLITTER_CONFIG.chunkOverlap
+        ? openingHeading.text
+        : headings[headingIdx]?.text || null;
+
+    const startPage = pageAtOffset(pageStarts, charStart);
+    const endPage = pageAtOffset(pageStarts, Math.max(charStart, charEnd - 1));
+
+    return {
+      pageContent: chunk,
+      metadata: {
+        ...documentMetadata,
+        loc: { pageNumber: startPage.pageNumber },
+        pageStart: startPage.pageNumber,
+        pageEnd: endPage.pageNumber,
+        charStart,
+        charEnd,
+        // Offset within the starting page, for highlighting in a viewer
+        pageCharStart: charStart - startPage.offset,
+        sectionHeading,
+      },
+    };
+  });
+};
+
 /**
  * Load and split PDF document
  * @param {string} documentLocalPath - Path to the PDF file
- * @returns {Promise<Array>} Array of split document chunks
+ * @returns {Promise<Array>} Array of split document chunks with page/offset/section metadata
  */
 export const loadAndPreparePDF = async (documentLocalPath) => {
   try {
@@ -26,8 +181,7 @@ export const loadAndPreparePDF = async (documentLocalPath) => {
       throw new ApiError(400, "Failed to load PDF or PDF is empty");
     }
 
-    const splitter = new RecursiveCharacterTextSplitter(SPLITTER_CONFIG);
-    const splitDocs = await splitter.splitDocuments(docs);
+    const splitDocs = await splitPDFPages(docs);
 
     if (!splitDocs || splitDocs.length === 0) {
       throw new ApiError(400, "Failed to split PDF documents");
@@ -42,17 +196,117 @@ export const loadAndPreparePDF = async (documentLocalPath) => {
   }
 };
 
+/**
+ * Put back the indentation the splitter trims from a chunk's first line
+ * Chunks of indentation-sensitive code (Python) are re-assembled for static analysis,
+ * so each chunk must start exactly as its line does in the file.
+ * @param {Object} chunk - Split chunk (metadata.loc.lines from the splitter)
+ * @param {string} content - Full file content
+ * @returns {Object} The chunk
+ */
+const restoreLeadingIndent = (chunk, content) => {
+  const from = chunk.metadata?.loc?.lines?.from;
+  if (!from) return chunk;
+
+  const line = content.split("\n", from)[from - 1] || "";
+  const indent = line.match(/^[ \t]*/)[0];
+  const firstLine = chunk.pageContent.split("\n", 1)[0];
+
+  if (indent && firstLine && line.slice(indent.length).startsWith(firstLine) && !chunk.pageContent.startsWith(indent)) {
+    chunk.pageContent = indent + chunk.pageContent;
+  }
+  return chunk;
+};
+
+/**
+ * Enrich GitHub file documents with file type/language metadata and split large files
+ * @param {Array} docs - One LangChain Document per repository file (metadata.source = path)
+ * @returns {Promise<Array>} Array of split document chunks with GitHub metadata
+ */
+const prepareGithubDocs = async (docs) => {
+  // Enrich metadata with GitHub-specific information
+  const enrichedDocs = docs.map((doc) => {
+    // Extract file type from path
+    const filePath = doc.metadata?.source || "";
+    const fileName = filePath.split("/").pop() || "";
+    const ext = fileName.split(".").pop() || "";
+
+    // Determine file type and language
+    const codeExtensions = {
+      js: "javascript",
+      ts: "typescript",
+      jsx: "javascript",
+      tsx: "typescript",
+      py: "python",
+      java: "java",
+      cpp: "cpp",
+      c: "c",
+      go: "go",
+      rs: "rust",
+      rb: "ruby",
+      php: "php",
+      swift: "swift",
+      kotlin: "kotlin",
+      cs: "csharp",
+      html: "html",
+      css: "css",
+      scss: "scss",
+      json: "json",
+      xml: "xml",
+      sql: "sql",
+      sh: "shell",
+    };
+
+    const fileType = ["md", "markdown", "txt"].includes(ext) ? "markdown" : "code";
+    const language = codeExtensions[ext] || ext || "unknown";
+
+    return {
+      ...doc,
+      metadata: {
+        ...doc.metadata,
+        fileType,
+        language,
+        path: filePath,
+      },
+    };
+  });
+
+  const largeFileSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize: 1500,
+    chunkOverlap: 0,
+  });
+
+  const splitDocs = [];
+
+  for (const doc of enrichedDocs) {
+    const contentLength = doc.pageContent.length;
+
+    if (contentLength < 2000) {
+      // Small file → keep as-is, no split
+      splitDocs.push(doc);
+    } else {
+      // Large file → split without overlap
+      const chunks = await largeFileSplitter.splitDocuments([doc]);
+      splitDocs.push(...chunks.map((chunk) => restoreLeadingIndent(chunk, doc.pageContent)));
+    }
+  }
+
+  return splitDocs;
+};
+
 /**
  * Load and split GitHub repository
  * @param {Object} params - GitHub loading parameters
  * @param {string} params.repoUrl - GitHub repository URL (e.g., "https://github.com/owner/repo")
  * @param {string} params.branch - Repository branch (defaults to "main")
+ * @param {string} params.ref - Optional commit SHA to load instead of the branch head
  * @param {string} params.accessToken - GitHub access token (from env: GITHUB_ACCESS_TOKEN)
  * @returns {Promise<Array>} Array of split document chunks with GitHub metadata
  */
 export const loadAndPrepareGithubRepo = async ({
   repoUrl,
   branch = "main",
+  ref,
   accessToken,
 }) => {
   try {
@@ -65,16 +319,9 @@ export const loadAndPrepareGithubRepo = async ({
     }
 
     const loader = new GithubRepoLoader(repoUrl, {
-      branch,
+      branch: ref || branch,
       accessToken,
-      ignoreFiles: [
-        "*.json",
-        "*.lock",
-        "*.yml",
-        "*.yaml",
-        ".*ignore",
-        "package.json",
-      ],
+      ignoreFiles: GITHUB_IGNORE_FILES,
     });
 
     const docs = await loader.load();
@@ -83,85 +330,79 @@ export const loadAndPrepareGithubRepo = async ({
       throw new ApiError(400, "Failed to load GitHub repository or repository is empty");
     }
 
-    // Step 2: Enrich metadata with GitHub-specific information
-    const enrichedDocs = docs.map((doc) => {
-      // Extract file type from path
-      const filePath = doc.metadata?.source || "";
-      const fileName = filePath.split("/").pop() || "";
-      const ext = fileName.split(".").pop() || "";
-
-      // Determine file type and language
-      const codeExtensions = {
-        js: "javascript",
-        ts: "typescript",
-        jsx: "javascript",
-        tsx: "typescript",
-        py: "python",
-        java: "java",
-        cpp: "cpp",
-        c: "c",
-        go: "go",
-        rs: "rust",
-        rb: "ruby",
-        php: "php",
-        swift: "swift",
-        kotlin: "kotlin",
-        cs: "csharp",
-        html: "html",
-        css: "css",
-        scss: "scss",
-        json: "json",
-        xml: "xml",
-        sql: "sql",
-        sh: "shell",
-      };
+    const splitDocs = await prepareGithubDocs(docs);
 
-      const fileType = ["md", "markdown", "txt"].includes(ext) ? "markdown" : "code";
-      const language = codeExtensions[ext] || ext || "unknown";
+    if (!splitDocs || splitDocs.length === 0) {
+      throw new ApiError(400, "Failed to split GitHub repository documents");
+    }
 
-      return {
-        ...doc,
-        metadata: {
-          ...doc.metadata,
-          fileType,
-          language,
-          path: filePath,
-        },
-      };
-    });
+    return splitDocs;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      500,
+      `Failed to load and split GitHub repository: ${error.message}`
+    );
+  }
+};
 
-    const largeFileSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1500,
-      chunkOverlap: 0,
-    });
+/**
+ * Load and split a subset of files from a GitHub repository at a given commit
+ * Used by incremental re-sync to re-process only added/changed files
+ * @param {Object} params - GitHub loading parameters
+ * @param {string} params.repoUrl - GitHub repository URL
+ * @param {string} params.ref - Commit SHA to load files at
+ * @param {Array<string>} params.paths - File paths within the repository
+ * @param {string} params.accessToken - GitHub access token
+ * @returns {Promise<Array>} Array of split document chunks with GitHub metadata
+ */
+export const loadAndPrepareGithubFiles = async ({
+  repoUrl,
+  ref,
+  paths,
+  accessToken,
+}) => {
+  try {
+    if (!repoUrl) {
+      throw new ApiError(400, "Repository URL is required");
+    }
 
-    const splitDocs = [];
+    if (!accessToken) {
+      throw new ApiError(400, "GitHub access token is required");
+    }
 
-    for (const doc of enrichedDocs) {
-      const contentLength = doc.pageContent.length;
+    const docs = [];
 
-      if (contentLength < 2000) {
-        // Small file → keep as-is, no split
-        splitDocs.push(doc);
-      } else {
-        // Large file → split without overlap
-        const chunks = await largeFileSplitter.splitDocuments([doc]);
-        splitDocs.push(...chunks);
-      }
-    }
+    for (const filePath of paths.filter((p) => !isIgnoredGithubPath(p))) {
+      const content = await fetchFileContent({
+        repoUrl,
+        path: filePath,
+        ref,
+        accessToken,
+      });
 
-    if (!splitDocs || splitDocs.length === 0) {
-      throw new ApiError(400, "Failed to split GitHub repository documents");
+      if (typeof content !== "string" || content.trim() === "") continue;
+
+      docs.push({
+        pageContent: content,
+        metadata: {
+          source: filePath,
+          repository: repoUrl,
+          branch: ref,
+        },
+      });
     }
 
-    return splitDocs;
+    return prepareGithubDocs(docs);
   } catch (error) {
     if (error instanceof ApiError) {
       throw error;
     }
     throw new ApiError(
       500,
-      `Failed to load and split GitHub repository: ${error.message}`
+      `Failed to load GitHub files: ${error.message}`
     );
   }
 };
@@ -169,4 +410,6 @@ export const loadAndPrepareGithubRepo = async ({
 export default {
   loadAndPreparePDF,
   loadAndPrepareGithubRepo,
+  loadAndPrepareGithubFiles,
+  isIgnoredGithubPath,
 };
@@ -0,0 +1,225 @@
+import { QdrantClient } from "@qdrant/js-client-rest";
+import { ApiError } from "#utils/api-error.js";
+import config from "#config/config.js";
+import { fnv1a, tokenize } from "#services/embeddings/tokenizer.js";
+
+/**
+ * Name of the sparse vector inside sparse collections
+ */
+const SPARSE_VECTOR_NAME = "bm25";
+
+/**
+ * BM25 term-frequency saturation and length normalization parameters
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const getClient = () => {
+  const clientOptions = { url: config.QDRANT_URL };
+  if (config.QDRANT_API_KEY) {
+    clientOptions.apiKey = config.QDRANT_API_KEY;
+  }
+  return new QdrantClient(clientOptions);
+};
+
+/**
+ * Sparse (lexical) companion collection for a dense collection
+ * @param {string} collectionName - Dense Qdrant collection name
+ * @returns {string} Sparse collection name
+ */
+export const getSparseCollectionName = (collectionName) => `${collectionName}_bm25`;
+
+/**
+ * Count hashed term frequencies for a text
+ * Colliding terms share a bucket; with 2^32 buckets this is negligible in practice.
+ * @returns {Map<number, number>} term index -> frequency
+ */
+const countTerms = (text) => {
+  const counts = new Map();
+  for (const token of tokenize(text || "")) {
+    const index = fnv1a(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Build the BM25 term-weight vector for a document
+ * Qdrant applies IDF at query time (collection created with the "idf" modifier),
+ * so only the TF and length-normalization half of BM25 is stored here.
+ * @param {string} text - Chunk text
+ * @param {number} avgDocLength - Average token count across the indexed chunks
+ * @returns {Object} Sparse vector { indices, values }
+ */
+export const buildDocumentSparseVector = (text, avgDocLength) => {
+  const counts = countTerms(text);
+  const docLength = [...counts.values()].reduce((sum, tf) => sum + tf, 0);
+  const lengthNorm = 1 - BM25_B + BM25_B * (docLength / (avgDocLength || docLength || 1));
+
+  const indices = [];
+  const values = [];
+  for (const [index, tf] of counts) {
+    indices.push(index);
+    values.push((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+  }
+
+  return { indices, values };
+};
+
+/**
+ * Build the query vector: each distinct query term counts once
+ * @param {string} query - Search query
+ * @returns {Object} Sparse vector { indices, values }
+ */
+export const buildQuerySparseVector = (query) => {
+  const indices = [...countTerms(query).keys()];
+  return { indices, values: indices.map(() => 1) };
+};
+
+/**
+ * Create the sparse collection if it does not exist yet
+ */
+const ensureSparseCollection = async (client, sparseCollectionName) => {
+  const { exists } = await client.collectionExists(sparseCollectionName);
+  if (exists) return;
+
+  await client.createCollection(sparseCollectionName, {
+    vectors: {},
+    sparse_vectors: {
+      [SPARSE_VECTOR_NAME]: { modifier: "idf" },
+    },
+  });
+};
+
+/**
+ * Index chunks into the sparse (BM25) companion collection
+ * Points reuse the dense chunk IDs so both rankings refer to the same chunks.
+ * @param {Array} docs - Documents with metadata.chunkId set
+ * @param {string} collectionName - Dense Qdrant collection name
+ * @param {Object} options - Optional indexing options
+ * @param {number} options.batchSize - Points upserted per request (default: 256)
+ * @param {number} options.avgDocLength - Corpus average token count; incremental upserts pass the
+ *   one stored for the collection so their weights stay comparable (default: average of docs)
+ * @returns {Promise<Object>} Response with status, sparse collection info and the avgDocLength used
+ */
+export const indexToSparseStore = async (docs, collectionName, { batchSize = 256, avgDocLength } = {}) => {
+  try {
+    if (!collectionName) {
+      throw new ApiError(400, "Collection name is required to build the sparse index");
+    }
+
+    const sparseCollectionName = getSparseCollectionName(collectionName);
+    const client = getClient();
+
+    await ensureSparseCollection(client, sparseCollectionName);
+
+    // A full build measures the corpus it indexes
+    if (!avgDocLength) {
+      const totalLength = docs.reduce((sum, doc) => sum + tokenize(doc.pageContent || "").length, 0);
+      avgDocLength = docs.length > 0 ? totalLength / docs.length : 0;
+    }
+
+    for (let i = 0; i < docs.length; i += batchSize) {
+      const points = docs.slice(i, i + batchSize).map((doc) => ({
+        id: doc.metadata.chunkId,
+        vector: {
+          [SPARSE_VECTOR_NAME]: buildDocumentSparseVector(doc.pageContent, avgDocLength),
+        },
+        payload: {
+          content: doc.pageContent,
+          metadata: doc.metadata,
+        },
+      }));
+
+      await client.upsert(sparseCollectionName, { wait: true, points });
+    }
+
+    return {
+      status: "ok",
+      collection: sparseCollectionName,
+      added: docs.length,
+      avgDocLength,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Failed to build sparse index: ${error.message}`);
+  }
+};
+
+/**
+ * Lexical BM25 search over a source's sparse collection
+ * @param {Object} params - Retrieval parameters
+ * @param {string} params.query - Search query
+ * @param {string} params.collectionName - Dense Qdrant collection name
+ * @param {number} params.limit - Maximum number of results
+ * @returns {Promise<Array>} Array of context objects with text, score, and metadata
+ */
+export const searchSparse = async ({ query, collectionName, limit = 5 }) => {
+  const queryVector = buildQuerySparseVector(query);
+  if (queryVector.indices.length === 0) {
+    return [];
+  }
+
+  const client = getClient();
+  const response = await client.query(getSparseCollectionName(collectionName), {
+    query: queryVector,
+    using: SPARSE_VECTOR_NAME,
+    limit,
+    with_payload: true,
+  });
+
+  return response.points.map((point) => ({
+    text: point.payload?.content || "",
+    score: point.score,
+    metadata: {
+      ...point.payload?.metadata,
+      chunkId: point.id,
+    },
+  }));
+};
+
+/**
+ * Delete the sparse companion collection (no-op if it was never built)
+ * @param {string} collectionName - Dense Qdrant collection name
+ */
+export const deleteSparseCollection = async (collectionName) => {
+  const client = getClient();
+  const sparseCollectionName = getSparseCollectionName(collectionName);
+
+  const { exists } = await client.collectionExists(sparseCollectionName);
+  if (exists) {
+    await client.deleteCollection(sparseCollectionName);
+  }
+};
+
+/**
+ * Delete sparse points for specific file paths (no-op if the index was never built)
+ * @param {string} collectionName - Dense Qdrant collection name
+ * @param {Array<string>} paths - Repository file paths (matched against metadata.path)
+ */
+export const deleteSparseChunksByPaths = async (collectionName, paths) => {
+  const client = getClient();
+  const sparseCollectionName = getSparseCollectionName(collectionName);
+
+  const { exists } = await client.collectionExists(sparseCollectionName);
+  if (!exists || !paths || paths.length === 0) return;
+
+  await client.delete(sparseCollectionName, {
+    wait: true,
+    filter: {
+      must: [{ key: "metadata.path", match: { any: paths } }],
+    },
+  });
+};
+
+export default {
+  getSparseCollectionName,
+  buildDocumentSparseVector,
+  buildQuerySparseVector,
+  indexToSparseStore,
+  searchSparse,
+  deleteSparseCollection,
+  deleteSparseChunksByPaths,
+};
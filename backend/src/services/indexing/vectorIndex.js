@@ -1,20 +1,57 @@
-import { OpenAIEmbeddings } from "@langchain/openai";
+import crypto from "crypto";
 import { QdrantClient } from "@qdrant/js-client-rest";
 import { QdrantVectorStore } from "@langchain/qdrant";
 import { ApiError } from "#utils/api-error.js";
 import config from "#config/config.js";
+import { getEmbeddings } from "#services/embeddings/embeddingProvider.js";
 import { loadAndPreparePDF, loadAndPrepareGithubRepo } from "./ingestion.js";
+import {
+  indexToSparseStore,
+  deleteSparseCollection,
+  deleteSparseChunksByPaths,
+  getSparseCollectionName,
+} from "./sparseIndex.js";
 
+/**
+ * Stable Qdrant point ID of a chunk (UUID-formatted hash)
+ * Derived from the source, the chunk's file path and text, and how many identical
+ * chunks precede it in that file, so re-embedding unchanged content (vector-only
+ * re-index, re-sync) keeps the IDs the graph's provenance points at.
+ * @param {string} sourceId - Source ID
+ * @param {Object} doc - Chunk document
+ * @param {number} occurrence - Identical chunks before this one in the same file
+ * @returns {string} UUID
+ */
+const toChunkId = (sourceId, doc, occurrence) => {
+  const hex = crypto
+    .createHash("sha256")
+    .update([sourceId, doc.metadata?.path || "", occurrence, doc.pageContent].join("\u0000"))
+    .digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
 
 /**
  * Index documents to Qdrant vector database
+ * Also builds the source's sparse (BM25) companion collection for hybrid retrieval.
  * @param {Array} docs - Array of documents to index
  * @param {string} collectionName - Name of the Qdrant collection
  * @param {string} sourceId - Source ID for filtering
  * @param {string} sourceType - Source type (pdf, github_repo)
- * @returns {Promise<Object>} Response with status and collection info
+ * @param {Object} options - Optional indexing options
+ * @param {number} options.batchSize - Chunks embedded per request (default: 64)
+ * @param {Function} options.onProgress - Callback receiving { total, processed, failed }
+ * @param {number} options.sparseAvgDocLength - Stored corpus average for incremental sparse upserts
+ * @returns {Promise<Object>} Response with status, collection info and the indexed chunks (with chunkId)
  */
-export const indexToVectorStore = async (docs, collectionName, sourceId, sourceType) => {
+export const indexToVectorStore = async (
+  docs,
+  collectionName,
+  sourceId,
+  sourceType,
+  { batchSize = 64, onProgress, sparseAvgDocLength } = {}
+) => {
   try {
     if (!collectionName) {
       throw new ApiError(400, "Collection name is required to index to Qdrant");
@@ -33,24 +70,30 @@ export const indexToVectorStore = async (docs, collectionName, sourceId, sourceT
     }
 
     // Attach source-level metadata to each document
-    const docsWithMetadata = docs.map((doc) => ({
-      ...doc,
-      metadata: {
-        ...doc.metadata,
-        sourceId: sourceId.toString(),
-        sourceType: sourceType,
-      },
-    }));
+    // chunkId is the Qdrant point ID in both the dense and sparse collections
+    const occurrences = new Map();
+    const docsWithMetadata = docs.map((doc) => {
+      const key = `${doc.metadata?.path || ""}\u0000${doc.pageContent}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+
+      return {
+        ...doc,
+        metadata: {
+          ...doc.metadata,
+          sourceId: sourceId.toString(),
+          sourceType: sourceType,
+          chunkId: toChunkId(sourceId.toString(), doc, occurrence),
+        },
+      };
+    });
 
     // Get Qdrant configuration
     const qdrantUrl = config.QDRANT_URL;
     const qdrantApiKey = config.QDRANT_API_KEY;
 
-    // Initialize embeddings
-    const embeddings = new OpenAIEmbeddings({
-      model: config.OPENAI_EMBEDDING_MODEL,
-      openAIApiKey: config.OPENAI_API_KEY,
-    });
+    // Initialize embeddings from the configured provider
+    const embeddings = getEmbeddings();
 
     // Setup Qdrant client options
     const clientOptions = { url: qdrantUrl };
@@ -60,20 +103,39 @@ export const indexToVectorStore = async (docs, collectionName, sourceId, sourceT
 
     const client = new QdrantClient(clientOptions);
 
-    // Index documents to Qdrant with metadata
-    const vectorStore = await QdrantVectorStore.fromDocuments(
-      docsWithMetadata,
-      embeddings,
-      {
-        client,
-        collectionName,
+    const vectorStore = new QdrantVectorStore(embeddings, {
+      client,
+      collectionName,
+    });
+
+    // Index documents to Qdrant with metadata, in batches so progress can be reported
+    for (let i = 0; i < docsWithMetadata.length; i += batchSize) {
+      const batch = docsWithMetadata.slice(i, i + batchSize);
+      await vectorStore.addDocuments(batch, {
+        ids: batch.map((doc) => doc.metadata.chunkId),
+      });
+
+      if (onProgress) {
+        await onProgress({
+          total: docsWithMetadata.length,
+          processed: Math.min(i + batchSize, docsWithMetadata.length),
+          failed: 0,
+        });
       }
-    );
+    }
+
+    // Lexical index over the same chunks
+    const sparseResult = await indexToSparseStore(docsWithMetadata, collectionName, {
+      avgDocLength: sparseAvgDocLength,
+    });
 
     return {
       status: "ok",
       collection: collectionName,
+      sparseCollection: sparseResult.collection,
+      sparseAvgDocLength: sparseResult.avgDocLength,
       added: docs.length,
+      chunks: docsWithMetadata,
     };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -92,21 +154,31 @@ export const indexToVectorStore = async (docs, collectionName, sourceId, sourceT
  * @param {string} collectionName - Name of the Qdrant collection
  * @param {string} sourceId - Source ID for Neo4j scoping and Qdrant filtering
  * @param {string} sourceType - Source type (pdf, github_repo)
+ * @param {Object} options - Optional indexing options (see indexToVectorStore)
  * @returns {Promise<Object>} Response with indexing status for vector database
  */
-export const indexPDFSource = async (documentLocalPath, collectionName, sourceId, sourceType = "pdf") => {
+export const indexPDFSource = async (
+  documentLocalPath,
+  collectionName,
+  sourceId,
+  sourceType = "pdf",
+  options = {}
+) => {
   try {
     // Step 1: Load and split PDF
     const splitDocs = await loadAndPreparePDF(documentLocalPath);
 
     // Step 2: Index to Qdrant (vector embeddings with metadata)
-    const vectorResult = await indexToVectorStore(splitDocs, collectionName, sourceId, sourceType);
+    const vectorResult = await indexToVectorStore(splitDocs, collectionName, sourceId, sourceType, options);
 
     return {
       status: "ok",
       vector: {
         collection: vectorResult.collection,
+        sparseCollection: vectorResult.sparseCollection,
+        sparseAvgDocLength: vectorResult.sparseAvgDocLength,
         chunksIndexed: vectorResult.added,
+        chunkIds: vectorResult.chunks.map((chunk) => chunk.metadata.chunkId),
       },
       splitDocs, // Return splitDocs for later Neo4j indexing
     };
@@ -128,6 +200,8 @@ export const indexPDFSource = async (documentLocalPath, collectionName, sourceId
  * @param {string} params.branch - Repository branch (defaults to "main")
  * @param {string} params.collectionName - Name of the Qdrant collection
  * @param {string} params.sourceId - Source ID for Qdrant filtering
+ * @param {string} params.ref - Optional commit SHA to index instead of the branch head
+ * @param {Function} params.onProgress - Optional embedding progress callback
  * @returns {Promise<Object>} Response with indexing status for vector database
  */
 export const indexGithubSource = async ({
@@ -135,6 +209,8 @@ export const indexGithubSource = async ({
   branch = "main",
   collectionName,
   sourceId,
+  ref,
+  onProgress,
 }) => {
   try {
     // Validate inputs
@@ -160,6 +236,7 @@ export const indexGithubSource = async ({
     const splitDocs = await loadAndPrepareGithubRepo({
       repoUrl,
       branch,
+      ref,
       accessToken,
     });
 
@@ -168,14 +245,18 @@ export const indexGithubSource = async ({
       splitDocs,
       collectionName,
       sourceId,
-      "github_repo"
+      "github_repo",
+      { onProgress }
     );
 
     return {
       status: "ok",
       vector: {
         collection: vectorResult.collection,
+        sparseCollection: vectorResult.sparseCollection,
+        sparseAvgDocLength: vectorResult.sparseAvgDocLength,
         chunksIndexed: vectorResult.added,
+        chunkIds: vectorResult.chunks.map((chunk) => chunk.metadata.chunkId),
       },
       splitDocs, // Return splitDocs for later Neo4j indexing if needed
     };
@@ -213,12 +294,17 @@ export const deleteQdrantCollection = async (collectionName) => {
 
     const client = new QdrantClient(clientOptions);
 
-    // Delete the collection
-    await client.deleteCollection(collectionName);
+    // Delete the collection and its sparse companion (missing collections are skipped)
+    const { exists } = await client.collectionExists(collectionName);
+    if (exists) {
+      await client.deleteCollection(collectionName);
+    }
+    await deleteSparseCollection(collectionName);
 
     return {
       status: "ok",
       collection: collectionName,
+      existed: exists,
       message: "Collection deleted successfully",
     };
   } catch (error) {
@@ -232,9 +318,136 @@ export const deleteQdrantCollection = async (collectionName) => {
   }
 };
 
+/**
+ * Check which of a source's Qdrant collections exist
+ * @param {string} collectionName - Dense Qdrant collection name
+ * @returns {Promise<Object>} { dense, sparse } existence flags
+ */
+export const getQdrantCollectionState = async (collectionName) => {
+  const clientOptions = { url: config.QDRANT_URL };
+  if (config.QDRANT_API_KEY) {
+    clientOptions.apiKey = config.QDRANT_API_KEY;
+  }
+
+  const client = new QdrantClient(clientOptions);
+
+  const [dense, sparse] = await Promise.all([
+    client.collectionExists(collectionName),
+    client.collectionExists(getSparseCollectionName(collectionName)),
+  ]);
+
+  return { dense: dense.exists, sparse: sparse.exists };
+};
+
+/**
+ * Delete all chunks belonging to specific file paths from a Qdrant collection
+ * Used by GitHub re-sync for removed and modified files (dense and sparse collections)
+ * @param {string} collectionName - Name of the Qdrant collection
+ * @param {Array<string>} paths - Repository file paths (matched against metadata.path)
+ * @returns {Promise<Object>} Response with deletion status
+ */
+export const deleteChunksByPaths = async (collectionName, paths) => {
+  try {
+    if (!collectionName) {
+      throw new ApiError(400, "Collection name is required to delete from Qdrant");
+    }
+
+    if (!paths || paths.length === 0) {
+      return { status: "ok", collection: collectionName, paths: 0 };
+    }
+
+    const clientOptions = { url: config.QDRANT_URL };
+    if (config.QDRANT_API_KEY) {
+      clientOptions.apiKey = config.QDRANT_API_KEY;
+    }
+
+    const client = new QdrantClient(clientOptions);
+
+    await client.delete(collectionName, {
+      wait: true,
+      filter: {
+        must: [{ key: "metadata.path", match: { any: paths } }],
+      },
+    });
+    await deleteSparseChunksByPaths(collectionName, paths);
+
+    return {
+      status: "ok",
+      collection: collectionName,
+      paths: paths.length,
+    };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      500,
+      `Failed to delete chunks from Qdrant: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Load all indexed chunks back from a Qdrant collection
+ * Lets later pipeline stages (graph extraction) resume without re-loading the original source
+ * @param {string} collectionName - Name of the Qdrant collection
+ * @returns {Promise<Array>} Array of LangChain-style documents ({ pageContent, metadata })
+ */
+export const loadIndexedChunks = async (collectionName) => {
+  try {
+    if (!collectionName) {
+      throw new ApiError(400, "Collection name is required to load chunks from Qdrant");
+    }
+
+    const clientOptions = { url: config.QDRANT_URL };
+    if (config.QDRANT_API_KEY) {
+      clientOptions.apiKey = config.QDRANT_API_KEY;
+    }
+
+    const client = new QdrantClient(clientOptions);
+
+    const docs = [];
+    let offset;
+
+    do {
+      const page = await client.scroll(collectionName, {
+        limit: 256,
+        offset,
+        with_payload: true,
+        with_vector: false,
+      });
+
+      for (const point of page.points) {
+        docs.push({
+          pageContent: point.payload?.content || "",
+          metadata: {
+            ...point.payload?.metadata,
+            chunkId: point.id,
+          },
+        });
+      }
+
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    return docs;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      500,
+      `Failed to load chunks from Qdrant: ${error.message}`
+    );
+  }
+};
+
 export default {
   indexToVectorStore,
   indexPDFSource,
   indexGithubSource,
   deleteQdrantCollection,
+  getQdrantCollectionState,
+  deleteChunksByPaths,
+  loadIndexedChunks,
 };
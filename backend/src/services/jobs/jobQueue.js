@@ -0,0 +1,320 @@
+import { Job } from "#models/job.models.js";
+import { JobStatusEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+
+/**
+ * Thrown by a handler that cannot run yet (e.g. another job holds the source)
+ * The worker puts the job back in the queue without counting the attempt, up to
+ * JOB_MAX_DEFERRALS times; after that it is handled as an ordinary failure.
+ */
+export class JobDeferredError extends Error {
+  /**
+   * @param {string} message - Why the job is waiting (stored as lastError)
+   * @param {number} delayMs - Optional wait before the next try (defaults to JOB_RETRY_BASE_DELAY_MS)
+   */
+  constructor(message, delayMs = config.JOB_RETRY_BASE_DELAY_MS) {
+    super(message);
+    this.name = "JobDeferredError";
+    this.delayMs = delayMs;
+  }
+}
+
+/**
+ * Enqueue a background job
+ * @param {Object} params - Job parameters
+ * @param {string} params.type - Job type (see JobTypesEnum)
+ * @param {string} params.sourceId - Optional source the job operates on
+ * @param {Object} params.payload - Handler-specific payload
+ * @param {number} params.maxAttempts - Optional attempt limit (defaults to JOB_MAX_ATTEMPTS)
+ * @param {Date} params.runAt - Optional earliest start time
+ * @returns {Promise<Object>} Created job document
+ */
+export const enqueueJob = async ({
+  type,
+  sourceId,
+  payload = {},
+  maxAttempts = config.JOB_MAX_ATTEMPTS,
+  runAt = new Date(),
+}) => {
+  return Job.create({
+    type,
+    sourceId,
+    payload,
+    maxAttempts,
+    runAt,
+  });
+};
+
+/**
+ * Atomically claim the next runnable job and lease it to a worker
+ * Runnable = queued and due, or running with an expired lease (worker died mid-job)
+ * @param {Object} params - Claim parameters
+ * @param {string} params.workerId - Identifier of the claiming worker
+ * @param {Array<string>} params.types - Job types this worker can handle
+ * @param {number} params.leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} Claimed job or null if none available
+ */
+export const claimNextJob = async ({
+  workerId,
+  types,
+  leaseMs = config.JOB_LEASE_MS,
+}) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $expr: { $lt: ["$attempts", "$maxAttempts"] },
+      $or: [
+        { status: JobStatusEnum.QUEUED, runAt: { $lte: now } },
+        { status: JobStatusEnum.RUNNING, lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: JobStatusEnum.RUNNING,
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+        progress: { total: 0, processed: 0, failed: 0, lastError: null },
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      sort: { runAt: 1, createdAt: 1 },
+      new: true,
+    }
+  );
+};
+
+/**
+ * Extend the lease on a running job (heartbeat for long-running handlers)
+ * @param {Object} job - Job currently held by the worker
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} False if the lease was lost to another worker
+ */
+export const extendJobLease = async (job, leaseMs = config.JOB_LEASE_MS) => {
+  const result = await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy, status: JobStatusEnum.RUNNING },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Persist handler progress on a job
+ * @param {Object} job - Job held by the worker
+ * @param {Object} progress - { total, processed, failed, lastError }
+ */
+export const updateJobProgress = async (job, { total, processed, failed = 0, lastError = null }) => {
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        progress: {
+          total,
+          processed,
+          failed,
+          lastError,
+          updatedAt: new Date(),
+        },
+      },
+    }
+  );
+};
+
+/**
+ * Create a throttled progress callback for a job
+ * Writes at most once per interval, plus a final write when all units are accounted for
+ * @param {Object} job - Job held by the worker
+ * @param {number} intervalMs - Minimum time between writes (default: 2000)
+ * @returns {Function} async (progress) => void
+ */
+export const createJobProgressReporter = (job, intervalMs = 2000) => {
+  let lastWriteAt = 0;
+
+  return async (progress) => {
+    const now = Date.now();
+    const isFinal = progress.processed + (progress.failed || 0) >= progress.total;
+
+    if (!isFinal && now - lastWriteAt < intervalMs) return;
+    lastWriteAt = now;
+
+    await updateJobProgress(job, progress).catch((err) => {
+      console.error(`Failed to update progress for job ${job._id}:`, err);
+    });
+  };
+};
+
+/**
+ * Mark a job as completed and release its lease
+ * @param {Object} job - Job held by the worker
+ * @param {Object} result - Handler result to store on the job
+ */
+export const completeJob = async (job, result = {}) => {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: JobStatusEnum.COMPLETED,
+        result,
+        lastError: null,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: new Date(),
+      },
+    }
+  );
+};
+
+/**
+ * Compute exponential retry delay: base * 2^(attempt - 1), capped
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelayMs = (attempts) => {
+  const delay = config.JOB_RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, config.JOB_RETRY_MAX_DELAY_MS);
+};
+
+/**
+ * Record a job failure and either schedule a retry with backoff or fail permanently
+ * @param {Object} job - Job held by the worker
+ * @param {Error} error - Failure cause
+ * @returns {Promise<Object>} { willRetry, retryAt }
+ */
+export const failJob = async (job, error) => {
+  const willRetry = job.attempts < job.maxAttempts;
+  const retryAt = willRetry ? new Date(Date.now() + getRetryDelayMs(job.attempts)) : null;
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: willRetry ? JobStatusEnum.QUEUED : JobStatusEnum.FAILED,
+        lastError: error?.message || String(error),
+        lockedBy: null,
+        lockedUntil: null,
+        ...(willRetry ? { runAt: retryAt } : { completedAt: new Date() }),
+      },
+    }
+  );
+
+  return { willRetry, retryAt };
+};
+
+/**
+ * Whether a job may still be deferred instead of failed
+ * @param {Object} job - Job held by the worker
+ * @returns {boolean}
+ */
+export const canDeferJob = (job) => (job.deferrals || 0) < config.JOB_MAX_DEFERRALS;
+
+/**
+ * Put a job back in the queue without counting the attempt it was claimed with
+ * @param {Object} job - Job held by the worker
+ * @param {JobDeferredError} error - Deferral reason and delay
+ * @returns {Promise<Object>} { runAt }
+ */
+export const deferJob = async (job, error) => {
+  const runAt = new Date(Date.now() + error.delayMs);
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: JobStatusEnum.QUEUED,
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null,
+        runAt,
+      },
+      $inc: { attempts: -1, deferrals: 1 },
+    }
+  );
+
+  return { runAt };
+};
+
+/**
+ * Find running jobs whose lease expired after their last allowed attempt
+ * These can no longer be claimed and must be failed explicitly
+ * @returns {Promise<Array>} Abandoned job documents
+ */
+export const findAbandonedJobs = async () => {
+  return Job.find({
+    status: JobStatusEnum.RUNNING,
+    lockedUntil: { $lt: new Date() },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  });
+};
+
+/**
+ * Check whether a source has queued or running jobs
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<boolean>}
+ */
+export const hasActiveJobForSource = async (sourceId) => {
+  const count = await Job.countDocuments({
+    sourceId,
+    status: { $in: [JobStatusEnum.QUEUED, JobStatusEnum.RUNNING] },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Check whether another job is currently running for a source
+ * Jobs whose lease expired (worker died mid-run) do not count.
+ * @param {string} sourceId - Source ID
+ * @param {string} excludeJobId - Job to ignore (usually the caller's own job)
+ * @returns {Promise<boolean>}
+ */
+export const hasRunningJobForSource = async (sourceId, excludeJobId) => {
+  const count = await Job.countDocuments({
+    sourceId,
+    _id: { $ne: excludeJobId },
+    status: JobStatusEnum.RUNNING,
+    lockedUntil: { $gt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Get the most recent jobs for a source (newest first)
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Array>} Job documents
+ */
+export const getJobsForSource = async (sourceId) => {
+  return Job.find({ sourceId }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Get the most recent job of one type for a source
+ * @param {string} sourceId - Source ID
+ * @param {string} type - Job type (see JobTypesEnum)
+ * @returns {Promise<Object|null>} Job document or null
+ */
+export const getLatestJobForSource = async (sourceId, type) => {
+  return Job.findOne({ sourceId, type }).sort({ createdAt: -1 }).lean();
+};
+
+export default {
+  enqueueJob,
+  claimNextJob,
+  extendJobLease,
+  updateJobProgress,
+  createJobProgressReporter,
+  completeJob,
+  failJob,
+  canDeferJob,
+  deferJob,
+  getRetryDelayMs,
+  findAbandonedJobs,
+  hasActiveJobForSource,
+  hasRunningJobForSource,
+  getJobsForSource,
+  getLatestJobForSource,
+};
@@ -0,0 +1,157 @@
+import os from "os";
+import config from "#config/config.js";
+import {
+  claimNextJob,
+  extendJobLease,
+  completeJob,
+  failJob,
+  canDeferJob,
+  deferJob,
+  findAbandonedJobs,
+  JobDeferredError,
+} from "./jobQueue.js";
+import { sourceIndexingJobHandlers } from "./sourceIndexingJobs.js";
+import { sourceDeletionJobHandlers } from "./sourceDeletionJobs.js";
+
+/**
+ * Job handlers by type
+ * Each handler: { run: async (job) => result, onFailed?: async (job, error) => void }
+ * run may throw JobDeferredError to be retried later without using an attempt (up to JOB_MAX_DEFERRALS times)
+ */
+const handlers = {
+  ...sourceIndexingJobHandlers,
+  ...sourceDeletionJobHandlers,
+};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let running = false;
+const timers = new Set();
+
+/**
+ * Execute a claimed job, renewing its lease until the handler settles
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  const heartbeat = setInterval(() => {
+    extendJobLease(job).catch((err) => {
+      console.error(`Failed to extend lease for job ${job._id}:`, err);
+    });
+  }, Math.max(1000, Math.floor(config.JOB_LEASE_MS / 3)));
+
+  try {
+    console.log(`Job ${job._id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+    const result = await handler.run(job);
+    await completeJob(job, result);
+    console.log(`Job ${job._id} (${job.type}) completed`);
+  } catch (error) {
+    if (error instanceof JobDeferredError && canDeferJob(job)) {
+      const { runAt } = await deferJob(job, error);
+      console.log(`Job ${job._id} (${job.type}) deferred until ${runAt.toISOString()}: ${error.message}`);
+      return;
+    }
+
+    const { willRetry, retryAt } = await failJob(job, error);
+
+    if (willRetry) {
+      console.warn(`Job ${job._id} (${job.type}) failed, retrying at ${retryAt.toISOString()}:`, error.message);
+    } else if (handler.onFailed) {
+      await handler.onFailed(job, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Fail jobs left running by a dead worker after their final attempt
+ * Jobs with attempts remaining are picked up by claimNextJob once their lease expires
+ */
+const recoverAbandonedJobs = async () => {
+  const abandoned = await findAbandonedJobs();
+
+  for (const job of abandoned) {
+    const error = new Error("Worker lease expired on final attempt");
+    await failJob(job, error);
+    await handlers[job.type]?.onFailed?.(job, error);
+  }
+
+  if (abandoned.length > 0) {
+    console.warn(`Recovered ${abandoned.length} abandoned job(s)`);
+  }
+};
+
+/**
+ * Polling loop for a single worker slot
+ * Drains runnable jobs back-to-back, then sleeps for the poll interval
+ */
+const pollLoop = async () => {
+  if (!running) return;
+
+  let claimed = null;
+
+  try {
+    claimed = await claimNextJob({
+      workerId,
+      types: Object.keys(handlers),
+    });
+
+    if (claimed) {
+      await runJob(claimed);
+    }
+  } catch (error) {
+    console.error("Job worker error:", error);
+  }
+
+  if (!running) return;
+
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    pollLoop();
+  }, claimed ? 0 : config.JOB_POLL_INTERVAL_MS);
+  timers.add(timer);
+};
+
+/**
+ * Start the background job worker
+ * Resumes work left over from previous runs (queued jobs, expired leases)
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of jobs processed in parallel
+ */
+export const startJobWorker = async ({
+  concurrency = config.JOB_WORKER_CONCURRENCY,
+} = {}) => {
+  if (running) return;
+  running = true;
+
+  try {
+    await recoverAbandonedJobs();
+  } catch (error) {
+    console.error("Failed to recover abandoned jobs:", error);
+  }
+
+  for (let i = 0; i < concurrency; i++) {
+    pollLoop();
+  }
+
+  console.log(`Job worker ${workerId} started (concurrency: ${concurrency})`);
+};
+
+/**
+ * Stop polling for new jobs
+ * In-flight jobs keep running; if the process exits, their leases expire and they are resumed
+ */
+export const stopJobWorker = () => {
+  running = false;
+  for (const timer of timers) {
+    clearTimeout(timer);
+  }
+  timers.clear();
+};
+
+export default {
+  startJobWorker,
+  stopJobWorker,
+};
@@ -0,0 +1,308 @@
+import fs from "fs";
+import { Source } from "#models/source.models.js";
+import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
+import { GraphMetadata } from "#models/graphMetadata.models.js";
+import { ChatSession } from "#models/chatSession.models.js";
+import { Job } from "#models/job.models.js";
+import { EntityMerge } from "#models/entityMerge.models.js";
+import {
+  deleteQdrantCollection,
+  getQdrantCollectionState,
+} from "#services/indexing/vectorIndex.js";
+import { deleteGraphBySourceId } from "#services/indexing/graphIndex.js";
+import { deleteSourceMemories } from "#services/chat/rag/memory/memoryCleanup.js";
+import { deleteFromCloudinary } from "#utils/cloudinary.js";
+import {
+  JobTypesEnum,
+  JobStatusEnum,
+  SourceStatusEnum,
+  DeletionStepStatusEnum,
+} from "#utils/constants.js";
+import {
+  enqueueJob,
+  createJobProgressReporter,
+  hasRunningJobForSource,
+  JobDeferredError,
+} from "./jobQueue.js";
+
+/**
+ * Run one purge step, recording a failure instead of aborting the whole teardown
+ * @param {Function} fn - async () => step report
+ * @returns {Promise<Object>} Step report ({ status, ... })
+ */
+const runStep = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    return { status: DeletionStepStatusEnum.FAILED, error: error.message };
+  }
+};
+
+/**
+ * Detach the source from every chat session that still lists it
+ */
+const detachFromSessions = async (sourceId) => {
+  const result = await ChatSession.updateMany(
+    { sources: sourceId },
+    { $pull: { sources: sourceId } }
+  );
+
+  return {
+    status: result.modifiedCount > 0 ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+    sessionsUpdated: result.modifiedCount,
+  };
+};
+
+/**
+ * Drop the dense and sparse Qdrant collections, then check both are gone
+ */
+const purgeQdrant = async (collectionName) => {
+  const { existed } = await deleteQdrantCollection(collectionName);
+  const remaining = await getQdrantCollectionState(collectionName);
+
+  if (remaining.dense || remaining.sparse) {
+    throw new Error(`Qdrant collections still present for ${collectionName}`);
+  }
+
+  return {
+    status: existed ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+    collection: collectionName,
+  };
+};
+
+/**
+ * Drop the Source, File, Chunk, Entity and code nodes, then check nothing is left
+ */
+const purgeNeo4j = async (sourceId) => {
+  const result = await deleteGraphBySourceId(sourceId);
+
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} Neo4j nodes still present`);
+  }
+
+  const deleted =
+    result.sourcesDeleted + result.filesDeleted + result.chunksDeleted + result.codeNodesDeleted + result.entitiesDeleted;
+
+  return {
+    status: deleted > 0 ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+    sourcesDeleted: result.sourcesDeleted,
+    filesDeleted: result.filesDeleted,
+    chunksDeleted: result.chunksDeleted,
+    codeNodesDeleted: result.codeNodesDeleted,
+    entitiesDeleted: result.entitiesDeleted,
+  };
+};
+
+/**
+ * Remove the local PDF copy kept for indexing jobs
+ */
+const purgeLocalFile = async (localpath) => {
+  if (!localpath) {
+    return { status: DeletionStepStatusEnum.SKIPPED };
+  }
+
+  if (!fs.existsSync(localpath)) {
+    return { status: DeletionStepStatusEnum.NOT_FOUND };
+  }
+
+  await fs.promises.unlink(localpath);
+  return { status: DeletionStepStatusEnum.DELETED };
+};
+
+/**
+ * Remove the uploaded PDF from Cloudinary
+ */
+const purgeCloudinary = async (file) => {
+  if (!file?.url) {
+    return { status: DeletionStepStatusEnum.SKIPPED };
+  }
+
+  const { publicId, result } = await deleteFromCloudinary(file);
+
+  return {
+    status: result === "ok" ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+    publicId,
+  };
+};
+
+/**
+ * Remove the owner's mem0 memories tagged with or naming the source's ID
+ */
+const purgeMemories = async ({ ownerId, sourceId }) => {
+  const result = await deleteSourceMemories({ userId: ownerId, sourceId });
+
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} of ${result.deleted + result.failed} memories could not be deleted`);
+  }
+
+  // Memories past the scan cap were never checked, so the purge cannot be reported complete
+  if (!result.complete) {
+    throw new Error(`Only the first ${result.scanned} memories were scanned; more remain unchecked`);
+  }
+
+  return {
+    status: result.deleted > 0 ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+    memoriesScanned: result.scanned,
+    memoriesDeleted: result.deleted,
+  };
+};
+
+/**
+ * Full teardown of a deleted source
+ * Every step is idempotent, so a retry re-runs the whole purge. The Source record
+ * and its index metadata are removed last, only once every other step succeeded;
+ * until then the source stays visible with status "deleting".
+ * The job result is the deletion report (see GET /sources/:id/deletion). A teardown
+ * still incomplete on the final attempt is reported as unverified and the source is
+ * marked failed so the deletion can be requested again.
+ */
+const sourceDeleteHandler = {
+  run: async (job) => {
+    const { ownerId, title, sourceType, collectionName } = job.payload;
+    const sourceId = job.sourceId;
+
+    // An indexing job mid-run would write chunks/entities back after the purge;
+    // waiting for it does not use up the deletion's attempts
+    if (await hasRunningJobForSource(sourceId, job._id)) {
+      throw new JobDeferredError("Waiting for a running indexing job to finish");
+    }
+
+    // Prefer the stored record (it may have been re-downloaded since the request)
+    const source = await Source.findById(sourceId).lean();
+    const file = source?.file || job.payload.file;
+
+    const onProgress = createJobProgressReporter(job, 0);
+    const steps = {};
+    const purges = [
+      ["sessions", () => detachFromSessions(sourceId)],
+      ["qdrant", () => purgeQdrant(collectionName)],
+      ["neo4j", () => purgeNeo4j(sourceId)],
+      ["localFile", () => purgeLocalFile(file?.localpath)],
+      ["cloudinary", () => purgeCloudinary(file)],
+      ["memories", () => purgeMemories({ ownerId, sourceId })],
+    ];
+
+    for (const [name, purge] of purges) {
+      steps[name] = await runStep(purge);
+      await onProgress({ total: purges.length + 1, processed: Object.keys(steps).length });
+    }
+
+    const failedSteps = Object.keys(steps).filter(
+      (name) => steps[name].status === DeletionStepStatusEnum.FAILED
+    );
+
+    if (failedSteps.length > 0 && job.attempts < job.maxAttempts) {
+      throw new Error(`Source teardown incomplete (${failedSteps.join(", ")}): ${steps[failedSteps[0]].error}`);
+    }
+
+    if (failedSteps.length === 0) {
+      steps.records = await runStep(async () => {
+        await Promise.all([
+          VectorIndexMetadata.deleteOne({ sourceId }),
+          GraphMetadata.deleteOne({ sourceId }),
+          EntityMerge.deleteMany({ sourceId }),
+        ]);
+        const { deletedCount } = await Source.deleteOne({ _id: sourceId });
+
+        return {
+          status: deletedCount > 0 ? DeletionStepStatusEnum.DELETED : DeletionStepStatusEnum.NOT_FOUND,
+        };
+      });
+    } else {
+      steps.records = { status: DeletionStepStatusEnum.SKIPPED };
+      await Source.findByIdAndUpdate(sourceId, { status: SourceStatusEnum.FAILED });
+    }
+
+    await onProgress({ total: purges.length + 1, processed: purges.length + 1 });
+
+    const verified = Object.values(steps).every(
+      (step) => step.status !== DeletionStepStatusEnum.FAILED
+    );
+
+    console.log(`Source ${sourceId} teardown ${verified ? "completed" : "incomplete"}`);
+
+    return {
+      sourceId,
+      title,
+      sourceType,
+      verified,
+      steps,
+      completedAt: new Date(),
+    };
+  },
+  onFailed: async (job, error) => {
+    console.error(`Deletion job ${job._id} failed permanently for source ${job.sourceId}:`, error?.message || error);
+    await Source.findByIdAndUpdate(job.sourceId, { status: SourceStatusEnum.FAILED }).catch((err) => {
+      console.error("Failed to update source status to failed:", err);
+    });
+  },
+};
+
+export const sourceDeletionJobHandlers = {
+  [JobTypesEnum.SOURCE_DELETE]: sourceDeleteHandler,
+};
+
+/**
+ * Queue the full teardown of a source
+ * The payload keeps what the purge needs even after the Source record is gone.
+ * @param {Object} params
+ * @param {Object} params.source - Source document
+ * @param {string} params.collectionName - Qdrant collection for the source
+ * @returns {Promise<Object>} The queued deletion job
+ */
+export const enqueueSourceDeletion = async ({ source, collectionName }) => {
+  return enqueueJob({
+    type: JobTypesEnum.SOURCE_DELETE,
+    sourceId: source._id,
+    payload: {
+      ownerId: source.ownerId.toString(),
+      title: source.title,
+      sourceType: source.sourceType,
+      collectionName,
+      file: source.file
+        ? {
+            url: source.file.url,
+            localpath: source.file.localpath,
+            publicId: source.file.publicId,
+            resourceType: source.file.resourceType,
+          }
+        : null,
+    },
+  });
+};
+
+/**
+ * Get the most recent deletion job for a source owned by a user
+ * @param {string} sourceId - Source ID
+ * @param {string} ownerId - Owner user ID
+ * @returns {Promise<Object|null>} Job document
+ */
+export const getLatestDeletionJob = async (sourceId, ownerId) => {
+  return Job.findOne({
+    type: JobTypesEnum.SOURCE_DELETE,
+    sourceId,
+    "payload.ownerId": ownerId.toString(),
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Check whether a deletion job is queued or running for a source
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object|null>} Active deletion job
+ */
+export const findActiveDeletionJob = async (sourceId) => {
+  return Job.findOne({
+    type: JobTypesEnum.SOURCE_DELETE,
+    sourceId,
+    status: { $in: [JobStatusEnum.QUEUED, JobStatusEnum.RUNNING] },
+  });
+};
+
+export default {
+  sourceDeletionJobHandlers,
+  enqueueSourceDeletion,
+  getLatestDeletionJob,
+  findActiveDeletionJob,
+};
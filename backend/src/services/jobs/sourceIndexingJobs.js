@@ -0,0 +1,639 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { Source } from "#models/source.models.js";
+import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
+import { GraphMetadata } from "#models/graphMetadata.models.js";
+import { EntityMerge } from "#models/entityMerge.models.js";
+import {
+  indexToVectorStore,
+  indexPDFSource,
+  indexGithubSource,
+  deleteQdrantCollection,
+  deleteChunksByPaths,
+  loadIndexedChunks,
+} from "#services/indexing/vectorIndex.js";
+import {
+  buildPDFGraph,
+  buildGithubRepoGraph,
+  deleteGraphBySourceId,
+  deleteGraphFilesByPaths,
+  getGraphCounts,
+  countMissingGraphChunks,
+} from "#services/indexing/graphIndex.js";
+import { resolveEntities } from "#services/indexing/entityResolution.js";
+import { summarizeEntities } from "#services/indexing/entitySummaries.js";
+import { buildCodeGraph } from "#services/indexing/codeGraph.js";
+import {
+  getSourceExtractionSchema,
+  isSameExtractionSchema,
+  resolveExtractionSchema,
+} from "#services/indexing/extractionSchemas.js";
+import { loadAndPrepareGithubFiles } from "#services/indexing/ingestion.js";
+import { getBranchHeadSha, compareCommits } from "#services/indexing/githubRepo.js";
+import {
+  getEmbeddingInfo,
+  getEmbeddingDimension,
+  assertEmbeddingCompatibility,
+} from "#services/embeddings/embeddingProvider.js";
+import { getLLMSettings } from "#services/llm/llmProvider.js";
+import {
+  JobTypesEnum,
+  JobStatusEnum,
+  LLMPurposeEnum,
+  ReindexTargetsEnum,
+  SourceStatusEnum,
+  EntityMergeStatusEnum,
+} from "#utils/constants.js";
+import config from "#config/config.js";
+import { enqueueJob, createJobProgressReporter, getLatestJobForSource } from "./jobQueue.js";
+
+/**
+ * Longest wait for a stored PDF to download from Cloudinary
+ */
+const PDF_DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Mark a source as failed once its indexing job has exhausted all retries
+ * @param {Object} job - Failed job
+ * @param {Error} error - Last failure cause
+ */
+const markSourceFailed = async (job, error) => {
+  console.error(`Indexing job ${job._id} (${job.type}) failed permanently for source ${job.sourceId}:`, error?.message || error);
+  await Source.updateOne(
+    { _id: job.sourceId, status: { $ne: SourceStatusEnum.DELETING } },
+    { status: "failed" }
+  ).catch((err) => {
+    console.error("Failed to update source status to failed:", err);
+  });
+};
+
+/**
+ * Mark a source as indexed, unless its deletion was requested while the job ran
+ * @param {string} sourceId - Source ID
+ */
+const markSourceIndexed = async (sourceId) => {
+  await Source.updateOne(
+    { _id: sourceId, status: { $ne: SourceStatusEnum.DELETING } },
+    { status: "indexed" }
+  );
+};
+
+/**
+ * Drop a source's subgraph before it is rebuilt
+ * Applied and proposed entity merges go with it (resolution runs again on the new graph);
+ * undone merges are kept so the separated entities stay apart.
+ * @param {string} sourceId - Source ID
+ */
+const clearSourceGraph = async (sourceId) => {
+  await deleteGraphBySourceId(sourceId);
+  await EntityMerge.deleteMany({
+    sourceId,
+    status: { $in: [EntityMergeStatusEnum.APPLIED, EntityMergeStatusEnum.PROPOSED] },
+  });
+};
+
+/**
+ * Merge duplicate entities after extraction (ENTITY_RESOLUTION_ENABLED)
+ * A failed pass is logged and reported; the unresolved graph is still usable.
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object|null>} Resolution summary, { error } on failure, null when disabled
+ */
+const runEntityResolution = async (sourceId) => {
+  if (!config.ENTITY_RESOLUTION_ENABLED) return null;
+
+  try {
+    return await resolveEntities({ sourceId });
+  } catch (error) {
+    console.error(`Entity resolution failed for source ${sourceId}:`, error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Merge each entity's extracted descriptions into a summary (ENTITY_SUMMARIES_ENABLED)
+ * Runs after resolution so merged duplicates contribute their descriptions; like
+ * resolution, a failure is logged and reported without failing the job.
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object|null>} Summary pass report, { error } on failure, null when disabled
+ */
+const runEntitySummaries = async (sourceId) => {
+  if (!config.ENTITY_SUMMARIES_ENABLED) return null;
+
+  try {
+    return await summarizeEntities({ sourceId });
+  } catch (error) {
+    console.error(`Entity summaries failed for source ${sourceId}:`, error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Rebuild the static code graph of a GitHub source (CODE_GRAPH_ENABLED)
+ * Like entity resolution, a failure is logged and reported without failing the job.
+ * @param {string} sourceId - Source ID
+ * @param {Array} docs - All indexed chunks of the source
+ * @returns {Promise<Object|null>} Code graph summary, { error } on failure, null when disabled
+ */
+const runCodeGraph = async (sourceId, docs) => {
+  if (!config.CODE_GRAPH_ENABLED) return null;
+
+  try {
+    return await buildCodeGraph({ sourceId, docs });
+  } catch (error) {
+    console.error(`Code graph failed for source ${sourceId}:`, error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * Local copy of a PDF source for (re)indexing
+ * Uploads keep the file on disk; if it is gone (e.g. a new container), it is
+ * downloaded again from Cloudinary and the new path is stored on the source.
+ * @param {Object} source - PDF source document
+ * @returns {Promise<string>} Local file path
+ */
+const ensureLocalPdf = async (source) => {
+  if (source.file.localpath && fs.existsSync(source.file.localpath)) {
+    return source.file.localpath;
+  }
+
+  if (!source.file.url) {
+    throw new Error("PDF is neither stored locally nor uploaded");
+  }
+
+  const localpath = path.resolve("./public/documents", `document-${source._id}.pdf`);
+  const response = await axios.get(source.file.url, {
+    responseType: "arraybuffer",
+    timeout: PDF_DOWNLOAD_TIMEOUT_MS,
+  });
+  await fs.promises.writeFile(localpath, response.data);
+
+  source.file.localpath = localpath;
+  await source.save();
+
+  return localpath;
+};
+
+/**
+ * Stage 1: Load, split and embed the source into its Qdrant collection
+ * On success, enqueues the graph stage as a separate job
+ * Re-index jobs (payload.reindex) start from an empty collection, also drop the
+ * graph when both stages are rebuilt, and skip the graph stage for vector-only runs.
+ * A vector-only run leaves the source failed if its graph never finished or failed,
+ * and flags the graph stale if chunks it points at are gone from the new index.
+ */
+const vectorIndexHandler = {
+  run: async (job) => {
+    const { collectionName, reindex } = job.payload;
+
+    // Checked and claimed in one write, so a deletion requested in between is not overwritten
+    const source = await Source.findOneAndUpdate(
+      { _id: job.sourceId, status: { $ne: SourceStatusEnum.DELETING } },
+      { status: SourceStatusEnum.INDEXING },
+      { new: true }
+    );
+    if (!source) {
+      return { skipped: true, reason: "Source no longer exists or is being deleted" };
+    }
+
+    // A previous attempt may have partially written the collection
+    if (job.attempts > 1 || reindex) {
+      await deleteQdrantCollection(collectionName).catch(() => {});
+    }
+
+    if (reindex?.target === ReindexTargetsEnum.BOTH) {
+      await clearSourceGraph(source._id);
+    }
+
+    const onProgress = createJobProgressReporter(job);
+    let vectorIndexResult;
+
+    if (source.sourceType === "pdf") {
+      vectorIndexResult = await indexPDFSource(
+        await ensureLocalPdf(source),
+        collectionName,
+        source._id,
+        "pdf",
+        { onProgress }
+      );
+    } else {
+      // Pin the index to the current branch head so later re-syncs can diff against it
+      const commitSha = await getBranchHeadSha({
+        repoUrl: source.repo.repoUrl,
+        branch: source.repo.branch,
+        accessToken: config.GITHUB_TOKEN,
+      });
+
+      vectorIndexResult = await indexGithubSource({
+        repoUrl: source.repo.repoUrl,
+        branch: source.repo.branch,
+        collectionName,
+        sourceId: source._id,
+        ref: commitSha,
+        onProgress,
+      });
+
+      source.repo.commitSha = commitSha;
+      source.repo.lastSyncedAt = new Date();
+      await source.save();
+    }
+
+    const embeddingInfo = getEmbeddingInfo();
+
+    await VectorIndexMetadata.findOneAndUpdate(
+      { sourceId: source._id },
+      {
+        provider: "qdrant",
+        collectionName,
+        embeddingProvider: embeddingInfo.provider,
+        embeddingModel: embeddingInfo.model,
+        embeddingDimension: await getEmbeddingDimension(),
+        sparseCollectionName: vectorIndexResult.vector.sparseCollection,
+        sparseAvgDocLength: vectorIndexResult.vector.sparseAvgDocLength,
+        indexedAt: new Date(),
+      },
+      { upsert: true }
+    );
+
+    if (reindex?.target === ReindexTargetsEnum.VECTOR) {
+      // The graph is kept as is. Chunk IDs are derived from chunk content, so its
+      // provenance survives unless the chunks themselves changed.
+      const [graphMetadata, graphJob] = await Promise.all([
+        GraphMetadata.findOne({ sourceId: source._id }).lean(),
+        getLatestJobForSource(source._id, JobTypesEnum.SOURCE_GRAPH_INDEX),
+      ]);
+      const graphFailed = !graphMetadata || graphJob?.status === JobStatusEnum.FAILED;
+
+      let missingGraphChunks = 0;
+      if (graphMetadata) {
+        missingGraphChunks = await countMissingGraphChunks(source._id, vectorIndexResult.vector.chunkIds);
+        await GraphMetadata.updateOne({ sourceId: source._id }, { stale: missingGraphChunks > 0 });
+      }
+
+      if (graphFailed) {
+        // Still unusable until the graph is re-indexed; the graph stage keeps its error
+        await Source.updateOne(
+          { _id: source._id, status: { $ne: SourceStatusEnum.DELETING } },
+          { status: "failed" }
+        );
+      } else {
+        await markSourceIndexed(source._id);
+      }
+
+      return {
+        collection: collectionName,
+        chunksIndexed: vectorIndexResult.vector.chunksIndexed,
+        reindex: reindex.target,
+        graphFailed,
+        missingGraphChunks,
+      };
+    }
+
+    const graphJob = await enqueueJob({
+      type: JobTypesEnum.SOURCE_GRAPH_INDEX,
+      sourceId: source._id,
+      payload: { collectionName, ...(reindex && { reindex }) },
+    });
+
+    return {
+      collection: collectionName,
+      chunksIndexed: vectorIndexResult.vector.chunksIndexed,
+      graphJobId: graphJob._id,
+    };
+  },
+  onFailed: markSourceFailed,
+};
+
+/**
+ * Stage 2: Extract entities/relationships into Neo4j
+ * Reads chunks back from Qdrant so the stage can resume independently of stage 1
+ * Re-index jobs (payload.reindex) drop the source's existing subgraph first.
+ */
+const graphIndexHandler = {
+  run: async (job) => {
+    const { collectionName, reindex } = job.payload;
+
+    const notDeleting = { _id: job.sourceId, status: { $ne: SourceStatusEnum.DELETING } };
+    const source = reindex
+      ? await Source.findOneAndUpdate(notDeleting, { status: SourceStatusEnum.INDEXING }, { new: true })
+      : await Source.findOne(notDeleting);
+    if (!source) {
+      return { skipped: true, reason: "Source no longer exists or is being deleted" };
+    }
+
+    if (reindex) {
+      await clearSourceGraph(source._id);
+    }
+
+    const docs = await loadIndexedChunks(collectionName);
+    const schema = getSourceExtractionSchema(source);
+
+    const buildGraph = source.sourceType === "pdf" ? buildPDFGraph : buildGithubRepoGraph;
+    const graphResult = await buildGraph({
+      sourceId: source._id,
+      docs,
+      schema,
+      onProgress: createJobProgressReporter(job),
+    });
+
+    const resolution = await runEntityResolution(source._id);
+    const summaries = await runEntitySummaries(source._id);
+    const codeGraph = source.sourceType === "github_repo" ? await runCodeGraph(source._id, docs) : null;
+
+    // Counted from the graph: a retried job only creates what earlier attempts missed
+    const counts = await getGraphCounts(source._id);
+    const extractionSettings = getLLMSettings(LLMPurposeEnum.EXTRACTION);
+
+    await GraphMetadata.findOneAndUpdate(
+      { sourceId: source._id },
+      {
+        entityCount: counts.entityCount,
+        relationCount: counts.relationCount,
+        extractionProvider: extractionSettings.provider,
+        extractionModel: extractionSettings.model,
+        extractionSchema: schema,
+        entityDescriptions: config.ENTITY_DESCRIPTIONS_ENABLED,
+        stale: false,
+        builtAt: new Date(),
+      },
+      { upsert: true }
+    );
+
+    await markSourceIndexed(source._id);
+    const { metrics } = graphResult;
+    console.log(
+      `Neo4j indexing completed successfully for source ${source._id}: ` +
+      `${metrics.chunksWritten} chunks in ${metrics.batches} batches, ${metrics.chunksPerMinute} chunks/min`
+    );
+
+    return {
+      nodesAdded: graphResult.nodesAdded,
+      relationshipsAdded: graphResult.relationshipsAdded,
+      chunksProcessed: graphResult.chunksProcessed,
+      chunksFailed: graphResult.chunksFailed,
+      metrics,
+      extractionSchema: schema.preset,
+      resolution,
+      summaries,
+      codeGraph,
+    };
+  },
+  onFailed: markSourceFailed,
+};
+
+/**
+ * Incremental GitHub re-sync
+ * Diffs the indexed commit against the branch head and re-processes only changed files.
+ * Falls back to a full re-index when no usable diff exists (no recorded commit,
+ * base commit gone after a force-push, or diff larger than the compare API returns).
+ */
+const githubResyncHandler = {
+  run: async (job) => {
+    const source = await Source.findById(job.sourceId);
+    if (!source) {
+      return { skipped: true, reason: "Source no longer exists" };
+    }
+
+    if (source.status === SourceStatusEnum.DELETING) {
+      return { skipped: true, reason: "Source is being deleted" };
+    }
+
+    const { repoUrl, branch, commitSha: baseSha } = source.repo;
+    const accessToken = config.GITHUB_TOKEN;
+
+    const [vectorMetadata, graphMetadata] = await Promise.all([
+      VectorIndexMetadata.findOne({ sourceId: source._id }),
+      GraphMetadata.findOne({ sourceId: source._id }).lean(),
+    ]);
+    const collectionName = vectorMetadata?.collectionName || `github_${source._id}`;
+
+    const headSha = await getBranchHeadSha({ repoUrl, branch, accessToken });
+
+    if (baseSha === headSha) {
+      source.repo.lastSyncedAt = new Date();
+      await source.save();
+      return { upToDate: true, commitSha: headSha };
+    }
+
+    const claimed = await Source.updateOne(
+      { _id: source._id, status: { $ne: SourceStatusEnum.DELETING } },
+      { status: SourceStatusEnum.INDEXING }
+    );
+    if (claimed.matchedCount === 0) {
+      return { skipped: true, reason: "Source is being deleted" };
+    }
+
+    // New chunks must land in the same embedding space as the existing ones
+    let embeddingsMatch = true;
+    try {
+      await assertEmbeddingCompatibility(vectorMetadata);
+    } catch {
+      embeddingsMatch = false;
+    }
+
+    // Sources indexed before hybrid retrieval need a full pass to build their sparse index
+    const hasSparseIndex = !!vectorMetadata?.sparseCollectionName;
+
+    // Entities of changed files must come from the same ontology as the rest of the graph
+    const schema = getSourceExtractionSchema(source);
+    const schemaMatches = isSameExtractionSchema(
+      schema,
+      graphMetadata?.extractionSchema || resolveExtractionSchema(null, source.sourceType)
+    );
+    // Graphs built without per-chunk descriptions (or with them, when now disabled) are rebuilt
+    const descriptionsMatch = graphMetadata?.entityDescriptions === config.ENTITY_DESCRIPTIONS_ENABLED;
+    // A stale graph points at chunks of unchanged files that are gone, so it is rebuilt too
+    const graphFresh = !graphMetadata?.stale;
+
+    let diff = null;
+    if (baseSha && embeddingsMatch && hasSparseIndex && schemaMatches && descriptionsMatch && graphFresh) {
+      try {
+        diff = await compareCommits({ repoUrl, baseSha, headSha, accessToken });
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+    }
+
+    if (!diff || diff.truncated) {
+      await deleteQdrantCollection(collectionName).catch(() => {});
+      await clearSourceGraph(source._id);
+      const vectorJob = await enqueueSourceIndexing({ source, collectionName });
+
+      return {
+        fullReindex: true,
+        reason: !baseSha
+          ? "No indexed commit recorded"
+          : !embeddingsMatch
+            ? "Embedding provider changed since last index"
+          : !hasSparseIndex
+            ? "Sparse index missing"
+          : !schemaMatches
+            ? "Extraction schema changed since last index"
+          : !descriptionsMatch
+            ? "Entity description setting changed since last index"
+          : !graphFresh
+            ? "Graph is stale after a vector-only re-index"
+          : diff
+            ? "Diff too large for incremental sync"
+            : "Indexed commit not found on branch",
+        fromSha: baseSha,
+        toSha: headSha,
+        vectorJobId: vectorJob._id,
+      };
+    }
+
+    const removedPaths = [];
+    const changedPaths = [];
+
+    for (const file of diff.files) {
+      if (file.status === "removed") {
+        removedPaths.push(file.path);
+      } else if (file.status === "renamed") {
+        removedPaths.push(file.previousPath);
+        changedPaths.push(file.path);
+      } else {
+        // added, modified, changed, copied
+        changedPaths.push(file.path);
+      }
+    }
+
+    // Changed files are replaced wholesale, so their old chunks/entities go too
+    const stalePaths = [...removedPaths, ...changedPaths];
+    await deleteChunksByPaths(collectionName, stalePaths);
+    const graphCleanup = await deleteGraphFilesByPaths(source._id, stalePaths);
+
+    const docs = await loadAndPrepareGithubFiles({
+      repoUrl,
+      ref: headSha,
+      paths: changedPaths,
+      accessToken,
+    });
+
+    const onProgress = createJobProgressReporter(job);
+    let graphResult = null;
+
+    if (docs.length > 0) {
+      // Extract from the indexed copies so entities record their chunk IDs
+      const { chunks } = await indexToVectorStore(docs, collectionName, source._id, "github_repo", {
+        onProgress,
+        sparseAvgDocLength: vectorMetadata.sparseAvgDocLength,
+      });
+      graphResult = await buildGithubRepoGraph({
+        sourceId: source._id,
+        docs: chunks,
+        schema,
+        onProgress,
+      });
+    }
+
+    const resolution = graphResult ? await runEntityResolution(source._id) : null;
+    const summaries = graphResult ? await runEntitySummaries(source._id) : null;
+    // Calls into changed files resolve differently, so the code graph is rebuilt from every chunk
+    const codeGraph = stalePaths.length > 0
+      ? await runCodeGraph(source._id, await loadIndexedChunks(collectionName))
+      : null;
+    const counts = await getGraphCounts(source._id);
+    const extractionSettings = getLLMSettings(LLMPurposeEnum.EXTRACTION);
+
+    await GraphMetadata.findOneAndUpdate(
+      { sourceId: source._id },
+      {
+        entityCount: counts.entityCount,
+        relationCount: counts.relationCount,
+        extractionProvider: extractionSettings.provider,
+        extractionModel: extractionSettings.model,
+        extractionSchema: schema,
+        entityDescriptions: config.ENTITY_DESCRIPTIONS_ENABLED,
+        stale: false,
+        builtAt: new Date(),
+      },
+      { upsert: true }
+    );
+
+    source.repo.commitSha = headSha;
+    source.repo.lastSyncedAt = new Date();
+    await source.save();
+    await markSourceIndexed(source._id);
+
+    console.log(`GitHub re-sync completed for source ${source._id}: ${baseSha} -> ${headSha}`);
+
+    return {
+      fromSha: baseSha,
+      toSha: headSha,
+      filesChanged: changedPaths.length,
+      filesRemoved: removedPaths.length,
+      chunksIndexed: docs.length,
+      filesDeleted: graphCleanup.filesDeleted,
+      entitiesDeleted: graphCleanup.entitiesDeleted,
+      chunksFailed: graphResult?.chunksFailed ?? 0,
+      metrics: graphResult?.metrics ?? null,
+      resolution,
+      summaries,
+      codeGraph,
+    };
+  },
+  onFailed: markSourceFailed,
+};
+
+export const sourceIndexingJobHandlers = {
+  [JobTypesEnum.SOURCE_VECTOR_INDEX]: vectorIndexHandler,
+  [JobTypesEnum.SOURCE_GRAPH_INDEX]: graphIndexHandler,
+  [JobTypesEnum.SOURCE_GITHUB_RESYNC]: githubResyncHandler,
+};
+
+/**
+ * Queue the full indexing pipeline for a source (vector stage, then graph stage)
+ * @param {Object} params
+ * @param {Object} params.source - Source document
+ * @param {string} params.collectionName - Qdrant collection for the source
+ * @returns {Promise<Object>} The queued vector-stage job
+ */
+export const enqueueSourceIndexing = async ({ source, collectionName }) => {
+  return enqueueJob({
+    type: JobTypesEnum.SOURCE_VECTOR_INDEX,
+    sourceId: source._id,
+    payload: { collectionName },
+  });
+};
+
+/**
+ * Queue a rebuild of an existing source from its stored file or repository
+ * The Source ID, collection name and session attachments are kept; the
+ * existing Qdrant collection and/or Neo4j subgraph are cleared by the jobs.
+ * @param {Object} params
+ * @param {Object} params.source - Source document
+ * @param {string} params.collectionName - Qdrant collection for the source
+ * @param {string} params.target - ReindexTargetsEnum value (vector, graph or both)
+ * @returns {Promise<Object>} The first queued job
+ */
+export const enqueueSourceReindex = async ({ source, collectionName, target }) => {
+  return enqueueJob({
+    type:
+      target === ReindexTargetsEnum.GRAPH
+        ? JobTypesEnum.SOURCE_GRAPH_INDEX
+        : JobTypesEnum.SOURCE_VECTOR_INDEX,
+    sourceId: source._id,
+    payload: { collectionName, reindex: { target } },
+  });
+};
+
+/**
+ * Queue an incremental re-sync of a GitHub source
+ * @param {Object} params
+ * @param {Object} params.source - GitHub source document
+ * @returns {Promise<Object>} The queued re-sync job
+ */
+export const enqueueGithubResync = async ({ source }) => {
+  return enqueueJob({
+    type: JobTypesEnum.SOURCE_GITHUB_RESYNC,
+    sourceId: source._id,
+  });
+};
+
+export default {
+  sourceIndexingJobHandlers,
+  enqueueSourceIndexing,
+  enqueueSourceReindex,
+  enqueueGithubResync,
+};
@@ -0,0 +1,135 @@
+import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
+import { GraphMetadata } from "#models/graphMetadata.models.js";
+import { Job } from "#models/job.models.js";
+import { JobTypesEnum, JobStatusEnum } from "#utils/constants.js";
+
+/**
+ * Summarize one indexing stage from its most recent job
+ * @param {Object|null} job - Latest job for the stage (lean)
+ * @param {boolean} ready - Whether the stage's metadata record exists
+ * @returns {Object} Stage summary with progress, ETA and last error
+ */
+const summarizeStage = (job, ready) => {
+  if (!job) {
+    return {
+      ready,
+      status: ready ? JobStatusEnum.COMPLETED : "pending",
+      progress: null,
+      etaSeconds: null,
+      lastError: null,
+    };
+  }
+
+  const { total = 0, processed = 0, failed = 0 } = job.progress || {};
+  const done = processed + failed;
+
+  let percent = total > 0 ? Math.round((done / total) * 100) : 0;
+  if (job.status === JobStatusEnum.COMPLETED) {
+    percent = 100;
+  }
+
+  // ETA from the observed rate of the current attempt
+  let etaSeconds = null;
+  if (job.status === JobStatusEnum.RUNNING && done > 0 && total > done && job.startedAt) {
+    const elapsedMs = Date.now() - new Date(job.startedAt).getTime();
+    etaSeconds = Math.round(((elapsedMs / done) * (total - done)) / 1000);
+  }
+
+  const isRetryPending = job.status === JobStatusEnum.QUEUED && job.attempts > 0;
+
+  return {
+    ready,
+    status: job.status,
+    jobId: job._id,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    progress: {
+      total,
+      processed,
+      failed,
+      percent,
+    },
+    etaSeconds,
+    lastError: job.lastError || job.progress?.lastError || null,
+    ...(isRetryPending && { nextRetryAt: job.runAt }),
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+  };
+};
+
+/**
+ * Determine which stage a source is currently in
+ * @returns {string} "queued" | "vector" | "graph" | "resync" | "completed" | "failed"
+ */
+const resolveStage = (source, vector, graph, resync) => {
+  if (resync && (resync.status === JobStatusEnum.RUNNING || resync.status === JobStatusEnum.QUEUED)) {
+    return "resync";
+  }
+  if (source.status === "failed") return "failed";
+  if (source.status === "indexed") return "completed";
+  if (graph.status === JobStatusEnum.RUNNING || graph.status === JobStatusEnum.QUEUED) return "graph";
+  if (vector.status === JobStatusEnum.RUNNING) return "vector";
+  if (vector.status === JobStatusEnum.QUEUED && vector.attempts > 0) return "vector";
+  return "queued";
+};
+
+/**
+ * Build the indexing status payload for a source
+ * Shared by GET /sources/:id/status and its SSE stream variant
+ * @param {Object} source - Source document
+ * @returns {Promise<Object>} Status payload with per-stage progress
+ */
+export const buildSourceStatus = async (source) => {
+  const [vectorMetadata, graphMetadata, vectorJob, graphJob, resyncJob] = await Promise.all([
+    VectorIndexMetadata.findOne({ sourceId: source._id }).lean(),
+    GraphMetadata.findOne({ sourceId: source._id }).lean(),
+    Job.findOne({ sourceId: source._id, type: JobTypesEnum.SOURCE_VECTOR_INDEX })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Job.findOne({ sourceId: source._id, type: JobTypesEnum.SOURCE_GRAPH_INDEX })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Job.findOne({ sourceId: source._id, type: JobTypesEnum.SOURCE_GITHUB_RESYNC })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const vector = summarizeStage(vectorJob, !!vectorMetadata);
+  const graph = {
+    ...summarizeStage(graphJob, !!graphMetadata),
+    ...(graphMetadata && {
+      entityCount: graphMetadata.entityCount,
+      relationCount: graphMetadata.relationCount,
+      stale: !!graphMetadata.stale,
+    }),
+  };
+
+  const resync = resyncJob ? summarizeStage(resyncJob, false) : null;
+
+  const stage = resolveStage(source, vector, graph, resync);
+  const currentStage = { vector, graph, resync }[stage] || null;
+
+  return {
+    sourceId: source._id,
+    title: source.title,
+    sourceType: source.sourceType,
+    status: source.status,
+    stage,
+    etaSeconds: currentStage?.etaSeconds ?? null,
+    lastError: graph.lastError || vector.lastError || null,
+    vector,
+    graph,
+    ...(source.sourceType === "github_repo" && {
+      repo: {
+        branch: source.repo?.branch,
+        commitSha: source.repo?.commitSha || null,
+        lastSyncedAt: source.repo?.lastSyncedAt || null,
+      },
+    }),
+    ...(resync && { resync }),
+  };
+};
+
+export default {
+  buildSourceStatus,
+};
@@ -0,0 +1,169 @@
+import { ChatOpenAI } from "@langchain/openai";
+import { OpenAIProvider, setTracingDisabled } from "@openai/agents";
+import { ApiError } from "#utils/api-error.js";
+import { LLMProvidersEnum, LLMPurposeEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+import { ScriptedChatModel, ScriptedAgentModel } from "./scriptedModels.js";
+
+/**
+ * Resolve provider settings for a purpose from config
+ * @param {string} purpose - LLMPurposeEnum value (chat | extraction)
+ * @returns {Object} { purpose, provider, model, baseURL, apiKey }
+ */
+export const getLLMSettings = (purpose) => {
+  switch (purpose) {
+    case LLMPurposeEnum.CHAT:
+      return {
+        purpose,
+        provider: config.CHAT_LLM_PROVIDER,
+        model: config.CHAT_LLM_MODEL,
+        baseURL: config.CHAT_LLM_BASE_URL,
+        apiKey: config.CHAT_LLM_API_KEY,
+      };
+    case LLMPurposeEnum.EXTRACTION:
+      return {
+        purpose,
+        provider: config.EXTRACTION_LLM_PROVIDER,
+        model: config.EXTRACTION_LLM_MODEL,
+        baseURL: config.EXTRACTION_LLM_BASE_URL,
+        apiKey: config.EXTRACTION_LLM_API_KEY,
+      };
+    default:
+      throw new ApiError(500, `Unknown LLM purpose: ${purpose}`);
+  }
+};
+
+/**
+ * OpenAI-compatible servers share one client setup; only the endpoint and key differ
+ */
+const openAICompatibleFactory = ({ resolveBaseURL, resolveApiKey }) => ({
+  createChatModel: (settings, { temperature }) =>
+    new ChatOpenAI({
+      model: settings.model,
+      temperature,
+      apiKey: resolveApiKey(settings),
+      configuration: { baseURL: resolveBaseURL(settings) },
+    }),
+  createAgentModel: (settings) =>
+    new OpenAIProvider({
+      apiKey: resolveApiKey(settings),
+      baseURL: resolveBaseURL(settings),
+      // Self-hosted servers implement Chat Completions, not the Responses API
+      useResponses: false,
+    }).getModel(settings.model),
+});
+
+/**
+ * Registered providers
+ * Each provider builds a LangChain chat model (graph extraction) and an
+ * OpenAI Agents SDK model (chat agent) from the resolved settings.
+ */
+const providers = new Map([
+  [
+    LLMProvidersEnum.OPENAI,
+    {
+      createChatModel: (settings, { temperature }) =>
+        new ChatOpenAI({
+          model: settings.model,
+          temperature,
+          apiKey: settings.apiKey || config.OPENAI_API_KEY,
+        }),
+      createAgentModel: (settings) =>
+        new OpenAIProvider({ apiKey: settings.apiKey || config.OPENAI_API_KEY }).getModel(
+          settings.model
+        ),
+    },
+  ],
+  [
+    LLMProvidersEnum.OPENAI_COMPATIBLE,
+    openAICompatibleFactory({
+      resolveBaseURL: (settings) => {
+        if (!settings.baseURL) {
+          throw new ApiError(
+            500,
+            `A base URL is required for the openai_compatible ${settings.purpose} provider`
+          );
+        }
+        return settings.baseURL;
+      },
+      // Many self-hosted servers ignore the key but the client requires one
+      resolveApiKey: (settings) => settings.apiKey || "not-needed",
+    }),
+  ],
+  [
+    LLMProvidersEnum.LOCAL,
+    openAICompatibleFactory({
+      resolveBaseURL: (settings) => settings.baseURL || config.LOCAL_LLM_BASE_URL,
+      resolveApiKey: (settings) => settings.apiKey || "not-needed",
+    }),
+  ],
+  [
+    LLMProvidersEnum.SCRIPTED,
+    {
+      createChatModel: (settings) => new ScriptedChatModel({ purpose: settings.purpose }),
+      createAgentModel: (settings) => new ScriptedAgentModel({ purpose: settings.purpose }),
+    },
+  ],
+]);
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Provider name referenced by *_LLM_PROVIDER config
+ * @param {Object} factory - { createChatModel(settings, options), createAgentModel(settings) }
+ */
+export const registerLLMProvider = (name, factory) => {
+  if (typeof factory?.createChatModel !== "function" || typeof factory?.createAgentModel !== "function") {
+    throw new ApiError(500, `LLM provider ${name} must implement createChatModel and createAgentModel`);
+  }
+  providers.set(name, factory);
+};
+
+const resolveProvider = (settings) => {
+  const factory = providers.get(settings.provider);
+  if (!factory) {
+    throw new ApiError(500, `Unknown LLM provider for ${settings.purpose}: ${settings.provider}`);
+  }
+  return factory;
+};
+
+/**
+ * Get a LangChain chat model for the given purpose
+ * @param {Object} params
+ * @param {string} params.purpose - LLMPurposeEnum value (default: extraction)
+ * @param {string} params.model - Optional model name overriding config
+ * @param {number} params.temperature - Sampling temperature (default: 0)
+ * @returns {Object} LangChain chat model
+ */
+export const getChatModel = ({
+  purpose = LLMPurposeEnum.EXTRACTION,
+  model,
+  temperature = 0,
+} = {}) => {
+  const settings = { ...getLLMSettings(purpose), ...(model && { model }) };
+  return resolveProvider(settings).createChatModel(settings, { temperature });
+};
+
+/**
+ * Get an OpenAI Agents SDK model for the given purpose
+ * @param {Object} params
+ * @param {string} params.purpose - LLMPurposeEnum value (default: chat)
+ * @param {string} params.model - Optional model name overriding config
+ * @returns {Promise<Object>} Agents SDK Model instance
+ */
+export const getAgentModel = async ({ purpose = LLMPurposeEnum.CHAT, model } = {}) => {
+  const settings = { ...getLLMSettings(purpose), ...(model && { model }) };
+
+  // Traces are exported to OpenAI; skip them when the chat model runs elsewhere
+  if (settings.provider !== LLMProvidersEnum.OPENAI) {
+    setTracingDisabled(true);
+  }
+
+  return resolveProvider(settings).createAgentModel(settings);
+};
+
+export default {
+  getLLMSettings,
+  registerLLMProvider,
+  getChatModel,
+  getAgentModel,
+};
@@ -0,0 +1,147 @@
+import fs from "fs";
+import { FakeListChatModel } from "@langchain/core/utils/testing";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { Usage } from "@openai/agents";
+import { LLMPurposeEnum } from "#utils/constants.js";
+import config from "#config/config.js";
+
+/**
+ * Replies used when no script is configured for a purpose
+ */
+const DEFAULT_RESPONSES = {
+  [LLMPurposeEnum.CHAT]: ["This is a scripted response."],
+  [LLMPurposeEnum.EXTRACTION]: [JSON.stringify({ nodes: [], relationships: [] })],
+};
+
+let scriptedResponses = null;
+
+/**
+ * Load scripted replies from SCRIPTED_LLM_RESPONSES_PATH once
+ * File format: { "chat": [...], "extraction": [...] }
+ */
+const loadScriptedResponses = () => {
+  if (scriptedResponses) return scriptedResponses;
+
+  scriptedResponses = { ...DEFAULT_RESPONSES };
+
+  if (config.SCRIPTED_LLM_RESPONSES_PATH) {
+    const fileContent = JSON.parse(fs.readFileSync(config.SCRIPTED_LLM_RESPONSES_PATH, "utf-8"));
+    for (const purpose of Object.values(LLMPurposeEnum)) {
+      if (Array.isArray(fileContent[purpose]) && fileContent[purpose].length > 0) {
+        scriptedResponses[purpose] = fileContent[purpose];
+      }
+    }
+  }
+
+  return scriptedResponses;
+};
+
+/**
+ * Replace the scripted replies for a purpose (for tests driving the app in-process)
+ * @param {string} purpose - LLMPurposeEnum value
+ * @param {Array} responses - Replies returned in order, cycling when exhausted
+ */
+export const setScriptedResponses = (purpose, responses) => {
+  loadScriptedResponses()[purpose] = responses;
+};
+
+/**
+ * LangChain chat model that replays scripted replies
+ * Structured output parses the next reply as JSON, which is what LLMGraphTransformer expects.
+ */
+export class ScriptedChatModel extends FakeListChatModel {
+  constructor({ purpose = LLMPurposeEnum.EXTRACTION } = {}) {
+    const responses = loadScriptedResponses()[purpose].map((response) =>
+      typeof response === "string" ? response : JSON.stringify(response)
+    );
+    super({ responses });
+  }
+
+  withStructuredOutput() {
+    return RunnableLambda.from(async (input) => {
+      const message = await this.invoke(input);
+      return JSON.parse(message.content);
+    });
+  }
+}
+
+/**
+ * Convert one scripted step into Agents SDK output items
+ * A step is either reply text or { toolCalls: [{ name, arguments }] }
+ */
+const toOutputItems = (step, turn) => {
+  if (step?.toolCalls) {
+    return step.toolCalls.map((call, idx) => ({
+      type: "function_call",
+      callId: `scripted_call_${turn}_${idx}`,
+      name: call.name,
+      arguments: JSON.stringify(call.arguments || {}),
+      status: "completed",
+    }));
+  }
+
+  return [
+    {
+      type: "message",
+      role: "assistant",
+      status: "completed",
+      content: [{ type: "output_text", text: String(step?.text ?? step) }],
+    },
+  ];
+};
+
+/**
+ * OpenAI Agents SDK model that replays scripted steps
+ * Each model call consumes one step; text replies are streamed word by word.
+ */
+export class ScriptedAgentModel {
+  constructor({ purpose = LLMPurposeEnum.CHAT } = {}) {
+    this.purpose = purpose;
+    this.turn = 0;
+  }
+
+  nextStep() {
+    const steps = loadScriptedResponses()[this.purpose];
+    const step = steps[this.turn % steps.length];
+    this.turn += 1;
+    return toOutputItems(step, this.turn);
+  }
+
+  async getResponse() {
+    return {
+      usage: new Usage(),
+      output: this.nextStep(),
+      responseId: `scripted_${this.turn}`,
+    };
+  }
+
+  async *getStreamedResponse() {
+    const output = this.nextStep();
+    const responseId = `scripted_${this.turn}`;
+
+    yield { type: "response_started" };
+
+    for (const item of output) {
+      if (item.type !== "message") continue;
+      const words = item.content[0].text.split(/(\s+)/).filter(Boolean);
+      for (const word of words) {
+        yield { type: "output_text_delta", delta: word };
+      }
+    }
+
+    yield {
+      type: "response_done",
+      response: {
+        id: responseId,
+        usage: { requests: 1, inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+        output,
+      },
+    };
+  }
+}
+
+export default {
+  ScriptedChatModel,
+  ScriptedAgentModel,
+  setScriptedResponses,
+};
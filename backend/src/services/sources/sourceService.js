@@ -0,0 +1,369 @@
+import fs from "fs";
+import path from "path";
+import { Source } from "#models/source.models.js";
+import { VectorIndexMetadata } from "#models/vectorIndexMetadata.models.js";
+import { ApiError } from "#utils/api-error.js";
+import { uploadOnCloudinary } from "#utils/cloudinary.js";
+import { SourceTypesEnum, SourceStatusEnum } from "#utils/constants.js";
+import { enqueueSourceIndexing } from "#services/jobs/sourceIndexingJobs.js";
+import {
+  resolveExtractionSchema,
+  getSourceExtractionSchema,
+} from "#services/indexing/extractionSchemas.js";
+import {
+  enqueueSourceDeletion,
+  findActiveDeletionJob,
+} from "#services/jobs/sourceDeletionJobs.js";
+
+/**
+ * Fields sources can be sorted by (prefix with "-" for descending)
+ */
+export const SOURCE_SORT_FIELDS = ["createdAt", "title", "status"];
+
+const DEFAULT_SORT = "-createdAt";
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Largest metadata object accepted on create/PATCH (serialized size)
+ */
+const MAX_METADATA_BYTES = 16 * 1024;
+
+/**
+ * Qdrant collection holding a source's chunks
+ */
+export const getSourceCollectionName = (source) =>
+  source.sourceType === SourceTypesEnum.GITHUB_REPO
+    ? `github_${source._id}`
+    : `source_${source._id}`;
+
+/**
+ * Public view of a source, identical for every source type
+ * Local file paths stay server-side.
+ * @param {Object} source - Source document
+ * @returns {Object} Source response
+ */
+export const toSourceResponse = (source) => ({
+  _id: source._id,
+  title: source.title,
+  sourceType: source.sourceType,
+  status: source.status,
+  metadata: source.metadata || {},
+  extractionSchema: getSourceExtractionSchema(source),
+  file: source.file?.url ? { url: source.file.url } : null,
+  repo: source.repo?.repoUrl
+    ? {
+        repoUrl: source.repo.repoUrl,
+        branch: source.repo.branch,
+        commitSha: source.repo.commitSha,
+        lastSyncedAt: source.repo.lastSyncedAt,
+      }
+    : null,
+  statusUrl: `/sources/${source._id}/status`,
+  createdAt: source.createdAt,
+});
+
+/**
+ * Response for a newly created source whose indexing was queued (202)
+ * @param {Object} params - Result of createPdfSource / createGithubSource
+ * @returns {Object} Source response plus sourceId, collectionName and jobId
+ */
+export const toQueuedSourceResponse = ({ source, collectionName, job }) => ({
+  ...toSourceResponse(source),
+  sourceId: source._id,
+  collectionName,
+  jobId: job._id,
+});
+
+/**
+ * Validate a user metadata object
+ * @param {*} metadata - Value from the request body
+ * @throws {ApiError} 400 when not a plain object or too large
+ */
+export const assertValidMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+    throw new ApiError(400, "metadata must be an object");
+  }
+
+  if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    throw new ApiError(400, `metadata must be smaller than ${MAX_METADATA_BYTES / 1024}KB`);
+  }
+};
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id: id.toString() })).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) throw new Error("bad id");
+    return { value: field === "createdAt" ? new Date(v) : v, id };
+  } catch {
+    throw new ApiError(400, "Invalid cursor");
+  }
+};
+
+/**
+ * Parse a sort expression such as "-createdAt" or "title"
+ * @returns {Object} { field, direction } with direction 1 or -1
+ */
+export const parseSourceSort = (sort = DEFAULT_SORT) => {
+  const direction = sort.startsWith("-") ? -1 : 1;
+  const field = sort.replace(/^[-+]/, "");
+
+  if (!SOURCE_SORT_FIELDS.includes(field)) {
+    throw new ApiError(400, `sort must be one of: ${SOURCE_SORT_FIELDS.join(", ")} (prefix with - for descending)`);
+  }
+
+  return { field, direction };
+};
+
+/**
+ * List a user's sources with filters, sorting and cursor pagination
+ * The cursor encodes the sort value and _id of the last item, so pages stay
+ * stable while sources are added or removed.
+ * @param {Object} params - Listing parameters
+ * @param {string} params.ownerId - Owner user ID
+ * @param {Array<string>} params.types - Source types to include (default: all)
+ * @param {Array<string>} params.statuses - Statuses to include (default: all)
+ * @param {string} params.sort - Sort expression (default: -createdAt)
+ * @param {string} params.cursor - nextCursor from the previous page
+ * @param {number} params.limit - Page size (default: 20, max: 100)
+ * @returns {Promise<Object>} { items, pagination: { limit, total, nextCursor, hasMore } }
+ */
+export const listSources = async ({
+  ownerId,
+  types = [],
+  statuses = [],
+  sort = DEFAULT_SORT,
+  cursor,
+  limit = DEFAULT_PAGE_LIMIT,
+}) => {
+  const { field, direction } = parseSourceSort(sort);
+  const pageLimit = Math.min(MAX_PAGE_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_LIMIT));
+
+  // Step 1: Filters
+  const filter = { ownerId };
+  if (types.length > 0) filter.sourceType = { $in: types };
+  if (statuses.length > 0) filter.status = { $in: statuses };
+
+  // Step 2: Resume after the cursor item (ties broken by _id)
+  const query = { ...filter };
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, field);
+    const op = direction === 1 ? "$gt" : "$lt";
+    query.$or = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+  }
+
+  // Step 3: Fetch one extra item to know whether another page exists
+  const [total, sources] = await Promise.all([
+    Source.countDocuments(filter),
+    Source.find(query)
+      .sort({ [field]: direction, _id: direction })
+      .limit(pageLimit + 1),
+  ]);
+
+  const hasMore = sources.length > pageLimit;
+  const page = sources.slice(0, pageLimit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(toSourceResponse),
+    pagination: {
+      limit: pageLimit,
+      total,
+      nextCursor: hasMore && last ? encodeCursor(last[field], last._id) : null,
+      hasMore,
+    },
+  };
+};
+
+/**
+ * Queue vector + graph indexing for a new source
+ * A source that cannot be queued is marked failed.
+ * @returns {Promise<Object>} { source, collectionName, job }
+ */
+const queueIndexing = async (source) => {
+  const collectionName = getSourceCollectionName(source);
+
+  try {
+    const job = await enqueueSourceIndexing({ source, collectionName });
+    return { source, collectionName, job };
+  } catch (error) {
+    await Source.findByIdAndUpdate(source._id, { status: SourceStatusEnum.FAILED }).catch((err) => {
+      console.error("Failed to update source status to failed:", err);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a PDF source from an uploaded file and queue its indexing
+ * @param {Object} params - PDF source parameters
+ * @param {Object} params.file - Multer file ({ path, originalname, filename })
+ * @param {string} params.title - Optional title (default: file name without extension)
+ * @param {Object} params.metadata - Optional user metadata
+ * @param {Object} params.extractionSchema - Optional graph extraction schema (default: "general" preset)
+ * @param {string} params.ownerId - Owner user ID
+ * @returns {Promise<Object>} { source, collectionName, job }
+ */
+export const createPdfSource = async ({ file, title, metadata = {}, extractionSchema, ownerId }) => {
+  const documentLocalPath = file?.path;
+
+  if (!documentLocalPath) {
+    throw new ApiError(400, "PDF file is required");
+  }
+
+  try {
+    // Keep the local copy: the indexing job reads it after the request returns
+    const cloudinaryResponse = await uploadOnCloudinary(documentLocalPath, {
+      keepLocalFile: true,
+    });
+
+    if (!cloudinaryResponse) {
+      throw new ApiError(500, "Failed to upload PDF to Cloudinary");
+    }
+
+    const source = await Source.create({
+      title: title?.trim() || path.parse(file.originalname || file.filename).name,
+      sourceType: SourceTypesEnum.PDF,
+      file: {
+        url: cloudinaryResponse.secure_url,
+        localpath: documentLocalPath,
+        publicId: cloudinaryResponse.public_id,
+        resourceType: cloudinaryResponse.resource_type,
+      },
+      status: SourceStatusEnum.UPLOADED,
+      metadata,
+      extractionSchema: resolveExtractionSchema(extractionSchema, SourceTypesEnum.PDF),
+      ownerId,
+    });
+
+    return await queueIndexing(source);
+  } catch (error) {
+    if (fs.existsSync(documentLocalPath)) {
+      try {
+        fs.unlinkSync(documentLocalPath);
+      } catch (err) {
+        console.error("Failed to delete local file during cleanup:", err);
+      }
+    }
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Failed to upload and index PDF: ${error.message}`);
+  }
+};
+
+/**
+ * Create a GitHub repository source and queue its indexing
+ * @param {Object} params - GitHub source parameters
+ * @param {string} params.repoUrl - GitHub repository URL
+ * @param {string} params.branch - Branch to index (default: main)
+ * @param {string} params.title - Optional title (default: owner/repo)
+ * @param {Object} params.metadata - Optional user metadata
+ * @param {Object} params.extractionSchema - Optional graph extraction schema (default: "code" preset)
+ * @param {string} params.ownerId - Owner user ID
+ * @returns {Promise<Object>} { source, collectionName, job }
+ */
+export const createGithubSource = async ({ repoUrl, branch = "main", title, metadata = {}, extractionSchema, ownerId }) => {
+  try {
+    // Extract username/reponame from repoUrl (e.g., https://github.com/owner/repo -> owner/repo)
+    const urlMatch = repoUrl.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?$/);
+    const repoTitle = urlMatch ? `${urlMatch[1]}/${urlMatch[2]}` : repoUrl;
+
+    const source = await Source.create({
+      title: title?.trim() || repoTitle,
+      sourceType: SourceTypesEnum.GITHUB_REPO,
+      repo: {
+        repoUrl,
+        branch,
+      },
+      status: SourceStatusEnum.UPLOADED,
+      metadata,
+      extractionSchema: resolveExtractionSchema(extractionSchema, SourceTypesEnum.GITHUB_REPO),
+      ownerId,
+    });
+
+    return await queueIndexing(source);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, `Failed to create and index GitHub source: ${error.message}`);
+  }
+};
+
+/**
+ * Request the full teardown of a source
+ * The source is marked "deleting" (hidden from new chat attachments, skipped by
+ * indexing jobs) and a background job purges Qdrant, Neo4j, local and Cloudinary
+ * files, mem0 memories and session attachments, then removes the record.
+ * Repeated requests while a teardown is pending return the same job.
+ * @param {Object} source - Source document
+ * @returns {Promise<Object>} { job, alreadyQueued }
+ */
+export const requestSourceDeletion = async (source) => {
+  const activeJob = await findActiveDeletionJob(source._id);
+  if (activeJob) {
+    return { job: activeJob, alreadyQueued: true };
+  }
+
+  // Index metadata may be missing (e.g. failed build); fall back to the naming scheme
+  const vectorMetadata = await VectorIndexMetadata.findOne({ sourceId: source._id });
+  const collectionName = vectorMetadata?.collectionName || getSourceCollectionName(source);
+
+  source.status = SourceStatusEnum.DELETING;
+  await source.save();
+
+  const job = await enqueueSourceDeletion({ source, collectionName });
+  return { job, alreadyQueued: false };
+};
+
+/**
+ * Response for a queued source deletion (202)
+ * @param {Object} params
+ * @param {Object} params.source - Source document
+ * @param {Object} params.job - Deletion job
+ * @returns {Object} { id, status, jobId, reportUrl }
+ */
+export const toDeletionResponse = ({ source, job }) => ({
+  id: source._id,
+  status: SourceStatusEnum.DELETING,
+  jobId: job._id,
+  reportUrl: `/sources/${source._id}/deletion`,
+});
+
+/**
+ * Public view of a deletion job and its report
+ * @param {Object} job - Deletion job document
+ * @returns {Object} Deletion status, progress and report (null until the job finishes)
+ */
+export const toDeletionReportResponse = (job) => ({
+  jobId: job._id,
+  sourceId: job.sourceId,
+  title: job.payload?.title,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  progress: job.progress,
+  lastError: job.lastError,
+  report: job.result || null,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt || null,
+});
+
+export default {
+  getSourceCollectionName,
+  toSourceResponse,
+  toQueuedSourceResponse,
+  assertValidMetadata,
+  parseSourceSort,
+  listSources,
+  createPdfSource,
+  createGithubSource,
+  requestSourceDeletion,
+  toDeletionResponse,
+  toDeletionReportResponse,
+};
@@ -10,7 +10,14 @@ cloudinary.config({
     api_secret: config.CLOUDINARY_API_SECRET
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
+/**
+ * Upload a local file to Cloudinary
+ * @param {string} localFilePath - Path to the file on disk
+ * @param {Object} [options]
+ * @param {boolean} [options.keepLocalFile=false] - Keep the local copy after a successful upload
+ *   (used for sources whose indexing jobs re-read the file)
+ */
+const uploadOnCloudinary = async (localFilePath, { keepLocalFile = false } = {}) => {
     if (!localFilePath) {
         throw new ApiError(400, "Avatar file path can't be null", {
             code: ErrorCodes.AVATAR_FILE_PATH_NOT_FOUND
@@ -22,7 +29,9 @@ const uploadOnCloudinary = async (localFilePath) => {
             resource_type: "auto"
         });
 
-        fs.unlinkSync(localFilePath);
+        if (!keepLocalFile) {
+            fs.unlinkSync(localFilePath);
+        }
         return response;
     } catch (error) {
         if (fs.existsSync(localFilePath)) {
@@ -39,5 +48,52 @@ const uploadOnCloudinary = async (localFilePath) => {
     }
 }
 
-export { uploadOnCloudinary }
+/**
+ * Find the public ID and resource type of an uploaded asset from its delivery URL
+ * e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/abc.pdf -> { publicId: "abc", resourceType: "image" }
+ * @param {string} url - secure_url returned by the upload
+ * @returns {Object|null} { publicId, resourceType } or null if the URL is not a Cloudinary upload
+ */
+const parseCloudinaryUrl = (url) => {
+    const match = url?.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?([^?#]+)$/);
+    if (!match) return null;
+
+    const [, resourceType, path] = match;
+    // Raw assets keep their extension in the public ID
+    const publicId = resourceType === "raw" ? path : path.replace(/\.[^/.]+$/, "");
+
+    return { publicId: decodeURIComponent(publicId), resourceType };
+}
+
+/**
+ * Delete an uploaded asset from Cloudinary
+ * Deleting an asset that is already gone is not an error (result "not found").
+ * @param {Object} params
+ * @param {string} [params.publicId] - Public ID stored at upload time
+ * @param {string} [params.resourceType] - Resource type stored at upload time
+ * @param {string} [params.url] - Delivery URL, used when the public ID was not stored
+ * @returns {Promise<Object>} { publicId, result } where result is "ok" or "not found"
+ */
+const deleteFromCloudinary = async ({ publicId, resourceType, url }) => {
+    const asset = publicId
+        ? { publicId, resourceType: resourceType || "image" }
+        : parseCloudinaryUrl(url);
+
+    if (!asset) {
+        throw new ApiError(400, "Cloudinary asset can't be identified");
+    }
+
+    const response = await cloudinary.uploader.destroy(asset.publicId, {
+        resource_type: asset.resourceType,
+        invalidate: true
+    });
+
+    if (response?.result !== "ok" && response?.result !== "not found") {
+        throw new ApiError(500, `Failed to delete Cloudinary asset: ${response?.result || "unknown error"}`);
+    }
+
+    return { publicId: asset.publicId, result: response.result };
+}
+
+export { uploadOnCloudinary, deleteFromCloudinary }
 
@@ -14,6 +14,161 @@ export const TaskStatusEnum = {
 
 export const AvailableTaskStatus = Object.values(TaskStatusEnum);
 
+export const SourceTypesEnum = {
+    PDF: "pdf",
+    GITHUB_REPO: "github_repo",
+};
+
+export const AvailableSourceTypes = Object.values(SourceTypesEnum);
+
+export const SourceStatusEnum = {
+    UPLOADED: "uploaded",
+    INDEXING: "indexing",
+    INDEXED: "indexed",
+    FAILED: "failed",
+    DELETING: "deleting",
+};
+
+export const AvailableSourceStatuses = Object.values(SourceStatusEnum);
+
+export const JobTypesEnum = {
+    SOURCE_VECTOR_INDEX: "source.vector_index",
+    SOURCE_GRAPH_INDEX: "source.graph_index",
+    SOURCE_GITHUB_RESYNC: "source.github_resync",
+    SOURCE_DELETE: "source.delete",
+};
+
+export const AvailableJobTypes = Object.values(JobTypesEnum);
+
+export const ReindexTargetsEnum = {
+    VECTOR: "vector",
+    GRAPH: "graph",
+    BOTH: "both",
+};
+
+export const AvailableReindexTargets = Object.values(ReindexTargetsEnum);
+
+export const EntityMergeStatusEnum = {
+    APPLIED: "applied",
+    UNDONE: "undone",
+    PROPOSED: "proposed",
+};
+
+export const AvailableEntityMergeStatuses = Object.values(EntityMergeStatusEnum);
+
+export const EntityMergeMethodsEnum = {
+    NORMALIZED_NAME: "normalized_name",
+    STRING_SIMILARITY: "string_similarity",
+    EMBEDDING_SIMILARITY: "embedding_similarity",
+};
+
+export const AvailableEntityMergeMethods = Object.values(EntityMergeMethodsEnum);
+
+export const ExtractionSchemaPresetsEnum = {
+    GENERAL: "general",
+    CODE: "code",
+    LEGAL: "legal",
+    RESEARCH: "research",
+    RUNBOOK: "runbook",
+};
+
+export const AvailableExtractionSchemaPresets = Object.values(ExtractionSchemaPresetsEnum);
+
+export const DeletionStepStatusEnum = {
+    DELETED: "deleted",
+    NOT_FOUND: "not_found",
+    SKIPPED: "skipped",
+    FAILED: "failed",
+};
+
+export const AvailableDeletionStepStatuses = Object.values(DeletionStepStatusEnum);
+
+export const JobStatusEnum = {
+    QUEUED: "queued",
+    RUNNING: "running",
+    COMPLETED: "completed",
+    FAILED: "failed",
+};
+
+export const AvailableJobStatus = Object.values(JobStatusEnum);
+
+export const EmbeddingProvidersEnum = {
+    OPENAI: "openai",
+    OPENAI_COMPATIBLE: "openai_compatible",
+    LOCAL: "local",
+};
+
+export const AvailableEmbeddingProviders = Object.values(EmbeddingProvidersEnum);
+
+export const LLMProvidersEnum = {
+    OPENAI: "openai",
+    OPENAI_COMPATIBLE: "openai_compatible",
+    LOCAL: "local",
+    SCRIPTED: "scripted",
+};
+
+export const AvailableLLMProviders = Object.values(LLMProvidersEnum);
+
+export const LLMPurposeEnum = {
+    CHAT: "chat",
+    EXTRACTION: "extraction",
+};
+
+export const AvailableLLMPurposes = Object.values(LLMPurposeEnum);
+
+export const RetrievalModesEnum = {
+    DENSE: "dense",
+    SPARSE: "sparse",
+    HYBRID: "hybrid",
+};
+
+export const AvailableRetrievalModes = Object.values(RetrievalModesEnum);
+
+export const RerankerProvidersEnum = {
+    NONE: "none",
+    LLM: "llm",
+    HTTP: "http",
+    HEURISTIC: "heuristic",
+};
+
+export const AvailableRerankerProviders = Object.values(RerankerProvidersEnum);
+
+/**
+ * Server-sent event types for POST /session/:sessionId/messages
+ */
+export const ChatStreamEventsEnum = {
+    MESSAGE_STARTED: "message.started",
+    MESSAGE_DELTA: "message.delta",
+    TOOL_STARTED: "tool.started",
+    TOOL_FINISHED: "tool.finished",
+    CITATION: "citation",
+    USAGE: "usage",
+    MESSAGE_COMPLETED: "message.completed",
+    MESSAGE_CANCELLED: "message.cancelled",
+    ERROR: "error",
+};
+
+export const MessageStatusEnum = {
+    STREAMING: "streaming",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+    FAILED: "failed",
+};
+
+export const AvailableMessageStatuses = Object.values(MessageStatusEnum);
+
+export const SessionEventTypesEnum = {
+    SOURCES_ADDED: "sources_added",
+    SOURCES_REMOVED: "sources_removed",
+};
+
+export const AvailableSessionEventTypes = Object.values(SessionEventTypesEnum);
+
+export const CancelReasonsEnum = {
+    USER: "user_cancelled",
+    CLIENT_DISCONNECTED: "client_disconnected",
+};
+
 export const ErrorCodes = {
   // General
   UNKNOWN_ERROR: "UNKNOWN_ERROR",